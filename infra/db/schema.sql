@@ -14,6 +14,20 @@
 -- NEW TABLES (WhatsApp Integration):
 -- - whatsapp_links: Links WhatsApp numbers to user accounts
 -- - event_logs: System event logs for WhatsApp message processing
+-- - conversation_sessions: Pending multi-turn conversation state
+-- - transaction_drafts: Extracted transactions awaiting confirmation (review mode)
+-- - budget_alerts: Budget thresholds already alerted per period
+-- - recurring_postings: Occurrences of recurring transactions already posted
+-- - goal_contributions: Links goal contributions to their transactions
+-- - transaction_splits: Each member's share of a split expense
+-- - split_settlements: Repayments between family members
+-- - iou_counterparties: People outside the family a user lends to or borrows from
+-- - iou_entries: Lend/borrow/repay entries for each counterparty
+-- - wallets: Cash, bank, credit card and UPI wallets (wallet_balances view)
+-- - exchange_rates: Locally maintained currency conversion rates by effective date
+-- - processed_messages: WhatsApp message ids already handled (dedupes webhook retries)
+-- - outbound_messages: Messages we sent and their delivery status (outbound_delivery_counts view)
+-- - outbound_queue: Messages waiting to be sent, retried with backoff, and dead letters
 --
 -- =============================================
 
@@ -31,6 +45,45 @@
 ALTER TABLE users 
 ADD COLUMN IF NOT EXISTS whatsapp_number TEXT;
 
+-- Review mode: hold extracted transactions as drafts until confirmed
+ALTER TABLE families
+ADD COLUMN IF NOT EXISTS whatsapp_review_mode BOOLEAN DEFAULT FALSE;
+
+-- Wallets: transactions.wallet_id now holds a wallets.wallet_id instead of a user_id
+-- (each user's default "Cash" wallet reuses their user_id, so existing rows stay valid)
+ALTER TABLE transactions
+DROP CONSTRAINT IF EXISTS transactions_wallet_id_fkey;
+
+-- Transfers between wallets: money moves from wallet_id to to_wallet_id
+-- and is neither income nor an expense
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS to_wallet_id UUID;
+
+ALTER TABLE transactions
+DROP CONSTRAINT IF EXISTS transactions_type_check;
+
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_type_check CHECK (type IN ('credit', 'debit', 'transfer'));
+
+-- Multi-currency: amounts are stored in the family's base currency,
+-- with the amount and currency as entered kept alongside
+ALTER TABLE families
+ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL,
+ADD COLUMN IF NOT EXISTS original_currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL;
+
+-- Idempotent webhooks: each transaction remembers the WhatsApp message (and item) it came from
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS source_message_id TEXT,
+ADD COLUMN IF NOT EXISTS source_message_index SMALLINT NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_source_message
+ON transactions(source_message_id, source_message_index)
+WHERE source_message_id IS NOT NULL;
+
 
 
 CREATE TABLE IF NOT EXISTS whatsapp_links (
@@ -40,10 +93,20 @@ CREATE TABLE IF NOT EXISTS whatsapp_links (
     linked_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     verified BOOLEAN DEFAULT FALSE,
     verification_code TEXT,
+    last_inbound_at TIMESTAMPTZ,
+    language VARCHAR(5),
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 24-hour customer service window: proactive messages fall back to templates once it closes
+ALTER TABLE whatsapp_links
+ADD COLUMN IF NOT EXISTS last_inbound_at TIMESTAMPTZ;
+
+-- Reply language (en, hi, ta); NULL until set with LANGUAGE or detected from the user's messages
+ALTER TABLE whatsapp_links
+ADD COLUMN IF NOT EXISTS language VARCHAR(5);
+
 -- Indexes for WhatsApp links
 CREATE INDEX IF NOT EXISTS idx_whatsapp_links_number ON whatsapp_links(whatsapp_number);
 CREATE INDEX IF NOT EXISTS idx_whatsapp_links_user ON whatsapp_links(user_id);
@@ -78,6 +141,312 @@ CREATE TABLE IF NOT EXISTS event_logs (
 CREATE INDEX IF NOT EXISTS idx_event_logs_type ON event_logs(event_type);
 CREATE INDEX IF NOT EXISTS idx_event_logs_created ON event_logs(created_at DESC);
 
+-- =============================================
+-- CONVERSATION SESSIONS TABLE
+-- Multi-turn conversation state keyed by WhatsApp number
+-- (used when SESSION_STORE=supabase)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    whatsapp_number TEXT PRIMARY KEY,
+    pending_action TEXT NOT NULL,
+    expected_reply TEXT,
+    draft JSONB DEFAULT '{}'::jsonb,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for expired session cleanup
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires ON conversation_sessions(expires_at);
+
+-- =============================================
+-- TRANSACTION DRAFTS TABLE
+-- Extracted transactions held for Save / Edit / Discard (review mode)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS transaction_drafts (
+    draft_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    family_id UUID,
+    whatsapp_number TEXT NOT NULL,
+    source_message_id TEXT,
+    transaction JSONB NOT NULL,
+    extracted JSONB,
+    claimed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ
+);
+
+-- Set while a Save is being processed; the draft is only deleted once the entry is saved
+ALTER TABLE transaction_drafts
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+-- Indexes for transaction drafts
+CREATE INDEX IF NOT EXISTS idx_transaction_drafts_user ON transaction_drafts(user_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_drafts_expires ON transaction_drafts(expires_at);
+
+-- =============================================
+-- BUDGET ALERTS TABLE
+-- One row per budget threshold alerted in a period (deduplicates alerts)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    budget_id UUID NOT NULL,
+    family_id UUID,
+    period_start DATE NOT NULL,
+    threshold INTEGER NOT NULL,
+    transaction_id UUID,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (budget_id, period_start, threshold)
+);
+
+-- =============================================
+-- RECURRING POSTINGS TABLE
+-- One row per posted occurrence of a recurring transaction
+-- (claimed before posting so restarts never double-post)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS recurring_postings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recurring_id UUID NOT NULL,
+    occurrence_date DATE NOT NULL,
+    transaction_id UUID,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (recurring_id, occurrence_date)
+);
+
+-- =============================================
+-- GOAL CONTRIBUTIONS TABLE
+-- Savings added to a goal from WhatsApp, linked to the transaction that recorded it
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS goal_contributions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    goal_id UUID NOT NULL,
+    transaction_id UUID,
+    user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    amount DECIMAL NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_goal ON goal_contributions(goal_id);
+
+-- One contribution per transaction, so a retried save can't add it to the goal twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_goal_contributions_transaction ON goal_contributions(transaction_id);
+
+-- =============================================
+-- TRANSACTION SPLITS TABLE
+-- Each member's share of an expense paid by one member (the payer's own share included)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transaction_id UUID NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    payer_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    member_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    share_amount DECIMAL NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (transaction_id, member_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_family ON transaction_splits(family_id);
+
+-- =============================================
+-- SPLIT SETTLEMENTS TABLE
+-- Repayments between family members (from_user_id paid to_user_id)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS split_settlements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    family_id UUID NOT NULL,
+    from_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    to_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    amount DECIMAL NOT NULL CHECK (amount > 0),
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_split_settlements_family ON split_settlements(family_id);
+
+-- =============================================
+-- IOU COUNTERPARTIES TABLE
+-- People outside the family a user lends to or borrows from
+-- balance > 0: they owe the user; balance < 0: the user owes them
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS iou_counterparties (
+    counterparty_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    family_id UUID,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    balance DECIMAL NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, normalized_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_iou_counterparties_outstanding ON iou_counterparties(user_id) WHERE balance <> 0;
+
+-- =============================================
+-- IOU ENTRIES TABLE
+-- Ledger of lend/borrow/repay entries with the running balance after each
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS iou_entries (
+    entry_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    counterparty_id UUID NOT NULL REFERENCES iou_counterparties(counterparty_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('lent', 'borrowed', 'got_back', 'paid_back')),
+    amount DECIMAL NOT NULL CHECK (amount > 0),
+    balance_after DECIMAL NOT NULL,
+    note TEXT,
+    entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source_message_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_iou_entries_counterparty ON iou_entries(counterparty_id, entry_date DESC);
+
+-- =============================================
+-- WALLETS TABLE
+-- Where money is spent from / received into; shared wallets are visible to the whole family
+-- Credit card balances are negative while an amount is outstanding
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS wallets (
+    wallet_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    family_id UUID,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('cash', 'bank', 'credit_card', 'upi')),
+    opening_balance DECIMAL NOT NULL DEFAULT 0,
+    is_shared BOOLEAN NOT NULL DEFAULT FALSE,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallets_user ON wallets(user_id);
+CREATE INDEX IF NOT EXISTS idx_wallets_family_shared ON wallets(family_id) WHERE is_shared;
+
+-- Current balance of each wallet (a transfer counts against wallet_id and towards to_wallet_id)
+CREATE OR REPLACE VIEW wallet_balances AS
+SELECT
+    w.wallet_id,
+    w.opening_balance + COALESCE(SUM(m.amount), 0) AS balance,
+    COUNT(m.transaction_id) AS transaction_count
+FROM wallets w
+LEFT JOIN (
+    SELECT transaction_id, wallet_id,
+           CASE WHEN type = 'credit' THEN amount ELSE -amount END AS amount
+    FROM transactions
+    UNION ALL
+    SELECT transaction_id, to_wallet_id AS wallet_id, amount
+    FROM transactions
+    WHERE type = 'transfer' AND to_wallet_id IS NOT NULL
+) m ON m.wallet_id = w.wallet_id
+GROUP BY w.wallet_id, w.opening_balance;
+
+-- =============================================
+-- PROCESSED MESSAGES TABLE
+-- WhatsApp message ids already handled; retried webhook deliveries are ignored
+-- Rows expire after PROCESSED_MESSAGE_TTL_HOURS (purged by the session cleanup job)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS processed_messages (
+    message_id TEXT PRIMARY KEY,
+    whatsapp_number TEXT,
+    processed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_messages_expires ON processed_messages(expires_at);
+
+-- =============================================
+-- OUTBOUND MESSAGES TABLE
+-- Every message sent through the Cloud API, updated from status callbacks
+-- status: accepted (API returned an id) -> sent -> delivered -> read, or failed
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    message_id TEXT PRIMARY KEY,
+    whatsapp_number TEXT NOT NULL,
+    -- NULL until the send is recorded when a status callback arrives first
+    message_type TEXT,
+    job TEXT,
+    status TEXT NOT NULL DEFAULT 'accepted' CHECK (status IN ('accepted', 'sent', 'delivered', 'read', 'failed')),
+    error_code INTEGER,
+    error_title TEXT,
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_job ON outbound_messages(job, created_at DESC);
+
+-- Delivery counts per job and day (GET /admin/delivery-stats)
+CREATE OR REPLACE VIEW outbound_delivery_counts AS
+SELECT
+    job,
+    status,
+    error_code,
+    created_at::date AS sent_date,
+    COUNT(*) AS message_count
+FROM outbound_messages
+GROUP BY job, status, error_code, created_at::date;
+
+-- =============================================
+-- OUTBOUND QUEUE TABLE
+-- Every send goes through this queue; rows are deleted once the Cloud API accepts them
+-- status: pending -> sending -> (deleted), back to pending for a retry, or dead after the last attempt
+-- Dead letters are listed and requeued through the admin API (/admin/outbound-queue)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS outbound_queue (
+    queue_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    whatsapp_number TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    message_type TEXT,
+    job TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error JSONB,
+    locked_at TIMESTAMPTZ,
+    dead_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_status ON outbound_queue(status, created_at);
+
+-- =============================================
+-- EXCHANGE RATES TABLE
+-- 1 from_currency = rate to_currency, valid from effective_date until the next entry
+-- Maintained through the admin API (POST /admin/exchange-rates)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    rate_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_currency VARCHAR(3) NOT NULL,
+    to_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL,
+    source TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (from_currency, to_currency, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(from_currency, to_currency, effective_date DESC);
+
 -- =============================================
 -- HELPER FUNCTIONS
 -- =============================================
@@ -98,6 +467,27 @@ CREATE TRIGGER update_whatsapp_links_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger for wallets updated_at
+DROP TRIGGER IF EXISTS update_wallets_updated_at ON wallets;
+CREATE TRIGGER update_wallets_updated_at
+    BEFORE UPDATE ON wallets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for exchange_rates updated_at
+DROP TRIGGER IF EXISTS update_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER update_exchange_rates_updated_at
+    BEFORE UPDATE ON exchange_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for conversation_sessions updated_at
+DROP TRIGGER IF EXISTS update_conversation_sessions_updated_at ON conversation_sessions;
+CREATE TRIGGER update_conversation_sessions_updated_at
+    BEFORE UPDATE ON conversation_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- =============================================
 -- STATISTICS FUNCTION
 -- Get transaction statistics for a user (via WhatsApp)
@@ -136,6 +526,126 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- =============================================
+-- CATEGORY SPENDING FUNCTION
+-- Debits per category in a date range for a family (budget usage and alerts)
+-- =============================================
+
+CREATE OR REPLACE FUNCTION get_category_spending(
+    p_family_id UUID,
+    p_start_date DATE,
+    p_end_date DATE,
+    p_category_ids UUID[]
+)
+RETURNS TABLE (
+    category_id UUID,
+    spent DECIMAL
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        t.category_id,
+        COALESCE(SUM(t.amount), 0) AS spent
+    FROM transactions t
+    WHERE t.family_id = p_family_id
+        AND t.type = 'debit'
+        AND t.category_id = ANY(p_category_ids)
+        AND t.transaction_date BETWEEN p_start_date AND p_end_date
+    GROUP BY t.category_id;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =============================================
+-- GOAL CONTRIBUTION FUNCTIONS
+-- Link contributions and update goals.current_amount in one statement,
+-- so concurrent contributions, deletes and undos can't overwrite each other
+-- =============================================
+
+-- Add a contribution for a transaction (a second call for the same transaction changes nothing)
+CREATE OR REPLACE FUNCTION add_goal_contribution(
+    p_goal_id UUID,
+    p_transaction_id UUID,
+    p_user_id UUID,
+    p_amount DECIMAL
+)
+RETURNS SETOF goals AS $$
+BEGIN
+    INSERT INTO goal_contributions (goal_id, transaction_id, user_id, amount)
+    VALUES (p_goal_id, p_transaction_id, p_user_id, p_amount)
+    ON CONFLICT DO NOTHING;
+
+    IF FOUND THEN
+        UPDATE goals
+        SET current_amount = COALESCE(current_amount, 0) + p_amount,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE goal_id = p_goal_id;
+    END IF;
+
+    RETURN QUERY SELECT * FROM goals WHERE goal_id = p_goal_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remove contributions (deleted transactions) and take them off their goals
+-- Only rows actually removed are subtracted, so a retried delete doesn't take them out twice
+CREATE OR REPLACE FUNCTION remove_goal_contributions(p_ids UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH removed AS (
+        DELETE FROM goal_contributions
+        WHERE id = ANY(p_ids)
+        RETURNING goal_id, amount
+    ),
+    totals AS (
+        SELECT goal_id, SUM(amount) AS amount FROM removed GROUP BY goal_id
+    ),
+    updated AS (
+        UPDATE goals g
+        SET current_amount = GREATEST(COALESCE(g.current_amount, 0) - totals.amount, 0),
+            updated_at = CURRENT_TIMESTAMP
+        FROM totals
+        WHERE g.goal_id = totals.goal_id
+        RETURNING g.goal_id
+    )
+    SELECT COUNT(*) INTO v_count FROM removed;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put back contributions snapshotted before a delete (UNDO DELETE) and add them to their goals
+-- Rows that still exist are skipped and not added again
+CREATE OR REPLACE FUNCTION restore_goal_contributions(p_contributions JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH restored AS (
+        INSERT INTO goal_contributions (id, goal_id, transaction_id, user_id, amount, created_at)
+        SELECT c.id, c.goal_id, c.transaction_id, c.user_id, c.amount, COALESCE(c.created_at, CURRENT_TIMESTAMP)
+        FROM jsonb_to_recordset(p_contributions)
+            AS c(id UUID, goal_id UUID, transaction_id UUID, user_id UUID, amount DECIMAL, created_at TIMESTAMPTZ)
+        ON CONFLICT DO NOTHING
+        RETURNING goal_id, amount
+    ),
+    totals AS (
+        SELECT goal_id, SUM(amount) AS amount FROM restored GROUP BY goal_id
+    ),
+    updated AS (
+        UPDATE goals g
+        SET current_amount = COALESCE(g.current_amount, 0) + totals.amount,
+            updated_at = CURRENT_TIMESTAMP
+        FROM totals
+        WHERE g.goal_id = totals.goal_id
+        RETURNING g.goal_id
+    )
+    SELECT COUNT(*) INTO v_count FROM restored;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
 -- =============================================
 -- GRANTS
 -- =============================================
@@ -152,3 +662,5 @@ GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO authenticated;
 
 COMMENT ON TABLE whatsapp_links IS 'WhatsApp phone numbers linked to user accounts for messaging integration';
 COMMENT ON TABLE event_logs IS 'System event logs for WhatsApp message processing and debugging';
+COMMENT ON TABLE transaction_drafts IS 'Extracted transactions awaiting Save / Edit / Discard in review mode';
+COMMENT ON TABLE conversation_sessions IS 'Pending multi-turn conversation state (EDIT and other follow-up flows)';
@@ -0,0 +1,366 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const { validate, budgetSchema } = require('../utils/validators');
+const { isFamilyAdmin } = require('../utils/permissions');
+const { t, formatMoney } = require('../utils/i18n');
+const {
+  parseBudgetArgs,
+  getBudgetPeriodRange,
+  calculateBudgetUsage,
+  parseAlertThresholds,
+  getReachedThresholds,
+  formatProgressBar,
+} = require('../utils/budgets');
+
+const ALERT_THRESHOLDS = parseAlertThresholds(process.env.BUDGET_ALERT_THRESHOLDS);
+
+/**
+ * Budget Controller - BUDGET commands backed by the shared budgets table
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle BUDGET commands
+ * Format: BUDGET (status)
+ *         BUDGET SET <category> <amount> [monthly|weekly]
+ *         BUDGET REMOVE <category>
+ */
+async function handleBudgetCommand(text, user, phoneNumber) {
+  const [, subcommand, ...args] = text.trim().split(/\s+/);
+  const option = subcommand?.toUpperCase();
+
+  if (!option) {
+    await handleBudgetStatus(user, phoneNumber);
+    return;
+  }
+
+  if (option === 'SET') {
+    await handleBudgetSet(args, user, phoneNumber);
+    return;
+  }
+
+  if (option === 'REMOVE') {
+    await handleBudgetRemove(args, user, phoneNumber);
+    return;
+  }
+
+  await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.usage'));
+}
+
+/**
+ * Show spent / remaining for every family budget
+ */
+async function handleBudgetStatus(user, phoneNumber) {
+  try {
+    const budgets = await supabaseService.getBudgetsForFamily(user.family_id);
+
+    if (budgets.length === 0) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.none'));
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const usage = await getBudgetUsage(user.family_id, budgets);
+
+    const lang = user.language;
+    const money = amount => formatMoney(amount, user.currency, lang);
+    let message = `${t(lang, 'budget.title')}\n\n`;
+
+    usage.forEach(({ budget, spent, remaining, percent }) => {
+      const category = categories.find(c => c.category_id === budget.category_id);
+      const status = percent >= 100 ? '🔴' : percent >= 80 ? '🟠' : '🟢';
+
+      message += `${status} *${category?.name || t(lang, 'budget.unknownCategory')}* (${formatBudgetPeriod(budget, lang)})\n`;
+      message += `${formatProgressBar(percent)} ${percent}%\n`;
+      message += t(lang, 'budget.spentOf', { spent: money(spent), budget: money(budget.amount) });
+      message += remaining >= 0
+        ? ` • ${t(lang, 'budget.left', { amount: money(remaining) })}\n\n`
+        : ` • ${t(lang, 'budget.over', { amount: money(Math.abs(remaining)) })}\n\n`;
+    });
+
+    await whatsappService.sendTextMessage(phoneNumber, message.trim());
+  } catch (error) {
+    logger.logError(error, { context: 'handleBudgetStatus', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.fetchFailed'));
+  }
+}
+
+/**
+ * Handle BUDGET SET <category> <amount> [monthly|weekly]
+ */
+async function handleBudgetSet(args, user, phoneNumber) {
+  try {
+    const parsed = parseBudgetArgs(args);
+
+    if (!parsed) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.setUsage'));
+      return;
+    }
+
+    if (!isFamilyAdmin(user)) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.adminOnly'));
+      return;
+    }
+
+    const { valid, value, errors } = await validate(budgetSchema, parsed);
+
+    if (!valid) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, errors[0].field === 'amount' ? 'budget.invalidAmount' : 'budget.invalidCategory')
+      );
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const category = supabaseService.matchCategory(value.category, categories);
+
+    if (!category) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'categories.notFound', { category: value.category })
+      );
+      return;
+    }
+
+    if (category.type === 'income') {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'budget.incomeCategory', { category: category.name })
+      );
+      return;
+    }
+
+    await supabaseService.upsertBudget({
+      familyId: user.family_id,
+      categoryId: category.category_id,
+      amount: value.amount,
+      period: value.period,
+      userId: user.user_id,
+    });
+
+    await supabaseService.logEvent('budget_set', {
+      familyId: user.family_id,
+      userId: user.user_id,
+      categoryId: category.category_id,
+      amount: value.amount,
+      period: value.period,
+    });
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'budget.set', {
+        emoji: category.emoji || '📁',
+        category: category.name,
+        amount: formatMoney(value.amount, user.currency, user.language),
+        period: formatBudgetPeriod(value, user.language),
+      })
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleBudgetSet', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.saveFailed'));
+  }
+}
+
+/**
+ * Handle BUDGET REMOVE <category>
+ */
+async function handleBudgetRemove(args, user, phoneNumber) {
+  try {
+    const categoryName = args.join(' ').trim();
+
+    if (!categoryName) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.removeUsage'));
+      return;
+    }
+
+    if (!isFamilyAdmin(user)) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.adminOnly'));
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const category = supabaseService.matchCategory(categoryName, categories);
+
+    if (!category) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'categories.notFound', { category: categoryName })
+      );
+      return;
+    }
+
+    const removed = await supabaseService.deleteBudget(user.family_id, category.category_id);
+
+    if (!removed) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'budget.noBudget', { category: category.name })
+      );
+      return;
+    }
+
+    await supabaseService.logEvent('budget_removed', {
+      familyId: user.family_id,
+      userId: user.user_id,
+      categoryId: category.category_id,
+    });
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'budget.removed', { category: category.name })
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleBudgetRemove', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'budget.removeFailed'));
+  }
+}
+
+/**
+ * Compute spent / remaining for each budget in its current period
+ * Sums family debits in the database once per distinct budget period
+ */
+async function getBudgetUsage(familyId, budgets) {
+  const spentByPeriod = new Map();
+
+  for (const period of new Set(budgets.map(b => b.period || 'monthly'))) {
+    const range = getBudgetPeriodRange(period);
+    const spent = await supabaseService.getCategorySpending(familyId, {
+      startDate: range.startDate,
+      endDate: range.endDate,
+      categoryIds: budgets.filter(b => (b.period || 'monthly') === period).map(b => b.category_id),
+    });
+    spentByPeriod.set(period, spent);
+  }
+
+  return budgets.map(budget => {
+    const spent = spentByPeriod.get(budget.period || 'monthly').get(budget.category_id) || 0;
+    return { budget, ...calculateBudgetUsage(budget.amount, spent) };
+  });
+}
+
+/**
+ * Post-save hook: alert when a debit pushes its category over a budget threshold
+ * Each threshold fires once per budget period; never throws
+ */
+async function checkBudgetAlerts(savedTransaction, user, phoneNumber) {
+  try {
+    if (savedTransaction.type !== 'debit' || !savedTransaction.category_id) {
+      return;
+    }
+
+    const budget = await supabaseService.getBudgetForCategory(user.family_id, savedTransaction.category_id);
+
+    if (!budget) {
+      return;
+    }
+
+    const range = getBudgetPeriodRange(budget.period);
+
+    // Backdated entries from an earlier period don't affect the current budget
+    if (savedTransaction.transaction_date < range.startDate) {
+      return;
+    }
+
+    const [usage] = await getBudgetUsage(user.family_id, [budget]);
+    const reached = getReachedThresholds(usage.percent, ALERT_THRESHOLDS);
+    const newlyReached = [];
+
+    for (const threshold of reached) {
+      const recorded = await supabaseService.recordBudgetAlert({
+        budgetId: budget.budget_id,
+        familyId: user.family_id,
+        periodStart: range.startDate,
+        threshold,
+        transactionId: savedTransaction.transaction_id,
+      });
+
+      if (recorded) {
+        newlyReached.push(threshold);
+      }
+    }
+
+    if (newlyReached.length === 0) {
+      return;
+    }
+
+    // One message for the highest threshold, even if several were crossed at once
+    const threshold = Math.max(...newlyReached);
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const category = categories.find(c => c.category_id === budget.category_id);
+
+    // Recipient number -> reply language
+    const recipients = new Map([[phoneNumber, user.language]]);
+    if (process.env.BUDGET_ALERT_NOTIFY_FAMILY === 'true') {
+      const familyLinks = await supabaseService.getFamilyWhatsappLinks(user.family_id);
+      familyLinks.forEach(link => {
+        if (!recipients.has(link.whatsapp_number)) recipients.set(link.whatsapp_number, link.language);
+      });
+    }
+
+    // Family members may not have messaged recently - proactive sends fall back to a template
+    for (const [recipient, language] of recipients) {
+      const message = formatBudgetAlert(budget, category, usage, threshold, user, language);
+
+      await whatsappService.sendProactiveMessage(recipient, 'budgetAlert', message, {
+        category: category?.name || t(language, 'budget.unknownCategory'),
+        percent: usage.percent,
+        spent: formatMoney(usage.spent, user.currency, language),
+        budget: formatMoney(budget.amount, user.currency, language),
+      }, language);
+    }
+
+    await supabaseService.logEvent('budget_alert_sent', {
+      budgetId: budget.budget_id,
+      familyId: user.family_id,
+      transactionId: savedTransaction.transaction_id,
+      threshold,
+      percent: usage.percent,
+      recipients: recipients.size,
+    });
+  } catch (error) {
+    logger.logError(error, {
+      context: 'checkBudgetAlerts',
+      transactionId: savedTransaction?.transaction_id,
+      userId: user.user_id,
+    });
+  }
+}
+
+/**
+ * Format a budget threshold alert
+ * @param {Object} user - Family member whose entry crossed the threshold
+ * @param {string} lang - Reply language of the recipient
+ */
+function formatBudgetAlert(budget, category, usage, threshold, user, lang) {
+  const name = category?.name || t(lang, 'budget.unknownCategory');
+  const money = amount => formatMoney(amount, user.currency, lang);
+  const title = threshold >= 100
+    ? `🔴 *${t(lang, 'budget.exceeded', { category: name })}*`
+    : `🟠 *${t(lang, 'budget.alert', { category: name })}*`;
+
+  let message = `${title}\n\n`;
+  message += `${formatProgressBar(usage.percent)} ${usage.percent}%\n`;
+  message += `${t(lang, 'budget.spentOf', { spent: money(usage.spent), budget: money(budget.amount) })} ` +
+    `(${formatBudgetPeriod(budget, lang)})\n`;
+  message += usage.remaining >= 0
+    ? t(lang, 'budget.leftForPeriod', { amount: money(usage.remaining) })
+    : t(lang, 'budget.overBudget', { amount: money(Math.abs(usage.remaining)) });
+  message += `\n\n${t(lang, 'budget.latestEntry', { name: user.full_name || t(lang, 'budget.familyMember') })}`;
+
+  return message;
+}
+
+/**
+ * "monthly" / "weekly" in the reply language
+ */
+function formatBudgetPeriod(budget, lang) {
+  return t(lang, budget.period === 'weekly' ? 'budget.weekly' : 'budget.monthly');
+}
+
+module.exports = {
+  handleBudgetCommand,
+  getBudgetUsage,
+  checkBudgetAlerts,
+};
@@ -0,0 +1,173 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const historyController = require('./historyController');
+const logger = require('../utils/logger');
+const { encodeReplyId } = require('../utils/interactiveReplies');
+const { parseListReference } = require('../utils/history');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Category Controller - Re-categorize saved transactions
+ * Following Single Responsibility Principle
+ */
+
+// WhatsApp list messages allow at most 10 rows
+const MAX_LIST_ROWS = 10;
+
+/**
+ * Handle CATEGORY <name> command - Re-categorize the last (or quoted) transaction
+ * Format: "CATEGORY Food", optionally as a reply to a confirmation message,
+ * or "CATEGORY #2 Food" for entry #2 of the last LIST
+ */
+async function handleRecategorizeCommand(text, msg, user, phoneNumber) {
+  try {
+    const [, ...args] = text.trim().split(/\s+/);
+    const listPosition = parseListReference(args[0]);
+    const categoryName = (listPosition ? args.slice(1) : args).join(' ').trim();
+    let transaction = null;
+
+    if (listPosition) {
+      if (!categoryName) {
+        await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.listUsage'));
+        return;
+      }
+
+      transaction = await historyController.resolveListedTransaction(listPosition, user, phoneNumber);
+      if (!transaction) return;
+    }
+
+    // Prefer the transaction whose confirmation the user replied to
+    const quotedMessageId = msg.context?.id;
+
+    if (!transaction && quotedMessageId) {
+      transaction = await supabaseService.getTransactionByConfirmationMessage(
+        quotedMessageId,
+        user.user_id
+      );
+    }
+
+    if (!transaction) {
+      transaction = await supabaseService.getLastTransaction(user.user_id);
+    }
+
+    if (!transaction) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.noRecent'));
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const newCategory = supabaseService.matchCategory(categoryName, categories);
+
+    if (!newCategory) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'categories.notFound', { category: categoryName })
+      );
+      return;
+    }
+
+    await applyCategoryChange(transaction, newCategory, categories, user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleRecategorizeCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.updateFailed'));
+  }
+}
+
+/**
+ * Handle a category picked from the category list ("cat:<category_id>:<transaction_id>")
+ */
+async function handleCategoryPick(categoryId, transactionId, user, phoneNumber) {
+  try {
+    const transaction = await supabaseService.getTransactionById(transactionId, user.user_id);
+
+    if (!transaction) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.transactionGone'));
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const newCategory = categories.find(c => c.category_id === categoryId);
+
+    if (!newCategory) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.categoryGone'));
+      return;
+    }
+
+    await applyCategoryChange(transaction, newCategory, categories, user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleCategoryPick', categoryId, transactionId });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'category.updateFailed'));
+  }
+}
+
+/**
+ * Send a list message to pick a new category for a transaction
+ * Offers categories of the same type (expense/income), excluding the current one
+ * @param {string} [language] - Reply language of the user
+ */
+async function sendCategoryPicker(transaction, categories, phoneNumber, language) {
+  const categoryType = transaction.type === 'credit' ? 'income' : 'expense';
+  const options = categories
+    .filter(c => c.type === categoryType && c.category_id !== transaction.category_id)
+    .slice(0, MAX_LIST_ROWS);
+
+  if (options.length === 0) {
+    return;
+  }
+
+  await whatsappService.sendListMessage(
+    phoneNumber,
+    t(language, 'category.pickerBody'),
+    t(language, 'category.pickerButton'),
+    [{
+      title: t(language, 'category.pickerSection'),
+      rows: options.map(c => ({
+        id: encodeReplyId('cat', c.category_id, transaction.transaction_id),
+        // Row titles are limited to 24 characters
+        title: `${c.emoji || '📁'} ${c.name}`.substring(0, 24),
+      })),
+    }]
+  );
+}
+
+/**
+ * Update a transaction's category and reply with before/after
+ */
+async function applyCategoryChange(transaction, newCategory, categories, user, phoneNumber) {
+  const oldCategory = categories.find(c => c.category_id === transaction.category_id);
+
+  if (oldCategory && oldCategory.category_id === newCategory.category_id) {
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'category.alreadyIn', { category: newCategory.name })
+    );
+    return;
+  }
+
+  await supabaseService.updateTransaction(transaction.transaction_id, user.user_id, {
+    category_id: newCategory.category_id,
+  });
+
+  await whatsappService.sendTextMessage(
+    phoneNumber,
+    t(user.language, 'category.updated', {
+      description: transaction.description,
+      amount: formatMoney(transaction.amount, user.currency, user.language),
+      before: oldCategory?.name || t(user.language, 'category.uncategorized'),
+      after: `${newCategory.emoji || '📁'} ${newCategory.name}`,
+    })
+  );
+
+  logger.info('Transaction re-categorized', {
+    transaction_id: transaction.transaction_id,
+    user_id: user.user_id,
+    from: oldCategory?.name,
+    to: newCategory.name,
+  });
+}
+
+module.exports = {
+  handleRecategorizeCommand,
+  handleCategoryPick,
+  sendCategoryPicker,
+};
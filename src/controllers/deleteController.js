@@ -0,0 +1,206 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const sessionService = require('../services/sessionService');
+const historyController = require('./historyController');
+const logger = require('../utils/logger');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Delete Controller - DELETE / UNDO with an undo history
+ * Only the user's own transactions can be deleted or restored
+ * Following Single Responsibility Principle
+ */
+
+const UNDO_CONTEXT = 'undo';
+
+const MAX_BULK_DELETE = 10;
+const MAX_UNDO_BATCHES = 5;
+const UNDO_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse DELETE / UNDO arguments
+ * DELETE, UNDO            -> { kind: 'last', count: 1 }
+ * DELETE LAST 3, UNDO 3   -> { kind: 'last', count: 3 }
+ * DELETE 2, DELETE #2     -> { kind: 'position', position: 2 } (number from LIST)
+ * UNDO DELETE             -> { kind: 'restore' }
+ * @returns {Object|null}
+ */
+function parseDeleteCommand(text) {
+  const [command, ...args] = text.trim().toUpperCase().split(/\s+/);
+
+  if (command === 'UNDO' && args[0] === 'DELETE' && args.length === 1) {
+    return { kind: 'restore' };
+  }
+
+  if (args.length === 0) {
+    return { kind: 'last', count: 1 };
+  }
+
+  if (args[0] === 'LAST' && args.length <= 2) {
+    const count = args[1] ? parseInt(args[1], 10) : 1;
+    return count > 0 ? { kind: 'last', count } : null;
+  }
+
+  const number = parseInt(args[0].replace(/^#/, ''), 10);
+
+  if (args.length !== 1 || isNaN(number) || number < 1) {
+    return null;
+  }
+
+  // "UNDO 3" undoes the last 3 entries; "DELETE 3" deletes #3 from LIST
+  return command === 'UNDO' ? { kind: 'last', count: number } : { kind: 'position', position: number };
+}
+
+/**
+ * Handle DELETE and UNDO commands
+ * Replying "DELETE" to a confirmation message deletes that transaction
+ */
+async function handleDeleteCommand(text, msg, user, phoneNumber) {
+  try {
+    const command = parseDeleteCommand(text);
+
+    if (!command) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'delete.usage'));
+      return;
+    }
+
+    if (command.kind === 'restore') {
+      await restoreLastDeleted(user, phoneNumber);
+      return;
+    }
+
+    const transactions = await resolveTargets(command, msg, user, phoneNumber);
+
+    if (transactions) {
+      await deleteTransactions(transactions, user, phoneNumber);
+    }
+  } catch (error) {
+    logger.logError(error, { context: 'handleDeleteCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'delete.failed'));
+  }
+}
+
+/**
+ * Find the transactions a DELETE command refers to
+ * Sends an explanation and returns null if there is nothing to delete
+ */
+async function resolveTargets(command, msg, user, phoneNumber) {
+  // Plain DELETE sent as a reply to a confirmation message
+  if (command.kind === 'last' && command.count === 1 && msg.context?.id) {
+    const quoted = await supabaseService.getTransactionByConfirmationMessage(msg.context.id, user.user_id);
+    if (quoted) return [quoted];
+  }
+
+  if (command.kind === 'position') {
+    const transaction = await historyController.resolveListedTransaction(command.position, user, phoneNumber);
+    return transaction ? [transaction] : null;
+  }
+
+  const count = Math.min(command.count, MAX_BULK_DELETE);
+  const transactions = await supabaseService.getRecentTransactions(user.user_id, count);
+
+  if (transactions.length === 0) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'delete.noRecent'));
+    return null;
+  }
+
+  return transactions;
+}
+
+/**
+ * Delete transactions and push them onto the undo history
+ * The undo batch (with the transactions' splits and goal contributions) is saved before
+ * anything is deleted, so whatever does get deleted can always be undone;
+ * if it can't be saved, nothing is deleted
+ */
+async function deleteTransactions(transactions, user, phoneNumber) {
+  const transactionIds = transactions.map(txn => txn.transaction_id);
+  const { splits, contributions } = await supabaseService.getTransactionDependents(transactionIds);
+
+  const history = await sessionService.getContext(phoneNumber, UNDO_CONTEXT);
+  const previousBatches = history?.batches || [];
+  const batches = [...previousBatches, { transactions, splits, contributions }].slice(-MAX_UNDO_BATCHES);
+  await sessionService.saveContext(phoneNumber, UNDO_CONTEXT, { batches }, UNDO_TTL_MS);
+
+  try {
+    await supabaseService.deleteTransactions(transactionIds, user.user_id);
+  } catch (error) {
+    // Nothing was deleted - drop the batch again so UNDO doesn't try to restore live rows
+    await sessionService.setContext(phoneNumber, UNDO_CONTEXT, { batches: previousBatches }, UNDO_TTL_MS);
+    throw error;
+  }
+
+  // goal_contributions has no foreign key, so take the deleted savings off the goals here
+  await supabaseService.removeGoalContributions(contributions);
+
+  await supabaseService.logEvent('transactions_deleted', {
+    userId: user.user_id,
+    transactionIds,
+  });
+
+  let message = `${t(user.language, 'delete.deleted', { count: transactions.length })}\n\n`;
+  message += formatTransactionLines(transactions, user);
+  message += `\n${t(user.language, 'delete.undoHint')}`;
+
+  await whatsappService.sendTextMessage(phoneNumber, message);
+}
+
+/**
+ * Restore the most recently deleted batch
+ */
+async function restoreLastDeleted(user, phoneNumber) {
+  const history = await sessionService.getContext(phoneNumber, UNDO_CONTEXT);
+  const batches = history?.batches || [];
+  const batch = batches[batches.length - 1];
+
+  if (!batch) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'delete.nothingToRestore'));
+    return;
+  }
+
+  const restored = [];
+  for (const transaction of batch.transactions) {
+    // Only ever restore the user's own transactions
+    if (transaction.user_id !== user.user_id) continue;
+    restored.push(await supabaseService.restoreTransaction(transaction));
+  }
+
+  // Splits and goal contributions of the restored transactions come back with them
+  const restoredIds = new Set(restored.map(txn => txn.transaction_id));
+  await supabaseService.restoreTransactionDependents({
+    splits: batch.splits.filter(s => restoredIds.has(s.transaction_id)),
+    contributions: batch.contributions.filter(c => restoredIds.has(c.transaction_id)),
+  });
+
+  const remaining = batches.slice(0, -1);
+  if (remaining.length > 0) {
+    await sessionService.setContext(phoneNumber, UNDO_CONTEXT, { batches: remaining }, UNDO_TTL_MS);
+  } else {
+    await sessionService.clearContext(phoneNumber, UNDO_CONTEXT);
+  }
+
+  await supabaseService.logEvent('transactions_restored', {
+    userId: user.user_id,
+    transactionIds: restored.map(txn => txn.transaction_id),
+  });
+
+  const message = `${t(user.language, 'delete.restored', { count: restored.length })}\n\n` +
+    formatTransactionLines(restored, user);
+
+  await whatsappService.sendTextMessage(phoneNumber, message.trim());
+}
+
+/**
+ * "• ₹450 - Lunch (2025-03-02)" line per transaction
+ */
+function formatTransactionLines(transactions, user) {
+  return transactions.map(txn => t(user.language, 'delete.entry', {
+    amount: formatMoney(txn.amount, user.currency, user.language),
+    description: txn.description || t(user.language, 'transaction.noDescription'),
+    date: txn.transaction_date,
+  })).join('\n') + '\n';
+}
+
+module.exports = {
+  handleDeleteCommand,
+};
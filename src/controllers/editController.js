@@ -0,0 +1,431 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const sessionService = require('../services/sessionService');
+const historyController = require('./historyController');
+const logger = require('../utils/logger');
+const { validate, transactionSchema } = require('../utils/validators');
+const { parseListReference } = require('../utils/history');
+const { rescaleShares } = require('../utils/splits');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Edit Controller - Handle the multi-turn EDIT conversation
+ * Following Single Responsibility Principle
+ */
+
+const EDIT_ACTION = 'edit';
+
+// Editable fields and the aliases users may type for them
+const EDITABLE_FIELDS = {
+  amount: ['amount', 'amt', 'price'],
+  date: ['date', 'day'],
+  category: ['category', 'cat'],
+  vendor: ['vendor', 'merchant', 'store', 'shop'],
+  description: ['description', 'desc', 'note'],
+  type: ['type'],
+};
+
+/**
+ * Resolve user input to an editable field name
+ */
+function resolveField(input) {
+  const requested = (input || '').toLowerCase().trim();
+
+  for (const [field, aliases] of Object.entries(EDITABLE_FIELDS)) {
+    if (aliases.includes(requested)) {
+      return field;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize raw user input for a field before validation
+ */
+function normalizeFieldValue(field, rawValue) {
+  const value = rawValue.trim();
+
+  if (field === 'amount') {
+    return parseFloat(value.replace(/[₹$,\s]/g, '').replace(/^(rs\.?|inr)/i, ''));
+  }
+
+  if (field === 'date') {
+    const lower = value.toLowerCase();
+    const date = new Date();
+
+    if (lower === 'today') {
+      return date.toISOString().split('T')[0];
+    }
+    if (lower === 'yesterday') {
+      date.setDate(date.getDate() - 1);
+      return date.toISOString().split('T')[0];
+    }
+    return value;
+  }
+
+  if (field === 'type') {
+    const lower = value.toLowerCase();
+    if (['income', 'received', 'credit'].includes(lower)) return 'credit';
+    if (['expense', 'spent', 'debit'].includes(lower)) return 'debit';
+    return lower;
+  }
+
+  return value;
+}
+
+/**
+ * Format a stored transaction for display
+ */
+function formatTransactionDetails(transaction, categoryName, user) {
+  const lang = user.language;
+  const type = ['credit', 'transfer'].includes(transaction.type) ? transaction.type : 'debit';
+
+  return t(lang, 'edit.details', {
+    amount: formatMoney(transaction.amount, user.currency, lang),
+    type: t(lang, `edit.type.${type}`),
+    category: categoryName || t(lang, 'category.uncategorized'),
+    description: transaction.description || '-',
+    date: transaction.transaction_date,
+  });
+}
+
+/**
+ * Prompt asking which field to change
+ */
+function getFieldPromptMessage(transaction, categoryName, user) {
+  return `${t(user.language, 'edit.title')}\n\n` +
+    `${formatTransactionDetails(transaction, categoryName, user)}\n\n` +
+    t(user.language, 'edit.chooseField');
+}
+
+/**
+ * Prompt asking for the new value of a field
+ */
+function getValuePromptMessage(field, lang) {
+  return t(lang, 'edit.sendValue', {
+    field: t(lang, `edit.field.${field}`),
+    hint: t(lang, `edit.hint.${field}`),
+  });
+}
+
+/**
+ * Handle EDIT command - starts the edit conversation on the last transaction
+ * Format: EDIT, EDIT <field> or EDIT <field> <value>
+ * Prefix with a LIST number to edit that entry instead: EDIT #2 amount 500
+ */
+async function handleEditCommand(text, user, phoneNumber) {
+  try {
+    const [, ...args] = text.trim().split(/\s+/);
+    const listPosition = parseListReference(args[0]);
+    let transaction;
+
+    if (listPosition) {
+      args.shift();
+      transaction = await historyController.resolveListedTransaction(listPosition, user, phoneNumber);
+      if (!transaction) return;
+    } else {
+      transaction = await supabaseService.getLastTransaction(user.user_id);
+
+      if (!transaction) {
+        await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.noRecent'));
+        return;
+      }
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const category = categories.find(c => c.category_id === transaction.category_id);
+
+    const [fieldInput, ...valueParts] = args;
+    const field = resolveField(fieldInput);
+
+    if (fieldInput && !field) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        `${t(user.language, 'edit.notEditable', { field: fieldInput })}\n\n` +
+        getFieldPromptMessage(transaction, category?.name, user)
+      );
+      await startEditSession(phoneNumber, { transactionId: transaction.transaction_id }, 'field');
+      return;
+    }
+
+    if (field && valueParts.length > 0) {
+      await applyEdit(
+        transaction,
+        { transactionId: transaction.transaction_id },
+        field,
+        valueParts.join(' '),
+        user,
+        phoneNumber,
+        categories
+      );
+      return;
+    }
+
+    if (field) {
+      await startEditSession(phoneNumber, { transactionId: transaction.transaction_id }, 'value', field);
+      await whatsappService.sendTextMessage(phoneNumber, getValuePromptMessage(field, user.language));
+      return;
+    }
+
+    await startEditSession(phoneNumber, { transactionId: transaction.transaction_id }, 'field');
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      getFieldPromptMessage(transaction, category?.name, user)
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleEditCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.startFailed'));
+  }
+}
+
+/**
+ * Start editing a review-mode draft (Edit button on a review message)
+ */
+async function startDraftEdit(draft, user, phoneNumber) {
+  const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+  const record = draftToRecord(draft);
+  const category = categories.find(c => c.category_id === record.category_id);
+
+  await startEditSession(phoneNumber, { draftId: draft.draft_id }, 'field');
+  await whatsappService.sendTextMessage(phoneNumber, getFieldPromptMessage(record, category?.name, user));
+}
+
+/**
+ * Start (or restart) the edit session
+ * @param {Object} target - { transactionId } for saved transactions or { draftId } for review drafts
+ */
+async function startEditSession(phoneNumber, target, expecting, field = null) {
+  await sessionService.startSession(phoneNumber, {
+    action: EDIT_ACTION,
+    expecting,
+    draft: { ...target, field },
+  });
+}
+
+/**
+ * Present a review draft in the same shape as a transactions row
+ */
+function draftToRecord(draft) {
+  const { amount, type, date, description, category_id, original_currency, exchange_rate } = draft.transaction;
+
+  return {
+    amount,
+    type,
+    transaction_date: date,
+    description,
+    category_id,
+    original_currency,
+    exchange_rate,
+  };
+}
+
+/**
+ * Load the record being edited (saved transaction or review draft)
+ */
+async function loadEditTarget(target, user) {
+  if (target.draftId) {
+    const draft = await supabaseService.getTransactionDraft(target.draftId, user.user_id);
+    return draft ? draftToRecord(draft) : null;
+  }
+
+  return supabaseService.getTransactionById(target.transactionId, user.user_id);
+}
+
+/**
+ * Handle a reply while an edit conversation is pending
+ * Registered as the 'edit' flow handler in messageController
+ */
+async function handleEditReply(text, user, phoneNumber, session) {
+  try {
+    // Typing EDIT again restarts the flow
+    if (text.toUpperCase() === 'EDIT' || text.toUpperCase().startsWith('EDIT ')) {
+      await handleEditCommand(text, user, phoneNumber);
+      return;
+    }
+
+    const { field: pendingField, ...target } = session.draft;
+    const transaction = await loadEditTarget(target, user);
+
+    if (!transaction) {
+      await sessionService.clearSession(phoneNumber);
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.targetGone'));
+      return;
+    }
+
+    if (session.expecting === 'field') {
+      const field = resolveField(text);
+
+      if (!field) {
+        await sessionService.updateSession(phoneNumber, {});
+        await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.unknownField'));
+        return;
+      }
+
+      await sessionService.updateSession(phoneNumber, { expecting: 'value', draft: { field } });
+      await whatsappService.sendTextMessage(phoneNumber, getValuePromptMessage(field, user.language));
+      return;
+    }
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    await applyEdit(transaction, target, pendingField, text, user, phoneNumber, categories);
+  } catch (error) {
+    logger.logError(error, { context: 'handleEditReply', userId: user.user_id });
+    await sessionService.clearSession(phoneNumber);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.updateFailed'));
+  }
+}
+
+/**
+ * Validate the new value with transactionSchema and persist it
+ * Keeps the conversation open when validation fails so the user can retry
+ */
+async function applyEdit(transaction, target, field, rawValue, user, phoneNumber, categories) {
+  const currentCategory = categories.find(c => c.category_id === transaction.category_id);
+  const newValue = normalizeFieldValue(field, rawValue);
+
+  // Transfers need source and destination wallets, so the type can't be switched to or from one
+  if (field === 'type' && (newValue === 'transfer' || transaction.type === 'transfer')) {
+    await startEditSession(phoneNumber, target, 'value', field);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.transferType'));
+    return;
+  }
+
+  // Validate the full record with the new value applied
+  const candidate = {
+    type: transaction.type,
+    amount: Number(transaction.amount),
+    date: transaction.transaction_date,
+    category: currentCategory?.name || null,
+    description: transaction.description,
+    [field]: newValue,
+  };
+
+  const { valid, value, errors } = await validate(transactionSchema, candidate);
+
+  if (!valid) {
+    logger.info('Edit value rejected', { field, errors });
+    await startEditSession(phoneNumber, target, 'value', field);
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'edit.invalidValue', {
+        field: t(user.language, `edit.field.${field}`),
+        hint: t(user.language, `edit.hint.${field}`),
+      })
+    );
+    return;
+  }
+
+  const updates = {};
+  let displayValue = value[field];
+
+  if (field === 'amount') {
+    updates.amount = value.amount;
+
+    // The amount is edited in the base currency; keep the entered amount in step at the same rate
+    if (transaction.original_currency && Number(transaction.exchange_rate) > 0) {
+      updates.original_amount = Math.round((value.amount / Number(transaction.exchange_rate)) * 100) / 100;
+    }
+  } else if (field === 'date') {
+    updates.transaction_date = value.date.toISOString().split('T')[0];
+    displayValue = updates.transaction_date;
+  } else if (field === 'type') {
+    updates.type = value.type;
+  } else if (field === 'description' || field === 'vendor') {
+    // Transactions have no vendor column - saveTransaction stores vendor as the description
+    updates.description = value[field];
+  } else if (field === 'category') {
+    const matched = supabaseService.matchCategory(value.category, categories);
+
+    if (!matched) {
+      await startEditSession(phoneNumber, target, 'value', field);
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'edit.categoryNotFound', { category: value.category })
+      );
+      return;
+    }
+
+    updates.category_id = matched.category_id;
+    displayValue = matched.name;
+  }
+
+  if (target.draftId) {
+    await applyDraftEdit(target.draftId, field, value, updates, displayValue, user, phoneNumber);
+    return;
+  }
+
+  const updated = await supabaseService.updateTransaction(
+    transaction.transaction_id,
+    user.user_id,
+    updates
+  );
+
+  // Split shares follow the new amount
+  if (field === 'amount') {
+    const splits = await supabaseService.getSplitsForTransaction(transaction.transaction_id);
+
+    if (splits.length > 0) {
+      await supabaseService.updateTransactionSplitShares(transaction.transaction_id, rescaleShares(splits, value.amount));
+    }
+  }
+
+  await sessionService.clearSession(phoneNumber);
+
+  const updatedCategory = categories.find(c => c.category_id === updated.category_id);
+  const shownValue = field === 'amount' ? formatMoney(displayValue, user.currency, user.language)
+    : field === 'type' ? t(user.language, `edit.type.${displayValue}`)
+      : displayValue;
+
+  await whatsappService.sendTextMessage(
+    phoneNumber,
+    `${t(user.language, 'edit.updated')}\n\n` +
+      `${t(user.language, 'edit.changedTo', { field: t(user.language, `edit.field.${field}`), value: shownValue })}\n\n` +
+      formatTransactionDetails(updated, updatedCategory?.name, user)
+  );
+
+  logger.info('Transaction edited via WhatsApp', {
+    transaction_id: transaction.transaction_id,
+    user_id: user.user_id,
+    field,
+  });
+}
+
+/**
+ * Persist an edit to a review draft and send it back for review
+ */
+async function applyDraftEdit(draftId, field, value, updates, displayValue, user, phoneNumber) {
+  const draft = await supabaseService.getTransactionDraft(draftId, user.user_id);
+
+  if (!draft) {
+    await sessionService.clearSession(phoneNumber);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'edit.draftExpired'));
+    return;
+  }
+
+  const { transaction_date: date, ...columnUpdates } = updates;
+  const transaction = { ...draft.transaction, ...columnUpdates, ...(date && { date }) };
+  const extracted = { ...draft.extracted, [field]: displayValue };
+
+  if (field === 'vendor') {
+    extracted.description = value.vendor;
+  }
+
+  const updatedDraft = await supabaseService.updateTransactionDraft(draftId, user.user_id, {
+    transaction,
+    extracted,
+  });
+
+  await sessionService.clearSession(phoneNumber);
+
+  // Lazy require to avoid a circular dependency with reviewController
+  const reviewController = require('./reviewController');
+  await reviewController.sendDraftForReview(updatedDraft, phoneNumber, user.language);
+}
+
+module.exports = {
+  EDIT_ACTION,
+  handleEditCommand,
+  handleEditReply,
+  startDraftEdit,
+};
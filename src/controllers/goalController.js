@@ -0,0 +1,268 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const budgetController = require('./budgetController');
+const reviewController = require('./reviewController');
+const logger = require('../utils/logger');
+const { toDateString } = require('../utils/periods');
+const { formatProgressBar } = require('../utils/budgets');
+const { parseGoalArgs, findGoal, getGoalProgress } = require('../utils/goals');
+const { resolveWallet } = require('../utils/wallets');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Goal Controller - Savings goals backed by the shared goals table
+ * Following Single Responsibility Principle
+ */
+
+// Category used for contribution transactions, in order of preference
+const SAVINGS_CATEGORY_NAMES = ['Savings', 'Investment'];
+
+/**
+ * Handle GOAL commands
+ * Format: GOAL / GOALS (progress)
+ *         GOAL ADD <name> <target amount> [by <date|month>]
+ */
+async function handleGoalCommand(text, user, phoneNumber) {
+  try {
+    const [, subcommand, ...args] = text.trim().split(/\s+/);
+    const option = subcommand?.toUpperCase();
+
+    if (!option) {
+      await sendGoalProgress(user, phoneNumber);
+      return;
+    }
+
+    if (option === 'ADD') {
+      await createGoal(args, user, phoneNumber);
+      return;
+    }
+
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.usage'));
+  } catch (error) {
+    logger.logError(error, { context: 'handleGoalCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.updateFailed'));
+  }
+}
+
+/**
+ * Create a goal from "<name> <amount> [by <deadline>]"
+ */
+async function createGoal(args, user, phoneNumber) {
+  const parsed = parseGoalArgs(args);
+
+  if (!parsed) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.addUsage'));
+    return;
+  }
+
+  if (parsed.deadline && parsed.deadline <= toDateString(new Date())) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.pastDeadline'));
+    return;
+  }
+
+  const goals = await supabaseService.getGoalsForFamily(user.family_id);
+
+  if (goals.some(g => g.name.toLowerCase() === parsed.name.toLowerCase())) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.exists', { name: parsed.name }));
+    return;
+  }
+
+  const goal = await supabaseService.createGoal({
+    familyId: user.family_id,
+    userId: user.user_id,
+    name: parsed.name,
+    targetAmount: parsed.targetAmount,
+    targetDate: parsed.deadline,
+  });
+
+  await supabaseService.logEvent('goal_created', {
+    goalId: goal.goal_id,
+    familyId: user.family_id,
+    userId: user.user_id,
+  });
+
+  await whatsappService.sendTextMessage(
+    phoneNumber,
+    t(user.language, goal.target_date ? 'goal.createdBy' : 'goal.created', {
+      name: goal.name,
+      amount: formatMoney(goal.target_amount, user.currency, user.language),
+      date: goal.target_date,
+      example: goal.name.toLowerCase(),
+    })
+  );
+}
+
+/**
+ * Show progress for all family goals
+ */
+async function sendGoalProgress(user, phoneNumber) {
+  const goals = await supabaseService.getGoalsForFamily(user.family_id);
+
+  if (goals.length === 0) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.none'));
+    return;
+  }
+
+  let message = `${t(user.language, 'goal.title')}\n\n`;
+  goals.forEach(goal => {
+    message += formatGoal(goal, user) + '\n\n';
+  });
+
+  await whatsappService.sendTextMessage(phoneNumber, message.trim());
+}
+
+/**
+ * Record a contribution ("put 2000 towards vacation") as a transaction and goal progress
+ * Saved like any other transaction: converted to the family's currency, linked to its message
+ * and held as a draft in review mode
+ * @returns {boolean} false if no goal matches (message should be handled as a transaction)
+ */
+async function handleContribution(contribution, user, phoneNumber, messageId) {
+  try {
+    const goals = await supabaseService.getGoalsForFamily(user.family_id);
+    const goal = findGoal(contribution.goalName, goals, { namedGoal: contribution.namedGoal });
+
+    if (!goal) {
+      return false;
+    }
+
+    // Lazy require to avoid a circular dependency with messageController
+    const { convertToBaseCurrency } = require('./messageController');
+    const value = await convertToBaseCurrency({
+      amount: contribution.amount,
+      currency: contribution.currency || user.currency,
+      date: toDateString(new Date()),
+    }, user, phoneNumber, messageId);
+
+    if (!value) return true;
+
+    const [categories, wallets, reviewMode] = await Promise.all([
+      supabaseService.getCategoriesForFamily(user.family_id),
+      supabaseService.getWalletsForUser(user),
+      supabaseService.getFamilyReviewMode(user.family_id),
+    ]);
+    const category = SAVINGS_CATEGORY_NAMES
+      .map(name => supabaseService.matchCategory(name, categories))
+      .find(Boolean);
+    const wallet = resolveWallet(null, wallets, user.user_id);
+    const description = `Goal: ${goal.name}`;
+
+    const transactionData = {
+      user_id: user.user_id,
+      family_id: user.family_id,
+      amount: value.amount,
+      type: 'debit',
+      description,
+      date: value.date,
+      category_id: category?.category_id || supabaseService.getCategoryByName('Savings', categories),
+      wallet_id: wallet.wallet_id,
+      recipient_id: user.user_id,
+      original_amount: value.original_amount,
+      original_currency: value.original_currency,
+      exchange_rate: value.exchange_rate,
+      // Links the row to its WhatsApp message so a reprocessed delivery can't insert it twice
+      source_message_id: messageId,
+      source_message_index: 0,
+    };
+
+    if (reviewMode) {
+      await reviewController.holdForReview(transactionData, {
+        ...value,
+        type: 'debit',
+        description,
+        category: category?.name || 'Savings',
+        wallet: wallet.name,
+        // Added to the goal once the draft is saved
+        goal: { goal_id: goal.goal_id, name: goal.name },
+      }, user, phoneNumber, messageId);
+      return true;
+    }
+
+    await saveContribution(transactionData, goal, user, phoneNumber, messageId);
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'handleContribution', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'goal.contributionFailed'));
+    return true;
+  }
+}
+
+/**
+ * Insert a contribution's transaction, add it to the goal and confirm
+ * Also used by reviewController once a draft is confirmed; safe to repeat after a failure
+ * (the insert is deduplicated by source message id and the goal counts a transaction once)
+ * @param {Object} transactionData - Payload for insertTransaction
+ * @param {{ goal_id: string, name: string }} goal
+ */
+async function saveContribution(transactionData, goal, user, phoneNumber, messageId) {
+  const transaction = await supabaseService.insertTransaction(transactionData);
+
+  let updatedGoal;
+  try {
+    updatedGoal = await supabaseService.addGoalContribution({
+      goal,
+      amount: transaction.amount,
+      transactionId: transaction.transaction_id,
+      userId: user.user_id,
+    });
+  } catch (error) {
+    // Don't leave a debit behind that no goal counted
+    await supabaseService.deleteTransaction(transaction.transaction_id, user.user_id)
+      .catch(deleteError => logger.logError(deleteError, { context: 'saveContribution.rollback' }));
+    throw error;
+  }
+
+  await whatsappService.sendTextMessage(
+    phoneNumber,
+    `✅ *${t(user.language, 'goal.contributed', {
+      amount: formatMoney(transaction.amount, user.currency, user.language),
+      name: goal.name,
+    })}*\n\n${formatGoal(updatedGoal, user)}`
+  );
+  await whatsappService.sendReaction(phoneNumber, messageId, '🎯');
+  await budgetController.checkBudgetAlerts(transaction, user, phoneNumber);
+
+  logger.info('Goal contribution recorded', {
+    goal_id: goal.goal_id,
+    transaction_id: transaction.transaction_id,
+    user_id: user.user_id,
+  });
+}
+
+/**
+ * Format one goal with progress and projection
+ */
+function formatGoal(goal, user) {
+  const lang = user.language;
+  const money = amount => formatMoney(amount, user.currency, lang);
+  const { percent, remaining, projectedDate, onTrack } = getGoalProgress(goal);
+
+  let message = `*${goal.name}*\n`;
+  message += `${formatProgressBar(percent)} ${percent}%\n`;
+  message += t(lang, 'goal.savedOf', { saved: money(goal.current_amount || 0), target: money(goal.target_amount) });
+
+  if (remaining === 0) {
+    return message + `\n${t(lang, 'goal.reached')}`;
+  }
+
+  message += ` • ${t(lang, 'goal.toGo', { amount: money(remaining) })}`;
+
+  if (goal.target_date) {
+    message += `\n${t(lang, 'goal.deadline', { date: goal.target_date })}`;
+  }
+
+  if (projectedDate) {
+    message += `\n${t(lang, 'goal.projected', { date: projectedDate })}`;
+    if (onTrack === false) {
+      message += ` ${t(lang, 'goal.behind')}`;
+    }
+  }
+
+  return message;
+}
+
+module.exports = {
+  handleGoalCommand,
+  handleContribution,
+  saveContribution,
+};
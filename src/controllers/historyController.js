@@ -0,0 +1,280 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const sessionService = require('../services/sessionService');
+const logger = require('../utils/logger');
+const { parseHistoryArgs, DEFAULT_PAGE_SIZE } = require('../utils/history');
+const { parseSearchQuery } = require('../utils/search');
+const { resolveMember, summarizeTransactions } = require('../utils/spendingQuery');
+const { formatPeriodLabel } = require('../utils/periods');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * History Controller - LIST / HISTORY / SEARCH with paging
+ * Listed transactions are numbered; the numbers stay valid for DELETE #n,
+ * EDIT #n and CATEGORY #n until the next LIST or until the list expires
+ * Following Single Responsibility Principle
+ */
+
+const LIST_CONTEXT = 'list';
+const TYPE_EMOJI = { credit: '💰', debit: '💸', transfer: '🔁' };
+const LIST_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Handle LIST / HISTORY commands
+ * Format: LIST [n] [FAMILY] [today|week|month|last month|<month>] [category|vendor]
+ */
+async function handleListCommand(text, user, phoneNumber) {
+  try {
+    const [, ...args] = text.trim().split(/\s+/);
+    const { pageSize, family, period, term } = parseHistoryArgs(args);
+    const filters = {};
+    const labels = [];
+
+    if (period) {
+      filters.startDate = period.startDate;
+      filters.endDate = period.endDate;
+      labels.push(formatPeriodLabel(period, user.language));
+    }
+
+    if (term) {
+      const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+      const category = categories.find(c => c.name.toLowerCase() === term.toLowerCase());
+
+      if (category) {
+        filters.categoryIds = [category.category_id];
+        labels.push(category.name);
+      } else {
+        filters.search = term;
+        labels.push(`"${term}"`);
+      }
+    }
+
+    if (!family) {
+      filters.userId = user.user_id;
+    }
+
+    const list = { filters, family, labels, pageSize, offset: 0, transactionIds: [] };
+    await sendPage(list, user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleListCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.fetchFailed'));
+  }
+}
+
+/**
+ * Handle SEARCH across the family's transactions
+ * Format: SEARCH <text> [>2000|<500|500-1000] [in <period|category>] [by <member>]
+ * e.g. "SEARCH plumber by me", "SEARCH >2000 in march", "SEARCH swiggy last month"
+ */
+async function handleSearchCommand(text, user, phoneNumber) {
+  try {
+    const [, ...args] = text.trim().split(/\s+/);
+    const query = parseSearchQuery(args);
+    const filters = {};
+    const labels = [];
+
+    if (query.text) {
+      filters.search = query.text;
+      labels.push(`"${query.text}"`);
+    }
+
+    if (query.minAmount || query.maxAmount) {
+      filters.minAmount = query.minAmount;
+      filters.maxAmount = query.maxAmount;
+      labels.push(formatAmountRange(query.minAmount, query.maxAmount, user));
+    }
+
+    if (query.period) {
+      filters.startDate = query.period.startDate;
+      filters.endDate = query.period.endDate;
+      labels.push(formatPeriodLabel(query.period, user.language));
+    }
+
+    const [categories, members] = await Promise.all([
+      supabaseService.getCategoriesForFamily(user.family_id),
+      query.member ? supabaseService.getFamilyMembers(user.family_id) : [],
+    ]);
+
+    if (query.category) {
+      const category = supabaseService.matchCategory(query.category, categories);
+
+      if (!category) {
+        await whatsappService.sendTextMessage(
+          phoneNumber,
+          t(user.language, 'history.unknownFilter', { name: query.category })
+        );
+        return;
+      }
+
+      filters.categoryIds = [category.category_id];
+      labels.push(category.name);
+    }
+
+    if (query.member) {
+      const member = resolveMember(query.member, members, user);
+
+      if (!member) {
+        await whatsappService.sendTextMessage(
+          phoneNumber,
+          t(user.language, 'member.notFound', { name: query.member })
+        );
+        return;
+      }
+
+      filters.userId = member.user_id;
+      labels.push(member.user_id === user.user_id ? t(user.language, 'member.you') : member.full_name);
+    }
+
+    if (labels.length === 0) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.searchUsage'));
+      return;
+    }
+
+    const matches = await supabaseService.queryTransactions(user.family_id, filters);
+
+    if (matches.length === 0) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'history.noMatches', { filters: labels.join(' • ') })
+      );
+      return;
+    }
+
+    // Matches are newest first, so the first one answers "when did I last..."
+    const lang = user.language;
+    const summary = summarizeTransactions(matches, categories);
+    let intro = `🔎 *${t(lang, 'history.matches', { count: matches.length })}*`;
+    if (summary.totalDebit > 0) {
+      intro += ` • ${t(lang, 'history.spent', { amount: formatMoney(summary.totalDebit, user.currency, lang) })}`;
+    }
+    if (summary.totalCredit > 0) {
+      intro += ` • ${t(lang, 'history.received', { amount: formatMoney(summary.totalCredit, user.currency, lang) })}`;
+    }
+    intro += `\n${t(lang, 'history.mostRecent', { date: matches[0].transaction_date })}\n\n`;
+
+    const list = { filters, family: true, labels, pageSize: DEFAULT_PAGE_SIZE, offset: 0, transactionIds: [] };
+    await sendPage(list, user, phoneNumber, intro);
+  } catch (error) {
+    logger.logError(error, { context: 'handleSearchCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.searchFailed'));
+  }
+}
+
+/**
+ * Format an amount filter for the list title
+ */
+function formatAmountRange(minAmount, maxAmount, user) {
+  const money = amount => formatMoney(amount, user.currency, user.language);
+
+  if (minAmount && maxAmount) return `${money(minAmount)}-${money(maxAmount)}`;
+  return minAmount ? `≥ ${money(minAmount)}` : `≤ ${money(maxAmount)}`;
+}
+
+/**
+ * Handle MORE - next page of the last list
+ */
+async function handleMoreCommand(user, phoneNumber) {
+  try {
+    const list = await sessionService.getContext(phoneNumber, LIST_CONTEXT);
+
+    if (!list) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.nothingMore'));
+      return;
+    }
+
+    await sendPage(list, user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleMoreCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.fetchFailed'));
+  }
+}
+
+/**
+ * Send the next page of a list and remember the numbering
+ * @param {string} [intro] - Text shown above the first page
+ */
+async function sendPage(list, user, phoneNumber, intro = '') {
+  // Fetch one extra row to know whether there is another page
+  const rows = await supabaseService.queryTransactions(user.family_id, {
+    ...list.filters,
+    offset: list.offset,
+    limit: list.pageSize + 1,
+  });
+  const page = rows.slice(0, list.pageSize);
+  const hasMore = rows.length > list.pageSize;
+
+  if (page.length === 0) {
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, list.offset === 0 ? 'history.none' : 'history.end')
+    );
+    return;
+  }
+
+  const [categories, members] = await Promise.all([
+    supabaseService.getCategoriesForFamily(user.family_id),
+    list.family ? supabaseService.getFamilyMembers(user.family_id) : [],
+  ]);
+
+  const lang = user.language;
+  const startNumber = list.transactionIds.length + 1;
+  const title = t(lang, list.family ? 'history.familyTitle' : 'history.yourTitle');
+  let message = `${intro}📋 *${title}*${list.labels.length > 0 ? ` - ${list.labels.join(' • ')}` : ''}\n\n`;
+
+  page.forEach((txn, idx) => {
+    const category = categories.find(c => c.category_id === txn.category_id);
+    const member = members.find(m => m.user_id === txn.user_id);
+    const amount = formatMoney(txn.amount, user.currency, lang);
+
+    message += `${startNumber + idx}. ${TYPE_EMOJI[txn.type] || '💸'} ${amount} - ` +
+      `${txn.description || t(lang, 'transaction.noDescription')}\n`;
+    message += `    ${category?.name || t(lang, 'category.uncategorized')} • ${txn.transaction_date}`;
+    message += list.family && member
+      ? ` • ${member.user_id === user.user_id ? t(lang, 'member.you') : member.full_name}\n`
+      : '\n';
+  });
+
+  message += `\n${t(lang, 'history.showing', { from: startNumber, to: startNumber + page.length - 1 })}`;
+  if (hasMore) {
+    message += ` ${t(lang, 'history.moreHint')}`;
+  }
+  message += `\n${t(lang, 'history.changeHint')}`;
+
+  await sessionService.setContext(phoneNumber, LIST_CONTEXT, {
+    ...list,
+    offset: list.offset + page.length,
+    transactionIds: [...list.transactionIds, ...page.map(txn => txn.transaction_id)],
+  }, LIST_TTL_MS);
+
+  await whatsappService.sendTextMessage(phoneNumber, message);
+}
+
+/**
+ * Resolve "#n" from the last list to one of the user's own transactions
+ * Sends an explanation and returns null if it can't be used
+ */
+async function resolveListedTransaction(position, user, phoneNumber) {
+  const list = await sessionService.getContext(phoneNumber, LIST_CONTEXT);
+  const transactionId = list?.transactionIds?.[position - 1];
+
+  if (!transactionId) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.noPosition', { position }));
+    return null;
+  }
+
+  const transaction = await supabaseService.getTransactionById(transactionId, user.user_id);
+
+  if (!transaction) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'history.positionUnavailable', { position }));
+    return null;
+  }
+
+  return transaction;
+}
+
+module.exports = {
+  handleListCommand,
+  handleSearchCommand,
+  handleMoreCommand,
+  resolveListedTransaction,
+};
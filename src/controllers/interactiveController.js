@@ -0,0 +1,49 @@
+const whatsappService = require('../services/whatsappService');
+const reviewController = require('./reviewController');
+const categoryController = require('./categoryController');
+const logger = require('../utils/logger');
+const { decodeReplyId, getInteractiveReply } = require('../utils/interactiveReplies');
+const { t } = require('../utils/i18n');
+
+/**
+ * Interactive Controller - Dispatch button and list replies
+ * Reply ids are decoded into an action and routed to its handler
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handlers keyed by reply action
+ * Each handler receives (args, user, phoneNumber, reply)
+ */
+const interactiveHandlers = new Map([
+  ['confirm', ([draftId], user, phoneNumber) =>
+    reviewController.handleReviewAction('confirm', draftId, user, phoneNumber)],
+  ['edit', ([draftId], user, phoneNumber) =>
+    reviewController.handleReviewAction('edit', draftId, user, phoneNumber)],
+  ['discard', ([draftId], user, phoneNumber) =>
+    reviewController.handleReviewAction('discard', draftId, user, phoneNumber)],
+  ['cat', ([categoryId, transactionId], user, phoneNumber) =>
+    categoryController.handleCategoryPick(categoryId, transactionId, user, phoneNumber)],
+]);
+
+/**
+ * Handle interactive messages (button_reply / list_reply)
+ */
+async function handleInteractiveMessage(msg, user, phoneNumber) {
+  const reply = getInteractiveReply(msg);
+  const decoded = decodeReplyId(reply?.id);
+  const handler = decoded && interactiveHandlers.get(decoded.action);
+
+  if (!handler) {
+    logger.info('Unknown interactive reply', { replyId: reply?.id, phoneNumber });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'interactive.unavailable'));
+    return;
+  }
+
+  logger.info('Interactive reply received', { action: decoded.action, kind: reply.kind, phoneNumber });
+  await handler(decoded.args, user, phoneNumber, reply);
+}
+
+module.exports = {
+  handleInteractiveMessage,
+};
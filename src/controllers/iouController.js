@@ -0,0 +1,179 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const reviewController = require('./reviewController');
+const logger = require('../utils/logger');
+const {
+  getBalanceDelta,
+  normalizeCounterpartyName,
+  findCounterparty,
+  describeBalance,
+  describeEntry,
+  summarizeDues,
+} = require('../utils/iou');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * IOU Controller - Personal ledger of money lent to / borrowed from people outside the family
+ * Entries are extracted by AI ("lent 500 to Ravi") and never recorded as income or expenses
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Record an extracted lend/borrow/repay entry
+ * @param {Object} transaction - Validated extraction with a debt field
+ * @param {boolean} [reviewMode] - Hold the entry as a draft until the user confirms it
+ * @returns {boolean} false if it failed (the user has been told)
+ */
+async function recordDebt(transaction, user, phoneNumber, messageId, reviewMode = false) {
+  try {
+    if (reviewMode) {
+      const entry = { ...transaction, date: new Date(transaction.date).toISOString().split('T')[0] };
+      await reviewController.holdForReview(entry, entry, user, phoneNumber, messageId);
+      return true;
+    }
+
+    const { action, counterparty: name } = transaction.debt;
+    const counterparties = await supabaseService.getCounterparties(user.user_id);
+
+    const counterparty = findCounterparty(name, counterparties) ||
+      await supabaseService.createCounterparty({
+        userId: user.user_id,
+        familyId: user.family_id,
+        name: name.trim(),
+        normalizedName: normalizeCounterpartyName(name),
+      });
+
+    const updated = await supabaseService.recordIouEntry({
+      counterparty,
+      userId: user.user_id,
+      action,
+      amount: transaction.amount,
+      delta: getBalanceDelta(action, transaction.amount),
+      note: transaction.description || null,
+      entryDate: new Date(transaction.date).toISOString().split('T')[0],
+      sourceMessageId: messageId,
+    });
+
+    await supabaseService.logEvent('iou_recorded', {
+      userId: user.user_id,
+      counterpartyId: counterparty.counterparty_id,
+      action,
+      amount: transaction.amount,
+    });
+
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'iou.recorded', {
+      title: formatEntryTitle(action, transaction.amount, updated.name, user.currency, user.language),
+      balance: describeBalance(updated.name, updated.balance, user.currency, user.language),
+      name: updated.name,
+    }));
+    await whatsappService.sendReaction(phoneNumber, messageId, '🤝');
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'recordDebt', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'iou.recordFailed'));
+    await whatsappService.sendReaction(phoneNumber, messageId, '❌');
+    return false;
+  }
+}
+
+/**
+ * "Lent ₹500 to Ravi", "Ravi paid you back ₹300"
+ */
+function formatEntryTitle(action, amount, name, currency, language) {
+  return t(language, `iou.title.${action}`, { amount: formatMoney(amount, currency, language), name });
+}
+
+/**
+ * Review message for an IOU entry held as a draft (review mode)
+ * @param {Object} transaction - Draft extraction with a debt field
+ * @param {string} [language] - Reply language of the user reviewing
+ */
+function getDebtReviewMessage(transaction, language) {
+  const { action, counterparty } = transaction.debt;
+  const title = formatEntryTitle(action, transaction.amount, counterparty, transaction.currency || 'INR', language);
+
+  let message = `📝 *${t(language, 'transaction.pleaseReview')}*\n\n🤝 ${title}\n`;
+  if (transaction.description) message += `${t(language, 'transaction.note')}: ${transaction.description}\n`;
+  message += `${t(language, 'transaction.date')}: ${transaction.date}\n\n`;
+  message += t(language, 'iou.notSavedYet');
+
+  return message;
+}
+
+/**
+ * Handle DUES commands
+ * Format: DUES (everyone with an outstanding balance)
+ *         DUES <name> (balance and recent history with one person)
+ */
+async function handleDuesCommand(text, user, phoneNumber) {
+  const lang = user.language;
+
+  try {
+    const name = text.trim().split(/\s+/).slice(1).join(' ');
+
+    if (name) {
+      await sendCounterpartyDetail(name, user, phoneNumber);
+      return;
+    }
+
+    const counterparties = await supabaseService.getCounterparties(user.user_id, { outstandingOnly: true });
+
+    if (counterparties.length === 0) {
+      await whatsappService.sendTextMessage(phoneNumber, t(lang, 'iou.none'));
+      return;
+    }
+
+    const { owedToYou, youOwe } = summarizeDues(counterparties);
+    let message = `${t(lang, 'iou.title')}\n\n`;
+
+    [...counterparties]
+      .sort((a, b) => Math.abs(b.balance) - Math.abs(a.balance))
+      .forEach(c => {
+        message += `${c.balance > 0 ? '🟢' : '🔴'} ${describeBalance(c.name, c.balance, user.currency, lang)}\n`;
+      });
+
+    message += `\n${t(lang, 'iou.owedToYouTotal', { amount: formatMoney(owedToYou, user.currency, lang) })}`;
+    message += `\n${t(lang, 'iou.youOweTotal', { amount: formatMoney(youOwe, user.currency, lang) })}`;
+
+    await whatsappService.sendTextMessage(phoneNumber, message);
+  } catch (error) {
+    logger.logError(error, { context: 'handleDuesCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(lang, 'iou.fetchFailed'));
+  }
+}
+
+/**
+ * Show one counterparty's balance and recent entries
+ */
+async function sendCounterpartyDetail(name, user, phoneNumber) {
+  const counterparties = await supabaseService.getCounterparties(user.user_id);
+  const counterparty = findCounterparty(name, counterparties);
+
+  const lang = user.language;
+
+  if (!counterparty) {
+    await whatsappService.sendTextMessage(phoneNumber, t(lang, 'iou.notFound', { name }));
+    return;
+  }
+
+  const entries = await supabaseService.getIouEntries(counterparty.counterparty_id);
+  const balance = describeBalance(counterparty.name, counterparty.balance, user.currency, lang);
+
+  let message = `🤝 *${counterparty.name}*\n\n${balance}.\n`;
+
+  if (entries.length > 0) {
+    message += `\n*${t(lang, 'iou.recent')}*\n`;
+    entries.forEach(entry => {
+      const note = entry.note ? ` (${entry.note})` : '';
+      message += `• ${entry.entry_date} - ${describeEntry(entry, user.currency, lang)}${note}\n`;
+    });
+  }
+
+  await whatsappService.sendTextMessage(phoneNumber, message.trim());
+}
+
+module.exports = {
+  recordDebt,
+  getDebtReviewMessage,
+  handleDuesCommand,
+};
@@ -0,0 +1,67 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const {
+  t,
+  normalizeLanguage,
+  parseLanguageCommand,
+  formatLanguageOptions,
+  getLanguageName,
+} = require('../utils/i18n');
+
+/**
+ * Language Controller - LANGUAGE command to choose the reply language
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle LANGUAGE command
+ * Format: LANGUAGE (show current) / LANGUAGE hindi / LANGUAGE ta
+ */
+async function handleLanguageCommand(text, user, phoneNumber) {
+  try {
+    const { input } = parseLanguageCommand(text);
+
+    if (!input) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'language.current', {
+          language: getLanguageName(user.language),
+          options: formatLanguageOptions(),
+        })
+      );
+      return;
+    }
+
+    const language = normalizeLanguage(input);
+
+    if (!language) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'language.unknown', { input, options: formatLanguageOptions() })
+      );
+      return;
+    }
+
+    await supabaseService.setWhatsappLanguage(phoneNumber, language);
+
+    await supabaseService.logEvent('language_changed', {
+      userId: user.user_id,
+      from: user.language,
+      to: language,
+    });
+
+    // Confirm in the newly chosen language
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(language, 'language.set', { language: getLanguageName(language) })
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleLanguageCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'language.failed'));
+  }
+}
+
+module.exports = {
+  handleLanguageCommand,
+};
@@ -7,6 +7,7 @@ const {
   getLinkingInstructionsMessage,
 } = require('../utils/prompts');
 const { sanitizeInput } = require('../utils/validators');
+const { DEFAULT_LANGUAGE, t } = require('../utils/i18n');
 const crypto = require('crypto');
 
 /**
@@ -24,16 +25,14 @@ function generateVerificationCode() {
 /**
  * Handle LINK command from WhatsApp
  * Format: LINK email@example.com
+ * @param {string} [language] - Reply language
  */
-async function handleLinkCommand(text, phoneNumber) {
+async function handleLinkCommand(text, phoneNumber, language = DEFAULT_LANGUAGE) {
   try {
     // Parse email from command
     const parts = text.split(/\s+/);
     if (parts.length < 2) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Invalid format. Please use:\n*LINK your-email@example.com*'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.invalidFormat'));
       return;
     }
 
@@ -42,7 +41,7 @@ async function handleLinkCommand(text, phoneNumber) {
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
-      await whatsappService.sendTextMessage(phoneNumber, '❌ Invalid email format.');
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.invalidEmail'));
       return;
     }
 
@@ -52,7 +51,7 @@ async function handleLinkCommand(text, phoneNumber) {
     if (!user) {
       await whatsappService.sendTextMessage(
         phoneNumber,
-        `❌ No account found with email: ${email}\n\nPlease sign up at ${process.env.APP_BASE_URL} first.`
+        t(language, 'link.accountNotFound', { email, url: process.env.APP_BASE_URL })
       );
       return;
     }
@@ -64,7 +63,7 @@ async function handleLinkCommand(text, phoneNumber) {
     await supabaseService.createWhatsappLink(user.user_id, phoneNumber, verificationCode);
 
     // Send verification code
-    await whatsappService.sendTextMessage(phoneNumber, getVerificationCodeMessage(verificationCode));
+    await whatsappService.sendTextMessage(phoneNumber, getVerificationCodeMessage(verificationCode, language));
 
     // Log event
     await supabaseService.logEvent('link_initiated', {
@@ -78,26 +77,21 @@ async function handleLinkCommand(text, phoneNumber) {
     // TODO: Optionally send verification code via email as well
   } catch (error) {
     logger.logError(error, { context: 'handleLinkCommand', phoneNumber, text });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to initiate linking. Please try again.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.failed'));
   }
 }
 
 /**
  * Handle VERIFY command from WhatsApp
  * Format: VERIFY 123456
+ * @param {string} [language] - Reply language
  */
-async function handleVerifyCommand(text, phoneNumber) {
+async function handleVerifyCommand(text, phoneNumber, language = DEFAULT_LANGUAGE) {
   try {
     // Parse verification code from command
     const parts = text.split(/\s+/);
     if (parts.length < 2) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Invalid format. Please use:\n*VERIFY 123456*'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.verifyInvalidFormat'));
       return;
     }
 
@@ -105,7 +99,7 @@ async function handleVerifyCommand(text, phoneNumber) {
 
     // Validate code format (6 digits)
     if (!/^\d{6}$/.test(code)) {
-      await whatsappService.sendTextMessage(phoneNumber, '❌ Invalid verification code format.');
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.invalidCode'));
       return;
     }
 
@@ -113,15 +107,12 @@ async function handleVerifyCommand(text, phoneNumber) {
     const user = await supabaseService.verifyWhatsappLink(phoneNumber, code);
 
     if (!user) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Invalid or expired verification code. Please request a new code with:\n*LINK your-email@example.com*'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.codeExpired'));
       return;
     }
 
     // Send success message
-    await whatsappService.sendTextMessage(phoneNumber, getSuccessfulLinkMessage(user.full_name));
+    await whatsappService.sendTextMessage(phoneNumber, getSuccessfulLinkMessage(user.full_name, language));
 
     // Log event
     await supabaseService.logEvent('link_verified', {
@@ -132,10 +123,7 @@ async function handleVerifyCommand(text, phoneNumber) {
     logger.info('Link verified successfully', { phoneNumber, userId: user.user_id });
   } catch (error) {
     logger.logError(error, { context: 'handleVerifyCommand', phoneNumber, text });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to verify code. Please try again.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(language, 'link.verifyFailed'));
   }
 }
 
@@ -166,11 +154,19 @@ async function manualLink(req, res) {
     // Generate verification code
     const verificationCode = generateVerificationCode();
 
-    // Create link
+    // Create link (a relinked number keeps its reply language)
     await supabaseService.createWhatsappLink(user.user_id, whatsappNumber, verificationCode);
+    const language = await supabaseService.getWhatsappLanguage(whatsappNumber);
 
     // Send verification code via WhatsApp
-    await whatsappService.sendTextMessage(whatsappNumber, getVerificationCodeMessage(verificationCode));
+    // The number may never have messaged us, so this can go out as a template
+    await whatsappService.sendProactiveMessage(
+      whatsappNumber,
+      'verificationCode',
+      getVerificationCodeMessage(verificationCode, language),
+      { code: verificationCode },
+      language
+    );
 
     // Log event
     await supabaseService.logEvent('manual_link_initiated', {
@@ -209,6 +205,9 @@ async function unlinkAccount(req, res) {
       });
     }
 
+    // Look up the reply language before the link (and the preference with it) is deleted
+    const language = await supabaseService.getWhatsappLanguage(whatsappNumber);
+
     // Delete WhatsApp link
     const { error } = await supabaseService.supabase
       .from('whatsapp_links')
@@ -218,10 +217,7 @@ async function unlinkAccount(req, res) {
     if (error) throw error;
 
     // Notify user
-    await whatsappService.sendTextMessage(
-      whatsappNumber,
-      '🔓 Your WhatsApp account has been unlinked.\n\nYou can link again anytime by sending:\n*LINK your-email@example.com*'
-    );
+    await whatsappService.sendTextMessage(whatsappNumber, t(language, 'link.unlinked'));
 
     // Log event
     await supabaseService.logEvent('account_unlinked', {
@@ -2,6 +2,23 @@ const whatsappService = require('../services/whatsappService');
 const mediaService = require('../services/mediaService');
 const aiService = require('../services/aiService');
 const supabaseService = require('../services/supabaseService');
+const sessionService = require('../services/sessionService');
+const editController = require('./editController');
+const reviewController = require('./reviewController');
+const categoryController = require('./categoryController');
+const interactiveController = require('./interactiveController');
+const queryController = require('./queryController');
+const reportController = require('./reportController');
+const budgetController = require('./budgetController');
+const recurringController = require('./recurringController');
+const goalController = require('./goalController');
+const deleteController = require('./deleteController');
+const historyController = require('./historyController');
+const splitController = require('./splitController');
+const iouController = require('./iouController');
+const walletController = require('./walletController');
+const statusController = require('./statusController');
+const languageController = require('./languageController');
 const logger = require('../utils/logger');
 const {
   getConfirmationMessage,
@@ -11,12 +28,28 @@ const {
   getHelpMessage,
 } = require('../utils/prompts');
 const { validate, transactionSchema, sanitizeInput } = require('../utils/validators');
+const { looksLikeQuestion } = require('../utils/spendingQuery');
+const { parseContribution } = require('../utils/goals');
+const { resolveWallet } = require('../utils/wallets');
+const { findExchangeRate, convertAmount } = require('../utils/currency');
+const { DEFAULT_LANGUAGE, t, detectLanguage, parseLanguageCommand } = require('../utils/i18n');
 
 /**
  * Message Controller - Handle incoming WhatsApp messages
  * Following Single Responsibility Principle
  */
 
+// WhatsApp retries webhook deliveries for up to 7 days
+const PROCESSED_MESSAGE_TTL_MS = (parseInt(process.env.PROCESSED_MESSAGE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+/**
+ * Multi-turn flow handlers keyed by session action
+ * Each handler receives (text, user, phoneNumber, session, msg)
+ */
+const pendingFlowHandlers = {
+  [editController.EDIT_ACTION]: editController.handleEditReply,
+};
+
 /**
  * Handle incoming webhook from WhatsApp
  */
@@ -33,6 +66,7 @@ async function handleIncoming(req, res) {
       for (const change of entry.changes || []) {
         const value = change.value;
         const messages = (value && value.messages) || [];
+        const statuses = (value && value.statuses) || [];
         
         for (const msg of messages) {
           // Process each message independently
@@ -40,6 +74,13 @@ async function handleIncoming(req, res) {
             logger.logError(err, { context: 'processMessage', messageId: msg.id })
           );
         }
+
+        // Delivery updates for messages we sent
+        for (const status of statuses) {
+          statusController.handleStatusUpdate(status).catch((err) =>
+            logger.logError(err, { context: 'handleStatusUpdate', messageId: status.id })
+          );
+        }
       }
     }
   } catch (error) {
@@ -55,8 +96,23 @@ async function processMessage(value, msg) {
   const phoneNumber = msg.from;
   const messageId = msg.id;
   const messageType = msg.type;
+  let language = DEFAULT_LANGUAGE;
 
   try {
+    // Retried deliveries of a message already handled are ignored before doing any work
+    const firstDelivery = await supabaseService.claimProcessedMessage(messageId, phoneNumber, PROCESSED_MESSAGE_TTL_MS);
+
+    if (!firstDelivery) {
+      logger.info('Duplicate message delivery ignored', { messageId, phoneNumber });
+      return;
+    }
+
+    // Every inbound message reopens the 24-hour window for free-form replies
+    await supabaseService.recordInboundMessage(phoneNumber, msg.timestamp);
+
+    // Reply in the user's chosen language, or the one detected from what they write
+    language = await resolveReplyLanguage(phoneNumber, msg);
+
     // Log incoming message
     await supabaseService.logEvent('whatsapp_message_received', {
       phoneNumber,
@@ -75,18 +131,18 @@ async function processMessage(value, msg) {
       
       if (text.toUpperCase().startsWith('LINK')) {
         const linkController = require('./linkController');
-        await linkController.handleLinkCommand(text, phoneNumber);
+        await linkController.handleLinkCommand(text, phoneNumber, language);
         return;
       }
 
       if (text.toUpperCase().startsWith('VERIFY')) {
         const linkController = require('./linkController');
-        await linkController.handleVerifyCommand(text, phoneNumber);
+        await linkController.handleVerifyCommand(text, phoneNumber, language);
         return;
       }
 
       if (text.toUpperCase() === 'HELP') {
-        await whatsappService.sendTextMessage(phoneNumber, getHelpMessage());
+        await whatsappService.sendTextMessage(phoneNumber, getHelpMessage(language));
         return;
       }
     }
@@ -96,22 +152,33 @@ async function processMessage(value, msg) {
 
     if (!user) {
       // User not linked - send onboarding instructions
-      await whatsappService.sendTextMessage(phoneNumber, getLinkingInstructionsMessage());
+      await whatsappService.sendTextMessage(phoneNumber, getLinkingInstructionsMessage(language));
       return;
     }
 
+    user.language = language;
+    // Amounts in replies are shown in the family's base currency
+    user.currency = await supabaseService.getFamilyBaseCurrency(user.family_id);
 
     // Step 3: Check subscription
     const subscription = await supabaseService.checkSubscription(user.user_id);
     if (!subscription.hasSubscription) {
       await whatsappService.sendTextMessage(
         phoneNumber,
-        getSubscriptionRequiredMessage(user.full_name)
+        getSubscriptionRequiredMessage(user.full_name, language)
       );
       return;
     }
 
-    // Step 4: Handle different message types
+    // Step 4: Route replies to a pending multi-turn flow (before commands and AI extraction)
+    if (messageType === 'text') {
+      const handled = await routeToPendingFlow(msg, user, phoneNumber);
+      if (handled) {
+        return;
+      }
+    }
+
+    // Step 5: Handle different message types
     if (messageType === 'text') {
       await handleTextMessage(msg, user, phoneNumber);
     } else if (messageType === 'image') {
@@ -120,12 +187,11 @@ async function processMessage(value, msg) {
       await handleAudioMessage(msg, user, phoneNumber);
     } else if (messageType === 'document') {
       await handleDocumentMessage(msg, user, phoneNumber);
+    } else if (messageType === 'interactive') {
+      await interactiveController.handleInteractiveMessage(msg, user, phoneNumber);
     } else {
       logger.info('Unsupported message type', { messageType, phoneNumber });
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Unsupported message type. Please send text, image, voice note, or document.'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(language, 'message.unsupportedType'));
     }
   } catch (error) {
     logger.logError(error, {
@@ -136,11 +202,62 @@ async function processMessage(value, msg) {
     });
 
     // Send error message to user
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Sorry, something went wrong processing your message. Please try again.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(language, 'message.processingFailed'));
+  }
+}
+
+/**
+ * Pick the language to reply in
+ * Uses the saved preference; until there is one, a message written in Hindi or Tamil script sets it
+ */
+async function resolveReplyLanguage(phoneNumber, msg) {
+  const saved = await supabaseService.getWhatsappLanguage(phoneNumber);
+
+  if (saved) return saved;
+
+  const detected = msg.type === 'text' ? detectLanguage(msg.text.body) : null;
+
+  if (!detected) return DEFAULT_LANGUAGE;
+
+  try {
+    await supabaseService.setWhatsappLanguage(phoneNumber, detected);
+    logger.info('Reply language detected', { phoneNumber, language: detected });
+  } catch (error) {
+    // Still reply in the detected language; detection runs again on the next message
+  }
+
+  return detected;
+}
+
+/**
+ * Route a text reply to the flow waiting on it
+ * Returns true if the message was consumed by a pending flow
+ */
+async function routeToPendingFlow(msg, user, phoneNumber) {
+  const session = await sessionService.getSession(phoneNumber);
+
+  if (!session) {
+    return false;
+  }
+
+  const text = sanitizeInput(msg.text.body);
+
+  if (text.toUpperCase() === 'CANCEL') {
+    await sessionService.clearSession(phoneNumber);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'session.cancelled'));
+    return true;
+  }
+
+  const flowHandler = pendingFlowHandlers[session.action];
+
+  if (!flowHandler) {
+    logger.warn('No handler for pending session action', { action: session.action, phoneNumber });
+    await sessionService.clearSession(phoneNumber);
+    return false;
   }
+
+  await flowHandler(text, user, phoneNumber, session, msg);
+  return true;
 }
 
 /**
@@ -152,8 +269,68 @@ async function handleTextMessage(msg, user, phoneNumber) {
   // Note: LINK, VERIFY, and HELP commands are handled in processMessage before this function is called
   
   // Check for commands that require a linked user
-  if (text.toUpperCase() === 'DELETE') {
-    await handleDeleteCommand(user, phoneNumber);
+  if (text.toUpperCase() === 'EDIT' || text.toUpperCase().startsWith('EDIT ')) {
+    await editController.handleEditCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (parseLanguageCommand(text)) {
+    await languageController.handleLanguageCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (text.toUpperCase() === 'REVIEW' || text.toUpperCase().startsWith('REVIEW ')) {
+    await reviewController.handleReviewCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (/^(SUMMARY|REPORT)(\s|$)/i.test(text)) {
+    await reportController.handleSummaryCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (text.toUpperCase() === 'BUDGET' || text.toUpperCase().startsWith('BUDGET ')) {
+    await budgetController.handleBudgetCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (text.toUpperCase() === 'RECURRING' || text.toUpperCase().startsWith('RECURRING ')) {
+    await recurringController.handleRecurringCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (/^GOALS?(\s|$)/i.test(text)) {
+    await goalController.handleGoalCommand(text.replace(/^GOALS/i, 'GOAL'), user, phoneNumber);
+    return;
+  }
+
+  if (/^SPLIT(\s|$)/i.test(text)) {
+    await splitController.handleSplitCommand(text, msg, user, phoneNumber);
+    return;
+  }
+
+  if (/^BALANCES?$/i.test(text)) {
+    await splitController.handleBalancesCommand(user, phoneNumber);
+    return;
+  }
+
+  if (/^SETTLE(\s|$)/i.test(text)) {
+    await splitController.handleSettleCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (/^WALLETS?(\s|$)/i.test(text)) {
+    await walletController.handleWalletCommand(text.replace(/^WALLETS/i, 'WALLET'), user, phoneNumber);
+    return;
+  }
+
+  if (/^DUES(\s|$)/i.test(text)) {
+    await iouController.handleDuesCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (/^(DELETE|UNDO)(\s|$)/i.test(text)) {
+    await deleteController.handleDeleteCommand(text, msg, user, phoneNumber);
     return;
   }
 
@@ -162,13 +339,39 @@ async function handleTextMessage(msg, user, phoneNumber) {
     return;
   }
 
+  if (/^(LIST|HISTORY)(\s|$)/i.test(text)) {
+    await historyController.handleListCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (/^SEARCH(\s|$)/i.test(text)) {
+    await historyController.handleSearchCommand(text, user, phoneNumber);
+    return;
+  }
+
+  if (text.toUpperCase() === 'MORE') {
+    await historyController.handleMoreCommand(user, phoneNumber);
+    return;
+  }
+
+  if (/^CATEGORY\s+\S/i.test(text)) {
+    await categoryController.handleRecategorizeCommand(text, msg, user, phoneNumber);
+    return;
+  }
+
   if (text.toUpperCase().startsWith('ADD CATEGORY')) {
     await handleAddCategoryCommand(text, user, phoneNumber);
     return;
   }
 
   if (text.toUpperCase() === 'NONE' || text.toUpperCase() === 'NO') {
-    await whatsappService.sendTextMessage(phoneNumber, '✅ Got it! Have a great day!');
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'reminder.none'));
+    return;
+  }
+
+  // "Put 2000 towards vacation" - contributions to an existing goal
+  const contribution = parseContribution(text);
+  if (contribution && await goalController.handleContribution(contribution, user, phoneNumber, msg.id)) {
     return;
   }
 
@@ -177,12 +380,18 @@ async function handleTextMessage(msg, user, phoneNumber) {
 
   // Fetch categories for the user's family
   const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+
+  // Questions about past spending are answered instead of extracted
+  if (looksLikeQuestion(text) && await answerSpendingQuestion(text, user, phoneNumber, categories)) {
+    await whatsappService.sendReaction(phoneNumber, msg.id, '📊');
+    return;
+  }
   
-  const result = await aiService.extractFromText(text, '', categories);
+  const result = await aiService.extractFromText(text, '', categories, user.currency);
 
 
   if (!result) {
-    await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage());
+    await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage(user.language));
     await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
     return;
   }
@@ -191,8 +400,34 @@ async function handleTextMessage(msg, user, phoneNumber) {
   const transactions = Array.isArray(result) ? result : [result];
   
   // Save all transactions
-  for (const transaction of transactions) {
-    await saveTransaction(transaction, user, phoneNumber, msg.id, categories);
+  for (const [index, transaction] of transactions.entries()) {
+    await saveTransaction(transaction, user, phoneNumber, msg.id, categories, index);
+  }
+}
+
+/**
+ * Classify a question-like message and answer it if it is a spending question
+ * @returns {boolean} true if the message was handled as a question
+ */
+async function answerSpendingQuestion(text, user, phoneNumber, categories) {
+  try {
+    const members = await supabaseService.getFamilyMembers(user.family_id);
+    const intent = await aiService.classifyIntent(
+      text,
+      categories,
+      members.map(m => m.full_name)
+    );
+
+    if (intent?.intent !== 'question') {
+      return false;
+    }
+
+    await queryController.handleSpendingQuestion(intent.query, user, phoneNumber, categories, members);
+    return true;
+  } catch (error) {
+    // Fall back to transaction extraction if classification fails
+    logger.logError(error, { context: 'answerSpendingQuestion', userId: user.user_id });
+    return false;
   }
 }
 
@@ -205,7 +440,7 @@ async function handleImageMessage(msg, user, phoneNumber) {
 
   try {
     await whatsappService.sendReaction(phoneNumber, msg.id, '⏳');
-    await whatsappService.sendTextMessage(phoneNumber, '📸 Processing your bill image...');
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'media.processingImage'));
 
     // Download and process image
     const { base64, mimeType: finalMimeType, storageUrl } = await mediaService.processImageMedia(
@@ -217,10 +452,10 @@ async function handleImageMessage(msg, user, phoneNumber) {
     const categories = await supabaseService.getCategoriesForFamily(user.family_id);
 
     // Extract transaction from image
-    const result = await aiService.extractFromImage(base64, finalMimeType, '', categories);
+    const result = await aiService.extractFromImage(base64, finalMimeType, '', categories, user.currency);
 
     if (!result) {
-      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage());
+      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage(user.language));
       await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
       return;
     }
@@ -229,17 +464,14 @@ async function handleImageMessage(msg, user, phoneNumber) {
     const transactions = Array.isArray(result) ? result : [result];
     
     // Save all transactions
-    for (const transaction of transactions) {
+    for (const [index, transaction] of transactions.entries()) {
       // Add storage URL to transaction metadata
       transaction.mediaUrl = storageUrl;
-      await saveTransaction(transaction, user, phoneNumber, msg.id, categories);
+      await saveTransaction(transaction, user, phoneNumber, msg.id, categories, index);
     }
   } catch (error) {
     logger.logError(error, { context: 'handleImageMessage', imageId });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to process image. Please try again or send a clearer photo.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'media.imageFailed'));
     await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
   }
 }
@@ -254,7 +486,7 @@ async function handleAudioMessage(msg, user, phoneNumber) {
   let tempPath = null;
   try {
     await whatsappService.sendReaction(phoneNumber, msg.id, '⏳');
-    await whatsappService.sendTextMessage(phoneNumber, '🎤 Transcribing your voice note...');
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'media.transcribingAudio'));
 
     // Download and process audio
     const { tempPath: audioPath, storageUrl } = await mediaService.processAudioMedia(
@@ -267,10 +499,10 @@ async function handleAudioMessage(msg, user, phoneNumber) {
     const categories = await supabaseService.getCategoriesForFamily(user.family_id);
 
     // Extract transaction from audio
-    const result = await aiService.extractFromAudio(audioPath, '', categories);
+    const result = await aiService.extractFromAudio(audioPath, '', categories, user.currency);
 
     if (!result) {
-      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage());
+      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage(user.language));
       await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
       return;
     }
@@ -279,25 +511,23 @@ async function handleAudioMessage(msg, user, phoneNumber) {
     const transactions = Array.isArray(result) ? result : [result];
     
     // Save all transactions
-    for (const transaction of transactions) {
+    for (const [index, transaction] of transactions.entries()) {
       // Add storage URL to transaction metadata
       transaction.mediaUrl = storageUrl;
-      await saveTransaction(transaction, user, phoneNumber, msg.id, categories);
+      await saveTransaction(transaction, user, phoneNumber, msg.id, categories, index);
     }
   } catch (error) {
     logger.logError(error, { context: 'handleAudioMessage', audioId });
     
     // Provide specific error messages based on error type
-    let errorMessage = '❌ Failed to process audio. ';
+    let errorKey = 'media.audioFailed';
     if (error.message.includes('empty text') || error.message.includes('unclear')) {
-      errorMessage += 'The audio was too unclear or quiet. Please speak clearly and try again.';
+      errorKey = 'media.audioUnclear';
     } else if (error.message.includes('transcription failed')) {
-      errorMessage += 'Could not transcribe the audio. Please record a clear voice message.';
-    } else {
-      errorMessage += 'Please try again or send a text message instead.';
+      errorKey = 'media.audioTranscriptionFailed';
     }
     
-    await whatsappService.sendTextMessage(phoneNumber, errorMessage);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, errorKey));
     await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
   } finally {
     // Cleanup temp file
@@ -316,7 +546,7 @@ async function handleDocumentMessage(msg, user, phoneNumber) {
 
   try {
     await whatsappService.sendReaction(phoneNumber, msg.id, '⏳');
-    await whatsappService.sendTextMessage(phoneNumber, '📄 Processing your document...');
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'media.processingDocument'));
 
     // For now, treat documents like images for OCR
     const { base64, storageUrl } = await mediaService.processDocumentMedia(documentId, mimeType);
@@ -326,10 +556,10 @@ async function handleDocumentMessage(msg, user, phoneNumber) {
 
     // If it's a PDF, you might need additional OCR processing
     // For simplicity, we'll try image extraction
-    const transaction = await aiService.extractFromImage(base64, mimeType, '', categories);
+    const transaction = await aiService.extractFromImage(base64, mimeType, '', categories, user.currency);
 
     if (!transaction) {
-      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage());
+      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage(user.language));
       await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
       return;
     }
@@ -339,10 +569,7 @@ async function handleDocumentMessage(msg, user, phoneNumber) {
     await saveTransaction(transaction, user, phoneNumber, msg.id, categories);
   } catch (error) {
     logger.logError(error, { context: 'handleDocumentMessage', documentId });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to process document. Please send as image instead.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'media.documentFailed'));
     await whatsappService.sendReaction(phoneNumber, msg.id, '❌');
   }
 }
@@ -354,8 +581,9 @@ async function handleDocumentMessage(msg, user, phoneNumber) {
  * @param {string} phoneNumber - WhatsApp phone number
  * @param {string} messageId - WhatsApp message ID
  * @param {Array} categories - Pre-fetched categories list
+ * @param {number} [sourceIndex] - Position of the transaction in a multi-item extraction
  */
-async function saveTransaction(transaction, user, phoneNumber, messageId, categories) {
+async function saveTransaction(transaction, user, phoneNumber, messageId, categories, sourceIndex = 0) {
   try {
     // Ensure transaction is a valid object and not an array
     if (Array.isArray(transaction)) {
@@ -364,15 +592,35 @@ async function saveTransaction(transaction, user, phoneNumber, messageId, catego
     }
 
     // Validate transaction data
-    const { valid, value, errors } = await validate(transactionSchema, transaction);
+    const { valid, value: extracted, errors } = await validate(transactionSchema, transaction);
 
     if (!valid) {
       logger.warn('Transaction validation failed', { errors, transaction });
-      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage());
+      await whatsappService.sendTextMessage(phoneNumber, getExtractionErrorMessage(user.language));
       await whatsappService.sendReaction(phoneNumber, messageId, '❌');
       return;
     }
 
+    // Amounts are stored in the family's base currency ("$20" -> ₹1670)
+    const value = await convertToBaseCurrency(extracted, user, phoneNumber, messageId);
+
+    if (!value) return;
+
+    // Review mode: hold entries as drafts until the user confirms
+    const reviewMode = await supabaseService.getFamilyReviewMode(user.family_id);
+
+    // Lending/borrowing with people outside the family goes to the IOU ledger, not the transactions table
+    if (value.debt) {
+      await iouController.recordDebt(value, user, phoneNumber, messageId, reviewMode);
+      return;
+    }
+
+    // Moving money between the user's own wallets is neither income nor an expense
+    if (value.type === 'transfer') {
+      await walletController.recordTransfer(value, user, phoneNumber, messageId, sourceIndex, reviewMode);
+      return;
+    }
+
     // Try to find category using pre-fetched categories (includes fuzzy matching and "Other" fallback)
     const categoryId = supabaseService.getCategoryByName(value.category, categories);
 
@@ -381,6 +629,10 @@ async function saveTransaction(transaction, user, phoneNumber, messageId, catego
     const wasNotFound = matchedCategory && matchedCategory.name.toLowerCase() === 'other' 
                         && value.category.toLowerCase() !== 'other';
 
+    // Wallet from the payment method ("paid with HDFC card"), otherwise the user's default
+    const wallets = await supabaseService.getWalletsForUser(user);
+    const wallet = resolveWallet(value.payment_method, wallets, user.user_id);
+
     // Prepare transaction data
     const transactionData = {
       user_id: user.user_id,
@@ -390,25 +642,42 @@ async function saveTransaction(transaction, user, phoneNumber, messageId, catego
       description: value.description || value.vendor || `${value.category} transaction`,
       date: value.date,
       category_id: categoryId,
-      wallet_id: user.user_id,
+      wallet_id: wallet.wallet_id,
       recipient_id: user.user_id,
+      original_amount: value.original_amount,
+      original_currency: value.original_currency,
+      exchange_rate: value.exchange_rate,
+      // Links the row to its WhatsApp message so a reprocessed delivery can't insert it twice
+      source_message_id: messageId,
+      source_message_index: sourceIndex,
     };
 
+    if (reviewMode) {
+      const date = new Date(value.date).toISOString().split('T')[0];
+      await reviewController.holdForReview(
+        { ...transactionData, date },
+        { ...value, date, category: matchedCategory?.name || value.category, wallet: wallet.name },
+        user,
+        phoneNumber,
+        messageId
+      );
+      return;
+    }
+
     // Insert transaction
     const savedTransaction = await supabaseService.insertTransaction(transactionData);
 
     // Send confirmation AFTER successful save
-    const confirmationMsg = getConfirmationMessage(value, user.full_name);
-    await whatsappService.sendTextMessage(phoneNumber, confirmationMsg);
-    await whatsappService.sendReaction(phoneNumber, messageId, '✅');
+    await sendTransactionConfirmation({ ...value, wallet: wallet.name }, savedTransaction, user, phoneNumber, messageId);
+    await budgetController.checkBudgetAlerts(savedTransaction, user, phoneNumber);
 
     // Notify user if category wasn't found and was mapped to "Other"
     if (wasNotFound) {
       await whatsappService.sendTextMessage(
         phoneNumber,
-        `⚠️ Category "${value.category}" not found. Transaction saved under "Other" category.\n\n` +
-        `💡 Reply with "CATEGORIES" to see available categories, or update this transaction later in the app.`
+        t(user.language, 'transaction.categoryNotFound', { category: value.category })
       );
+      await categoryController.sendCategoryPicker(savedTransaction, categories, phoneNumber, user.language);
     }
 
     logger.info('Transaction saved successfully', {
@@ -421,39 +690,64 @@ async function saveTransaction(transaction, user, phoneNumber, messageId, catego
     });
   } catch (error) {
     logger.logError(error, { context: 'saveTransaction', transaction, userId: user.user_id });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to save transaction. Please try again.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'transaction.saveFailed'));
     await whatsappService.sendReaction(phoneNumber, messageId, '❌');
   }
 }
 
 /**
- * Handle DELETE command
+ * Send the "Transaction Recorded" confirmation for a saved transaction
+ * Also used by reviewController once a draft is confirmed
  */
-async function handleDeleteCommand(user, phoneNumber) {
-  try {
-    const lastTransaction = await supabaseService.getLastTransaction(user.user_id);
+async function sendTransactionConfirmation(value, savedTransaction, user, phoneNumber, messageId) {
+  const confirmationMsg = getConfirmationMessage(value, user.full_name, user.language);
+  const sent = await whatsappService.sendTextMessage(phoneNumber, confirmationMsg);
+  await whatsappService.sendReaction(phoneNumber, messageId, '✅');
+
+  // Remember which transaction this confirmation belongs to (for quoted replies)
+  await supabaseService.logEvent('transaction_confirmation_sent', {
+    confirmationMessageId: sent?.messages?.[0]?.id,
+    sourceMessageId: messageId,
+    transactionId: savedTransaction.transaction_id,
+    userId: user.user_id,
+  });
+}
 
-    if (!lastTransaction) {
-      await whatsappService.sendTextMessage(phoneNumber, '❌ No recent transactions found to delete.');
-      return;
-    }
+/**
+ * Convert an extracted transaction to the family's base currency
+ * A transaction without a currency is taken to be in the base currency;
+ * keeps the amount as entered in original_amount / original_currency;
+ * sends an explanation and returns null if there's no exchange rate for the date
+ */
+async function convertToBaseCurrency(value, user, phoneNumber, messageId) {
+  const baseCurrency = user.currency;
+
+  if (!value.currency || value.currency === baseCurrency) {
+    return { ...value, currency: baseCurrency };
+  }
 
-    // Delete the transaction
-    await supabaseService.deleteTransaction(lastTransaction.transaction_id, user.user_id);
+  const date = new Date(value.date).toISOString().split('T')[0];
+  const rates = await supabaseService.getExchangeRates(value.currency, baseCurrency, date);
+  const rate = findExchangeRate(rates, value.currency, baseCurrency, date);
 
+  if (!rate) {
+    logger.warn('No exchange rate for transaction', { from: value.currency, to: baseCurrency, date });
     await whatsappService.sendTextMessage(
       phoneNumber,
-      `✅ Transaction deleted successfully!\n\n` +
-        `Amount: ₹${lastTransaction.amount}\n` +
-        `Description: ${lastTransaction.description}`
+      t(user.language, 'transaction.noExchangeRate', { from: value.currency, to: baseCurrency, date })
     );
-  } catch (error) {
-    logger.logError(error, { context: 'handleDeleteCommand', userId: user.user_id });
-    await whatsappService.sendTextMessage(phoneNumber, '❌ Failed to delete transaction.');
+    await whatsappService.sendReaction(phoneNumber, messageId, '❌');
+    return null;
   }
+
+  return {
+    ...value,
+    amount: convertAmount(value.amount, rate),
+    currency: baseCurrency,
+    original_amount: value.amount,
+    original_currency: value.currency,
+    exchange_rate: rate,
+  };
 }
 
 /**
@@ -464,10 +758,7 @@ async function handleCategoriesCommand(user, phoneNumber) {
     const categories = await supabaseService.getCategoriesForFamily(user.family_id);
 
     if (!categories || categories.length === 0) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ No categories found. Please contact support.'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.none'));
       return;
     }
 
@@ -475,10 +766,10 @@ async function handleCategoriesCommand(user, phoneNumber) {
     const expenseCategories = categories.filter(c => c.type === 'expense');
     const incomeCategories = categories.filter(c => c.type === 'income');
 
-    let message = '📋 *Available Categories*\n\n';
+    let message = `${t(user.language, 'categories.title')}\n\n`;
     
     if (expenseCategories.length > 0) {
-      message += '*💸 Expense Categories:*\n';
+      message += `${t(user.language, 'categories.expense')}\n`;
       expenseCategories.forEach(cat => {
         const emoji = cat.emoji || cat.icon || '📁';
         message += `${emoji} ${cat.name}\n`;
@@ -487,7 +778,7 @@ async function handleCategoriesCommand(user, phoneNumber) {
     }
 
     if (incomeCategories.length > 0) {
-      message += '*💰 Income Categories:*\n';
+      message += `${t(user.language, 'categories.income')}\n`;
       incomeCategories.forEach(cat => {
         const emoji = cat.emoji || cat.icon || '💵';
         message += `${emoji} ${cat.name}\n`;
@@ -495,18 +786,12 @@ async function handleCategoriesCommand(user, phoneNumber) {
       message += '\n';
     }
 
-    message += '💡 *Tips:*\n';
-    message += '• Use these category names in your transactions\n';
-    message += '• Reply "ADD CATEGORY <name>" to add a custom category (Premium feature)\n';
-    message += '• If no category matches, it will be saved as "Other"';
+    message += t(user.language, 'categories.tips');
 
     await whatsappService.sendTextMessage(phoneNumber, message);
   } catch (error) {
     logger.logError(error, { context: 'handleCategoriesCommand', userId: user.user_id });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to fetch categories. Please try again.'
-    );
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.fetchFailed'));
   }
 }
 
@@ -519,16 +804,7 @@ async function handleAddCategoryCommand(text, user, phoneNumber) {
     const subscription = await supabaseService.checkSubscription(user.user_id);
     
     if (!subscription.hasSubscription) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '🔒 *Custom Categories - Premium Feature*\n\n' +
-        'Adding custom categories is a premium feature.\n\n' +
-        'Upgrade to Premium to:\n' +
-        '• Create unlimited custom categories\n' +
-        '• Better organize your finances\n' +
-        '• Access advanced analytics\n\n' +
-        'Visit the app to upgrade! 🚀'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.premiumRequired'));
       return;
     }
 
@@ -537,10 +813,7 @@ async function handleAddCategoryCommand(text, user, phoneNumber) {
     const match = text.match(/ADD CATEGORY\s+(.+)/i);
     
     if (!match || !match[1]) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Invalid format.\n\nUsage: ADD CATEGORY <category name>\n\nExample:\nADD CATEGORY Pets'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.addUsage'));
       return;
     }
 
@@ -548,10 +821,7 @@ async function handleAddCategoryCommand(text, user, phoneNumber) {
 
     // Validate category name
     if (categoryName.length < 2 || categoryName.length > 50) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Category name must be between 2 and 50 characters.'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.nameLength'));
       return;
     }
 
@@ -561,7 +831,7 @@ async function handleAddCategoryCommand(text, user, phoneNumber) {
     if (existingId) {
       await whatsappService.sendTextMessage(
         phoneNumber,
-        `ℹ️ Category "${categoryName}" already exists in your family account!`
+        t(user.language, 'categories.exists', { name: categoryName })
       );
       return;
     }
@@ -576,53 +846,20 @@ async function handleAddCategoryCommand(text, user, phoneNumber) {
     if (categoryId) {
       await whatsappService.sendTextMessage(
         phoneNumber,
-        `✅ *Category Added!*\n\n` +
-        `📁 "${categoryName}" has been added to your categories.\n\n` +
-        `You can now use this category in your transactions. ` +
-        `Change the type (expense/income) in the app if needed.`
+        t(user.language, 'categories.added', { name: categoryName })
       );
     } else {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        '❌ Failed to add category. Please try again.'
-      );
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.addFailed'));
     }
   } catch (error) {
     logger.logError(error, { context: 'handleAddCategoryCommand', userId: user.user_id });
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      '❌ Failed to add category. Please try again.'
-    );
-  }
-}
-
-/**
- * Handle DELETE command
- */
-async function handleDeleteCommand(user, phoneNumber) {
-  try {
-    const lastTransaction = await supabaseService.getLastTransaction(user.user_id);
-
-    if (!lastTransaction) {
-      await whatsappService.sendTextMessage(
-        phoneNumber,
-        'No recent transactions found to delete.'
-      );
-      return;
-    }
-
-    await supabaseService.deleteTransaction(lastTransaction.transaction_id, user.user_id);
-    await whatsappService.sendTextMessage(
-      phoneNumber,
-      `✅ Deleted transaction: ${lastTransaction.description} (${lastTransaction.amount})`
-    );
-  } catch (error) {
-    logger.logError(error, { context: 'handleDeleteCommand', userId: user.user_id });
-    await whatsappService.sendTextMessage(phoneNumber, '❌ Failed to delete transaction.');
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'categories.addFailed'));
   }
 }
 
 module.exports = {
   handleIncoming,
   processMessage,
+  sendTransactionConfirmation,
+  convertToBaseCurrency,
 };
@@ -0,0 +1,137 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const { validate, spendingQuerySchema } = require('../utils/validators');
+const { resolveMember, summarizeTransactions } = require('../utils/spendingQuery');
+const { toDateString } = require('../utils/periods');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Query Controller - Answer natural-language questions about past transactions
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Answer a spending question classified by aiService.classifyIntent
+ * @param {Object} query - { start_date, end_date, type, category, member, vendor }
+ * @param {Array} categories - Pre-fetched family categories
+ * @param {Array} members - Pre-fetched family members
+ */
+async function handleSpendingQuestion(query, user, phoneNumber, categories, members) {
+  try {
+    const { valid, value, errors } = await validate(spendingQuerySchema, query || {});
+
+    if (!valid) {
+      logger.warn('Spending query validation failed', { errors, query });
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'query.notUnderstood'));
+      return;
+    }
+
+    // Default period: current month to date
+    const today = new Date();
+    const startDate = value.start_date
+      ? toDateString(value.start_date)
+      : toDateString(new Date(today.getFullYear(), today.getMonth(), 1));
+    const endDate = value.end_date ? toDateString(value.end_date) : toDateString(today);
+
+    const filters = { startDate, endDate, type: value.type || null };
+    const labels = [];
+
+    if (value.category) {
+      const category = supabaseService.matchCategory(value.category, categories);
+
+      if (!category) {
+        await whatsappService.sendTextMessage(
+          phoneNumber,
+          t(user.language, 'categories.notFound', { category: value.category })
+        );
+        return;
+      }
+
+      filters.categoryIds = [category.category_id];
+      labels.push(category.name);
+    }
+
+    if (value.member) {
+      const member = resolveMember(value.member, members, user);
+
+      if (!member) {
+        await whatsappService.sendTextMessage(
+          phoneNumber,
+          t(user.language, 'member.notFound', { name: value.member })
+        );
+        return;
+      }
+
+      filters.userId = member.user_id;
+      labels.push(member.user_id === user.user_id ? t(user.language, 'member.you') : member.full_name);
+    }
+
+    if (value.vendor) {
+      filters.search = value.vendor;
+      labels.push(`"${value.vendor}"`);
+    }
+
+    const transactions = await supabaseService.queryTransactions(user.family_id, filters);
+    const summary = summarizeTransactions(transactions, categories, 3, t(user.language, 'category.uncategorized'));
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      formatAnswer(summary, { ...filters, labels }, user)
+    );
+
+    logger.info('Spending question answered', {
+      user_id: user.user_id,
+      filters,
+      resultCount: summary.count,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'handleSpendingQuestion', userId: user.user_id, query });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'query.failed'));
+  }
+}
+
+/**
+ * Format a summary as a WhatsApp reply
+ */
+function formatAnswer(summary, { startDate, endDate, type, labels }, user) {
+  const lang = user.language;
+  const money = amount => formatMoney(amount, user.currency, lang);
+  const period = startDate === endDate ? startDate : t(lang, 'query.dateRange', { from: startDate, to: endDate });
+  const scope = labels.length > 0 ? labels.join(' • ') : t(lang, 'query.allTransactions');
+
+  let message = `📊 *${scope}*\n📅 ${period}\n\n`;
+
+  if (summary.count === 0) {
+    return message + t(lang, 'query.noMatches');
+  }
+
+  if (type === 'credit') {
+    message += `💰 ${t(lang, 'query.totalReceived')}: *${money(summary.totalCredit)}*\n`;
+  } else if (type === 'debit') {
+    message += `💸 ${t(lang, 'query.totalSpent')}: *${money(summary.totalDebit)}*\n`;
+  } else {
+    message += `💸 ${t(lang, 'transaction.spent')}: *${money(summary.totalDebit)}*\n`;
+    message += `💰 ${t(lang, 'transaction.received')}: *${money(summary.totalCredit)}*\n`;
+  }
+  message += `🧾 ${t(lang, 'query.transactions', { count: summary.count })}\n`;
+
+  if (summary.byCategory.length > 1) {
+    message += `\n*${t(lang, 'query.byCategory')}*\n`;
+    summary.byCategory.slice(0, 5).forEach(c => {
+      message += `• ${c.name}: ${money(c.amount)}\n`;
+    });
+  }
+
+  message += `\n*${t(lang, 'query.topItems')}*\n`;
+  summary.topItems.forEach((txn, idx) => {
+    message += `${idx + 1}. ${money(txn.amount)} - ` +
+      `${txn.description || t(lang, 'transaction.noDescription')} (${txn.transaction_date})\n`;
+  });
+
+  return message.trim();
+}
+
+module.exports = {
+  handleSpendingQuestion,
+};
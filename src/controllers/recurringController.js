@@ -0,0 +1,169 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const { toDateString } = require('../utils/periods');
+const { t, formatMoney } = require('../utils/i18n');
+const {
+  parseRecurringArgs,
+  firstOccurrence,
+  describeSchedule,
+} = require('../utils/recurrence');
+
+/**
+ * Recurring Controller - RECURRING commands backed by the shared recurring_transactions table
+ * Due occurrences are posted by the recurringTransactions job
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle RECURRING commands
+ * Format: RECURRING / RECURRING LIST
+ *         RECURRING <description> <amount> <daily|weekly|monthly|yearly> [on <day>]
+ *         RECURRING PAUSE|RESUME|DELETE <number>
+ */
+async function handleRecurringCommand(text, user, phoneNumber) {
+  try {
+    const [, subcommand, ...args] = text.trim().split(/\s+/);
+    const option = subcommand?.toUpperCase();
+
+    if (!option || option === 'LIST') {
+      await sendRecurringList(user, phoneNumber);
+      return;
+    }
+
+    if (option === 'PAUSE' || option === 'RESUME' || option === 'DELETE') {
+      await handleRecurringAction(option, args[0], user, phoneNumber);
+      return;
+    }
+
+    await createRecurring([subcommand, ...args], user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleRecurringCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'recurring.updateFailed'));
+  }
+}
+
+/**
+ * Create a recurring transaction from "<description> <amount> <frequency> [on <day>]"
+ */
+async function createRecurring(args, user, phoneNumber) {
+  const parsed = parseRecurringArgs(args);
+
+  if (!parsed) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'recurring.usage'));
+    return;
+  }
+
+  const today = new Date();
+  const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+  const categoryId = supabaseService.getCategoryByName(parsed.description, categories);
+  const category = categories.find(c => c.category_id === categoryId);
+
+  // Anchor the schedule so occurrences don't drift (e.g. "monthly" created on the 5th stays on the 5th)
+  const schedule = {
+    frequency: parsed.frequency,
+    day_of_month: parsed.frequency === 'monthly' ? (parsed.dayOfMonth ?? today.getDate()) : null,
+    day_of_week: parsed.frequency === 'weekly' ? (parsed.dayOfWeek ?? today.getDay()) : null,
+    start_date: toDateString(today),
+  };
+
+  const recurring = await supabaseService.createRecurringTransaction({
+    ...schedule,
+    family_id: user.family_id,
+    user_id: user.user_id,
+    category_id: categoryId,
+    amount: parsed.amount,
+    type: category?.type === 'income' ? 'credit' : 'debit',
+    description: parsed.description,
+    next_due_date: firstOccurrence(schedule, today),
+  });
+
+  await supabaseService.logEvent('recurring_transaction_created', {
+    recurringId: recurring.recurring_id,
+    userId: user.user_id,
+    frequency: recurring.frequency,
+  });
+
+  await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'recurring.added', {
+    icon: recurring.type === 'credit' ? '💰' : '💸',
+    amount: formatMoney(recurring.amount, user.currency, user.language),
+    description: recurring.description,
+    category: category?.name || t(user.language, 'category.uncategorized'),
+    schedule: describeSchedule(recurring, user.language),
+    date: recurring.next_due_date,
+  }));
+}
+
+/**
+ * List the user's recurring transactions
+ */
+async function sendRecurringList(user, phoneNumber) {
+  const lang = user.language;
+  const items = await supabaseService.getRecurringTransactions(user.user_id);
+
+  if (items.length === 0) {
+    await whatsappService.sendTextMessage(phoneNumber, t(lang, 'recurring.none'));
+    return;
+  }
+
+  let message = `${t(lang, 'recurring.title')}\n\n`;
+
+  items.forEach((item, idx) => {
+    const status = item.is_active ? t(lang, 'recurring.next', { date: item.next_due_date }) : t(lang, 'recurring.paused');
+    message += `${idx + 1}. ${formatMoney(item.amount, user.currency, lang)} - ${item.description}\n`;
+    message += `   ${describeSchedule(item, lang)} • ${status}\n`;
+  });
+
+  message += `\n${t(lang, 'recurring.listHint')}`;
+
+  await whatsappService.sendTextMessage(phoneNumber, message);
+}
+
+/**
+ * Pause, resume or delete a recurring transaction by its list number
+ */
+async function handleRecurringAction(option, position, user, phoneNumber) {
+  const index = parseInt(position, 10) - 1;
+  const items = await supabaseService.getRecurringTransactions(user.user_id);
+  const item = items[index];
+
+  if (!item) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'recurring.notFound'));
+    return;
+  }
+
+  if (option === 'DELETE') {
+    await supabaseService.deleteRecurringTransaction(item.recurring_id, user.user_id);
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'recurring.stopped', { description: item.description })
+    );
+  } else if (option === 'PAUSE') {
+    await supabaseService.updateRecurringTransaction(item.recurring_id, { is_active: false });
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'recurring.pausedItem', { description: item.description })
+    );
+  } else {
+    // Occurrences missed while paused are skipped, not posted
+    const nextDueDate = firstOccurrence(item, new Date());
+    await supabaseService.updateRecurringTransaction(item.recurring_id, {
+      is_active: true,
+      next_due_date: nextDueDate,
+    });
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, 'recurring.resumed', { description: item.description, date: nextDueDate })
+    );
+  }
+
+  await supabaseService.logEvent('recurring_transaction_updated', {
+    recurringId: item.recurring_id,
+    userId: user.user_id,
+    action: option.toLowerCase(),
+  });
+}
+
+module.exports = {
+  handleRecurringCommand,
+};
@@ -0,0 +1,148 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const { summarizeTransactions, topVendors, roundAmount } = require('../utils/spendingQuery');
+const { resolvePeriod, formatPeriodLabel, percentChange } = require('../utils/periods');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Report Controller - SUMMARY and REPORT commands
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle SUMMARY / REPORT commands
+ * Format: SUMMARY [today|week|month|last month|<month name>] - your own spending
+ *         SUMMARY FAMILY [period] or REPORT [period] - the whole family
+ */
+async function handleSummaryCommand(text, user, phoneNumber) {
+  try {
+    const [command, ...rest] = text.trim().split(/\s+/);
+    let familyLevel = command.toUpperCase() === 'REPORT';
+
+    if (rest[0]?.toUpperCase() === 'FAMILY') {
+      familyLevel = true;
+      rest.shift();
+    }
+
+    const period = resolvePeriod(rest.join(' ') || 'month');
+
+    if (!period) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'report.invalidPeriod'));
+      return;
+    }
+
+    const userId = familyLevel ? null : user.user_id;
+    const [current, previous] = await Promise.all([
+      supabaseService.queryTransactions(user.family_id, {
+        startDate: period.startDate,
+        endDate: period.endDate,
+        userId,
+      }),
+      supabaseService.queryTransactions(user.family_id, {
+        startDate: period.previous.startDate,
+        endDate: period.previous.endDate,
+        userId,
+      }),
+    ]);
+
+    const categories = await supabaseService.getCategoriesForFamily(user.family_id);
+    const members = familyLevel ? await supabaseService.getFamilyMembers(user.family_id) : [];
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      formatSummary({ period, current, previous, categories, members, familyLevel }, user)
+    );
+
+    logger.info('Summary sent', {
+      user_id: user.user_id,
+      familyLevel,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      count: current.length,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'handleSummaryCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'report.failed'));
+  }
+}
+
+/**
+ * Format the summary message in the user's language and currency
+ */
+function formatSummary({ period, current, previous, categories, members, familyLevel }, user) {
+  const lang = user.language;
+  const money = amount => formatMoney(amount, user.currency, lang);
+  const uncategorized = t(lang, 'category.uncategorized');
+  const summary = summarizeTransactions(current, categories, 3, uncategorized);
+  const expenses = summarizeTransactions(current.filter(txn => txn.type === 'debit'), categories, 3, uncategorized);
+  const previousSummary = summarizeTransactions(previous, categories, 3, uncategorized);
+  const dates = period.startDate === period.endDate
+    ? period.startDate
+    : t(lang, 'query.dateRange', { from: period.startDate, to: period.endDate });
+  const title = t(lang, familyLevel ? 'report.familyTitle' : 'report.yourTitle', {
+    period: formatPeriodLabel(period, lang),
+  });
+
+  let message = `📊 *${title}*\n📅 ${dates}\n\n`;
+
+  if (summary.count === 0) {
+    return message + t(lang, 'report.empty');
+  }
+
+  message += `💰 ${t(lang, 'report.income')}: ${money(summary.totalCredit)}\n`;
+  message += `💸 ${t(lang, 'report.expenses')}: ${money(summary.totalDebit)}\n`;
+  message += `🧮 ${t(lang, 'report.net')}: ${money(roundAmount(summary.totalCredit - summary.totalDebit))}\n`;
+  message += `🧾 ${t(lang, 'query.transactions', { count: summary.count })}\n`;
+
+  if (expenses.byCategory.length > 0) {
+    message += `\n*${t(lang, 'report.whereItWent')}*\n`;
+    expenses.byCategory.slice(0, 5).forEach(c => {
+      const share = Math.round((c.amount / expenses.totalDebit) * 100);
+      message += `• ${c.name}: ${money(c.amount)} (${share}%)\n`;
+    });
+  }
+
+  const vendors = topVendors(current);
+  if (vendors.length > 0) {
+    message += `\n*${t(lang, 'report.topVendors')}*\n`;
+    vendors.forEach((v, idx) => {
+      message += `${idx + 1}. ${v.name}: ${money(v.amount)}\n`;
+    });
+  }
+
+  if (familyLevel && members.length > 1) {
+    message += `\n*${t(lang, 'report.byMember')}*\n`;
+    members.forEach(m => {
+      const spent = current
+        .filter(txn => txn.user_id === m.user_id && txn.type === 'debit')
+        .reduce((sum, txn) => sum + Number(txn.amount), 0);
+      message += `• ${m.full_name}: ${money(roundAmount(spent))}\n`;
+    });
+  }
+
+  message += `\n*${t(lang, 'report.vsPrevious')}*\n`;
+  message += `💸 ${t(lang, 'report.expenses')} ${formatChange(summary.totalDebit, previousSummary.totalDebit, money, lang)}\n`;
+  message += `💰 ${t(lang, 'report.income')} ${formatChange(summary.totalCredit, previousSummary.totalCredit, money, lang)}`;
+
+  return message;
+}
+
+/**
+ * Format "₹prev → ₹current (▲12%)"
+ * @param {Function} money - Formats an amount in the user's currency
+ */
+function formatChange(current, previous, money, lang) {
+  const change = percentChange(current, previous);
+
+  if (change === null) {
+    return t(lang, 'report.noDataBefore', { amount: money(current) });
+  }
+
+  const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '=';
+  return `${money(previous)} → ${money(current)} (${arrow}${Math.abs(change)}%)`;
+}
+
+module.exports = {
+  handleSummaryCommand,
+};
@@ -0,0 +1,228 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const editController = require('./editController');
+const budgetController = require('./budgetController');
+const logger = require('../utils/logger');
+const { getReviewMessage } = require('../utils/prompts');
+const { isFamilyAdmin } = require('../utils/permissions');
+const { encodeReplyId } = require('../utils/interactiveReplies');
+const { t } = require('../utils/i18n');
+
+/**
+ * Review Controller - Confirm-before-save ("review mode")
+ * Extracted transactions are held as drafts and only inserted once confirmed
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Hold a validated transaction as a draft and ask the user to review it
+ * @param {Object} transactionData - Payload for insertTransaction
+ * @param {Object} extracted - Validated extraction (for display and confirmation)
+ */
+async function holdForReview(transactionData, extracted, user, phoneNumber, messageId) {
+  const draft = await supabaseService.createTransactionDraft({
+    userId: user.user_id,
+    familyId: user.family_id,
+    whatsappNumber: phoneNumber,
+    sourceMessageId: messageId,
+    transaction: transactionData,
+    extracted,
+  });
+
+  await sendDraftForReview(draft, phoneNumber, user.language);
+  await whatsappService.sendReaction(phoneNumber, messageId, '📝');
+
+  logger.info('Transaction held for review', { draft_id: draft.draft_id, user_id: user.user_id });
+  return draft;
+}
+
+/**
+ * Send Save / Edit / Discard buttons for a draft
+ * IOU entries (drafts with a debt field) aren't transactions, so they can only be saved or discarded
+ * @param {string} [language] - Reply language of the user reviewing
+ */
+async function sendDraftForReview(draft, phoneNumber, language) {
+  if (draft.transaction.debt) {
+    // Lazy require to avoid a circular dependency with iouController
+    const { getDebtReviewMessage } = require('./iouController');
+    await whatsappService.sendButtonMessage(phoneNumber, getDebtReviewMessage(draft.extracted, language), [
+      { id: encodeReplyId('confirm', draft.draft_id), title: t(language, 'review.save') },
+      { id: encodeReplyId('discard', draft.draft_id), title: t(language, 'review.discard') },
+    ]);
+    return;
+  }
+
+  await whatsappService.sendButtonMessage(phoneNumber, getReviewMessage(draft.extracted, language), [
+    { id: encodeReplyId('confirm', draft.draft_id), title: t(language, 'review.save') },
+    { id: encodeReplyId('edit', draft.draft_id), title: t(language, 'review.edit') },
+    { id: encodeReplyId('discard', draft.draft_id), title: t(language, 'review.discard') },
+  ]);
+}
+
+/**
+ * Handle a Save / Edit / Discard button reply
+ * @param {string} action - 'confirm', 'edit' or 'discard'
+ */
+async function handleReviewAction(action, draftId, user, phoneNumber) {
+  try {
+    const draft = await supabaseService.getTransactionDraft(draftId, user.user_id);
+
+    if (!draft) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.handled'));
+      return;
+    }
+
+    if (action === 'edit') {
+      if (draft.transaction.debt) {
+        await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.debtNotEditable'));
+        return;
+      }
+
+      await editController.startDraftEdit(draft, user, phoneNumber);
+      return;
+    }
+
+    // Claim the draft so a double tap is handled once; it's only deleted after the entry is saved
+    const claimed = await supabaseService.claimTransactionDraft(draftId, user.user_id);
+
+    if (!claimed) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.handled'));
+      return;
+    }
+
+    if (action === 'discard') {
+      await supabaseService.deleteTransactionDraft(draftId, user.user_id);
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.discarded'));
+      await whatsappService.sendReaction(phoneNumber, draft.source_message_id, '🗑️');
+      return;
+    }
+
+    try {
+      await saveDraft(draft, user, phoneNumber);
+    } catch (error) {
+      // Nothing is lost - hand the draft back so Save can be tapped again
+      await supabaseService.releaseTransactionDraft(draftId, user.user_id);
+      throw error;
+    }
+  } catch (error) {
+    logger.logError(error, { context: 'handleReviewAction', action, draftId, userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.actionFailed'));
+  }
+}
+
+/**
+ * Save a claimed draft, then delete it
+ * Safe to repeat after a failure: the insert is deduplicated by the draft's source message id,
+ * split shares, goal contributions and budget alerts are recorded once
+ */
+async function saveDraft(draft, user, phoneNumber) {
+  // IOU entries go to the dues ledger, not the transactions table
+  if (draft.transaction.debt) {
+    // Lazy require to avoid a circular dependency with iouController
+    const { recordDebt } = require('./iouController');
+    const saved = await recordDebt(draft.transaction, user, phoneNumber, draft.source_message_id);
+
+    if (!saved) {
+      // recordDebt already told the user; just give the draft back
+      await supabaseService.releaseTransactionDraft(draft.draft_id, user.user_id);
+      return;
+    }
+
+    await supabaseService.deleteTransactionDraft(draft.draft_id, user.user_id);
+    logger.info('Reviewed IOU entry saved', { draft_id: draft.draft_id, user_id: user.user_id });
+    return;
+  }
+
+  // Goal contributions are added to their goal once saved (unless edited into income while under review)
+  if (draft.extracted.goal && draft.transaction.type === 'debit') {
+    // Lazy require to avoid a circular dependency with goalController
+    const { saveContribution } = require('./goalController');
+    await saveContribution(draft.transaction, draft.extracted.goal, user, phoneNumber, draft.source_message_id);
+    await supabaseService.deleteTransactionDraft(draft.draft_id, user.user_id);
+
+    logger.info('Reviewed goal contribution saved', { draft_id: draft.draft_id, user_id: user.user_id });
+    return;
+  }
+
+  const savedTransaction = await supabaseService.insertTransaction(draft.transaction);
+
+  // Lazy require to avoid a circular dependency with messageController
+  const { sendTransactionConfirmation } = require('./messageController');
+  await sendTransactionConfirmation(
+    draft.extracted,
+    savedTransaction,
+    user,
+    phoneNumber,
+    draft.source_message_id
+  );
+  await budgetController.checkBudgetAlerts(savedTransaction, user, phoneNumber);
+
+  // "SPLIT 1200 dinner with Priya" - the shares are recorded once the expense is saved
+  // (unless it was edited into income while under review)
+  if (draft.extracted.split && savedTransaction.type === 'debit') {
+    // Lazy require to avoid a circular dependency with splitController
+    const { recordSplit } = require('./splitController');
+    await recordSplit(savedTransaction, draft.extracted.split.members, user, phoneNumber);
+  }
+
+  await supabaseService.deleteTransactionDraft(draft.draft_id, user.user_id);
+
+  logger.info('Reviewed transaction saved', {
+    draft_id: draft.draft_id,
+    transaction_id: savedTransaction.transaction_id,
+    user_id: user.user_id,
+  });
+}
+
+/**
+ * Handle REVIEW command
+ * Format: REVIEW (status), REVIEW ON, REVIEW OFF
+ */
+async function handleReviewCommand(text, user, phoneNumber) {
+  try {
+    const option = text.trim().split(/\s+/)[1]?.toUpperCase();
+
+    if (!option) {
+      const enabled = await supabaseService.getFamilyReviewMode(user.family_id);
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, enabled ? 'review.statusOn' : 'review.statusOff')
+      );
+      return;
+    }
+
+    if (option !== 'ON' && option !== 'OFF') {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.usage'));
+      return;
+    }
+
+    if (!isFamilyAdmin(user)) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.adminOnly'));
+      return;
+    }
+
+    const enabled = option === 'ON';
+    await supabaseService.setFamilyReviewMode(user.family_id, enabled);
+
+    await supabaseService.logEvent('review_mode_changed', {
+      familyId: user.family_id,
+      userId: user.user_id,
+      enabled,
+    });
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      t(user.language, enabled ? 'review.enabled' : 'review.disabled')
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleReviewCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'review.updateFailed'));
+  }
+}
+
+module.exports = {
+  holdForReview,
+  sendDraftForReview,
+  handleReviewAction,
+  handleReviewCommand,
+};
@@ -0,0 +1,344 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const budgetController = require('./budgetController');
+const reviewController = require('./reviewController');
+const logger = require('../utils/logger');
+const { toDateString } = require('../utils/periods');
+const { resolveMember } = require('../utils/spendingQuery');
+const { resolveWallet } = require('../utils/wallets');
+const {
+  parseSplitCommand,
+  calculateShares,
+  calculateBalances,
+  parseSettleArgs,
+} = require('../utils/splits');
+const { t, formatMoney } = require('../utils/i18n');
+
+/**
+ * Split Controller - SPLIT expenses between family members, BALANCES and SETTLE
+ * A split expense is saved once for the full amount under the payer;
+ * each member's share is recorded in transaction_splits
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle SPLIT commands
+ */
+async function handleSplitCommand(text, msg, user, phoneNumber) {
+  try {
+    const command = parseSplitCommand(text);
+
+    if (!command || (!command.equally && command.memberNames.length === 0)) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.usage'));
+      return;
+    }
+
+    const members = await supabaseService.getFamilyMembers(user.family_id);
+    const participants = resolveParticipants(command, members, user);
+
+    if (participants.unknown.length > 0) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(user.language, 'member.notFound', { name: participants.unknown.join('", "') })
+      );
+      return;
+    }
+
+    if (participants.members.length < 2) {
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.nobodyElse'));
+      return;
+    }
+
+    // A new expense is saved like any other entry (review mode included); an existing one just gets its shares
+    if (command.amount) {
+      await createSplitExpense(command, participants.members, msg, user, phoneNumber);
+      return;
+    }
+
+    const transaction = await findTransactionToSplit(msg, user, phoneNumber);
+
+    if (!transaction) return;
+
+    await recordSplit(transaction, participants.members, user, phoneNumber);
+  } catch (error) {
+    logger.logError(error, { context: 'handleSplitCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.failed'));
+  }
+}
+
+/**
+ * Record each member's share of a saved expense and tell the user who owes what
+ * Also used by reviewController once a split expense held for review is saved
+ * @param {Array} members - { user_id, full_name } of everyone sharing it, payer first
+ */
+async function recordSplit(transaction, members, user, phoneNumber) {
+  const shares = calculateShares(Number(transaction.amount), members.map(m => m.user_id));
+  await supabaseService.createTransactionSplits(transaction, shares);
+
+  await supabaseService.logEvent('expense_split', {
+    transactionId: transaction.transaction_id,
+    userId: user.user_id,
+    members: shares.length,
+  });
+
+  const lang = user.language;
+  const money = amount => formatMoney(amount, user.currency, lang);
+  const title = t(lang, 'split.title', {
+    amount: money(transaction.amount),
+    description: transaction.description || t(lang, 'split.expense'),
+  });
+
+  let message = `✂️ *${title}*\n\n`;
+  shares.forEach(share => {
+    const member = members.find(m => m.user_id === share.userId);
+    message += `• ${share.userId === user.user_id ? t(lang, 'member.you') : member.full_name}: ${money(share.amount)}\n`;
+  });
+  message += `\n${t(lang, 'split.balancesHint')}`;
+
+  await whatsappService.sendTextMessage(phoneNumber, message);
+}
+
+/**
+ * Work out who shares the expense (the payer always does)
+ * @returns {{ members: Array, unknown: Array<string> }}
+ */
+function resolveParticipants(command, members, user) {
+  const payer = members.find(m => m.user_id === user.user_id) ||
+    { user_id: user.user_id, full_name: user.full_name };
+
+  if (command.equally) {
+    return { members: [payer, ...members.filter(m => m.user_id !== user.user_id)], unknown: [] };
+  }
+
+  const selected = [payer];
+  const unknown = [];
+
+  command.memberNames.forEach(name => {
+    const member = resolveMember(name, members, user);
+
+    if (!member) {
+      unknown.push(name);
+    } else if (!selected.some(m => m.user_id === member.user_id)) {
+      selected.push(member);
+    }
+  });
+
+  return { members: selected, unknown };
+}
+
+/**
+ * Save a new expense paid by the user for "SPLIT <amount> <description> ..." and split it
+ * Goes through the same steps as an extracted transaction: review mode, source message id
+ * (so a redelivered message can't insert it twice) and the confirmation message
+ * @param {Array} members - Everyone sharing the expense, payer first
+ */
+async function createSplitExpense(command, members, msg, user, phoneNumber) {
+  const description = command.description || t(user.language, 'split.defaultDescription');
+  const [categories, wallets, reviewMode] = await Promise.all([
+    supabaseService.getCategoriesForFamily(user.family_id),
+    supabaseService.getWalletsForUser(user),
+    supabaseService.getFamilyReviewMode(user.family_id),
+  ]);
+  const categoryId = supabaseService.getCategoryByName(description, categories);
+  const wallet = resolveWallet(null, wallets, user.user_id);
+  const date = toDateString(new Date());
+
+  const transactionData = {
+    user_id: user.user_id,
+    family_id: user.family_id,
+    amount: command.amount,
+    type: 'debit',
+    description,
+    date,
+    category_id: categoryId,
+    wallet_id: wallet.wallet_id,
+    recipient_id: user.user_id,
+    source_message_id: msg.id,
+    source_message_index: 0,
+  };
+  const extracted = {
+    type: 'debit',
+    amount: command.amount,
+    currency: user.currency,
+    description,
+    date,
+    category: categories.find(c => c.category_id === categoryId)?.name || 'Other',
+    wallet: wallet.name,
+    split: { members: members.map(m => ({ user_id: m.user_id, full_name: m.full_name })) },
+  };
+
+  if (reviewMode) {
+    await reviewController.holdForReview(transactionData, extracted, user, phoneNumber, msg.id);
+    return;
+  }
+
+  const transaction = await supabaseService.insertTransaction(transactionData);
+
+  // Lazy require - messageController depends on this controller
+  const { sendTransactionConfirmation } = require('./messageController');
+  await sendTransactionConfirmation(extracted, transaction, user, phoneNumber, msg.id);
+  await budgetController.checkBudgetAlerts(transaction, user, phoneNumber);
+
+  await recordSplit(transaction, members, user, phoneNumber);
+}
+
+/**
+ * Find the expense to split: the quoted confirmation, otherwise the user's last entry
+ * Sends an explanation and returns null if it can't be split
+ */
+async function findTransactionToSplit(msg, user, phoneNumber) {
+  let transaction = null;
+
+  if (msg.context?.id) {
+    transaction = await supabaseService.getTransactionByConfirmationMessage(msg.context.id, user.user_id);
+  }
+
+  if (!transaction) {
+    transaction = await supabaseService.getLastTransaction(user.user_id);
+  }
+
+  if (!transaction) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.noRecent'));
+    return null;
+  }
+
+  if (transaction.type !== 'debit') {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.onlyExpenses'));
+    return null;
+  }
+
+  const existing = await supabaseService.getSplitsForTransaction(transaction.transaction_id);
+
+  if (existing.length > 0) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'split.alreadySplit', {
+      amount: formatMoney(transaction.amount, user.currency, user.language),
+      description: transaction.description || t(user.language, 'transaction.noDescription'),
+    }));
+    return null;
+  }
+
+  return transaction;
+}
+
+/**
+ * Handle BALANCES - who owes whom inside the family
+ */
+async function handleBalancesCommand(user, phoneNumber) {
+  const lang = user.language;
+
+  try {
+    const [ledger, members] = await Promise.all([
+      supabaseService.getFamilySplitLedger(user.family_id),
+      supabaseService.getFamilyMembers(user.family_id),
+    ]);
+    const balances = calculateBalances(ledger.splits, ledger.settlements);
+
+    if (balances.length === 0) {
+      await whatsappService.sendTextMessage(phoneNumber, t(lang, 'split.allSettled'));
+      return;
+    }
+
+    const nameOf = (userId) => members.find(m => m.user_id === userId)?.full_name || t(lang, 'member.former');
+
+    let message = `${t(lang, 'split.balancesTitle')}\n\n`;
+    balances.forEach(balance => {
+      const amount = formatMoney(balance.amount, user.currency, lang);
+      // "You owe Priya" / "Priya owes you" read differently from "Priya owes Arjun" in every language
+      const line = balance.from === user.user_id
+        ? t(lang, 'iou.youOwe', { name: nameOf(balance.to), amount })
+        : balance.to === user.user_id
+          ? t(lang, 'iou.owesYou', { name: nameOf(balance.from), amount })
+          : t(lang, 'split.owes', { from: nameOf(balance.from), to: nameOf(balance.to), amount });
+      message += `• ${line}\n`;
+    });
+    message += `\n${t(lang, 'split.settleHint')}`;
+
+    await whatsappService.sendTextMessage(phoneNumber, message);
+  } catch (error) {
+    logger.logError(error, { context: 'handleBalancesCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(lang, 'split.balancesFailed'));
+  }
+}
+
+/**
+ * Handle SETTLE - record a repayment
+ * Format: SETTLE <name> [amount]       (you paid them; defaults to everything you owe)
+ *         SETTLE FROM <name> [amount]  (they paid you)
+ */
+async function handleSettleCommand(text, user, phoneNumber) {
+  const lang = user.language;
+  const money = amount => formatMoney(amount, user.currency, lang);
+
+  try {
+    const [, ...args] = text.trim().split(/\s+/);
+    const parsed = parseSettleArgs(args);
+
+    if (!parsed) {
+      await whatsappService.sendTextMessage(phoneNumber, t(lang, 'split.settleUsage'));
+      return;
+    }
+
+    const members = await supabaseService.getFamilyMembers(user.family_id);
+    const member = resolveMember(parsed.name, members, user);
+
+    if (!member || member.user_id === user.user_id) {
+      await whatsappService.sendTextMessage(phoneNumber, t(lang, 'member.notFound', { name: parsed.name }));
+      return;
+    }
+
+    const [fromUserId, toUserId] = parsed.direction === 'to'
+      ? [user.user_id, member.user_id]
+      : [member.user_id, user.user_id];
+
+    const ledger = await supabaseService.getFamilySplitLedger(user.family_id);
+    const outstanding = calculateBalances(ledger.splits, ledger.settlements)
+      .find(b => b.from === fromUserId && b.to === toUserId)?.amount || 0;
+
+    if (outstanding === 0) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        t(lang, parsed.direction === 'to' ? 'split.youDontOwe' : 'split.theyDontOwe', { name: member.full_name })
+      );
+      return;
+    }
+
+    const amount = parsed.amount || outstanding;
+
+    if (amount > outstanding) {
+      await whatsappService.sendTextMessage(phoneNumber, t(lang, 'split.onlyOutstanding', { amount: money(outstanding) }));
+      return;
+    }
+
+    await supabaseService.recordSettlement({
+      familyId: user.family_id,
+      fromUserId,
+      toUserId,
+      amount,
+      createdBy: user.user_id,
+    });
+
+    await supabaseService.logEvent('split_settled', { familyId: user.family_id, fromUserId, toUserId, amount });
+
+    const remaining = Math.round((outstanding - amount) * 100) / 100;
+    const paid = t(lang, parsed.direction === 'to' ? 'split.youPaid' : 'split.theyPaid', {
+      name: member.full_name,
+      amount: money(amount),
+    });
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      `${paid}\n\n` +
+      (remaining > 0 ? t(lang, 'split.stillOutstanding', { amount: money(remaining) }) : t(lang, 'split.pairSettled'))
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'handleSettleCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(lang, 'split.settleFailed'));
+  }
+}
+
+module.exports = {
+  handleSplitCommand,
+  recordSplit,
+  handleBalancesCommand,
+  handleSettleCommand,
+};
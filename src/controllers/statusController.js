@@ -0,0 +1,60 @@
+const supabaseService = require('../services/supabaseService');
+const logger = require('../utils/logger');
+const { parseStatusUpdate, shouldApplyStatus, WINDOW_CLOSED_ERROR_CODE } = require('../utils/deliveryStatus');
+
+/**
+ * Status Controller - Delivery status callbacks (sent / delivered / read / failed)
+ * for messages we sent, tracked in outbound_messages
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle one entry of value.statuses from the webhook
+ */
+async function handleStatusUpdate(status) {
+  const update = parseStatusUpdate(status);
+
+  if (!update) {
+    logger.debug('Ignoring unknown status callback', { status: status?.status, messageId: status?.id });
+    return;
+  }
+
+  let tracked = await supabaseService.getOutboundMessage(update.messageId);
+
+  // The callback can beat recordOutboundMessage - keep the status on a row the send fills in later
+  if (!tracked) {
+    const recorded = await supabaseService.recordEarlyOutboundStatus(update);
+
+    if (!recorded) {
+      tracked = await supabaseService.getOutboundMessage(update.messageId);
+    }
+  }
+
+  if (tracked && shouldApplyStatus(tracked.status, update.status)) {
+    await supabaseService.updateOutboundMessageStatus(update.messageId, update);
+  }
+
+  if (update.status === 'failed') {
+    await supabaseService.logEvent('whatsapp_message_failed', {
+      messageId: update.messageId,
+      recipient: update.recipient,
+      job: tracked?.job || null,
+      messageType: tracked?.message_type || null,
+      errorCode: update.error?.code ?? null,
+      errorTitle: update.error?.title ?? null,
+      errorDetails: update.error?.details ?? null,
+      windowClosed: update.error?.code === WINDOW_CLOSED_ERROR_CODE,
+    });
+
+    logger.warn('WhatsApp message delivery failed', {
+      messageId: update.messageId,
+      recipient: update.recipient,
+      errorCode: update.error?.code,
+      errorTitle: update.error?.title,
+    });
+  }
+}
+
+module.exports = {
+  handleStatusUpdate,
+};
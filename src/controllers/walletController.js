@@ -0,0 +1,217 @@
+const whatsappService = require('../services/whatsappService');
+const supabaseService = require('../services/supabaseService');
+const reviewController = require('./reviewController');
+const logger = require('../utils/logger');
+const { TYPE_LABELS, parseWalletArgs, matchWallet, describeWalletBalance, formatWalletType } = require('../utils/wallets');
+const { t } = require('../utils/i18n');
+
+/**
+ * Wallet Controller - WALLET commands (cash, bank, credit card and UPI wallets)
+ * Following Single Responsibility Principle
+ */
+
+/**
+ * Handle WALLET / WALLETS commands
+ * Format: WALLETS
+ *         WALLET ADD <name> <cash|bank|card|upi> [opening balance] [SHARED]
+ *         WALLET DEFAULT <name>
+ *         WALLET REMOVE <name>
+ */
+async function handleWalletCommand(text, user, phoneNumber) {
+  try {
+    const [, subcommand, ...args] = text.trim().split(/\s+/);
+    const option = subcommand?.toUpperCase();
+
+    if (!option) {
+      await sendWalletBalances(user, phoneNumber);
+      return;
+    }
+
+    if (option === 'ADD') {
+      await addWallet(args, user, phoneNumber);
+      return;
+    }
+
+    if ((option === 'DEFAULT' || option === 'REMOVE') && args.length > 0) {
+      await updateWallet(option, args.join(' '), user, phoneNumber);
+      return;
+    }
+
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.usage'));
+  } catch (error) {
+    logger.logError(error, { context: 'handleWalletCommand', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.updateFailed'));
+  }
+}
+
+/**
+ * Show the user's wallets with balances
+ */
+async function sendWalletBalances(user, phoneNumber) {
+  const lang = user.language;
+  const wallets = await supabaseService.getWalletsForUser(user);
+  const balances = await supabaseService.getWalletBalances(wallets.map(w => w.wallet_id));
+
+  let message = `${t(lang, 'wallet.title')}\n\n`;
+  wallets.forEach(wallet => {
+    const balance = balances.get(wallet.wallet_id) ?? (Number(wallet.opening_balance) || 0);
+    const tags = [
+      wallet.is_default && wallet.user_id === user.user_id ? t(lang, 'wallet.default') : null,
+      wallet.is_shared ? t(lang, 'wallet.shared') : null,
+    ].filter(Boolean);
+
+    message += `${TYPE_LABELS[wallet.type].split(' ')[0]} *${wallet.name}*: `;
+    message += describeWalletBalance(wallet, balance, user.currency, lang);
+    message += tags.length > 0 ? ` (${tags.join(', ')})\n` : '\n';
+  });
+
+  message += `\n${t(lang, 'wallet.balancesHint')}`;
+
+  await whatsappService.sendTextMessage(phoneNumber, message);
+}
+
+/**
+ * Add a wallet from "<name> <type> [opening balance] [SHARED]"
+ */
+async function addWallet(args, user, phoneNumber) {
+  const parsed = parseWalletArgs(args);
+
+  if (!parsed) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.usage'));
+    return;
+  }
+
+  const wallets = await supabaseService.getWalletsForUser(user);
+
+  if (wallets.some(w => w.name.toLowerCase() === parsed.name.toLowerCase())) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.exists', { name: parsed.name }));
+    return;
+  }
+
+  const wallet = await supabaseService.createWallet({
+    userId: user.user_id,
+    familyId: user.family_id,
+    name: parsed.name,
+    type: parsed.type,
+    openingBalance: parsed.openingBalance,
+    isShared: parsed.shared,
+  });
+
+  await supabaseService.logEvent('wallet_created', {
+    walletId: wallet.wallet_id,
+    userId: user.user_id,
+    type: wallet.type,
+  });
+
+  await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.added', {
+    type: formatWalletType(wallet.type, user.language),
+    label: wallet.is_shared ? t(user.language, 'wallet.sharedName', { name: wallet.name }) : wallet.name,
+    balance: describeWalletBalance(wallet, Number(wallet.opening_balance), user.currency, user.language),
+    name: wallet.name,
+  }));
+}
+
+/**
+ * Set a default wallet or remove a wallet (own wallets only)
+ */
+async function updateWallet(option, name, user, phoneNumber) {
+  const wallets = await supabaseService.getWalletsForUser(user);
+  const wallet = matchWallet(name, wallets.filter(w => w.user_id === user.user_id), user.user_id);
+
+  if (!wallet) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.notFound', { name }));
+    return;
+  }
+
+  if (option === 'DEFAULT') {
+    await supabaseService.setDefaultWallet(wallet.wallet_id, user.user_id);
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.defaultSet', { name: wallet.name }));
+    return;
+  }
+
+  if (wallet.is_default) {
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.isDefault', { name: wallet.name }));
+    return;
+  }
+
+  // Deactivate rather than delete so past transactions keep their wallet
+  await supabaseService.updateWallet(wallet.wallet_id, user.user_id, { is_active: false, is_default: false });
+  await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.removed', { name: wallet.name }));
+}
+
+/**
+ * Record an extracted transfer between two of the user's wallets
+ * ("withdrew 5000 cash", "paid card bill 12000 from savings")
+ * Transfers move money without spending it, so there's no category or budget check
+ * @param {Object} transaction - Validated extraction with type "transfer"
+ * @param {number} [sourceIndex] - Position of the transaction in a multi-item extraction
+ * @param {boolean} [reviewMode] - Hold the transfer as a draft until the user confirms it
+ */
+async function recordTransfer(transaction, user, phoneNumber, messageId, sourceIndex = 0, reviewMode = false) {
+  try {
+    const wallets = await supabaseService.getWalletsForUser(user);
+    const destination = matchWallet(transaction.to_wallet, wallets, user.user_id);
+    const source = matchWallet(transaction.from_wallet || transaction.payment_method, wallets, user.user_id) ||
+      wallets.find(w => w.is_default && w.user_id === user.user_id && w.wallet_id !== destination?.wallet_id) ||
+      null;
+
+    if (!source || !destination || source.wallet_id === destination.wallet_id) {
+      const names = wallets.map(w => w.name).join(', ');
+      await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.transferUnclear', { names }));
+      await whatsappService.sendReaction(phoneNumber, messageId, '❌');
+      return;
+    }
+
+    const transactionData = {
+      user_id: user.user_id,
+      family_id: user.family_id,
+      amount: transaction.amount,
+      type: 'transfer',
+      description: transaction.description || `${source.name} → ${destination.name}`,
+      date: transaction.date,
+      category_id: null,
+      wallet_id: source.wallet_id,
+      to_wallet_id: destination.wallet_id,
+      recipient_id: user.user_id,
+      original_amount: transaction.original_amount,
+      original_currency: transaction.original_currency,
+      exchange_rate: transaction.exchange_rate,
+      source_message_id: messageId,
+      source_message_index: sourceIndex,
+    };
+    const confirmed = { ...transaction, wallet: source.name, toWallet: destination.name };
+
+    if (reviewMode) {
+      const date = new Date(transaction.date).toISOString().split('T')[0];
+      await reviewController.holdForReview(
+        { ...transactionData, date },
+        { ...confirmed, date },
+        user,
+        phoneNumber,
+        messageId
+      );
+      return;
+    }
+
+    const savedTransaction = await supabaseService.insertTransaction(transactionData);
+
+    // Lazy require - messageController depends on this controller
+    const { sendTransactionConfirmation } = require('./messageController');
+    await sendTransactionConfirmation(
+      confirmed,
+      savedTransaction,
+      user,
+      phoneNumber,
+      messageId
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'recordTransfer', userId: user.user_id });
+    await whatsappService.sendTextMessage(phoneNumber, t(user.language, 'wallet.transferFailed'));
+    await whatsappService.sendReaction(phoneNumber, messageId, '❌');
+  }
+}
+
+module.exports = {
+  handleWalletCommand,
+  recordTransfer,
+};
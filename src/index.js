@@ -6,6 +6,7 @@ const rateLimit = require('express-rate-limit');
 const whatsappWebhook = require('./routes/whatsappWebhook');
 const adminRoutes = require('./routes/admin');
 const { startScheduler } = require('./services/schedulerService');
+const { startOutboundQueue } = require('./services/outboundQueue');
 const logger = require('./utils/logger');
 
 /**
@@ -52,8 +53,8 @@ app.use(limiter);
 app.use(bodyParser.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
-    // Store raw body for webhook signature verification
-    req.rawBody = buf.toString('utf8');
+    // Store raw body for webhook signature verification (the HMAC covers the exact bytes)
+    req.rawBody = buf;
   }
 }));
 
@@ -146,6 +147,11 @@ const server = app.listen(PORT, () => {
   } catch (error) {
     logger.error('Failed to start scheduler:', error);
   }
+
+  // Start sending queued WhatsApp messages
+  startOutboundQueue().catch(error => {
+    logger.error('Failed to start outbound queue:', error);
+  });
 });
 
 // =============================================
@@ -160,6 +166,10 @@ process.on('SIGTERM', () => {
     // Stop scheduler
     const { stopScheduler } = require('./services/schedulerService');
     stopScheduler();
+
+    // Stop outbound queue (unsent messages stay queued for the next start)
+    const { stopOutboundQueue } = require('./services/outboundQueue');
+    stopOutboundQueue();
     
     logger.info('Application shutdown complete');
     process.exit(0);
@@ -174,6 +184,10 @@ process.on('SIGINT', () => {
     // Stop scheduler
     const { stopScheduler } = require('./services/schedulerService');
     stopScheduler();
+
+    // Stop outbound queue (unsent messages stay queued for the next start)
+    const { stopOutboundQueue } = require('./services/outboundQueue');
+    stopOutboundQueue();
     
     logger.info('Application shutdown complete');
     process.exit(0);
@@ -1,6 +1,7 @@
 const supabaseService = require('../services/supabaseService');
 const whatsappService = require('../services/whatsappService');
 const { getDailyReminderMessage } = require('../utils/prompts');
+const { t } = require('../utils/i18n');
 const logger = require('../utils/logger');
 
 /**
@@ -25,18 +26,17 @@ async function sendDailyReminders() {
     let successCount = 0;
     let failureCount = 0;
 
-    // Send reminders to all users
+    // Send reminders to all users (the outbound queue handles rate limiting)
     for (const link of activeUsers) {
       try {
-        const userName = link.users?.full_name || 'there';
-        const message = getDailyReminderMessage(userName);
+        const userName = link.users?.full_name;
+        const message = getDailyReminderMessage(userName, link.language);
 
-        await whatsappService.sendTextMessage(link.whatsapp_number, message);
+        await whatsappService.sendProactiveMessage(link.whatsapp_number, 'dailyReminder', message, {
+          userName: userName || t(link.language, 'user.fallbackName'),
+        }, link.language);
         
         successCount++;
-        
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       } catch (error) {
         logger.logError(error, {
           context: 'sendDailyReminder',
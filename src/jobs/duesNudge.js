@@ -0,0 +1,106 @@
+const supabaseService = require('../services/supabaseService');
+const whatsappService = require('../services/whatsappService');
+const { describeBalance, summarizeDues } = require('../utils/iou');
+const { t, formatMoney } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+/**
+ * Dues Nudge Job
+ * Weekly reminder to each user with outstanding IOU balances (enabled with DUES_NUDGE_ENABLED=true)
+ */
+
+const MAX_LISTED = 5;
+
+async function sendDuesNudges() {
+  try {
+    const counterparties = await supabaseService.getOutstandingCounterparties();
+
+    if (counterparties.length === 0) {
+      logger.info('No outstanding dues to nudge');
+      return { sent: 0, failed: 0 };
+    }
+
+    const byUser = new Map();
+    counterparties.forEach(c => {
+      byUser.set(c.user_id, [...(byUser.get(c.user_id) || []), c]);
+    });
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const [userId, dues] of byUser) {
+      try {
+        const user = await supabaseService.getWhatsappUserById(userId);
+
+        // User unlinked WhatsApp since recording the dues
+        if (!user?.whatsapp_number) continue;
+
+        const currency = await supabaseService.getFamilyBaseCurrency(user.family_id);
+        const totals = formatTotals(dues, currency, user.language);
+
+        await whatsappService.sendProactiveMessage(
+          user.whatsapp_number,
+          'duesNudge',
+          getNudgeMessage(dues, currency, user.language),
+          totals,
+          user.language
+        );
+        sent++;
+      } catch (error) {
+        logger.logError(error, { context: 'sendDuesNudge', userId });
+        failed++;
+      }
+    }
+
+    await supabaseService.logEvent('dues_nudges_sent', {
+      totalUsers: byUser.size,
+      sent,
+      failed,
+      timestamp: new Date().toISOString(),
+    });
+
+    logger.info('Dues nudge job completed', { totalUsers: byUser.size, sent, failed });
+    return { sent, failed };
+  } catch (error) {
+    logger.logError(error, { context: 'sendDuesNudges' });
+    throw error;
+  }
+}
+
+/**
+ * Totals owed either way, formatted in the family's currency
+ * @returns {{ owedToYou: string, youOwe: string }}
+ */
+function formatTotals(dues, currency, language) {
+  const { owedToYou, youOwe } = summarizeDues(dues);
+
+  return {
+    owedToYou: formatMoney(owedToYou, currency, language),
+    youOwe: formatMoney(youOwe, currency, language),
+  };
+}
+
+/**
+ * Weekly summary of one user's outstanding dues (largest first)
+ */
+function getNudgeMessage(dues, currency, language) {
+  const sorted = [...dues].sort((a, b) => Math.abs(b.balance) - Math.abs(a.balance));
+
+  let message = `${t(language, 'iou.nudgeTitle')}\n\n`;
+  sorted.slice(0, MAX_LISTED).forEach(c => {
+    message += `• ${describeBalance(c.name, c.balance, currency, language)}\n`;
+  });
+
+  if (sorted.length > MAX_LISTED) {
+    message += `• ${t(language, 'iou.nudgeMore', { count: sorted.length - MAX_LISTED })}\n`;
+  }
+
+  message += `\n${t(language, 'iou.nudgeTotals', formatTotals(dues, currency, language))}\n\n`;
+  message += t(language, 'iou.nudgeHint');
+
+  return message;
+}
+
+module.exports = {
+  sendDuesNudges,
+};
@@ -0,0 +1,154 @@
+const supabaseService = require('../services/supabaseService');
+const whatsappService = require('../services/whatsappService');
+const { toDateString } = require('../utils/periods');
+const { getDueOccurrences, nextOccurrence } = require('../utils/recurrence');
+const { resolveWallet } = require('../utils/wallets');
+const { t, formatMoney } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+/**
+ * Recurring Transactions Job
+ * Posts due occurrences of recurring transactions and notifies their owners
+ * Missed runs are caught up; each occurrence is claimed in recurring_postings first,
+ * so restarts and overlapping runs never post the same occurrence twice
+ */
+
+async function postDueRecurringTransactions() {
+  try {
+    const today = toDateString(new Date());
+    const dueItems = await supabaseService.getDueRecurringTransactions(today);
+
+    if (dueItems.length === 0) {
+      logger.info('No recurring transactions due');
+      return { posted: 0, failed: 0 };
+    }
+
+    logger.info(`Processing ${dueItems.length} due recurring transactions`);
+
+    let posted = 0;
+    let failed = 0;
+
+    for (const item of dueItems) {
+      try {
+        posted += await postRecurringItem(item, today);
+      } catch (error) {
+        logger.logError(error, { context: 'postRecurringItem', recurringId: item.recurring_id });
+        failed++;
+      }
+    }
+
+    await supabaseService.logEvent('recurring_transactions_posted', {
+      dueCount: dueItems.length,
+      posted,
+      failed,
+      timestamp: new Date().toISOString(),
+    });
+
+    logger.info('Recurring transactions job completed', { dueCount: dueItems.length, posted, failed });
+    return { posted, failed };
+  } catch (error) {
+    logger.logError(error, { context: 'postDueRecurringTransactions' });
+    throw error;
+  }
+}
+
+/**
+ * Post every due occurrence of one recurring transaction
+ * @returns {number} occurrences posted
+ */
+async function postRecurringItem(item, today) {
+  const occurrences = getDueOccurrences(item, today);
+  const posted = [];
+
+  // Posted to the owner's default wallet
+  const wallets = occurrences.length > 0
+    ? await supabaseService.getWalletsForUser({ user_id: item.user_id, family_id: item.family_id })
+    : [];
+  const wallet = resolveWallet(null, wallets, item.user_id);
+
+  for (const occurrenceDate of occurrences) {
+    const claimed = await supabaseService.claimRecurringPosting(item.recurring_id, occurrenceDate);
+
+    if (!claimed) {
+      logger.info('Recurring occurrence already posted', { recurringId: item.recurring_id, occurrenceDate });
+      continue;
+    }
+
+    try {
+      const transaction = await supabaseService.insertTransaction({
+        user_id: item.user_id,
+        family_id: item.family_id,
+        amount: item.amount,
+        type: item.type,
+        description: item.description,
+        date: occurrenceDate,
+        category_id: item.category_id,
+        wallet_id: wallet.wallet_id,
+        recipient_id: item.user_id,
+      });
+
+      await supabaseService.completeRecurringPosting(item.recurring_id, occurrenceDate, transaction.transaction_id);
+      posted.push(occurrenceDate);
+    } catch (error) {
+      // Let the next run retry this occurrence
+      await supabaseService.releaseRecurringPosting(item.recurring_id, occurrenceDate);
+      throw error;
+    }
+  }
+
+  // Advance past everything handled in this run
+  if (occurrences.length > 0) {
+    await supabaseService.updateRecurringTransaction(item.recurring_id, {
+      next_due_date: nextOccurrence(item, occurrences[occurrences.length - 1]),
+    });
+  }
+
+  if (posted.length > 0) {
+    await notifyOwner(item, posted);
+  }
+
+  return posted.length;
+}
+
+/**
+ * Tell the owner which occurrences were logged
+ */
+async function notifyOwner(item, postedDates) {
+  try {
+    const owner = await supabaseService.getWhatsappUserById(item.user_id);
+
+    if (!owner?.whatsapp_number) {
+      return;
+    }
+
+    const lang = owner.language;
+    const currency = await supabaseService.getFamilyBaseCurrency(item.family_id);
+    const amount = formatMoney(item.amount, currency, lang);
+    const dates = postedDates.length === 1
+      ? postedDates[0]
+      : t(lang, 'recurring.loggedRange', {
+        count: postedDates.length,
+        from: postedDates[0],
+        to: postedDates[postedDates.length - 1],
+      });
+
+    await whatsappService.sendProactiveMessage(
+      owner.whatsapp_number,
+      'recurringPosted',
+      t(lang, 'recurring.logged', {
+        icon: item.type === 'credit' ? '💰' : '💸',
+        amount,
+        description: item.description,
+        dates,
+      }),
+      { amount, description: item.description, dates },
+      lang
+    );
+  } catch (error) {
+    logger.logError(error, { context: 'notifyRecurringOwner', recurringId: item.recurring_id });
+  }
+}
+
+module.exports = {
+  postDueRecurringTransactions,
+};
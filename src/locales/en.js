@@ -0,0 +1,549 @@
+/**
+ * English message catalog (default language)
+ * {name} placeholders are filled in by i18n.t; { one, other } entries are plural forms picked by {count}
+ * Commands (LINK, EDIT, ...) stay in English in every catalog - they are parsed in English
+ */
+
+module.exports = {
+  // Transaction confirmations
+  'transaction.recorded': 'Transaction Recorded',
+  'transaction.transferRecorded': 'Transfer Recorded',
+  'transaction.pleaseReview': 'Please Review',
+  'transaction.received': 'Received',
+  'transaction.spent': 'Spent',
+  'transaction.moved': 'Moved',
+  'transaction.category': 'Category',
+  'transaction.vendor': 'Vendor',
+  'transaction.note': 'Note',
+  'transaction.wallet': 'Wallet',
+  'transaction.splitWith': 'Split with',
+  'transaction.goal': 'Goal',
+  'transaction.date': 'Date',
+  'transaction.from': 'From',
+  'transaction.to': 'To',
+  'transaction.entered': 'Entered: {amount} (1 {from} = {rate} {to})',
+  'transaction.saved': '✅ This has been saved to your finance tracker.',
+  'transaction.transferSaved': '✅ Saved. Transfers don\'t count as income or spending.',
+  'transaction.notSavedYet': 'This has NOT been saved yet. Save it to your finance tracker?',
+  'transaction.replyWith': 'Reply with:',
+  'transaction.editHint': '• "EDIT" to modify details',
+  'transaction.deleteHint': '• "DELETE" to remove this entry',
+  'transaction.categoryHint': '• "CATEGORY [name]" to change category',
+  'transaction.noDescription': 'No description',
+  'transaction.saveFailed': '❌ Failed to save transaction. Please try again.',
+  'transaction.categoryNotFound': '⚠️ Category "{category}" not found. Transaction saved under "Other" category.\n\n' +
+    '💡 Reply with "CATEGORY <name>" to move it, or "CATEGORIES" to see available categories.',
+  'transaction.noExchangeRate': '❌ I don\'t have a {from} → {to} exchange rate for {date}, so I couldn\'t save this.\n\n' +
+    '💡 Send it again in {to}, or ask your admin to add the rate.',
+
+  // Linking
+  'link.instructions': '👋 *Welcome to Finance Assistant!*\n\n' +
+    'I couldn\'t find your account. Let\'s link your WhatsApp to your finance tracker.\n\n' +
+    'Please reply with:\n' +
+    '*LINK [your-email]*\n\n' +
+    'Example: LINK john@example.com\n\n' +
+    'You\'ll receive a verification code to complete the setup.',
+  'link.verificationCode': '🔐 *Verification Code*\n\n' +
+    'Your verification code is: *{code}*\n\n' +
+    'This code will expire in {minutes}.\n' +
+    'Reply with: *VERIFY {code}*',
+  'link.success': '✅ *Account Linked Successfully!*\n\n' +
+    'Welcome, {name}! 🎉\n\n' +
+    'You can now send me:\n' +
+    '📸 Photos of bills/receipts\n' +
+    '🎤 Voice notes about expenses\n' +
+    '💬 Text messages with transaction details\n\n' +
+    'I\'ll automatically track everything for you!',
+  'link.invalidFormat': '❌ Invalid format. Please use:\n*LINK your-email@example.com*',
+  'link.invalidEmail': '❌ Invalid email format.',
+  'link.accountNotFound': '❌ No account found with email: {email}\n\nPlease sign up at {url} first.',
+  'link.failed': '❌ Failed to initiate linking. Please try again.',
+  'link.verifyInvalidFormat': '❌ Invalid format. Please use:\n*VERIFY 123456*',
+  'link.invalidCode': '❌ Invalid verification code format.',
+  'link.codeExpired': '❌ Invalid or expired verification code. Please request a new code with:\n*LINK your-email@example.com*',
+  'link.verifyFailed': '❌ Failed to verify code. Please try again.',
+  'link.unlinked': '🔓 Your WhatsApp account has been unlinked.\n\nYou can link again anytime by sending:\n*LINK your-email@example.com*',
+
+  // Reminders and subscription
+  'user.fallbackName': 'there',
+  'reminder.daily': '☀️ *Good morning, {name}!*\n\n' +
+    '📊 Did you have any expenses or income yesterday?\n\n' +
+    'Send me:\n' +
+    '• Photos of receipts\n' +
+    '• Voice notes\n' +
+    '• Text messages\n\n' +
+    'Or reply "NONE" if you have nothing to record today.',
+  'reminder.none': '✅ Got it! Have a great day!',
+  'subscription.required': '🔒 *Premium Feature*\n\n' +
+    'Hi {name},\n\n' +
+    'This feature requires an active subscription.\n\n' +
+    'Visit {url}/subscribe to upgrade your plan.\n\n' +
+    'Benefits:\n' +
+    '✨ Unlimited transaction tracking\n' +
+    '📊 Advanced analytics\n' +
+    '🤖 AI-powered insights\n' +
+    '☁️ Cloud backup',
+
+  // Processing media and errors
+  'extraction.failed': '❌ *Couldn\'t Extract Transaction*\n\n' +
+    'I couldn\'t find transaction details in your message.\n\n' +
+    'Please try:\n' +
+    '• Sending a clearer photo\n' +
+    '• Including amount and description\n' +
+    '• Speaking clearly in voice notes\n\n' +
+    'Example: "I spent 500 rupees on groceries"',
+  'media.processingImage': '📸 Processing your bill image...',
+  'media.transcribingAudio': '🎤 Transcribing your voice note...',
+  'media.processingDocument': '📄 Processing your document...',
+  'media.imageFailed': '❌ Failed to process image. Please try again or send a clearer photo.',
+  'media.audioUnclear': '❌ Failed to process audio. The audio was too unclear or quiet. Please speak clearly and try again.',
+  'media.audioTranscriptionFailed': '❌ Failed to process audio. Could not transcribe the audio. Please record a clear voice message.',
+  'media.audioFailed': '❌ Failed to process audio. Please try again or send a text message instead.',
+  'media.documentFailed': '❌ Failed to process document. Please send as image instead.',
+  'message.unsupportedType': '❌ Unsupported message type. Please send text, image, voice note, or document.',
+  'message.processingFailed': '❌ Sorry, something went wrong processing your message. Please try again.',
+  'session.cancelled': '👍 Cancelled. No changes were made.',
+
+  // Categories
+  'categories.title': '📋 *Available Categories*',
+  'categories.expense': '*💸 Expense Categories:*',
+  'categories.income': '*💰 Income Categories:*',
+  'categories.tips': '💡 *Tips:*\n' +
+    '• Use these category names in your transactions\n' +
+    '• Reply "ADD CATEGORY <name>" to add a custom category (Premium feature)\n' +
+    '• If no category matches, it will be saved as "Other"',
+  'categories.none': '❌ No categories found. Please contact support.',
+  'categories.fetchFailed': '❌ Failed to fetch categories. Please try again.',
+  'categories.premiumRequired': '🔒 *Custom Categories - Premium Feature*\n\n' +
+    'Adding custom categories is a premium feature.\n\n' +
+    'Upgrade to Premium to:\n' +
+    '• Create unlimited custom categories\n' +
+    '• Better organize your finances\n' +
+    '• Access advanced analytics\n\n' +
+    'Visit the app to upgrade! 🚀',
+  'categories.addUsage': '❌ Invalid format.\n\nUsage: ADD CATEGORY <category name>\n\nExample:\nADD CATEGORY Pets',
+  'categories.nameLength': '❌ Category name must be between 2 and 50 characters.',
+  'categories.exists': 'ℹ️ Category "{name}" already exists in your family account!',
+  'categories.added': '✅ *Category Added!*\n\n' +
+    '📁 "{name}" has been added to your categories.\n\n' +
+    'You can now use this category in your transactions. ' +
+    'Change the type (expense/income) in the app if needed.',
+  'categories.addFailed': '❌ Failed to add category. Please try again.',
+  'categories.notFound': '❌ Category "{category}" not found.\n\n💡 Reply with "CATEGORIES" to see available categories.',
+
+  // Language preference
+  'language.current': '🌐 Replies are in *{language}*.\n\nChange with:\n{options}',
+  'language.set': '✅ I\'ll reply in *{language}* from now on.',
+  'language.unknown': '❌ I don\'t support "{input}" yet.\n\nChoose one of:\n{options}',
+  'language.failed': '❌ Failed to change the language. Please try again.',
+
+  // Budgets
+  'budget.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• BUDGET - Show budget status\n' +
+    '• BUDGET SET Food 10000 [monthly|weekly]\n' +
+    '• BUDGET REMOVE Food',
+  'budget.none': '📭 No budgets set yet.\n\n💡 Reply "BUDGET SET Food 10000" to create one.',
+  'budget.title': '🎯 *Family Budgets*',
+  'budget.unknownCategory': 'Unknown category',
+  'budget.monthly': 'monthly',
+  'budget.weekly': 'weekly',
+  'budget.spentOf': 'Spent {spent} of {budget}',
+  'budget.left': '{amount} left',
+  'budget.over': '{amount} over',
+  'budget.fetchFailed': '❌ Failed to fetch budgets. Please try again.',
+  'budget.setUsage': '❌ Invalid format.\n\nUsage: BUDGET SET <category> <amount> [monthly|weekly]\nExample: BUDGET SET Food 10000',
+  'budget.adminOnly': '🔒 Only family admins can change budgets.',
+  'budget.invalidAmount': '❌ Budget amount must be a positive number.',
+  'budget.invalidCategory': '❌ Category name must be at most 50 characters.',
+  'budget.incomeCategory': '❌ "{category}" is an income category. Budgets can only be set for expenses.',
+  'budget.set': '✅ *Budget Set*\n\n{emoji} {category}: {amount} {period}',
+  'budget.saveFailed': '❌ Failed to save budget. Please try again.',
+  'budget.removeUsage': '❌ Invalid format.\n\nUsage: BUDGET REMOVE <category>',
+  'budget.noBudget': 'ℹ️ There is no budget for "{category}".',
+  'budget.removed': '✅ Budget for "{category}" removed.',
+  'budget.removeFailed': '❌ Failed to remove budget. Please try again.',
+  'budget.exceeded': 'Budget exceeded: {category}',
+  'budget.alert': 'Budget alert: {category}',
+  'budget.leftForPeriod': '{amount} left for this period.',
+  'budget.overBudget': '{amount} over budget.',
+  'budget.latestEntry': 'Latest entry by {name}.',
+  'budget.familyMember': 'a family member',
+
+  // Re-categorizing
+  'category.listUsage': '❌ Invalid format.\n\nUsage: CATEGORY #2 Food',
+  'category.noRecent': '❌ No recent transactions found to update.',
+  'category.transactionGone': '❌ This transaction is no longer available.',
+  'category.categoryGone': '❌ This category is no longer available.',
+  'category.updateFailed': '❌ Failed to update category. Please try again.',
+  'category.pickerBody': 'Pick a better category for this transaction, or reply "CATEGORY <name>".',
+  'category.pickerButton': 'Choose category',
+  'category.pickerSection': 'Categories',
+  'category.alreadyIn': 'ℹ️ This transaction is already in "{category}".',
+  'category.updated': '✅ *Category Updated*\n\n{description} ({amount})\nBefore: {before}\nAfter: {after}',
+  'category.uncategorized': 'Uncategorized',
+
+  // Deleting and undo
+  'delete.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• DELETE - Delete your last entry\n' +
+    '• DELETE LAST 3 (or UNDO 3) - Delete your last 3 entries\n' +
+    '• DELETE 2 - Delete #2 from your last LIST\n' +
+    '• UNDO DELETE - Restore what you just deleted',
+  'delete.failed': '❌ Failed to delete transaction.',
+  'delete.noRecent': '❌ No recent transactions found to delete.',
+  'delete.deleted': { one: '✅ Transaction deleted successfully!', other: '✅ Deleted {count} transactions:' },
+  'delete.entry': '• {amount} - {description} ({date})',
+  'delete.undoHint': '💡 Reply "UNDO DELETE" to restore.',
+  'delete.nothingToRestore': 'ℹ️ Nothing to restore.',
+  'delete.restored': { one: '♻️ Restored {count} transaction:', other: '♻️ Restored {count} transactions:' },
+
+  // Editing
+  'edit.title': '✏️ *Edit Transaction*',
+  'edit.details': 'Amount: {amount}\nType: {type}\nCategory: {category}\nDescription: {description}\nDate: {date}',
+  'edit.type.debit': 'Expense',
+  'edit.type.credit': 'Income',
+  'edit.type.transfer': 'Transfer',
+  'edit.chooseField': 'Which field do you want to change?\n' +
+    '• AMOUNT\n' +
+    '• DATE\n' +
+    '• CATEGORY\n' +
+    '• VENDOR\n' +
+    '• DESCRIPTION\n' +
+    '• TYPE\n\n' +
+    'Reply "CANCEL" to stop editing.',
+  'edit.field.amount': 'amount',
+  'edit.field.date': 'date',
+  'edit.field.category': 'category',
+  'edit.field.vendor': 'vendor',
+  'edit.field.description': 'description',
+  'edit.field.type': 'type',
+  'edit.hint.amount': 'Example: 450',
+  'edit.hint.date': 'Example: 2024-01-15, TODAY or YESTERDAY',
+  'edit.hint.category': 'Reply "CATEGORIES" after editing to see all categories',
+  'edit.hint.vendor': 'Example: Big Bazaar',
+  'edit.hint.description': 'Example: Weekly groceries',
+  'edit.hint.type': 'EXPENSE or INCOME',
+  'edit.sendValue': '✏️ Send the new *{field}*.\n\n{hint}\n\nReply "CANCEL" to stop editing.',
+  'edit.noRecent': '❌ No recent transactions found to edit.',
+  'edit.notEditable': '❌ "{field}" can\'t be edited.',
+  'edit.startFailed': '❌ Failed to start editing. Please try again.',
+  'edit.targetGone': '❌ The transaction you were editing is no longer available. Reply "EDIT" to start again.',
+  'edit.unknownField': '❌ Please reply with one of: AMOUNT, DATE, CATEGORY, VENDOR, DESCRIPTION, TYPE (or CANCEL).',
+  'edit.updateFailed': '❌ Failed to update transaction. Please try again.',
+  'edit.transferType': '❌ A transfer can\'t be changed into income or an expense (or back). Reply "CANCEL", then DELETE it and send it again.',
+  'edit.invalidValue': '❌ That\'s not a valid {field}.\n\n{hint}\n\nSend it again, or reply "CANCEL".',
+  'edit.categoryNotFound': '❌ Category "{category}" not found.\n\nPlease send another category name, or reply "CANCEL".',
+  'edit.updated': '✅ *Transaction Updated*',
+  'edit.changedTo': 'Changed {field} to: {value}',
+  'edit.draftExpired': '❌ This entry has expired. Please send it again.',
+
+  // Savings goals
+  'goal.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• GOALS - Show progress\n' +
+    '• GOAL ADD Vacation 100000 by december\n' +
+    '• "Put 2000 towards vacation" - Add savings',
+  'goal.updateFailed': '❌ Failed to update goals. Please try again.',
+  'goal.addUsage': '❌ Invalid format.\n\n' +
+    'Usage: GOAL ADD <name> <amount> [by <date>]\n' +
+    'Example: GOAL ADD Vacation 100000 by december',
+  'goal.pastDeadline': '❌ The goal deadline must be in the future.',
+  'goal.exists': 'ℹ️ You already have a goal called "{name}".',
+  'goal.created': '🎯 *Goal Created*\n\n{name}: {amount}\n\n💡 Reply "Put 2000 towards {example}" to add savings.',
+  'goal.createdBy': '🎯 *Goal Created*\n\n{name}: {amount} by {date}\n\n💡 Reply "Put 2000 towards {example}" to add savings.',
+  'goal.none': '📭 No goals yet.\n\n💡 Try: "GOAL ADD Vacation 100000 by december"',
+  'goal.title': '🎯 *Savings Goals*',
+  'goal.contributed': '{amount} added to {name}',
+  'goal.contributionFailed': '❌ Failed to add to your goal. Please try again.',
+  'goal.savedOf': '{saved} of {target}',
+  'goal.reached': '🎉 Goal reached!',
+  'goal.toGo': '{amount} to go',
+  'goal.deadline': '📅 Deadline: {date}',
+  'goal.projected': '📈 At this pace: {date}',
+  'goal.behind': '⚠️ behind schedule',
+
+  // Periods and family members
+  'period.today': 'Today',
+  'period.thisWeek': 'This Week',
+  'member.you': 'You',
+  'member.former': 'Former member',
+  'member.notFound': '❌ No family member called "{name}".',
+
+  // History and search
+  'history.fetchFailed': '❌ Failed to fetch transactions. Please try again.',
+  'history.unknownFilter': '❌ No category or period called "{name}".\n\n💡 Send "CATEGORIES" to see your categories.',
+  'history.searchUsage': '❌ What should I search for?\n\n' +
+    'Examples:\n' +
+    '• SEARCH plumber\n' +
+    '• SEARCH >2000 in march\n' +
+    '• SEARCH swiggy last month by priya\n' +
+    '• SEARCH in food 500-1000',
+  'history.noMatches': '🔎 No transactions match {filters}.',
+  'history.matches': { one: '{count} match', other: '{count} matches' },
+  'history.spent': 'Spent {amount}',
+  'history.received': 'Received {amount}',
+  'history.mostRecent': '📅 Most recent: {date}',
+  'history.searchFailed': '❌ Failed to search transactions. Please try again.',
+  'history.nothingMore': 'ℹ️ Nothing more to show. Send "LIST" to start again.',
+  'history.none': '📭 No transactions found.',
+  'history.end': 'ℹ️ That\'s everything.',
+  'history.familyTitle': 'Family Transactions',
+  'history.yourTitle': 'Your Transactions',
+  'history.showing': 'Showing {from}-{to}.',
+  'history.moreHint': 'Reply *MORE* for more.',
+  'history.changeHint': '💡 DELETE #2, EDIT #2 or CATEGORY #2 Food to change an entry.',
+  'history.noPosition': '❌ No #{position} in your last list.\n\n💡 Send "LIST" to see numbered transactions.',
+  'history.positionUnavailable': '❌ #{position} was already deleted or was added by another family member.',
+
+  // Spending questions
+  'interactive.unavailable': 'ℹ️ This option is no longer available.',
+  'query.notUnderstood': '❌ I couldn\'t understand that question. Try: "How much did I spend on food this month?"',
+  'query.failed': '❌ Failed to look up your transactions. Please try again.',
+  'query.dateRange': '{from} to {to}',
+  'query.allTransactions': 'All transactions',
+  'query.noMatches': 'No matching transactions found.',
+  'query.totalReceived': 'Total received',
+  'query.totalSpent': 'Total spent',
+  'query.transactions': { one: '{count} transaction', other: '{count} transactions' },
+  'query.byCategory': 'By category:',
+  'query.topItems': 'Top items:',
+
+  // Recurring transactions
+  'recurring.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• RECURRING rent 15000 monthly on 1st\n' +
+    '• RECURRING gym 800 weekly on monday\n' +
+    '• RECURRING LIST\n' +
+    '• RECURRING PAUSE [number] / RESUME [number]\n' +
+    '• RECURRING DELETE [number]',
+  'recurring.updateFailed': '❌ Failed to update recurring transactions. Please try again.',
+  'recurring.added': '✅ *Recurring Transaction Added*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📁 {category}\n' +
+    '🔁 {schedule}\n' +
+    '📅 Next: {date}\n\n' +
+    'I\'ll log it automatically and let you know each time.',
+  'recurring.none': '📭 No recurring transactions yet.\n\n💡 Try: "RECURRING rent 15000 monthly on 1st"',
+  'recurring.title': '🔁 *Your Recurring Transactions*',
+  'recurring.next': 'next {date}',
+  'recurring.paused': '⏸️ paused',
+  'recurring.listHint': '💡 Reply "RECURRING PAUSE 1", "RECURRING RESUME 1" or "RECURRING DELETE 1".',
+  'recurring.notFound': '❌ Recurring transaction not found.\n\n💡 Reply "RECURRING LIST" to see the numbers.',
+  'recurring.stopped': '🗑️ Stopped "{description}". Transactions already logged were kept.',
+  'recurring.pausedItem': '⏸️ Paused "{description}".',
+  'recurring.resumed': '▶️ Resumed "{description}". Next: {date}',
+  'recurring.logged': '🔁 *Recurring transaction logged*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📅 {dates}\n\n' +
+    '💡 Reply "RECURRING LIST" to manage your recurring transactions.',
+  'recurring.loggedRange': '{count} entries ({from} to {to})',
+  'recurring.weeklyOn': 'weekly on {weekday}',
+  'recurring.monthlyOn': 'monthly on the {day}',
+  'recurring.frequency.daily': 'daily',
+  'recurring.frequency.weekly': 'weekly',
+  'recurring.frequency.monthly': 'monthly',
+  'recurring.frequency.yearly': 'yearly',
+  'weekday.0': 'Sunday',
+  'weekday.1': 'Monday',
+  'weekday.2': 'Tuesday',
+  'weekday.3': 'Wednesday',
+  'weekday.4': 'Thursday',
+  'weekday.5': 'Friday',
+  'weekday.6': 'Saturday',
+
+  // Summaries
+  'report.invalidPeriod': '❌ Invalid period.\n\n' +
+    'Usage: SUMMARY [today|week|month|last month|<month name>]\n' +
+    'Add FAMILY for the whole family, e.g. "SUMMARY FAMILY week"',
+  'report.failed': '❌ Failed to build your summary. Please try again.',
+  'report.familyTitle': 'Family Summary - {period}',
+  'report.yourTitle': 'Your Summary - {period}',
+  'report.empty': 'No transactions recorded in this period.',
+  'report.income': 'Income',
+  'report.expenses': 'Expenses',
+  'report.net': 'Net',
+  'report.whereItWent': 'Where it went:',
+  'report.topVendors': 'Top vendors:',
+  'report.byMember': 'By member:',
+  'report.vsPrevious': 'vs previous period:',
+  'report.noDataBefore': '{amount} (no data before)',
+
+  // Review mode
+  'review.save': '✅ Save',
+  'review.edit': '✏️ Edit',
+  'review.discard': '🗑️ Discard',
+  'review.handled': 'ℹ️ This entry was already handled or has expired.',
+  'review.debtNotEditable': 'ℹ️ Lending and borrowing entries can\'t be edited. Discard it and send it again.',
+  'review.discarded': '🗑️ Discarded. Nothing was saved.',
+  'review.actionFailed': '❌ Failed to process your choice. Please try again.',
+  'review.statusOn': '📝 *Review Mode: ON*\n\n' +
+    'New entries are sent back to you with Save / Edit / Discard buttons before they are saved.\n\n' +
+    'Reply "REVIEW ON" or "REVIEW OFF" to change it.',
+  'review.statusOff': '📝 *Review Mode: OFF*\n\nNew entries are saved immediately.\n\nReply "REVIEW ON" or "REVIEW OFF" to change it.',
+  'review.usage': '❌ Invalid format.\n\nUsage: REVIEW ON or REVIEW OFF',
+  'review.adminOnly': '🔒 Only family admins can change review mode.',
+  'review.enabled': '✅ Review mode is ON. Your family\'s new entries will wait for your confirmation before saving.',
+  'review.disabled': '✅ Review mode is OFF. New entries will be saved immediately.',
+  'review.updateFailed': '❌ Failed to update review mode. Please try again.',
+
+  // Lending and borrowing
+  'iou.title.lent': 'Lent {amount} to {name}',
+  'iou.title.borrowed': 'Borrowed {amount} from {name}',
+  'iou.title.got_back': '{name} paid you back {amount}',
+  'iou.title.paid_back': 'Paid {amount} back to {name}',
+  'iou.entry.lent': 'Lent {amount}',
+  'iou.entry.borrowed': 'Borrowed {amount}',
+  'iou.entry.got_back': 'Got back {amount}',
+  'iou.entry.paid_back': 'Paid back {amount}',
+  'iou.owesYou': '{name} owes you {amount}',
+  'iou.youOwe': 'You owe {name} {amount}',
+  'iou.settled': 'You and {name} are settled up',
+  'iou.recorded': '🤝 *{title}*\n\n{balance}.\n\n💡 Reply "DUES" to see everyone, or "DUES {name}" for history.',
+  'iou.recordFailed': '❌ Failed to record that. Please try again.',
+  'iou.notSavedYet': 'This has NOT been saved to your dues yet. Save it?',
+  'iou.none': '✅ No outstanding dues.\n\n💡 Tell me when you lend or borrow, e.g. "Lent 500 to Ravi".',
+  'iou.title': '🤝 *Your Dues*',
+  'iou.owedToYouTotal': 'Owed to you: {amount}',
+  'iou.youOweTotal': 'You owe: {amount}',
+  'iou.fetchFailed': '❌ Failed to fetch dues. Please try again.',
+  'iou.notFound': '❌ No dues with "{name}".\n\n💡 Reply "DUES" to see everyone.',
+  'iou.recent': 'Recent:',
+  'iou.nudgeTitle': '🤝 *Weekly Dues Reminder*',
+  'iou.nudgeMore': '...and {count} more',
+  'iou.nudgeTotals': 'Owed to you: {owedToYou} • You owe: {youOwe}',
+  'iou.nudgeHint': '💡 Reply "DUES" for details.',
+
+  // Splitting and settling up
+  'split.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• SPLIT 1200 dinner with Priya\n' +
+    '• SPLIT 3000 groceries equally - Whole family\n' +
+    '• SPLIT with Priya / SPLIT equally - Split your last entry (or reply to its confirmation)',
+  'split.failed': '❌ Failed to split the expense. Please try again.',
+  'split.nobodyElse': 'ℹ️ There\'s nobody else in your family to split with.',
+  'split.defaultDescription': 'Split expense',
+  'split.expense': 'Expense',
+  'split.title': 'Split {amount} - {description}',
+  'split.balancesHint': '💡 Reply "BALANCES" to see who owes whom.',
+  'split.noRecent': '❌ No recent transactions found to split.',
+  'split.onlyExpenses': '❌ Only expenses can be split.',
+  'split.alreadySplit': 'ℹ️ {amount} - {description} is already split.',
+  'split.allSettled': '✅ All settled up! Nobody in your family owes anything.\n\n💡 Try: "SPLIT 1200 dinner with Priya"',
+  'split.balancesTitle': '⚖️ *Family Balances*',
+  'split.owes': '{from} owes {to} {amount}',
+  'split.settleHint': '💡 Paid someone back? Reply "SETTLE Priya" or "SETTLE Priya 500".',
+  'split.balancesFailed': '❌ Failed to fetch balances. Please try again.',
+  'split.settleUsage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• SETTLE Priya - You paid Priya back in full\n' +
+    '• SETTLE Priya 500 - You paid Priya 500\n' +
+    '• SETTLE FROM Priya 500 - Priya paid you 500',
+  'split.youDontOwe': 'ℹ️ You don\'t owe {name} anything.',
+  'split.theyDontOwe': 'ℹ️ {name} doesn\'t owe you anything.',
+  'split.onlyOutstanding': '❌ Only {amount} is outstanding.',
+  'split.youPaid': '✅ You paid {name} {amount}.',
+  'split.theyPaid': '✅ {name} paid you {amount}.',
+  'split.stillOutstanding': '{amount} still outstanding.',
+  'split.pairSettled': '🎉 All settled between you two!',
+  'split.settleFailed': '❌ Failed to record the repayment. Please try again.',
+
+  // Wallets
+  'wallet.usage': '❌ Invalid format.\n\n' +
+    'Usage:\n' +
+    '• WALLETS - Balances\n' +
+    '• WALLET ADD HDFC card - Add a wallet (cash, bank, card or UPI)\n' +
+    '• WALLET ADD SBI bank 25000 SHARED - With opening balance, shared with family\n' +
+    '• WALLET DEFAULT HDFC - Use when no payment method is mentioned\n' +
+    '• WALLET REMOVE HDFC',
+  'wallet.updateFailed': '❌ Failed to update wallets. Please try again.',
+  'wallet.type.cash': 'Cash',
+  'wallet.type.bank': 'Bank',
+  'wallet.type.credit_card': 'Credit card',
+  'wallet.type.upi': 'UPI',
+  'wallet.outstanding': '{amount} outstanding',
+  'wallet.credit': '{amount} credit',
+  'wallet.title': '👛 *Your Wallets*',
+  'wallet.default': '⭐ default',
+  'wallet.shared': '👪 shared',
+  'wallet.balancesHint': '💡 Mention how you paid ("paid 500 with HDFC card") and I\'ll use that wallet.',
+  'wallet.exists': 'ℹ️ You already have a wallet called "{name}".',
+  'wallet.sharedName': '{name} (shared with family)',
+  'wallet.added': '✅ *Wallet Added*\n\n' +
+    '{type}: {label}\n' +
+    'Balance: {balance}\n\n' +
+    '💡 Reply "WALLET DEFAULT {name}" to use it when no payment method is mentioned.',
+  'wallet.notFound': '❌ You don\'t have a wallet called "{name}".\n\n💡 Reply "WALLETS" to see yours.',
+  'wallet.defaultSet': '⭐ {name} is now your default wallet.',
+  'wallet.isDefault': '❌ {name} is your default wallet. Set another default first.',
+  'wallet.removed': '🗑️ {name} removed. Past transactions are kept.',
+  'wallet.transferUnclear': '❌ Couldn\'t tell which wallets that transfer was between.\n\n' +
+    'Your wallets: {names}\n\n' +
+    '💡 Name both, e.g. "Moved 5000 from SBI to cash", or add one with "WALLET ADD SBI bank".',
+  'wallet.transferFailed': '❌ Failed to record the transfer. Please try again.',
+
+  // Plural units
+  'unit.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+  // Help
+  'help.commands': '📖 *Finance Assistant Help*\n\n' +
+    '*Basic Commands:*\n' +
+    '• LINK [email] - Link your account\n' +
+    '• VERIFY [code] - Verify your account\n' +
+    '• LIST [n] [FAMILY] [today|week|category|vendor] - Recent entries\n' +
+    '• MORE - Next page of the list\n' +
+    '• SEARCH plumber / SEARCH >2000 in march by priya - Find entries\n' +
+    '• EDIT - Edit last transaction (EDIT #2 for #2 from LIST)\n' +
+    '• DELETE - Delete last transaction\n' +
+    '• DELETE LAST 3 / DELETE #2 - Delete several, or #2 from LIST\n' +
+    '• UNDO DELETE - Restore what you just deleted\n' +
+    '• LANGUAGE [english|hindi|tamil] - Language for my replies\n' +
+    '• HELP - Show this message\n\n' +
+    '*Category Commands:*\n' +
+    '• CATEGORIES - List all categories\n' +
+    '• CATEGORY [name] - Change category of last transaction (CATEGORY #2 [name] for LIST entries)\n' +
+    '• ADD CATEGORY [name] - Add custom category (Premium)\n\n' +
+    '*Reports:*\n' +
+    '• SUMMARY [today|week|month|last month|march] - Your spending\n' +
+    '• REPORT [period] - Whole family\'s spending\n\n' +
+    '*Budgets:*\n' +
+    '• BUDGET - Budget status\n' +
+    '• BUDGET SET [category] [amount] [monthly|weekly] - Set a budget (Admins)\n' +
+    '• BUDGET REMOVE [category] - Remove a budget (Admins)\n\n' +
+    '*Recurring:*\n' +
+    '• RECURRING rent 15000 monthly on 1st - Log automatically\n' +
+    '• RECURRING LIST - Show recurring transactions\n' +
+    '• RECURRING PAUSE/RESUME/DELETE [number]\n\n' +
+    '*Goals:*\n' +
+    '• GOALS - Savings goal progress\n' +
+    '• GOAL ADD Vacation 100000 by december - New goal\n' +
+    '• "Put 2000 towards vacation" - Add savings\n\n' +
+    '*Split Expenses:*\n' +
+    '• SPLIT 1200 dinner with Priya - Share an expense\n' +
+    '• SPLIT equally - Split your last entry with the family\n' +
+    '• BALANCES - Who owes whom\n' +
+    '• SETTLE Priya [amount] - Record a repayment\n\n' +
+    '*Wallets:*\n' +
+    '• WALLETS - Balances of cash, bank, card and UPI wallets\n' +
+    '• WALLET ADD HDFC card - Add a wallet\n' +
+    '• WALLET DEFAULT HDFC - Wallet used when none is mentioned\n' +
+    '• "Withdrew 5000 cash" / "Paid card bill 12000 from savings" - Transfers\n\n' +
+    '*Lending & Borrowing:*\n' +
+    '• "Lent 500 to Ravi" / "Ravi paid me back 300"\n' +
+    '• DUES - Who owes you and whom you owe\n' +
+    '• DUES Ravi - History with one person\n\n' +
+    '*Review Mode:*\n' +
+    '• REVIEW ON / REVIEW OFF - Confirm entries before saving (Admins)\n\n' +
+    '*Ask Questions:*\n' +
+    '❓ "How much did we spend on food this month?"\n' +
+    '❓ "What did Priya spend at Swiggy last week?"\n\n' +
+    '*How to Track:*\n' +
+    '📸 Send photos of bills\n' +
+    '🎤 Record voice notes\n' +
+    '💬 Text your expenses\n\n' +
+    '*Examples:*\n' +
+    '"I paid 1200 for electricity"\n' +
+    '"Spent ₹500 on groceries at Big Bazaar"\n' +
+    '"Received salary 50000"\n\n' +
+    '💡 If a category isn\'t found, it\'ll be saved as "Other" for you to review later.',
+};
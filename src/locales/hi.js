@@ -0,0 +1,546 @@
+/**
+ * Hindi message catalog
+ * Keys missing here fall back to English
+ */
+
+module.exports = {
+  // Transaction confirmations
+  'transaction.recorded': 'लेन-देन दर्ज हुआ',
+  'transaction.transferRecorded': 'ट्रांसफ़र दर्ज हुआ',
+  'transaction.pleaseReview': 'कृपया जाँच लें',
+  'transaction.received': 'मिले',
+  'transaction.spent': 'खर्च',
+  'transaction.moved': 'भेजे',
+  'transaction.category': 'श्रेणी',
+  'transaction.vendor': 'दुकान',
+  'transaction.note': 'नोट',
+  'transaction.wallet': 'वॉलेट',
+  'transaction.splitWith': 'इनके साथ बाँटा',
+  'transaction.goal': 'लक्ष्य',
+  'transaction.date': 'तारीख़',
+  'transaction.from': 'भेजने वाला वॉलेट',
+  'transaction.to': 'पाने वाला वॉलेट',
+  'transaction.entered': 'दर्ज की गई राशि: {amount} (1 {from} = {rate} {to})',
+  'transaction.saved': '✅ यह आपके फ़ाइनेंस ट्रैकर में सेव हो गया है।',
+  'transaction.transferSaved': '✅ सेव हो गया। ट्रांसफ़र को आय या खर्च में नहीं गिना जाता।',
+  'transaction.notSavedYet': 'यह अभी सेव *नहीं* हुआ है। क्या इसे आपके फ़ाइनेंस ट्रैकर में सेव करें?',
+  'transaction.replyWith': 'जवाब में भेजें:',
+  'transaction.editHint': '• "EDIT" - विवरण बदलने के लिए',
+  'transaction.deleteHint': '• "DELETE" - यह एंट्री हटाने के लिए',
+  'transaction.categoryHint': '• "CATEGORY [नाम]" - श्रेणी बदलने के लिए',
+  'transaction.noDescription': 'कोई विवरण नहीं',
+  'transaction.saveFailed': '❌ लेन-देन सेव नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'transaction.categoryNotFound': '⚠️ श्रेणी "{category}" नहीं मिली। लेन-देन "Other" श्रेणी में सेव किया गया।\n\n' +
+    '💡 इसे बदलने के लिए "CATEGORY <नाम>" भेजें, या सभी श्रेणियाँ देखने के लिए "CATEGORIES" भेजें।',
+  'transaction.noExchangeRate': '❌ मेरे पास {date} के लिए {from} → {to} विनिमय दर नहीं है, इसलिए यह सेव नहीं हो सका।\n\n' +
+    '💡 इसे {to} में दोबारा भेजें, या अपने एडमिन से दर जोड़ने को कहें।',
+
+  // Linking
+  'link.instructions': '👋 *Finance Assistant में आपका स्वागत है!*\n\n' +
+    'मुझे आपका खाता नहीं मिला। आइए आपके WhatsApp को आपके फ़ाइनेंस ट्रैकर से जोड़ें।\n\n' +
+    'कृपया जवाब में भेजें:\n' +
+    '*LINK [आपका-ईमेल]*\n\n' +
+    'उदाहरण: LINK john@example.com\n\n' +
+    'सेटअप पूरा करने के लिए आपको एक वेरिफ़िकेशन कोड मिलेगा।',
+  'link.verificationCode': '🔐 *वेरिफ़िकेशन कोड*\n\n' +
+    'आपका वेरिफ़िकेशन कोड है: *{code}*\n\n' +
+    'यह कोड {minutes} में समाप्त हो जाएगा।\n' +
+    'जवाब में भेजें: *VERIFY {code}*',
+  'link.success': '✅ *खाता सफलतापूर्वक जुड़ गया!*\n\n' +
+    'स्वागत है, {name}! 🎉\n\n' +
+    'अब आप मुझे भेज सकते हैं:\n' +
+    '📸 बिल/रसीद की फ़ोटो\n' +
+    '🎤 खर्चों के बारे में वॉइस नोट\n' +
+    '💬 लेन-देन की जानकारी वाले मैसेज\n\n' +
+    'मैं सब कुछ अपने आप दर्ज कर लूँगा!',
+  'link.invalidFormat': '❌ गलत फ़ॉर्मैट। कृपया ऐसे भेजें:\n*LINK your-email@example.com*',
+  'link.invalidEmail': '❌ ईमेल का फ़ॉर्मैट गलत है।',
+  'link.accountNotFound': '❌ इस ईमेल से कोई खाता नहीं मिला: {email}\n\nकृपया पहले {url} पर साइन अप करें।',
+  'link.failed': '❌ लिंक शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'link.verifyInvalidFormat': '❌ गलत फ़ॉर्मैट। कृपया ऐसे भेजें:\n*VERIFY 123456*',
+  'link.invalidCode': '❌ वेरिफ़िकेशन कोड का फ़ॉर्मैट गलत है।',
+  'link.codeExpired': '❌ वेरिफ़िकेशन कोड गलत है या उसकी अवधि खत्म हो गई है। नया कोड पाने के लिए भेजें:\n*LINK your-email@example.com*',
+  'link.verifyFailed': '❌ कोड वेरिफ़ाई नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'link.unlinked': '🔓 आपका WhatsApp खाता अलग कर दिया गया है।\n\nदोबारा जोड़ने के लिए कभी भी भेजें:\n*LINK your-email@example.com*',
+
+  // Reminders and subscription
+  'user.fallbackName': 'दोस्त',
+  'reminder.daily': '☀️ *सुप्रभात, {name}!*\n\n' +
+    '📊 क्या कल आपका कोई खर्च या आमदनी हुई?\n\n' +
+    'मुझे भेजें:\n' +
+    '• रसीदों की फ़ोटो\n' +
+    '• वॉइस नोट\n' +
+    '• टेक्स्ट मैसेज\n\n' +
+    'अगर आज दर्ज करने को कुछ नहीं है तो "NONE" भेजें।',
+  'reminder.none': '✅ ठीक है! आपका दिन शुभ हो!',
+  'subscription.required': '🔒 *प्रीमियम सुविधा*\n\n' +
+    'नमस्ते {name},\n\n' +
+    'इस सुविधा के लिए सक्रिय सब्सक्रिप्शन ज़रूरी है।\n\n' +
+    'अपना प्लान अपग्रेड करने के लिए {url}/subscribe पर जाएँ।\n\n' +
+    'फ़ायदे:\n' +
+    '✨ असीमित लेन-देन ट्रैकिंग\n' +
+    '📊 विस्तृत विश्लेषण\n' +
+    '🤖 AI से मिली जानकारी\n' +
+    '☁️ क्लाउड बैकअप',
+
+  // Processing media and errors
+  'extraction.failed': '❌ *लेन-देन नहीं पढ़ा जा सका*\n\n' +
+    'आपके मैसेज में मुझे लेन-देन की जानकारी नहीं मिली।\n\n' +
+    'कृपया आज़माएँ:\n' +
+    '• ज़्यादा साफ़ फ़ोटो भेजें\n' +
+    '• राशि और विवरण शामिल करें\n' +
+    '• वॉइस नोट में साफ़ बोलें\n\n' +
+    'उदाहरण: "किराने पर 500 रुपये खर्च किए"',
+  'media.processingImage': '📸 आपके बिल की फ़ोटो पढ़ी जा रही है...',
+  'media.transcribingAudio': '🎤 आपका वॉइस नोट सुना जा रहा है...',
+  'media.processingDocument': '📄 आपका दस्तावेज़ पढ़ा जा रहा है...',
+  'media.imageFailed': '❌ फ़ोटो प्रोसेस नहीं हो सकी। कृपया फिर से कोशिश करें या ज़्यादा साफ़ फ़ोटो भेजें।',
+  'media.audioUnclear': '❌ ऑडियो प्रोसेस नहीं हो सका। आवाज़ बहुत अस्पष्ट या धीमी थी। कृपया साफ़ बोलकर फिर से कोशिश करें।',
+  'media.audioTranscriptionFailed': '❌ ऑडियो प्रोसेस नहीं हो सका। ऑडियो को लिखा नहीं जा सका। कृपया साफ़ वॉइस मैसेज रिकॉर्ड करें।',
+  'media.audioFailed': '❌ ऑडियो प्रोसेस नहीं हो सका। कृपया फिर से कोशिश करें या टेक्स्ट मैसेज भेजें।',
+  'media.documentFailed': '❌ दस्तावेज़ प्रोसेस नहीं हो सका। कृपया इसे फ़ोटो के रूप में भेजें।',
+  'message.unsupportedType': '❌ यह मैसेज प्रकार समर्थित नहीं है। कृपया टेक्स्ट, फ़ोटो, वॉइस नोट या दस्तावेज़ भेजें।',
+  'message.processingFailed': '❌ माफ़ कीजिए, आपका मैसेज प्रोसेस करते समय कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+  'session.cancelled': '👍 रद्द कर दिया। कोई बदलाव नहीं किया गया।',
+
+  // Categories
+  'categories.title': '📋 *उपलब्ध श्रेणियाँ*',
+  'categories.expense': '*💸 खर्च की श्रेणियाँ:*',
+  'categories.income': '*💰 आय की श्रेणियाँ:*',
+  'categories.tips': '💡 *सुझाव:*\n' +
+    '• अपने लेन-देन में इन्हीं श्रेणियों के नाम इस्तेमाल करें\n' +
+    '• नई श्रेणी जोड़ने के लिए "ADD CATEGORY <नाम>" भेजें (प्रीमियम सुविधा)\n' +
+    '• कोई श्रेणी न मिले तो एंट्री "Other" में सेव होगी',
+  'categories.none': '❌ कोई श्रेणी नहीं मिली। कृपया सपोर्ट से संपर्क करें।',
+  'categories.fetchFailed': '❌ श्रेणियाँ नहीं मिल सकीं। कृपया फिर से कोशिश करें।',
+  'categories.premiumRequired': '🔒 *अपनी श्रेणियाँ - प्रीमियम सुविधा*\n\n' +
+    'अपनी श्रेणियाँ जोड़ना एक प्रीमियम सुविधा है।\n\n' +
+    'प्रीमियम में अपग्रेड करके:\n' +
+    '• असीमित श्रेणियाँ बनाएँ\n' +
+    '• अपने पैसों को बेहतर ढंग से व्यवस्थित करें\n' +
+    '• विस्तृत विश्लेषण देखें\n\n' +
+    'अपग्रेड करने के लिए ऐप खोलें! 🚀',
+  'categories.addUsage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: ADD CATEGORY <श्रेणी का नाम>\n\nउदाहरण:\nADD CATEGORY Pets',
+  'categories.nameLength': '❌ श्रेणी का नाम 2 से 50 अक्षरों के बीच होना चाहिए।',
+  'categories.exists': 'ℹ️ श्रेणी "{name}" आपके परिवार के खाते में पहले से मौजूद है!',
+  'categories.added': '✅ *श्रेणी जुड़ गई!*\n\n' +
+    '📁 "{name}" आपकी श्रेणियों में जोड़ दी गई है।\n\n' +
+    'अब आप इसे अपने लेन-देन में इस्तेमाल कर सकते हैं। ' +
+    'ज़रूरत हो तो ऐप में इसका प्रकार (खर्च/आय) बदलें।',
+  'categories.addFailed': '❌ श्रेणी नहीं जुड़ सकी। कृपया फिर से कोशिश करें।',
+  'categories.notFound': '❌ श्रेणी "{category}" नहीं मिली।\n\n💡 उपलब्ध श्रेणियाँ देखने के लिए "CATEGORIES" भेजें।',
+
+  // Language preference
+  'language.current': '🌐 जवाब *{language}* में आ रहे हैं।\n\nबदलने के लिए भेजें:\n{options}',
+  'language.set': '✅ अब से मैं *{language}* में जवाब दूँगा।',
+  'language.unknown': '❌ "{input}" अभी समर्थित नहीं है।\n\nइनमें से चुनें:\n{options}',
+  'language.failed': '❌ भाषा नहीं बदली जा सकी। कृपया फिर से कोशिश करें।',
+
+  // Budgets
+  'budget.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• BUDGET - बजट की स्थिति देखें\n' +
+    '• BUDGET SET Food 10000 [monthly|weekly]\n' +
+    '• BUDGET REMOVE Food',
+  'budget.none': '📭 अभी कोई बजट सेट नहीं है।\n\n💡 बजट बनाने के लिए "BUDGET SET Food 10000" भेजें।',
+  'budget.title': '🎯 *परिवार के बजट*',
+  'budget.unknownCategory': 'अज्ञात श्रेणी',
+  'budget.monthly': 'मासिक',
+  'budget.weekly': 'साप्ताहिक',
+  'budget.spentOf': '{budget} में से {spent} खर्च',
+  'budget.left': '{amount} बाकी',
+  'budget.over': '{amount} ज़्यादा',
+  'budget.fetchFailed': '❌ बजट नहीं मिल सके। कृपया फिर से कोशिश करें।',
+  'budget.setUsage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: BUDGET SET <श्रेणी> <रकम> [monthly|weekly]\nउदाहरण: BUDGET SET Food 10000',
+  'budget.adminOnly': '🔒 बजट सिर्फ़ परिवार के एडमिन बदल सकते हैं।',
+  'budget.invalidAmount': '❌ बजट की रकम शून्य से ज़्यादा होनी चाहिए।',
+  'budget.invalidCategory': '❌ श्रेणी का नाम ज़्यादा से ज़्यादा 50 अक्षरों का हो सकता है।',
+  'budget.incomeCategory': '❌ "{category}" आय की श्रेणी है। बजट सिर्फ़ खर्चों के लिए सेट किए जा सकते हैं।',
+  'budget.set': '✅ *बजट सेट हो गया*\n\n{emoji} {category}: {amount} {period}',
+  'budget.saveFailed': '❌ बजट सेव नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'budget.removeUsage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: BUDGET REMOVE <श्रेणी>',
+  'budget.noBudget': 'ℹ️ "{category}" के लिए कोई बजट नहीं है।',
+  'budget.removed': '✅ "{category}" का बजट हटा दिया गया।',
+  'budget.removeFailed': '❌ बजट नहीं हटाया जा सका। कृपया फिर से कोशिश करें।',
+  'budget.exceeded': 'बजट पार हो गया: {category}',
+  'budget.alert': 'बजट चेतावनी: {category}',
+  'budget.leftForPeriod': 'इस अवधि के लिए {amount} बाकी हैं।',
+  'budget.overBudget': 'बजट से {amount} ज़्यादा।',
+  'budget.latestEntry': 'आख़िरी एंट्री {name} ने की।',
+  'budget.familyMember': 'परिवार के एक सदस्य',
+
+  // Re-categorizing
+  'category.listUsage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: CATEGORY #2 Food',
+  'category.noRecent': '❌ बदलने के लिए कोई हाल का लेन-देन नहीं मिला।',
+  'category.transactionGone': '❌ यह लेन-देन अब उपलब्ध नहीं है।',
+  'category.categoryGone': '❌ यह श्रेणी अब उपलब्ध नहीं है।',
+  'category.updateFailed': '❌ श्रेणी नहीं बदली जा सकी। कृपया फिर से कोशिश करें।',
+  'category.pickerBody': 'इस लेन-देन के लिए बेहतर श्रेणी चुनें, या "CATEGORY <नाम>" भेजें।',
+  'category.pickerButton': 'श्रेणी चुनें',
+  'category.pickerSection': 'श्रेणियाँ',
+  'category.alreadyIn': 'ℹ️ यह लेन-देन पहले से "{category}" में है।',
+  'category.updated': '✅ *श्रेणी बदल दी गई*\n\n{description} ({amount})\nपहले: {before}\nअब: {after}',
+  'category.uncategorized': 'बिना श्रेणी',
+
+  // Deleting and undo
+  'delete.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• DELETE - आख़िरी एंट्री हटाएँ\n' +
+    '• DELETE LAST 3 (या UNDO 3) - आख़िरी 3 एंट्री हटाएँ\n' +
+    '• DELETE 2 - पिछली LIST की #2 एंट्री हटाएँ\n' +
+    '• UNDO DELETE - अभी हटाई गई एंट्री वापस लाएँ',
+  'delete.failed': '❌ लेन-देन नहीं हटाया जा सका।',
+  'delete.noRecent': '❌ हटाने के लिए कोई हाल का लेन-देन नहीं मिला।',
+  'delete.deleted': { one: '✅ लेन-देन हटा दिया गया!', other: '✅ {count} लेन-देन हटा दिए गए:' },
+  'delete.entry': '• {amount} - {description} ({date})',
+  'delete.undoHint': '💡 वापस लाने के लिए "UNDO DELETE" भेजें।',
+  'delete.nothingToRestore': 'ℹ️ वापस लाने के लिए कुछ नहीं है।',
+  'delete.restored': { one: '♻️ {count} लेन-देन वापस लाया गया:', other: '♻️ {count} लेन-देन वापस लाए गए:' },
+
+  // Editing
+  'edit.title': '✏️ *लेन-देन बदलें*',
+  'edit.details': 'रकम: {amount}\nप्रकार: {type}\nश्रेणी: {category}\nविवरण: {description}\nतारीख़: {date}',
+  'edit.type.debit': 'खर्च',
+  'edit.type.credit': 'आय',
+  'edit.type.transfer': 'ट्रांसफ़र',
+  'edit.chooseField': 'आप क्या बदलना चाहते हैं?\n' +
+    '• AMOUNT\n' +
+    '• DATE\n' +
+    '• CATEGORY\n' +
+    '• VENDOR\n' +
+    '• DESCRIPTION\n' +
+    '• TYPE\n\n' +
+    'बदलाव रोकने के लिए "CANCEL" भेजें।',
+  'edit.field.amount': 'रकम',
+  'edit.field.date': 'तारीख़',
+  'edit.field.category': 'श्रेणी',
+  'edit.field.vendor': 'दुकान',
+  'edit.field.description': 'विवरण',
+  'edit.field.type': 'प्रकार',
+  'edit.hint.amount': 'उदाहरण: 450',
+  'edit.hint.date': 'उदाहरण: 2024-01-15, TODAY या YESTERDAY',
+  'edit.hint.category': 'सभी श्रेणियाँ देखने के लिए बदलाव के बाद "CATEGORIES" भेजें',
+  'edit.hint.vendor': 'उदाहरण: Big Bazaar',
+  'edit.hint.description': 'उदाहरण: हफ़्ते का राशन',
+  'edit.hint.type': 'EXPENSE या INCOME',
+  'edit.sendValue': '✏️ नई *{field}* भेजें।\n\n{hint}\n\nबदलाव रोकने के लिए "CANCEL" भेजें।',
+  'edit.noRecent': '❌ बदलने के लिए कोई हाल का लेन-देन नहीं मिला।',
+  'edit.notEditable': '❌ "{field}" बदला नहीं जा सकता।',
+  'edit.startFailed': '❌ बदलाव शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'edit.targetGone': '❌ जिस लेन-देन को आप बदल रहे थे, वह अब उपलब्ध नहीं है। फिर से शुरू करने के लिए "EDIT" भेजें।',
+  'edit.unknownField': '❌ कृपया इनमें से एक भेजें: AMOUNT, DATE, CATEGORY, VENDOR, DESCRIPTION, TYPE (या CANCEL)।',
+  'edit.updateFailed': '❌ लेन-देन नहीं बदला जा सका। कृपया फिर से कोशिश करें।',
+  'edit.transferType': '❌ ट्रांसफ़र को आय या खर्च में (या उल्टा) नहीं बदला जा सकता। "CANCEL" भेजें, फिर DELETE करके दोबारा भेजें।',
+  'edit.invalidValue': '❌ यह सही {field} नहीं है।\n\n{hint}\n\nफिर से भेजें, या "CANCEL" भेजें।',
+  'edit.categoryNotFound': '❌ श्रेणी "{category}" नहीं मिली।\n\nकोई दूसरी श्रेणी का नाम भेजें, या "CANCEL" भेजें।',
+  'edit.updated': '✅ *लेन-देन बदल दिया गया*',
+  'edit.changedTo': '{field} बदलकर {value} कर दिया गया',
+  'edit.draftExpired': '❌ यह एंट्री की समय-सीमा खत्म हो गई। कृपया इसे फिर से भेजें।',
+
+  // Savings goals
+  'goal.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• GOALS - प्रगति देखें\n' +
+    '• GOAL ADD Vacation 100000 by december\n' +
+    '• "Put 2000 towards vacation" - बचत जोड़ें',
+  'goal.updateFailed': '❌ लक्ष्य अपडेट नहीं हो सके। कृपया फिर से कोशिश करें।',
+  'goal.addUsage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: GOAL ADD <नाम> <रकम> [by <तारीख़>]\nउदाहरण: GOAL ADD Vacation 100000 by december',
+  'goal.pastDeadline': '❌ लक्ष्य की आख़िरी तारीख़ आगे की होनी चाहिए।',
+  'goal.exists': 'ℹ️ "{name}" नाम का लक्ष्य पहले से मौजूद है।',
+  'goal.created': '🎯 *लक्ष्य बन गया*\n\n{name}: {amount}\n\n💡 बचत जोड़ने के लिए "Put 2000 towards {example}" भेजें।',
+  'goal.createdBy': '🎯 *लक्ष्य बन गया*\n\n{name}: {date} तक {amount}\n\n💡 बचत जोड़ने के लिए "Put 2000 towards {example}" भेजें।',
+  'goal.none': '📭 अभी कोई लक्ष्य नहीं है।\n\n💡 आज़माएँ: "GOAL ADD Vacation 100000 by december"',
+  'goal.title': '🎯 *बचत के लक्ष्य*',
+  'goal.contributed': '{name} में {amount} जोड़े गए',
+  'goal.contributionFailed': '❌ लक्ष्य में रकम नहीं जुड़ सकी। कृपया फिर से कोशिश करें।',
+  'goal.savedOf': '{target} में से {saved}',
+  'goal.reached': '🎉 लक्ष्य पूरा हुआ!',
+  'goal.toGo': '{amount} बाकी',
+  'goal.deadline': '📅 आख़िरी तारीख़: {date}',
+  'goal.projected': '📈 इस रफ़्तार से: {date}',
+  'goal.behind': '⚠️ समय से पीछे',
+
+  // Periods and family members
+  'period.today': 'आज',
+  'period.thisWeek': 'इस हफ़्ते',
+  'member.you': 'आप',
+  'member.former': 'पूर्व सदस्य',
+  'member.notFound': '❌ "{name}" नाम का कोई परिवार सदस्य नहीं है।',
+
+  // History and search
+  'history.fetchFailed': '❌ लेन-देन नहीं मिल सके। कृपया फिर से कोशिश करें।',
+  'history.unknownFilter': '❌ "{name}" नाम की कोई श्रेणी या अवधि नहीं है।\n\n💡 अपनी श्रेणियाँ देखने के लिए "CATEGORIES" भेजें।',
+  'history.searchUsage': '❌ मैं क्या खोजूँ?\n\n' +
+    'उदाहरण:\n' +
+    '• SEARCH plumber\n' +
+    '• SEARCH >2000 in march\n' +
+    '• SEARCH swiggy last month by priya\n' +
+    '• SEARCH in food 500-1000',
+  'history.noMatches': '🔎 {filters} से मेल खाता कोई लेन-देन नहीं मिला।',
+  'history.matches': { one: '{count} नतीजा', other: '{count} नतीजे' },
+  'history.spent': '{amount} खर्च',
+  'history.received': '{amount} मिले',
+  'history.mostRecent': '📅 सबसे हाल का: {date}',
+  'history.searchFailed': '❌ लेन-देन नहीं खोजे जा सके। कृपया फिर से कोशिश करें।',
+  'history.nothingMore': 'ℹ️ दिखाने के लिए और कुछ नहीं है। फिर से शुरू करने के लिए "LIST" भेजें।',
+  'history.none': '📭 कोई लेन-देन नहीं मिला।',
+  'history.end': 'ℹ️ बस इतना ही है।',
+  'history.familyTitle': 'परिवार के लेन-देन',
+  'history.yourTitle': 'आपके लेन-देन',
+  'history.showing': '{from}-{to} दिखाए गए।',
+  'history.moreHint': 'और देखने के लिए *MORE* भेजें।',
+  'history.changeHint': '💡 किसी एंट्री को बदलने के लिए DELETE #2, EDIT #2 या CATEGORY #2 Food भेजें।',
+  'history.noPosition': '❌ आपकी पिछली सूची में #{position} नहीं है।\n\n💡 नंबर वाले लेन-देन देखने के लिए "LIST" भेजें।',
+  'history.positionUnavailable': '❌ #{position} पहले ही हटा दिया गया है या परिवार के किसी और सदस्य ने जोड़ा था।',
+
+  // Spending questions
+  'interactive.unavailable': 'ℹ️ यह विकल्प अब उपलब्ध नहीं है।',
+  'query.notUnderstood': '❌ मैं यह सवाल समझ नहीं पाया। ऐसे पूछें: "इस महीने खाने पर कितना खर्च हुआ?"',
+  'query.failed': '❌ आपके लेन-देन नहीं देखे जा सके। कृपया फिर से कोशिश करें।',
+  'query.dateRange': '{from} से {to}',
+  'query.allTransactions': 'सभी लेन-देन',
+  'query.noMatches': 'कोई मेल खाता लेन-देन नहीं मिला।',
+  'query.totalReceived': 'कुल आय',
+  'query.totalSpent': 'कुल खर्च',
+  'query.transactions': { one: '{count} लेन-देन', other: '{count} लेन-देन' },
+  'query.byCategory': 'श्रेणी के हिसाब से:',
+  'query.topItems': 'सबसे बड़े खर्च:',
+
+  // Recurring transactions
+  'recurring.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• RECURRING rent 15000 monthly on 1st\n' +
+    '• RECURRING gym 800 weekly on monday\n' +
+    '• RECURRING LIST\n' +
+    '• RECURRING PAUSE [नंबर] / RESUME [नंबर]\n' +
+    '• RECURRING DELETE [नंबर]',
+  'recurring.updateFailed': '❌ दोहराए जाने वाले लेन-देन अपडेट नहीं हो सके। कृपया फिर से कोशिश करें।',
+  'recurring.added': '✅ *दोहराया जाने वाला लेन-देन जोड़ा गया*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📁 {category}\n' +
+    '🔁 {schedule}\n' +
+    '📅 अगली बार: {date}\n\n' +
+    'मैं इसे अपने-आप दर्ज करूँगा और हर बार आपको बताऊँगा।',
+  'recurring.none': '📭 अभी कोई दोहराया जाने वाला लेन-देन नहीं है।\n\n💡 आज़माएँ: "RECURRING rent 15000 monthly on 1st"',
+  'recurring.title': '🔁 *आपके दोहराए जाने वाले लेन-देन*',
+  'recurring.next': 'अगली बार {date}',
+  'recurring.paused': '⏸️ रुका हुआ',
+  'recurring.listHint': '💡 "RECURRING PAUSE 1", "RECURRING RESUME 1" या "RECURRING DELETE 1" भेजें।',
+  'recurring.notFound': '❌ दोहराया जाने वाला लेन-देन नहीं मिला।\n\n💡 नंबर देखने के लिए "RECURRING LIST" भेजें।',
+  'recurring.stopped': '🗑️ "{description}" बंद कर दिया। पहले दर्ज हुए लेन-देन रखे गए हैं।',
+  'recurring.pausedItem': '⏸️ "{description}" रोक दिया।',
+  'recurring.resumed': '▶️ "{description}" फिर से शुरू। अगली बार: {date}',
+  'recurring.logged': '🔁 *दोहराया जाने वाला लेन-देन दर्ज हुआ*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📅 {dates}\n\n' +
+    '💡 इन्हें संभालने के लिए "RECURRING LIST" भेजें।',
+  'recurring.loggedRange': '{count} एंट्री ({from} से {to})',
+  'recurring.weeklyOn': 'हर हफ़्ते {weekday} को',
+  'recurring.monthlyOn': 'हर महीने {day} तारीख़ को',
+  'recurring.frequency.daily': 'रोज़',
+  'recurring.frequency.weekly': 'हर हफ़्ते',
+  'recurring.frequency.monthly': 'हर महीने',
+  'recurring.frequency.yearly': 'हर साल',
+  'weekday.0': 'रविवार',
+  'weekday.1': 'सोमवार',
+  'weekday.2': 'मंगलवार',
+  'weekday.3': 'बुधवार',
+  'weekday.4': 'गुरुवार',
+  'weekday.5': 'शुक्रवार',
+  'weekday.6': 'शनिवार',
+
+  // Summaries
+  'report.invalidPeriod': '❌ गलत अवधि।\n\n' +
+    'इस्तेमाल: SUMMARY [today|week|month|last month|<महीने का नाम>]\n' +
+    'पूरे परिवार के लिए FAMILY जोड़ें, जैसे "SUMMARY FAMILY week"',
+  'report.failed': '❌ आपका सारांश नहीं बन सका। कृपया फिर से कोशिश करें।',
+  'report.familyTitle': 'परिवार का सारांश - {period}',
+  'report.yourTitle': 'आपका सारांश - {period}',
+  'report.empty': 'इस अवधि में कोई लेन-देन दर्ज नहीं हुआ।',
+  'report.income': 'आय',
+  'report.expenses': 'ख़र्च',
+  'report.net': 'शुद्ध',
+  'report.whereItWent': 'पैसा कहाँ गया:',
+  'report.topVendors': 'मुख्य दुकानें:',
+  'report.byMember': 'सदस्य के अनुसार:',
+  'report.vsPrevious': 'पिछली अवधि से तुलना:',
+  'report.noDataBefore': '{amount} (पहले का डेटा नहीं)',
+
+  // Review mode
+  'review.save': '✅ सेव करें',
+  'review.edit': '✏️ बदलें',
+  'review.discard': '🗑️ हटाएँ',
+  'review.handled': 'ℹ️ यह एंट्री पहले ही निपटाई जा चुकी है या इसकी समय-सीमा ख़त्म हो गई है।',
+  'review.debtNotEditable': 'ℹ️ उधार देने और लेने की एंट्री बदली नहीं जा सकती। इसे हटाकर फिर से भेजें।',
+  'review.discarded': '🗑️ हटा दिया। कुछ भी सेव नहीं हुआ।',
+  'review.actionFailed': '❌ आपका चुनाव पूरा नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'review.statusOn': '📝 *रिव्यू मोड: चालू*\n\n' +
+    'नई एंट्री सेव होने से पहले सेव / बदलें / हटाएँ बटन के साथ आपको वापस भेजी जाती हैं।\n\n' +
+    'बदलने के लिए "REVIEW ON" या "REVIEW OFF" भेजें।',
+  'review.statusOff': '📝 *रिव्यू मोड: बंद*\n\nनई एंट्री तुरंत सेव होती हैं।\n\nबदलने के लिए "REVIEW ON" या "REVIEW OFF" भेजें।',
+  'review.usage': '❌ गलत फ़ॉर्मैट।\n\nइस्तेमाल: REVIEW ON या REVIEW OFF',
+  'review.adminOnly': '🔒 रिव्यू मोड सिर्फ़ परिवार के एडमिन बदल सकते हैं।',
+  'review.enabled': '✅ रिव्यू मोड चालू है। आपके परिवार की नई एंट्री सेव होने से पहले पुष्टि का इंतज़ार करेंगी।',
+  'review.disabled': '✅ रिव्यू मोड बंद है। नई एंट्री तुरंत सेव होंगी।',
+  'review.updateFailed': '❌ रिव्यू मोड अपडेट नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+  // Lending and borrowing
+  'iou.title.lent': '{name} को {amount} उधार दिए',
+  'iou.title.borrowed': '{name} से {amount} उधार लिए',
+  'iou.title.got_back': '{name} ने आपको {amount} लौटाए',
+  'iou.title.paid_back': '{name} को {amount} लौटाए',
+  'iou.entry.lent': '{amount} उधार दिए',
+  'iou.entry.borrowed': '{amount} उधार लिए',
+  'iou.entry.got_back': '{amount} वापस मिले',
+  'iou.entry.paid_back': '{amount} लौटाए',
+  'iou.owesYou': '{name} पर आपके {amount} बाकी हैं',
+  'iou.youOwe': 'आपको {name} के {amount} देने हैं',
+  'iou.settled': 'आपका और {name} का हिसाब बराबर है',
+  'iou.recorded': '🤝 *{title}*\n\n{balance}।\n\n💡 सबको देखने के लिए "DUES" भेजें, या इतिहास के लिए "DUES {name}"।',
+  'iou.recordFailed': '❌ इसे दर्ज नहीं किया जा सका। कृपया फिर से कोशिश करें।',
+  'iou.notSavedYet': 'यह अभी आपके उधार-खाते में सेव नहीं हुआ है। सेव करें?',
+  'iou.none': '✅ कोई बकाया नहीं है।\n\n💡 जब आप उधार दें या लें तो मुझे बताएँ, जैसे "Lent 500 to Ravi"।',
+  'iou.title': '🤝 *आपका लेना-देना*',
+  'iou.owedToYouTotal': 'आपको मिलने हैं: {amount}',
+  'iou.youOweTotal': 'आपको देने हैं: {amount}',
+  'iou.fetchFailed': '❌ बकाया नहीं मिल सका। कृपया फिर से कोशिश करें।',
+  'iou.notFound': '❌ "{name}" के साथ कोई लेना-देना नहीं है।\n\n💡 सबको देखने के लिए "DUES" भेजें।',
+  'iou.recent': 'हाल की एंट्री:',
+  'iou.nudgeTitle': '🤝 *हफ़्ते का लेना-देना रिमाइंडर*',
+  'iou.nudgeMore': '...और {count} अन्य',
+  'iou.nudgeTotals': 'आपको मिलने हैं: {owedToYou} • आपको देने हैं: {youOwe}',
+  'iou.nudgeHint': '💡 पूरी जानकारी के लिए "DUES" भेजें।',
+
+  // Splitting and settling up
+  'split.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• SPLIT 1200 dinner with Priya\n' +
+    '• SPLIT 3000 groceries equally - पूरा परिवार\n' +
+    '• SPLIT with Priya / SPLIT equally - अपनी आख़िरी एंट्री बाँटें (या उसकी पुष्टि का जवाब दें)',
+  'split.failed': '❌ ख़र्च बाँटा नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'split.nobodyElse': 'ℹ️ आपके परिवार में बाँटने के लिए कोई और नहीं है।',
+  'split.defaultDescription': 'बँटा हुआ ख़र्च',
+  'split.expense': 'ख़र्च',
+  'split.title': '{amount} बाँटा - {description}',
+  'split.balancesHint': '💡 किसे किसको कितना देना है, देखने के लिए "BALANCES" भेजें।',
+  'split.noRecent': '❌ बाँटने के लिए कोई हाल का लेन-देन नहीं मिला।',
+  'split.onlyExpenses': '❌ सिर्फ़ ख़र्च बाँटे जा सकते हैं।',
+  'split.alreadySplit': 'ℹ️ {amount} - {description} पहले ही बाँटा जा चुका है।',
+  'split.allSettled': '✅ सब हिसाब बराबर! परिवार में किसी पर कुछ बाकी नहीं है।\n\n💡 आज़माएँ: "SPLIT 1200 dinner with Priya"',
+  'split.balancesTitle': '⚖️ *परिवार का हिसाब*',
+  'split.owes': '{from} को {to} के {amount} देने हैं',
+  'split.settleHint': '💡 किसी को पैसे लौटाए? "SETTLE Priya" या "SETTLE Priya 500" भेजें।',
+  'split.balancesFailed': '❌ हिसाब नहीं मिल सका। कृपया फिर से कोशिश करें।',
+  'split.settleUsage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• SETTLE Priya - आपने Priya को पूरा लौटा दिया\n' +
+    '• SETTLE Priya 500 - आपने Priya को 500 दिए\n' +
+    '• SETTLE FROM Priya 500 - Priya ने आपको 500 दिए',
+  'split.youDontOwe': 'ℹ️ आपको {name} को कुछ नहीं देना है।',
+  'split.theyDontOwe': 'ℹ️ {name} को आपको कुछ नहीं देना है।',
+  'split.onlyOutstanding': '❌ सिर्फ़ {amount} बाकी है।',
+  'split.youPaid': '✅ आपने {name} को {amount} दिए।',
+  'split.theyPaid': '✅ {name} ने आपको {amount} दिए।',
+  'split.stillOutstanding': '{amount} अभी बाकी है।',
+  'split.pairSettled': '🎉 आप दोनों का हिसाब बराबर!',
+  'split.settleFailed': '❌ वापसी दर्ज नहीं हो सकी। कृपया फिर से कोशिश करें।',
+
+  // Wallets
+  'wallet.usage': '❌ गलत फ़ॉर्मैट।\n\n' +
+    'इस्तेमाल:\n' +
+    '• WALLETS - बैलेंस\n' +
+    '• WALLET ADD HDFC card - वॉलेट जोड़ें (cash, bank, card या UPI)\n' +
+    '• WALLET ADD SBI bank 25000 SHARED - शुरुआती बैलेंस के साथ, परिवार से साझा\n' +
+    '• WALLET DEFAULT HDFC - जब भुगतान का तरीका न बताया जाए तब इस्तेमाल हो\n' +
+    '• WALLET REMOVE HDFC',
+  'wallet.updateFailed': '❌ वॉलेट अपडेट नहीं हो सके। कृपया फिर से कोशिश करें।',
+  'wallet.type.cash': 'नकद',
+  'wallet.type.bank': 'बैंक',
+  'wallet.type.credit_card': 'क्रेडिट कार्ड',
+  'wallet.type.upi': 'UPI',
+  'wallet.outstanding': '{amount} बकाया',
+  'wallet.credit': '{amount} क्रेडिट',
+  'wallet.title': '👛 *आपके वॉलेट*',
+  'wallet.default': '⭐ डिफ़ॉल्ट',
+  'wallet.shared': '👪 साझा',
+  'wallet.balancesHint': '💡 बताइए कि आपने कैसे भुगतान किया ("paid 500 with HDFC card"), मैं वही वॉलेट इस्तेमाल करूँगा।',
+  'wallet.exists': 'ℹ️ आपके पास "{name}" नाम का वॉलेट पहले से है।',
+  'wallet.sharedName': '{name} (परिवार से साझा)',
+  'wallet.added': '✅ *वॉलेट जोड़ा गया*\n\n' +
+    '{type}: {label}\n' +
+    'बैलेंस: {balance}\n\n' +
+    '💡 भुगतान का तरीका न बताए जाने पर इसे इस्तेमाल करने के लिए "WALLET DEFAULT {name}" भेजें।',
+  'wallet.notFound': '❌ आपके पास "{name}" नाम का कोई वॉलेट नहीं है।\n\n💡 अपने वॉलेट देखने के लिए "WALLETS" भेजें।',
+  'wallet.defaultSet': '⭐ {name} अब आपका डिफ़ॉल्ट वॉलेट है।',
+  'wallet.isDefault': '❌ {name} आपका डिफ़ॉल्ट वॉलेट है। पहले कोई और डिफ़ॉल्ट चुनें।',
+  'wallet.removed': '🗑️ {name} हटा दिया। पुराने लेन-देन रखे गए हैं।',
+  'wallet.transferUnclear': '❌ समझ नहीं आया कि यह ट्रांसफ़र किन वॉलेट के बीच था।\n\n' +
+    'आपके वॉलेट: {names}\n\n' +
+    '💡 दोनों के नाम बताएँ, जैसे "Moved 5000 from SBI to cash", या "WALLET ADD SBI bank" से नया जोड़ें।',
+  'wallet.transferFailed': '❌ ट्रांसफ़र दर्ज नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+  // Plural units
+  'unit.minutes': { one: '{count} मिनट', other: '{count} मिनट' },
+
+  // Help
+  'help.commands': '📖 *Finance Assistant सहायता*\n\n' +
+    '*मुख्य कमांड:*\n' +
+    '• LINK [email] - अपना खाता जोड़ें\n' +
+    '• VERIFY [code] - खाता वेरिफ़ाई करें\n' +
+    '• LIST [n] [FAMILY] [today|week|category|vendor] - हाल की एंट्री\n' +
+    '• MORE - सूची का अगला पेज\n' +
+    '• SEARCH plumber / SEARCH >2000 in march by priya - एंट्री खोजें\n' +
+    '• EDIT - पिछला लेन-देन बदलें (LIST के #2 के लिए EDIT #2)\n' +
+    '• DELETE - पिछला लेन-देन हटाएँ\n' +
+    '• DELETE LAST 3 / DELETE #2 - कई एंट्री, या LIST का #2 हटाएँ\n' +
+    '• UNDO DELETE - अभी हटाई गई एंट्री वापस लाएँ\n' +
+    '• LANGUAGE [english|hindi|tamil] - मेरे जवाबों की भाषा\n' +
+    '• HELP - यह संदेश देखें\n\n' +
+    '*श्रेणी कमांड:*\n' +
+    '• CATEGORIES - सभी श्रेणियाँ देखें\n' +
+    '• CATEGORY [नाम] - पिछले लेन-देन की श्रेणी बदलें (LIST एंट्री के लिए CATEGORY #2 [नाम])\n' +
+    '• ADD CATEGORY [नाम] - नई श्रेणी जोड़ें (प्रीमियम)\n\n' +
+    '*रिपोर्ट:*\n' +
+    '• SUMMARY [today|week|month|last month|march] - आपका खर्च\n' +
+    '• REPORT [period] - पूरे परिवार का खर्च\n\n' +
+    '*बजट:*\n' +
+    '• BUDGET - बजट की स्थिति\n' +
+    '• BUDGET SET [category] [amount] [monthly|weekly] - बजट तय करें (एडमिन)\n' +
+    '• BUDGET REMOVE [category] - बजट हटाएँ (एडमिन)\n\n' +
+    '*नियमित लेन-देन:*\n' +
+    '• RECURRING rent 15000 monthly on 1st - अपने आप दर्ज करें\n' +
+    '• RECURRING LIST - नियमित लेन-देन देखें\n' +
+    '• RECURRING PAUSE/RESUME/DELETE [number]\n\n' +
+    '*बचत लक्ष्य:*\n' +
+    '• GOALS - लक्ष्यों की प्रगति\n' +
+    '• GOAL ADD Vacation 100000 by december - नया लक्ष्य\n' +
+    '• "Put 2000 towards vacation" - बचत जोड़ें\n\n' +
+    '*खर्च बाँटें:*\n' +
+    '• SPLIT 1200 dinner with Priya - खर्च साझा करें\n' +
+    '• SPLIT equally - पिछली एंट्री परिवार में बराबर बाँटें\n' +
+    '• BALANCES - किसका किस पर कितना बाकी है\n' +
+    '• SETTLE Priya [amount] - चुकाई गई राशि दर्ज करें\n\n' +
+    '*वॉलेट:*\n' +
+    '• WALLETS - कैश, बैंक, कार्ड और UPI वॉलेट का बैलेंस\n' +
+    '• WALLET ADD HDFC card - वॉलेट जोड़ें\n' +
+    '• WALLET DEFAULT HDFC - जब कोई वॉलेट न बताया जाए तब यही इस्तेमाल होगा\n' +
+    '• "Withdrew 5000 cash" / "Paid card bill 12000 from savings" - ट्रांसफ़र\n\n' +
+    '*उधार देना और लेना:*\n' +
+    '• "Lent 500 to Ravi" / "Ravi paid me back 300"\n' +
+    '• DUES - किससे लेना है और किसे देना है\n' +
+    '• DUES Ravi - एक व्यक्ति का हिसाब\n\n' +
+    '*रिव्यू मोड:*\n' +
+    '• REVIEW ON / REVIEW OFF - सेव करने से पहले एंट्री की पुष्टि (एडमिन)\n\n' +
+    '*सवाल पूछें:*\n' +
+    '❓ "इस महीने खाने पर कितना खर्च हुआ?"\n' +
+    '❓ "पिछले हफ़्ते प्रिया ने Swiggy पर कितना खर्च किया?"\n\n' +
+    '*कैसे दर्ज करें:*\n' +
+    '📸 बिल की फ़ोटो भेजें\n' +
+    '🎤 वॉइस नोट रिकॉर्ड करें\n' +
+    '💬 अपने खर्च लिखकर भेजें\n\n' +
+    '*उदाहरण:*\n' +
+    '"बिजली के बिल के 1200 दिए"\n' +
+    '"Big Bazaar में किराने पर ₹500 खर्च किए"\n' +
+    '"50000 सैलरी मिली"\n\n' +
+    '💡 अगर कोई श्रेणी नहीं मिलती, तो एंट्री "Other" में सेव होगी ताकि आप बाद में देख सकें।',
+};
@@ -0,0 +1,555 @@
+/**
+ * Tamil message catalog
+ * Keys missing here fall back to English
+ */
+
+module.exports = {
+  // Transaction confirmations
+  'transaction.recorded': 'பரிவர்த்தனை பதிவு செய்யப்பட்டது',
+  'transaction.transferRecorded': 'பணப் பரிமாற்றம் பதிவு செய்யப்பட்டது',
+  'transaction.pleaseReview': 'தயவுசெய்து சரிபார்க்கவும்',
+  'transaction.received': 'பெற்றது',
+  'transaction.spent': 'செலவு',
+  'transaction.moved': 'மாற்றியது',
+  'transaction.category': 'வகை',
+  'transaction.vendor': 'கடை',
+  'transaction.note': 'குறிப்பு',
+  'transaction.wallet': 'வாலட்',
+  'transaction.splitWith': 'இவர்களுடன் பகிர்வு',
+  'transaction.goal': 'இலக்கு',
+  'transaction.date': 'தேதி',
+  'transaction.from': 'அனுப்பிய வாலட்',
+  'transaction.to': 'பெற்ற வாலட்',
+  'transaction.entered': 'உள்ளிட்ட தொகை: {amount} (1 {from} = {rate} {to})',
+  'transaction.saved': '✅ இது உங்கள் நிதி கணக்கில் சேமிக்கப்பட்டது.',
+  'transaction.transferSaved': '✅ சேமிக்கப்பட்டது. பணப் பரிமாற்றங்கள் வருமானமாகவோ செலவாகவோ கணக்கிடப்படாது.',
+  'transaction.notSavedYet': 'இது இன்னும் சேமிக்கப்படவில்லை. உங்கள் நிதி கணக்கில் சேமிக்கவா?',
+  'transaction.replyWith': 'பதிலாக அனுப்பவும்:',
+  'transaction.editHint': '• "EDIT" - விவரங்களை மாற்ற',
+  'transaction.deleteHint': '• "DELETE" - இந்தப் பதிவை நீக்க',
+  'transaction.categoryHint': '• "CATEGORY [பெயர்]" - வகையை மாற்ற',
+  'transaction.noDescription': 'விவரம் இல்லை',
+  'transaction.saveFailed': '❌ பரிவர்த்தனையைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'transaction.categoryNotFound': '⚠️ "{category}" வகை கிடைக்கவில்லை. பரிவர்த்தனை "Other" வகையில் சேமிக்கப்பட்டது.\n\n' +
+    '💡 மாற்ற "CATEGORY <பெயர்>" அனுப்பவும், அல்லது எல்லா வகைகளையும் பார்க்க "CATEGORIES" அனுப்பவும்.',
+  'transaction.noExchangeRate': '❌ {date} தேதிக்கான {from} → {to} மாற்று விகிதம் என்னிடம் இல்லை, எனவே இதைச் சேமிக்க முடியவில்லை.\n\n' +
+    '💡 இதை {to} இல் மீண்டும் அனுப்பவும், அல்லது விகிதத்தைச் சேர்க்க உங்கள் நிர்வாகியிடம் கேளுங்கள்.',
+
+  // Linking
+  'link.instructions': '👋 *Finance Assistant-க்கு வரவேற்கிறோம்!*\n\n' +
+    'உங்கள் கணக்கைக் கண்டுபிடிக்க முடியவில்லை. உங்கள் WhatsApp-ஐ நிதி கணக்குடன் இணைப்போம்.\n\n' +
+    'இப்படி பதில் அனுப்பவும்:\n' +
+    '*LINK [உங்கள்-மின்னஞ்சல்]*\n\n' +
+    'உதாரணம்: LINK john@example.com\n\n' +
+    'அமைப்பை முடிக்க ஒரு சரிபார்ப்புக் குறியீடு உங்களுக்கு வரும்.',
+  'link.verificationCode': '🔐 *சரிபார்ப்புக் குறியீடு*\n\n' +
+    'உங்கள் சரிபார்ப்புக் குறியீடு: *{code}*\n\n' +
+    'இந்தக் குறியீடு {minutes} இல் காலாவதியாகும்.\n' +
+    'பதிலாக அனுப்பவும்: *VERIFY {code}*',
+  'link.success': '✅ *கணக்கு வெற்றிகரமாக இணைக்கப்பட்டது!*\n\n' +
+    'வரவேற்கிறோம், {name}! 🎉\n\n' +
+    'இனி நீங்கள் எனக்கு அனுப்பலாம்:\n' +
+    '📸 பில்/ரசீது புகைப்படங்கள்\n' +
+    '🎤 செலவுகள் பற்றிய குரல் பதிவுகள்\n' +
+    '💬 பரிவர்த்தனை விவரங்களுடன் உரைச் செய்திகள்\n\n' +
+    'எல்லாவற்றையும் நானே தானாகப் பதிவு செய்வேன்!',
+  'link.invalidFormat': '❌ தவறான வடிவம். இப்படி அனுப்பவும்:\n*LINK your-email@example.com*',
+  'link.invalidEmail': '❌ மின்னஞ்சல் வடிவம் தவறானது.',
+  'link.accountNotFound': '❌ இந்த மின்னஞ்சலுடன் கணக்கு இல்லை: {email}\n\nமுதலில் {url} இல் பதிவு செய்யவும்.',
+  'link.failed': '❌ இணைப்பைத் தொடங்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'link.verifyInvalidFormat': '❌ தவறான வடிவம். இப்படி அனுப்பவும்:\n*VERIFY 123456*',
+  'link.invalidCode': '❌ சரிபார்ப்புக் குறியீட்டின் வடிவம் தவறானது.',
+  'link.codeExpired': '❌ சரிபார்ப்புக் குறியீடு தவறானது அல்லது காலாவதியானது. புதிய குறியீட்டைப் பெற அனுப்பவும்:\n*LINK your-email@example.com*',
+  'link.verifyFailed': '❌ குறியீட்டைச் சரிபார்க்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'link.unlinked': '🔓 உங்கள் WhatsApp கணக்கு பிரிக்கப்பட்டது.\n\nஎப்போது வேண்டுமானாலும் மீண்டும் இணைக்க அனுப்பவும்:\n*LINK your-email@example.com*',
+
+  // Reminders and subscription
+  'user.fallbackName': 'நண்பரே',
+  'reminder.daily': '☀️ *காலை வணக்கம், {name}!*\n\n' +
+    '📊 நேற்று ஏதேனும் செலவு அல்லது வருமானம் இருந்ததா?\n\n' +
+    'எனக்கு அனுப்பவும்:\n' +
+    '• ரசீதுகளின் புகைப்படங்கள்\n' +
+    '• குரல் பதிவுகள்\n' +
+    '• உரைச் செய்திகள்\n\n' +
+    'இன்று பதிவு செய்ய எதுவும் இல்லையென்றால் "NONE" என்று பதில் அனுப்பவும்.',
+  'reminder.none': '✅ சரி! இனிய நாளாக அமையட்டும்!',
+  'subscription.required': '🔒 *பிரீமியம் வசதி*\n\n' +
+    'வணக்கம் {name},\n\n' +
+    'இந்த வசதிக்கு செயலில் உள்ள சந்தா தேவை.\n\n' +
+    'உங்கள் திட்டத்தை மேம்படுத்த {url}/subscribe ஐப் பார்வையிடவும்.\n\n' +
+    'நன்மைகள்:\n' +
+    '✨ வரம்பற்ற பரிவர்த்தனை கண்காணிப்பு\n' +
+    '📊 மேம்பட்ட பகுப்பாய்வு\n' +
+    '🤖 AI மூலம் கிடைக்கும் பார்வைகள்\n' +
+    '☁️ கிளவுட் காப்புப்பிரதி',
+
+  // Processing media and errors
+  'extraction.failed': '❌ *பரிவர்த்தனையைப் படிக்க முடியவில்லை*\n\n' +
+    'உங்கள் செய்தியில் பரிவர்த்தனை விவரங்கள் கிடைக்கவில்லை.\n\n' +
+    'இவற்றை முயற்சிக்கவும்:\n' +
+    '• தெளிவான புகைப்படத்தை அனுப்பவும்\n' +
+    '• தொகையும் விவரமும் சேர்க்கவும்\n' +
+    '• குரல் பதிவில் தெளிவாகப் பேசவும்\n\n' +
+    'உதாரணம்: "மளிகைக்கு 500 ரூபாய் செலவு செய்தேன்"',
+  'media.processingImage': '📸 உங்கள் பில் புகைப்படம் படிக்கப்படுகிறது...',
+  'media.transcribingAudio': '🎤 உங்கள் குரல் பதிவு எழுத்தாக மாற்றப்படுகிறது...',
+  'media.processingDocument': '📄 உங்கள் ஆவணம் படிக்கப்படுகிறது...',
+  'media.imageFailed': '❌ புகைப்படத்தைச் செயலாக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும் அல்லது தெளிவான புகைப்படத்தை அனுப்பவும்.',
+  'media.audioUnclear': '❌ ஒலியைச் செயலாக்க முடியவில்லை. ஒலி மிகவும் தெளிவற்றதாக அல்லது மெதுவாக இருந்தது. தெளிவாகப் பேசி மீண்டும் முயற்சிக்கவும்.',
+  'media.audioTranscriptionFailed': '❌ ஒலியைச் செயலாக்க முடியவில்லை. எழுத்தாக மாற்ற முடியவில்லை. தெளிவான குரல் பதிவை அனுப்பவும்.',
+  'media.audioFailed': '❌ ஒலியைச் செயலாக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும் அல்லது உரைச் செய்தியாக அனுப்பவும்.',
+  'media.documentFailed': '❌ ஆவணத்தைச் செயலாக்க முடியவில்லை. புகைப்படமாக அனுப்பவும்.',
+  'message.unsupportedType': '❌ இந்த வகைச் செய்தி ஆதரிக்கப்படவில்லை. உரை, புகைப்படம், குரல் பதிவு அல்லது ஆவணத்தை அனுப்பவும்.',
+  'message.processingFailed': '❌ மன்னிக்கவும், உங்கள் செய்தியைச் செயலாக்கும்போது பிழை ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.',
+  'session.cancelled': '👍 ரத்து செய்யப்பட்டது. எந்த மாற்றமும் செய்யப்படவில்லை.',
+
+  // Categories
+  'categories.title': '📋 *கிடைக்கும் வகைகள்*',
+  'categories.expense': '*💸 செலவு வகைகள்:*',
+  'categories.income': '*💰 வருமான வகைகள்:*',
+  'categories.tips': '💡 *குறிப்புகள்:*\n' +
+    '• உங்கள் பரிவர்த்தனைகளில் இந்த வகைப் பெயர்களைப் பயன்படுத்தவும்\n' +
+    '• புதிய வகையைச் சேர்க்க "ADD CATEGORY <பெயர்>" அனுப்பவும் (பிரீமியம் வசதி)\n' +
+    '• எந்த வகையும் பொருந்தவில்லை என்றால் "Other" இல் சேமிக்கப்படும்',
+  'categories.none': '❌ வகைகள் எதுவும் கிடைக்கவில்லை. உதவிக் குழுவைத் தொடர்பு கொள்ளவும்.',
+  'categories.fetchFailed': '❌ வகைகளைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'categories.premiumRequired': '🔒 *சொந்த வகைகள் - பிரீமியம் வசதி*\n\n' +
+    'சொந்த வகைகளைச் சேர்ப்பது ஒரு பிரீமியம் வசதி.\n\n' +
+    'பிரீமியத்துக்கு மேம்படுத்தி:\n' +
+    '• வரம்பற்ற சொந்த வகைகளை உருவாக்குங்கள்\n' +
+    '• உங்கள் நிதியைச் சிறப்பாக ஒழுங்கமையுங்கள்\n' +
+    '• மேம்பட்ட பகுப்பாய்வைப் பெறுங்கள்\n\n' +
+    'மேம்படுத்த செயலியைத் திறக்கவும்! 🚀',
+  'categories.addUsage': '❌ தவறான வடிவம்.\n\nபயன்பாடு: ADD CATEGORY <வகைப் பெயர்>\n\nஉதாரணம்:\nADD CATEGORY Pets',
+  'categories.nameLength': '❌ வகைப் பெயர் 2 முதல் 50 எழுத்துகளுக்குள் இருக்க வேண்டும்.',
+  'categories.exists': 'ℹ️ "{name}" வகை உங்கள் குடும்பக் கணக்கில் ஏற்கனவே உள்ளது!',
+  'categories.added': '✅ *வகை சேர்க்கப்பட்டது!*\n\n' +
+    '📁 "{name}" உங்கள் வகைகளில் சேர்க்கப்பட்டது.\n\n' +
+    'இனி இந்த வகையை உங்கள் பரிவர்த்தனைகளில் பயன்படுத்தலாம். ' +
+    'தேவைப்பட்டால் செயலியில் அதன் வகையை (செலவு/வருமானம்) மாற்றவும்.',
+  'categories.addFailed': '❌ வகையைச் சேர்க்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'categories.notFound': '❌ "{category}" வகை கிடைக்கவில்லை.\n\n💡 கிடைக்கும் வகைகளைப் பார்க்க "CATEGORIES" அனுப்பவும்.',
+
+  // Language preference
+  'language.current': '🌐 பதில்கள் *{language}* மொழியில் வருகின்றன.\n\nமாற்ற அனுப்பவும்:\n{options}',
+  'language.set': '✅ இனி நான் *{language}* மொழியில் பதிலளிப்பேன்.',
+  'language.unknown': '❌ "{input}" இன்னும் ஆதரிக்கப்படவில்லை.\n\nஇவற்றில் ஒன்றைத் தேர்ந்தெடுக்கவும்:\n{options}',
+  'language.failed': '❌ மொழியை மாற்ற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+
+  // Budgets
+  'budget.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• BUDGET - பட்ஜெட் நிலையைப் பார்க்க\n' +
+    '• BUDGET SET Food 10000 [monthly|weekly]\n' +
+    '• BUDGET REMOVE Food',
+  'budget.none': '📭 இன்னும் பட்ஜெட் எதுவும் அமைக்கப்படவில்லை.\n\n💡 ஒன்றை உருவாக்க "BUDGET SET Food 10000" அனுப்பவும்.',
+  'budget.title': '🎯 *குடும்ப பட்ஜெட்கள்*',
+  'budget.unknownCategory': 'தெரியாத வகை',
+  'budget.monthly': 'மாதாந்திரம்',
+  'budget.weekly': 'வாராந்திரம்',
+  'budget.spentOf': '{budget} இல் {spent} செலவு',
+  'budget.left': '{amount} மீதம்',
+  'budget.over': '{amount} அதிகம்',
+  'budget.fetchFailed': '❌ பட்ஜெட்களைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'budget.setUsage': '❌ தவறான வடிவம்.\n\nபயன்பாடு: BUDGET SET <வகை> <தொகை> [monthly|weekly]\nஉதாரணம்: BUDGET SET Food 10000',
+  'budget.adminOnly': '🔒 குடும்ப நிர்வாகிகள் மட்டுமே பட்ஜெட்களை மாற்ற முடியும்.',
+  'budget.invalidAmount': '❌ பட்ஜெட் தொகை பூஜ்ஜியத்தை விட அதிகமாக இருக்க வேண்டும்.',
+  'budget.invalidCategory': '❌ வகைப் பெயர் அதிகபட்சம் 50 எழுத்துகள் இருக்கலாம்.',
+  'budget.incomeCategory': '❌ "{category}" ஒரு வருமான வகை. செலவுகளுக்கு மட்டுமே பட்ஜெட் அமைக்க முடியும்.',
+  'budget.set': '✅ *பட்ஜெட் அமைக்கப்பட்டது*\n\n{emoji} {category}: {amount} {period}',
+  'budget.saveFailed': '❌ பட்ஜெட்டைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'budget.removeUsage': '❌ தவறான வடிவம்.\n\nபயன்பாடு: BUDGET REMOVE <வகை>',
+  'budget.noBudget': 'ℹ️ "{category}" வகைக்கு பட்ஜெட் இல்லை.',
+  'budget.removed': '✅ "{category}" பட்ஜெட் நீக்கப்பட்டது.',
+  'budget.removeFailed': '❌ பட்ஜெட்டை நீக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'budget.exceeded': 'பட்ஜெட் மீறப்பட்டது: {category}',
+  'budget.alert': 'பட்ஜெட் எச்சரிக்கை: {category}',
+  'budget.leftForPeriod': 'இந்தக் காலத்துக்கு {amount} மீதம் உள்ளது.',
+  'budget.overBudget': 'பட்ஜெட்டை விட {amount} அதிகம்.',
+  'budget.latestEntry': 'கடைசிப் பதிவு: {name}.',
+  'budget.familyMember': 'ஒரு குடும்ப உறுப்பினர்',
+
+  // Re-categorizing
+  'category.listUsage': '❌ தவறான வடிவம்.\n\nபயன்பாடு: CATEGORY #2 Food',
+  'category.noRecent': '❌ மாற்றுவதற்கு சமீபத்திய பரிவர்த்தனை எதுவும் இல்லை.',
+  'category.transactionGone': '❌ இந்தப் பரிவர்த்தனை இப்போது கிடைக்கவில்லை.',
+  'category.categoryGone': '❌ இந்த வகை இப்போது கிடைக்கவில்லை.',
+  'category.updateFailed': '❌ வகையை மாற்ற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'category.pickerBody': 'இந்தப் பரிவர்த்தனைக்கு பொருத்தமான வகையைத் தேர்ந்தெடுக்கவும், அல்லது "CATEGORY <பெயர்>" அனுப்பவும்.',
+  'category.pickerButton': 'வகையைத் தேர்வு',
+  'category.pickerSection': 'வகைகள்',
+  'category.alreadyIn': 'ℹ️ இந்தப் பரிவர்த்தனை ஏற்கனவே "{category}" வகையில் உள்ளது.',
+  'category.updated': '✅ *வகை மாற்றப்பட்டது*\n\n{description} ({amount})\nமுன்பு: {before}\nஇப்போது: {after}',
+  'category.uncategorized': 'வகை இல்லை',
+
+  // Deleting and undo
+  'delete.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• DELETE - கடைசிப் பதிவை நீக்க\n' +
+    '• DELETE LAST 3 (அல்லது UNDO 3) - கடைசி 3 பதிவுகளை நீக்க\n' +
+    '• DELETE 2 - கடைசி LIST இல் உள்ள #2 ஐ நீக்க\n' +
+    '• UNDO DELETE - இப்போது நீக்கியதைத் திரும்பப் பெற',
+  'delete.failed': '❌ பரிவர்த்தனையை நீக்க முடியவில்லை.',
+  'delete.noRecent': '❌ நீக்குவதற்கு சமீபத்திய பரிவர்த்தனை எதுவும் இல்லை.',
+  'delete.deleted': { one: '✅ பரிவர்த்தனை நீக்கப்பட்டது!', other: '✅ {count} பரிவர்த்தனைகள் நீக்கப்பட்டன:' },
+  'delete.entry': '• {amount} - {description} ({date})',
+  'delete.undoHint': '💡 திரும்பப் பெற "UNDO DELETE" அனுப்பவும்.',
+  'delete.nothingToRestore': 'ℹ️ திரும்பப் பெற எதுவும் இல்லை.',
+  'delete.restored': { one: '♻️ {count} பரிவர்த்தனை மீட்டெடுக்கப்பட்டது:', other: '♻️ {count} பரிவர்த்தனைகள் மீட்டெடுக்கப்பட்டன:' },
+
+  // Editing
+  'edit.title': '✏️ *பரிவர்த்தனையைத் திருத்து*',
+  'edit.details': 'தொகை: {amount}\nவகைமை: {type}\nவகை: {category}\nவிவரம்: {description}\nதேதி: {date}',
+  'edit.type.debit': 'செலவு',
+  'edit.type.credit': 'வருமானம்',
+  'edit.type.transfer': 'பணப் பரிமாற்றம்',
+  'edit.chooseField': 'எதை மாற்ற விரும்புகிறீர்கள்?\n' +
+    '• AMOUNT\n' +
+    '• DATE\n' +
+    '• CATEGORY\n' +
+    '• VENDOR\n' +
+    '• DESCRIPTION\n' +
+    '• TYPE\n\n' +
+    'திருத்துவதை நிறுத்த "CANCEL" அனுப்பவும்.',
+  'edit.field.amount': 'தொகை',
+  'edit.field.date': 'தேதி',
+  'edit.field.category': 'வகை',
+  'edit.field.vendor': 'கடை',
+  'edit.field.description': 'விவரம்',
+  'edit.field.type': 'வகைமை',
+  'edit.hint.amount': 'உதாரணம்: 450',
+  'edit.hint.date': 'உதாரணம்: 2024-01-15, TODAY அல்லது YESTERDAY',
+  'edit.hint.category': 'எல்லா வகைகளையும் பார்க்க மாற்றிய பின் "CATEGORIES" அனுப்பவும்',
+  'edit.hint.vendor': 'உதாரணம்: Big Bazaar',
+  'edit.hint.description': 'உதாரணம்: வாராந்திர மளிகை',
+  'edit.hint.type': 'EXPENSE அல்லது INCOME',
+  'edit.sendValue': '✏️ புதிய *{field}* அனுப்பவும்.\n\n{hint}\n\nதிருத்துவதை நிறுத்த "CANCEL" அனுப்பவும்.',
+  'edit.noRecent': '❌ திருத்துவதற்கு சமீபத்திய பரிவர்த்தனை எதுவும் இல்லை.',
+  'edit.notEditable': '❌ "{field}" ஐத் திருத்த முடியாது.',
+  'edit.startFailed': '❌ திருத்தத்தைத் தொடங்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'edit.targetGone': '❌ நீங்கள் திருத்திய பரிவர்த்தனை இப்போது கிடைக்கவில்லை. மீண்டும் தொடங்க "EDIT" அனுப்பவும்.',
+  'edit.unknownField': '❌ இவற்றில் ஒன்றை அனுப்பவும்: AMOUNT, DATE, CATEGORY, VENDOR, DESCRIPTION, TYPE (அல்லது CANCEL).',
+  'edit.updateFailed': '❌ பரிவர்த்தனையை மாற்ற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'edit.transferType': '❌ பணப் பரிமாற்றத்தை வருமானமாகவோ செலவாகவோ (அல்லது மாறாக) மாற்ற முடியாது. "CANCEL" அனுப்பி, DELETE செய்து மீண்டும் அனுப்பவும்.',
+  'edit.invalidValue': '❌ இது சரியான {field} இல்லை.\n\n{hint}\n\nமீண்டும் அனுப்பவும், அல்லது "CANCEL" அனுப்பவும்.',
+  'edit.categoryNotFound': '❌ "{category}" வகை கிடைக்கவில்லை.\n\nவேறு வகைப் பெயரை அனுப்பவும், அல்லது "CANCEL" அனுப்பவும்.',
+  'edit.updated': '✅ *பரிவர்த்தனை மாற்றப்பட்டது*',
+  'edit.changedTo': '{field} மாற்றப்பட்டது: {value}',
+  'edit.draftExpired': '❌ இந்தப் பதிவு காலாவதியானது. மீண்டும் அனுப்பவும்.',
+
+  // Savings goals
+  'goal.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• GOALS - முன்னேற்றத்தைப் பார்க்க\n' +
+    '• GOAL ADD Vacation 100000 by december\n' +
+    '• "Put 2000 towards vacation" - சேமிப்பைச் சேர்க்க',
+  'goal.updateFailed': '❌ இலக்குகளைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'goal.addUsage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு: GOAL ADD <பெயர்> <தொகை> [by <தேதி>]\n' +
+    'உதாரணம்: GOAL ADD Vacation 100000 by december',
+  'goal.pastDeadline': '❌ இலக்கின் கடைசித் தேதி எதிர்காலத்தில் இருக்க வேண்டும்.',
+  'goal.exists': 'ℹ️ "{name}" என்ற இலக்கு ஏற்கனவே உள்ளது.',
+  'goal.created': '🎯 *இலக்கு உருவாக்கப்பட்டது*\n\n' +
+    '{name}: {amount}\n\n' +
+    '💡 சேமிப்பைச் சேர்க்க "Put 2000 towards {example}" அனுப்பவும்.',
+  'goal.createdBy': '🎯 *இலக்கு உருவாக்கப்பட்டது*\n\n' +
+    '{name}: {date} க்குள் {amount}\n\n' +
+    '💡 சேமிப்பைச் சேர்க்க "Put 2000 towards {example}" அனுப்பவும்.',
+  'goal.none': '📭 இன்னும் இலக்குகள் இல்லை.\n\n💡 முயற்சிக்கவும்: "GOAL ADD Vacation 100000 by december"',
+  'goal.title': '🎯 *சேமிப்பு இலக்குகள்*',
+  'goal.contributed': '{name} இல் {amount} சேர்க்கப்பட்டது',
+  'goal.contributionFailed': '❌ உங்கள் இலக்கில் சேர்க்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'goal.savedOf': '{target} இல் {saved}',
+  'goal.reached': '🎉 இலக்கு எட்டப்பட்டது!',
+  'goal.toGo': 'இன்னும் {amount}',
+  'goal.deadline': '📅 கடைசித் தேதி: {date}',
+  'goal.projected': '📈 இந்த வேகத்தில்: {date}',
+  'goal.behind': '⚠️ அட்டவணைக்குப் பின்தங்கியுள்ளது',
+
+  // Periods and family members
+  'period.today': 'இன்று',
+  'period.thisWeek': 'இந்த வாரம்',
+  'member.you': 'நீங்கள்',
+  'member.former': 'முன்னாள் உறுப்பினர்',
+  'member.notFound': '❌ "{name}" என்ற குடும்ப உறுப்பினர் இல்லை.',
+
+  // History and search
+  'history.fetchFailed': '❌ பரிவர்த்தனைகளைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'history.unknownFilter': '❌ "{name}" என்ற வகையோ காலமோ இல்லை.\n\n💡 உங்கள் வகைகளைப் பார்க்க "CATEGORIES" அனுப்பவும்.',
+  'history.searchUsage': '❌ எதைத் தேட வேண்டும்?\n\n' +
+    'உதாரணங்கள்:\n' +
+    '• SEARCH plumber\n' +
+    '• SEARCH >2000 in march\n' +
+    '• SEARCH swiggy last month by priya\n' +
+    '• SEARCH in food 500-1000',
+  'history.noMatches': '🔎 {filters} உடன் பொருந்தும் பரிவர்த்தனை எதுவும் இல்லை.',
+  'history.matches': { one: '{count} முடிவு', other: '{count} முடிவுகள்' },
+  'history.spent': '{amount} செலவு',
+  'history.received': '{amount} வரவு',
+  'history.mostRecent': '📅 மிகச் சமீபத்தியது: {date}',
+  'history.searchFailed': '❌ பரிவர்த்தனைகளைத் தேட முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'history.nothingMore': 'ℹ️ காட்ட வேறு எதுவும் இல்லை. மீண்டும் தொடங்க "LIST" அனுப்பவும்.',
+  'history.none': '📭 பரிவர்த்தனைகள் எதுவும் இல்லை.',
+  'history.end': 'ℹ️ அவ்வளவுதான்.',
+  'history.familyTitle': 'குடும்பப் பரிவர்த்தனைகள்',
+  'history.yourTitle': 'உங்கள் பரிவர்த்தனைகள்',
+  'history.showing': '{from}-{to} காட்டப்படுகின்றன.',
+  'history.moreHint': 'மேலும் பார்க்க *MORE* அனுப்பவும்.',
+  'history.changeHint': '💡 ஒரு பதிவை மாற்ற DELETE #2, EDIT #2 அல்லது CATEGORY #2 Food அனுப்பவும்.',
+  'history.noPosition': '❌ உங்கள் கடைசிப் பட்டியலில் #{position} இல்லை.\n\n💡 எண்ணிடப்பட்ட பரிவர்த்தனைகளைப் பார்க்க "LIST" அனுப்பவும்.',
+  'history.positionUnavailable': '❌ #{position} ஏற்கனவே நீக்கப்பட்டது அல்லது வேறு குடும்ப உறுப்பினரால் சேர்க்கப்பட்டது.',
+
+  // Spending questions
+  'interactive.unavailable': 'ℹ️ இந்த விருப்பம் இப்போது கிடைக்கவில்லை.',
+  'query.notUnderstood': '❌ அந்தக் கேள்வி புரியவில்லை. இப்படிக் கேளுங்கள்: "இந்த மாதம் உணவுக்கு எவ்வளவு செலவழித்தேன்?"',
+  'query.failed': '❌ உங்கள் பரிவர்த்தனைகளைத் தேட முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'query.dateRange': '{from} முதல் {to} வரை',
+  'query.allTransactions': 'எல்லாப் பரிவர்த்தனைகளும்',
+  'query.noMatches': 'பொருந்தும் பரிவர்த்தனை எதுவும் இல்லை.',
+  'query.totalReceived': 'மொத்த வரவு',
+  'query.totalSpent': 'மொத்தச் செலவு',
+  'query.transactions': { one: '{count} பரிவர்த்தனை', other: '{count} பரிவர்த்தனைகள்' },
+  'query.byCategory': 'வகை வாரியாக:',
+  'query.topItems': 'முக்கியப் பதிவுகள்:',
+
+  // Recurring transactions
+  'recurring.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• RECURRING rent 15000 monthly on 1st\n' +
+    '• RECURRING gym 800 weekly on monday\n' +
+    '• RECURRING LIST\n' +
+    '• RECURRING PAUSE [எண்] / RESUME [எண்]\n' +
+    '• RECURRING DELETE [எண்]',
+  'recurring.updateFailed': '❌ தொடர் பரிவர்த்தனைகளைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'recurring.added': '✅ *தொடர் பரிவர்த்தனை சேர்க்கப்பட்டது*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📁 {category}\n' +
+    '🔁 {schedule}\n' +
+    '📅 அடுத்தது: {date}\n\n' +
+    'நான் இதைத் தானாகப் பதிவு செய்து ஒவ்வொரு முறையும் உங்களுக்குத் தெரிவிப்பேன்.',
+  'recurring.none': '📭 இன்னும் தொடர் பரிவர்த்தனைகள் இல்லை.\n\n💡 முயற்சிக்கவும்: "RECURRING rent 15000 monthly on 1st"',
+  'recurring.title': '🔁 *உங்கள் தொடர் பரிவர்த்தனைகள்*',
+  'recurring.next': 'அடுத்தது {date}',
+  'recurring.paused': '⏸️ நிறுத்தப்பட்டது',
+  'recurring.listHint': '💡 "RECURRING PAUSE 1", "RECURRING RESUME 1" அல்லது "RECURRING DELETE 1" என்று பதிலளிக்கவும்.',
+  'recurring.notFound': '❌ தொடர் பரிவர்த்தனை கிடைக்கவில்லை.\n\n💡 எண்களைப் பார்க்க "RECURRING LIST" என்று பதிலளிக்கவும்.',
+  'recurring.stopped': '🗑️ "{description}" நிறுத்தப்பட்டது. ஏற்கனவே பதிவான பரிவர்த்தனைகள் வைக்கப்பட்டுள்ளன.',
+  'recurring.pausedItem': '⏸️ "{description}" இடைநிறுத்தப்பட்டது.',
+  'recurring.resumed': '▶️ "{description}" மீண்டும் தொடங்கப்பட்டது. அடுத்தது: {date}',
+  'recurring.logged': '🔁 *தொடர் பரிவர்த்தனை பதிவு செய்யப்பட்டது*\n\n' +
+    '{icon} {amount} - {description}\n' +
+    '📅 {dates}\n\n' +
+    '💡 உங்கள் தொடர் பரிவர்த்தனைகளை நிர்வகிக்க "RECURRING LIST" என்று பதிலளிக்கவும்.',
+  'recurring.loggedRange': '{count} பதிவுகள் ({from} முதல் {to} வரை)',
+  'recurring.weeklyOn': 'ஒவ்வொரு வாரமும் {weekday}',
+  'recurring.monthlyOn': 'ஒவ்வொரு மாதமும் {day}ஆம் தேதி',
+  'recurring.frequency.daily': 'தினமும்',
+  'recurring.frequency.weekly': 'வாராந்திரம்',
+  'recurring.frequency.monthly': 'மாதாந்திரம்',
+  'recurring.frequency.yearly': 'ஆண்டுதோறும்',
+  'weekday.0': 'ஞாயிறு',
+  'weekday.1': 'திங்கள்',
+  'weekday.2': 'செவ்வாய்',
+  'weekday.3': 'புதன்',
+  'weekday.4': 'வியாழன்',
+  'weekday.5': 'வெள்ளி',
+  'weekday.6': 'சனி',
+
+  // Summaries
+  'report.invalidPeriod': '❌ தவறான காலம்.\n\n' +
+    'பயன்பாடு: SUMMARY [today|week|month|last month|<மாதப் பெயர்>]\n' +
+    'முழுக் குடும்பத்திற்கு FAMILY சேர்க்கவும், எ.கா. "SUMMARY FAMILY week"',
+  'report.failed': '❌ உங்கள் சுருக்கத்தை உருவாக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'report.familyTitle': 'குடும்பச் சுருக்கம் - {period}',
+  'report.yourTitle': 'உங்கள் சுருக்கம் - {period}',
+  'report.empty': 'இந்தக் காலத்தில் பரிவர்த்தனைகள் எதுவும் பதிவாகவில்லை.',
+  'report.income': 'வருமானம்',
+  'report.expenses': 'செலவுகள்',
+  'report.net': 'நிகரம்',
+  'report.whereItWent': 'எங்கே சென்றது:',
+  'report.topVendors': 'முக்கிய கடைகள்:',
+  'report.byMember': 'உறுப்பினர் வாரியாக:',
+  'report.vsPrevious': 'முந்தைய காலத்துடன் ஒப்பிட:',
+  'report.noDataBefore': '{amount} (முந்தைய தரவு இல்லை)',
+
+  // Review mode
+  'review.save': '✅ சேமி',
+  'review.edit': '✏️ திருத்து',
+  'review.discard': '🗑️ நிராகரி',
+  'review.handled': 'ℹ️ இந்தப் பதிவு ஏற்கனவே கையாளப்பட்டது அல்லது காலாவதியானது.',
+  'review.debtNotEditable': 'ℹ️ கடன் கொடுத்த/வாங்கிய பதிவுகளைத் திருத்த முடியாது. இதை நிராகரித்து மீண்டும் அனுப்பவும்.',
+  'review.discarded': '🗑️ நிராகரிக்கப்பட்டது. எதுவும் சேமிக்கப்படவில்லை.',
+  'review.actionFailed': '❌ உங்கள் தேர்வைச் செயல்படுத்த முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'review.statusOn': '📝 *மதிப்பாய்வு முறை: இயக்கத்தில்*\n\n' +
+    'புதிய பதிவுகள் சேமிக்கப்படும் முன் சேமி / திருத்து / நிராகரி பொத்தான்களுடன் உங்களுக்குத் திருப்பி அனுப்பப்படும்.\n\n' +
+    'மாற்ற "REVIEW ON" அல்லது "REVIEW OFF" என்று பதிலளிக்கவும்.',
+  'review.statusOff': '📝 *மதிப்பாய்வு முறை: அணைக்கப்பட்டது*\n\n' +
+    'புதிய பதிவுகள் உடனே சேமிக்கப்படும்.\n\n' +
+    'மாற்ற "REVIEW ON" அல்லது "REVIEW OFF" என்று பதிலளிக்கவும்.',
+  'review.usage': '❌ தவறான வடிவம்.\n\nபயன்பாடு: REVIEW ON அல்லது REVIEW OFF',
+  'review.adminOnly': '🔒 குடும்ப நிர்வாகிகள் மட்டுமே மதிப்பாய்வு முறையை மாற்ற முடியும்.',
+  'review.enabled': '✅ மதிப்பாய்வு முறை இயக்கப்பட்டது. உங்கள் குடும்பத்தின் புதிய பதிவுகள் சேமிக்கப்படும் முன் உறுதிப்படுத்தலுக்குக் காத்திருக்கும்.',
+  'review.disabled': '✅ மதிப்பாய்வு முறை அணைக்கப்பட்டது. புதிய பதிவுகள் உடனே சேமிக்கப்படும்.',
+  'review.updateFailed': '❌ மதிப்பாய்வு முறையைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+
+  // Lending and borrowing
+  'iou.title.lent': '{name}க்கு {amount} கடன் கொடுத்தீர்கள்',
+  'iou.title.borrowed': '{name}இடம் {amount} கடன் வாங்கினீர்கள்',
+  'iou.title.got_back': '{name} உங்களுக்கு {amount} திருப்பிக் கொடுத்தார்',
+  'iou.title.paid_back': '{name}க்கு {amount} திருப்பிக் கொடுத்தீர்கள்',
+  'iou.entry.lent': '{amount} கடன் கொடுத்தது',
+  'iou.entry.borrowed': '{amount} கடன் வாங்கியது',
+  'iou.entry.got_back': '{amount} திரும்பக் கிடைத்தது',
+  'iou.entry.paid_back': '{amount} திருப்பிக் கொடுத்தது',
+  'iou.owesYou': '{name} உங்களுக்கு {amount} தர வேண்டும்',
+  'iou.youOwe': 'நீங்கள் {name}க்கு {amount} தர வேண்டும்',
+  'iou.settled': 'நீங்களும் {name}உம் கணக்கைத் தீர்த்துவிட்டீர்கள்',
+  'iou.recorded': '🤝 *{title}*\n\n{balance}.\n\n💡 அனைவரையும் பார்க்க "DUES", வரலாற்றுக்கு "DUES {name}" என்று பதிலளிக்கவும்.',
+  'iou.recordFailed': '❌ அதைப் பதிவு செய்ய முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'iou.notSavedYet': 'இது இன்னும் உங்கள் கடன் கணக்கில் சேமிக்கப்படவில்லை. சேமிக்கவா?',
+  'iou.none': '✅ நிலுவைக் கடன்கள் இல்லை.\n\n💡 கடன் கொடுக்கும்போது அல்லது வாங்கும்போது சொல்லுங்கள், எ.கா. "Lent 500 to Ravi".',
+  'iou.title': '🤝 *உங்கள் கடன்கள்*',
+  'iou.owedToYouTotal': 'உங்களுக்கு வர வேண்டியது: {amount}',
+  'iou.youOweTotal': 'நீங்கள் தர வேண்டியது: {amount}',
+  'iou.fetchFailed': '❌ கடன்களைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'iou.notFound': '❌ "{name}" உடன் கடன்கள் எதுவும் இல்லை.\n\n💡 அனைவரையும் பார்க்க "DUES" என்று பதிலளிக்கவும்.',
+  'iou.recent': 'சமீபத்தியவை:',
+  'iou.nudgeTitle': '🤝 *வாராந்திரக் கடன் நினைவூட்டல்*',
+  'iou.nudgeMore': '...மேலும் {count}',
+  'iou.nudgeTotals': 'உங்களுக்கு வர வேண்டியது: {owedToYou} • நீங்கள் தர வேண்டியது: {youOwe}',
+  'iou.nudgeHint': '💡 விவரங்களுக்கு "DUES" என்று பதிலளிக்கவும்.',
+
+  // Splitting and settling up
+  'split.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• SPLIT 1200 dinner with Priya\n' +
+    '• SPLIT 3000 groceries equally - முழுக் குடும்பம்\n' +
+    '• SPLIT with Priya / SPLIT equally - உங்கள் கடைசிப் பதிவைப் பிரிக்க (அல்லது அதன் உறுதிப்படுத்தலுக்குப் பதிலளிக்கவும்)',
+  'split.failed': '❌ செலவைப் பிரிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'split.nobodyElse': 'ℹ️ உங்கள் குடும்பத்தில் பிரித்துக்கொள்ள வேறு யாரும் இல்லை.',
+  'split.defaultDescription': 'பிரிக்கப்பட்ட செலவு',
+  'split.expense': 'செலவு',
+  'split.title': '{amount} பிரிக்கப்பட்டது - {description}',
+  'split.balancesHint': '💡 யார் யாருக்குத் தர வேண்டும் என்று பார்க்க "BALANCES" என்று பதிலளிக்கவும்.',
+  'split.noRecent': '❌ பிரிக்க சமீபத்திய பரிவர்த்தனைகள் இல்லை.',
+  'split.onlyExpenses': '❌ செலவுகளை மட்டுமே பிரிக்க முடியும்.',
+  'split.alreadySplit': 'ℹ️ {amount} - {description} ஏற்கனவே பிரிக்கப்பட்டுள்ளது.',
+  'split.allSettled': '✅ எல்லாம் தீர்ந்தது! உங்கள் குடும்பத்தில் யாரும் எதுவும் தர வேண்டியதில்லை.\n\n' +
+    '💡 முயற்சிக்கவும்: "SPLIT 1200 dinner with Priya"',
+  'split.balancesTitle': '⚖️ *குடும்ப நிலுவைகள்*',
+  'split.owes': '{from} {to}க்கு {amount} தர வேண்டும்',
+  'split.settleHint': '💡 யாருக்காவது திருப்பிக் கொடுத்தீர்களா? "SETTLE Priya" அல்லது "SETTLE Priya 500" என்று பதிலளிக்கவும்.',
+  'split.balancesFailed': '❌ நிலுவைகளைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'split.settleUsage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• SETTLE Priya - Priyaக்கு முழுவதும் திருப்பிக் கொடுத்தீர்கள்\n' +
+    '• SETTLE Priya 500 - Priyaக்கு 500 கொடுத்தீர்கள்\n' +
+    '• SETTLE FROM Priya 500 - Priya உங்களுக்கு 500 கொடுத்தார்',
+  'split.youDontOwe': 'ℹ️ நீங்கள் {name}க்கு எதுவும் தர வேண்டியதில்லை.',
+  'split.theyDontOwe': 'ℹ️ {name} உங்களுக்கு எதுவும் தர வேண்டியதில்லை.',
+  'split.onlyOutstanding': '❌ {amount} மட்டுமே நிலுவையில் உள்ளது.',
+  'split.youPaid': '✅ நீங்கள் {name}க்கு {amount} கொடுத்தீர்கள்.',
+  'split.theyPaid': '✅ {name} உங்களுக்கு {amount} கொடுத்தார்.',
+  'split.stillOutstanding': '{amount} இன்னும் நிலுவையில் உள்ளது.',
+  'split.pairSettled': '🎉 உங்கள் இருவருக்கும் இடையே எல்லாம் தீர்ந்தது!',
+  'split.settleFailed': '❌ திருப்பிச் செலுத்தியதைப் பதிவு செய்ய முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+
+  // Wallets
+  'wallet.usage': '❌ தவறான வடிவம்.\n\n' +
+    'பயன்பாடு:\n' +
+    '• WALLETS - இருப்புகள்\n' +
+    '• WALLET ADD HDFC card - வாலெட்டைச் சேர்க்க (cash, bank, card அல்லது UPI)\n' +
+    '• WALLET ADD SBI bank 25000 SHARED - தொடக்க இருப்புடன், குடும்பத்துடன் பகிரப்பட்டது\n' +
+    '• WALLET DEFAULT HDFC - கட்டண முறை குறிப்பிடப்படாதபோது பயன்படுத்த\n' +
+    '• WALLET REMOVE HDFC',
+  'wallet.updateFailed': '❌ வாலெட்டுகளைப் புதுப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'wallet.type.cash': 'ரொக்கம்',
+  'wallet.type.bank': 'வங்கி',
+  'wallet.type.credit_card': 'கிரெடிட் கார்டு',
+  'wallet.type.upi': 'UPI',
+  'wallet.outstanding': '{amount} நிலுவை',
+  'wallet.credit': '{amount} வரவு',
+  'wallet.title': '👛 *உங்கள் வாலெட்டுகள்*',
+  'wallet.default': '⭐ இயல்புநிலை',
+  'wallet.shared': '👪 பகிரப்பட்டது',
+  'wallet.balancesHint': '💡 எப்படிச் செலுத்தினீர்கள் என்று குறிப்பிடுங்கள் ("paid 500 with HDFC card"), அந்த வாலெட்டைப் பயன்படுத்துவேன்.',
+  'wallet.exists': 'ℹ️ "{name}" என்ற வாலெட் ஏற்கனவே உங்களிடம் உள்ளது.',
+  'wallet.sharedName': '{name} (குடும்பத்துடன் பகிரப்பட்டது)',
+  'wallet.added': '✅ *வாலெட் சேர்க்கப்பட்டது*\n\n' +
+    '{type}: {label}\n' +
+    'இருப்பு: {balance}\n\n' +
+    '💡 கட்டண முறை குறிப்பிடப்படாதபோது இதைப் பயன்படுத்த "WALLET DEFAULT {name}" என்று பதிலளிக்கவும்.',
+  'wallet.notFound': '❌ "{name}" என்ற வாலெட் உங்களிடம் இல்லை.\n\n💡 உங்களுடையவற்றைப் பார்க்க "WALLETS" என்று பதிலளிக்கவும்.',
+  'wallet.defaultSet': '⭐ {name} இப்போது உங்கள் இயல்புநிலை வாலெட்.',
+  'wallet.isDefault': '❌ {name} உங்கள் இயல்புநிலை வாலெட். முதலில் வேறொன்றை இயல்புநிலையாக அமைக்கவும்.',
+  'wallet.removed': '🗑️ {name} நீக்கப்பட்டது. பழைய பரிவர்த்தனைகள் வைக்கப்பட்டுள்ளன.',
+  'wallet.transferUnclear': '❌ இந்தப் பரிமாற்றம் எந்த வாலெட்டுகளுக்கு இடையே என்று தெரியவில்லை.\n\n' +
+    'உங்கள் வாலெட்டுகள்: {names}\n\n' +
+    '💡 இரண்டையும் குறிப்பிடுங்கள், எ.கா. "Moved 5000 from SBI to cash", அல்லது "WALLET ADD SBI bank" மூலம் ஒன்றைச் சேர்க்கவும்.',
+  'wallet.transferFailed': '❌ பரிமாற்றத்தைப் பதிவு செய்ய முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+
+  // Plural units
+  'unit.minutes': { one: '{count} நிமிடம்', other: '{count} நிமிடங்கள்' },
+
+  // Help
+  'help.commands': '📖 *Finance Assistant உதவி*\n\n' +
+    '*அடிப்படை கட்டளைகள்:*\n' +
+    '• LINK [email] - உங்கள் கணக்கை இணைக்க\n' +
+    '• VERIFY [code] - உங்கள் கணக்கைச் சரிபார்க்க\n' +
+    '• LIST [n] [FAMILY] [today|week|category|vendor] - சமீபத்திய பதிவுகள்\n' +
+    '• MORE - பட்டியலின் அடுத்த பக்கம்\n' +
+    '• SEARCH plumber / SEARCH >2000 in march by priya - பதிவுகளைத் தேட\n' +
+    '• EDIT - கடைசி பரிவர்த்தனையைத் திருத்த (LIST இல் #2 க்கு EDIT #2)\n' +
+    '• DELETE - கடைசி பரிவர்த்தனையை நீக்க\n' +
+    '• DELETE LAST 3 / DELETE #2 - பலவற்றை, அல்லது LIST இல் #2 ஐ நீக்க\n' +
+    '• UNDO DELETE - இப்போது நீக்கியதை மீட்டெடுக்க\n' +
+    '• LANGUAGE [english|hindi|tamil] - என் பதில்களின் மொழி\n' +
+    '• HELP - இந்தச் செய்தியைக் காட்ட\n\n' +
+    '*வகை கட்டளைகள்:*\n' +
+    '• CATEGORIES - எல்லா வகைகளையும் காட்ட\n' +
+    '• CATEGORY [பெயர்] - கடைசி பரிவர்த்தனையின் வகையை மாற்ற (LIST பதிவுகளுக்கு CATEGORY #2 [பெயர்])\n' +
+    '• ADD CATEGORY [பெயர்] - புதிய வகையைச் சேர்க்க (பிரீமியம்)\n\n' +
+    '*அறிக்கைகள்:*\n' +
+    '• SUMMARY [today|week|month|last month|march] - உங்கள் செலவு\n' +
+    '• REPORT [period] - முழுக் குடும்பத்தின் செலவு\n\n' +
+    '*பட்ஜெட்:*\n' +
+    '• BUDGET - பட்ஜெட் நிலை\n' +
+    '• BUDGET SET [category] [amount] [monthly|weekly] - பட்ஜெட் அமைக்க (நிர்வாகிகள்)\n' +
+    '• BUDGET REMOVE [category] - பட்ஜெட்டை நீக்க (நிர்வாகிகள்)\n\n' +
+    '*தொடர் பரிவர்த்தனைகள்:*\n' +
+    '• RECURRING rent 15000 monthly on 1st - தானாகப் பதிவு செய்ய\n' +
+    '• RECURRING LIST - தொடர் பரிவர்த்தனைகளைக் காட்ட\n' +
+    '• RECURRING PAUSE/RESUME/DELETE [number]\n\n' +
+    '*சேமிப்பு இலக்குகள்:*\n' +
+    '• GOALS - இலக்குகளின் முன்னேற்றம்\n' +
+    '• GOAL ADD Vacation 100000 by december - புதிய இலக்கு\n' +
+    '• "Put 2000 towards vacation" - சேமிப்பைச் சேர்க்க\n\n' +
+    '*செலவைப் பகிர:*\n' +
+    '• SPLIT 1200 dinner with Priya - ஒரு செலவைப் பகிர\n' +
+    '• SPLIT equally - கடைசி பதிவைக் குடும்பத்துடன் சமமாகப் பகிர\n' +
+    '• BALANCES - யார் யாருக்கு எவ்வளவு தர வேண்டும்\n' +
+    '• SETTLE Priya [amount] - திருப்பிச் செலுத்தியதைப் பதிவு செய்ய\n\n' +
+    '*வாலட்கள்:*\n' +
+    '• WALLETS - பணம், வங்கி, கார்டு மற்றும் UPI வாலட் இருப்புகள்\n' +
+    '• WALLET ADD HDFC card - வாலட்டைச் சேர்க்க\n' +
+    '• WALLET DEFAULT HDFC - எதுவும் குறிப்பிடாதபோது பயன்படும் வாலட்\n' +
+    '• "Withdrew 5000 cash" / "Paid card bill 12000 from savings" - பணப் பரிமாற்றங்கள்\n\n' +
+    '*கடன் கொடுத்தல் & வாங்குதல்:*\n' +
+    '• "Lent 500 to Ravi" / "Ravi paid me back 300"\n' +
+    '• DUES - யார் உங்களுக்குத் தர வேண்டும், நீங்கள் யாருக்குத் தர வேண்டும்\n' +
+    '• DUES Ravi - ஒருவருடனான கணக்கு வரலாறு\n\n' +
+    '*சரிபார்ப்பு முறை:*\n' +
+    '• REVIEW ON / REVIEW OFF - சேமிக்கும் முன் பதிவுகளை உறுதிப்படுத்த (நிர்வாகிகள்)\n\n' +
+    '*கேள்விகள் கேளுங்கள்:*\n' +
+    '❓ "இந்த மாதம் உணவுக்கு எவ்வளவு செலவு செய்தோம்?"\n' +
+    '❓ "கடந்த வாரம் பிரியா Swiggy இல் எவ்வளவு செலவு செய்தார்?"\n\n' +
+    '*எப்படிப் பதிவு செய்வது:*\n' +
+    '📸 பில்களின் புகைப்படங்களை அனுப்பவும்\n' +
+    '🎤 குரல் பதிவுகளை அனுப்பவும்\n' +
+    '💬 உங்கள் செலவுகளை எழுதி அனுப்பவும்\n\n' +
+    '*உதாரணங்கள்:*\n' +
+    '"மின்சாரக் கட்டணம் 1200 செலுத்தினேன்"\n' +
+    '"Big Bazaar இல் மளிகைக்கு ₹500 செலவு"\n' +
+    '"சம்பளம் 50000 வந்தது"\n\n' +
+    '💡 வகை கிடைக்கவில்லை என்றால், பின்னர் நீங்கள் பார்க்க "Other" இல் சேமிக்கப்படும்.',
+};
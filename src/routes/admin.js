@@ -3,9 +3,13 @@ const router = express.Router();
 const { checkConnection, supabase } = require('../config/supabaseClient');
 const aiService = require('../services/aiService');
 const supabaseService = require('../services/supabaseService');
+const outboundQueue = require('../services/outboundQueue');
 const { triggerJob, getJobsStatus } = require('../services/schedulerService');
 const { manualLink, unlinkAccount } = require('../controllers/linkController');
 const logger = require('../utils/logger');
+const { validate, exchangeRateSchema } = require('../utils/validators');
+const { normalizeCurrency } = require('../utils/currency');
+const { summarizeDeliveryStatsByJob } = require('../utils/deliveryStatus');
 
 /**
  * Admin API Routes
@@ -204,6 +208,137 @@ router.get('/logs', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/delivery-stats - Outbound delivery stats per job (?job=dailyReminder&days=7)
+ */
+router.get('/delivery-stats', authenticateAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const counts = await supabaseService.getDeliveryCounts({ job: req.query.job, since });
+
+    res.json({
+      success: true,
+      since,
+      jobs: summarizeDeliveryStatsByJob(counts),
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'getDeliveryStats' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /admin/outbound-queue - Queue depth and the most recent dead letters (?limit=20)
+ */
+router.get('/outbound-queue', authenticateAdmin, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const { counts, deadLetters } = await supabaseService.getOutboundQueueSummary(limit);
+
+    res.json({
+      success: true,
+      counts,
+      deadLetters,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'getOutboundQueue' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /admin/outbound-queue/retry - Requeue dead letters (body: { queueId } for just one)
+ */
+router.post('/outbound-queue/retry', authenticateAdmin, async (req, res) => {
+  try {
+    const requeued = await supabaseService.retryDeadOutboundMessages(req.body?.queueId || null);
+
+    if (requeued > 0) {
+      outboundQueue.drain();
+    }
+
+    res.json({
+      success: true,
+      requeued,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'retryOutboundQueue' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /admin/exchange-rates - List exchange rates (optionally ?currency=USD)
+ */
+router.get('/exchange-rates', authenticateAdmin, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : undefined;
+
+    const rates = await supabaseService.listExchangeRates({ currency, limit });
+
+    res.json({
+      success: true,
+      rates,
+      count: rates.length,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'getExchangeRates' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /admin/exchange-rates - Add or replace a rate
+ * Body: { from: 'USD', to: 'INR', rate: 83.2, date: '2025-01-01', source? }
+ */
+router.post('/exchange-rates', authenticateAdmin, async (req, res) => {
+  try {
+    const { valid, value, errors } = await validate(exchangeRateSchema, req.body);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exchange rate',
+        errors,
+      });
+    }
+
+    const rate = await supabaseService.upsertExchangeRate({
+      fromCurrency: value.from,
+      toCurrency: value.to,
+      rate: value.rate,
+      effectiveDate: value.date.toISOString().split('T')[0],
+      source: value.source,
+    });
+
+    res.json({
+      success: true,
+      rate,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'saveExchangeRate' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /admin/ai-providers - Get AI provider information
  */
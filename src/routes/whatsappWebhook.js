@@ -1,12 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const { handleIncoming } = require('../controllers/messageController');
+const { verifyWebhookSignature } = require('../services/whatsappService');
+const { validate, webhookPayloadSchema } = require('../utils/validators');
+const { isStalePayload, rememberSignature } = require('../utils/webhookSecurity');
 const logger = require('../utils/logger');
 
 /**
  * WhatsApp Webhook Routes
  */
 
+// Deliveries whose newest event is older than this are not processed
+const WEBHOOK_MAX_AGE_SECONDS = parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS) || 24 * 60 * 60;
+
+// Signatures of recently accepted bodies (signature -> expiry), to spot replays
+const recentSignatures = new Map();
+
+/**
+ * Verify a POST really comes from Meta before any processing
+ * Checks the X-Hub-Signature-256 HMAC, the payload shape, staleness and replays
+ */
+async function verifyWebhookRequest(req, res, next) {
+  const signature = req.headers['x-hub-signature-256'];
+
+  if (!process.env.WEBHOOK_SECRET) {
+    logger.warn('WEBHOOK_SECRET not configured - rejecting webhook');
+    return res.status(500).send('Webhook not configured');
+  }
+
+  if (!verifyWebhookSignature(signature, req.rawBody)) {
+    logger.warn('Rejected webhook - invalid signature', { ip: req.ip, hasSignature: Boolean(signature) });
+    return res.status(401).send('Unauthorized');
+  }
+
+  const { valid, errors } = await validate(webhookPayloadSchema, req.body);
+
+  if (!valid) {
+    logger.warn('Rejected webhook - invalid payload', { ip: req.ip, errors });
+    return res.status(400).send('Bad Request');
+  }
+
+  // Stale and replayed deliveries are acknowledged (so WhatsApp stops retrying) but not processed
+  if (isStalePayload(req.body, WEBHOOK_MAX_AGE_SECONDS)) {
+    logger.warn('Rejected webhook - stale payload', { ip: req.ip });
+    return res.sendStatus(200);
+  }
+
+  if (rememberSignature(recentSignatures, signature, WEBHOOK_MAX_AGE_SECONDS * 1000)) {
+    logger.warn('Rejected webhook - replayed payload', { ip: req.ip });
+    return res.sendStatus(200);
+  }
+
+  next();
+}
+
 /**
  * GET /webhook/whatsapp - Webhook verification
  * WhatsApp will call this endpoint to verify the webhook
@@ -41,6 +88,6 @@ router.get('/', (req, res) => {
  * POST /webhook/whatsapp - Receive WhatsApp messages
  * WhatsApp will call this endpoint when messages are received
  */
-router.post('/', handleIncoming);
+router.post('/', verifyWebhookRequest, handleIncoming);
 
 module.exports = router;
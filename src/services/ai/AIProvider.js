@@ -1,3 +1,5 @@
+const logger = require('../../utils/logger');
+
 /**
  * AI Provider Interface
  * Abstract interface that all AI providers must implement
@@ -10,9 +12,10 @@ class AIProvider {
    * @param {string} mimeType - Image MIME type
    * @param {string} additionalContext - Extra context for extraction
    * @param {Array} categories - Array of category objects from family's categories_json
+   * @param {string} [currency] - Family's base currency, assumed when none is shown
    * @returns {Promise<Object>} Extracted transaction data
    */
-  async extractFromImage(image, mimeType, additionalContext = '', categories = []) {
+  async extractFromImage(image, mimeType, additionalContext = '', categories = [], _currency) {
     throw new Error('Method extractFromImage() must be implemented');
   }
 
@@ -30,12 +33,24 @@ class AIProvider {
    * @param {string} text - Text to extract from
    * @param {string} additionalContext - Extra context
    * @param {Array} categories - Array of category objects from family's categories_json
+   * @param {string} [currency] - Family's base currency, assumed when none is mentioned
    * @returns {Promise<Object>} Extracted transaction data
    */
-  async extractFromText(text, additionalContext = '', categories = []) {
+  async extractFromText(text, additionalContext = '', categories = [], _currency) {
     throw new Error('Method extractFromText() must be implemented');
   }
 
+  /**
+   * Classify a text message as a new transaction or a spending question
+   * @param {string} text - User message
+   * @param {Array} categories - Array of category objects for the family
+   * @param {Array<string>} memberNames - Names of the family members
+   * @returns {Promise<Object|null>} { intent: 'transaction' } or { intent: 'question', query: {...} }
+   */
+  async classifyIntent(text, _categories = [], _memberNames = []) {
+    throw new Error('Method classifyIntent() must be implemented');
+  }
+
   /**
    * Health check for the provider
    * @returns {Promise<Object>} Health status
@@ -44,6 +59,36 @@ class AIProvider {
     throw new Error('Method checkHealth() must be implemented');
   }
 
+  /**
+   * Parse intent classification JSON returned by a model (shared by providers)
+   * @param {string} content - Raw model output
+   * @returns {Object|null} Parsed intent or null if unusable
+   */
+  _parseIntentJSON(content) {
+    try {
+      const cleanContent = content
+        .trim()
+        .replace(/^```json\s*/i, '')
+        .replace(/^```\s*/i, '')
+        .replace(/\s*```$/i, '')
+        .trim();
+
+      const parsed = JSON.parse(cleanContent);
+
+      if (!parsed || !['transaction', 'question'].includes(parsed.intent)) {
+        return null;
+      }
+
+      return {
+        intent: parsed.intent,
+        query: parsed.intent === 'question' ? (parsed.query || {}) : null,
+      };
+    } catch (error) {
+      logger.warn('Failed to parse intent JSON', { content, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get provider name
    * @returns {string} Provider name
@@ -105,8 +105,8 @@ class AIServiceFactory {
   /**
    * Extract transaction from image (uses current provider)
    */
-  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = []) {
-    return this.currentProvider.extractFromImage(base64Image, mimeType, additionalContext, categories);
+  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = [], currency) {
+    return this.currentProvider.extractFromImage(base64Image, mimeType, additionalContext, categories, currency);
   }
 
   /**
@@ -119,14 +119,21 @@ class AIServiceFactory {
   /**
    * Extract transaction from text (uses current provider)
    */
-  async extractFromText(text, additionalContext = '', categories = []) {
-    return this.currentProvider.extractFromText(text, additionalContext, categories);
+  async extractFromText(text, additionalContext = '', categories = [], currency) {
+    return this.currentProvider.extractFromText(text, additionalContext, categories, currency);
+  }
+
+  /**
+   * Classify message intent (uses current provider)
+   */
+  async classifyIntent(text, categories = [], memberNames = []) {
+    return this.currentProvider.classifyIntent(text, categories, memberNames);
   }
 
   /**
    * Extract transaction from audio (transcribe + extract, uses current provider)
    */
-  async extractFromAudio(audioFilePath, additionalContext = '', categories = []) {
+  async extractFromAudio(audioFilePath, additionalContext = '', categories = [], currency) {
     try {
       // Step 1: Transcribe audio
       const transcribedText = await this.transcribeAudio(audioFilePath);
@@ -138,7 +145,7 @@ class AIServiceFactory {
       logger.info('Transcribed text:', { text: transcribedText });
 
       // Step 2: Extract transaction(s) from transcribed text
-      const result = await this.extractFromText(transcribedText, additionalContext, categories);
+      const result = await this.extractFromText(transcribedText, additionalContext, categories, currency);
 
       // Handle both single transaction and array of transactions
       if (Array.isArray(result)) {
@@ -195,14 +202,16 @@ module.exports = {
   aiServiceFactory,
   AIServiceFactory,
   // Backward compatibility exports
-  extractFromImage: (base64Image, mimeType, context, categories) => 
-    aiServiceFactory.extractFromImage(base64Image, mimeType, context, categories),
-  extractFromText: (text, context, categories) => 
-    aiServiceFactory.extractFromText(text, context, categories),
-  extractFromAudio: (audioPath, context, categories) => 
-    aiServiceFactory.extractFromAudio(audioPath, context, categories),
+  extractFromImage: (base64Image, mimeType, context, categories, currency) => 
+    aiServiceFactory.extractFromImage(base64Image, mimeType, context, categories, currency),
+  extractFromText: (text, context, categories, currency) => 
+    aiServiceFactory.extractFromText(text, context, categories, currency),
+  extractFromAudio: (audioPath, context, categories, currency) => 
+    aiServiceFactory.extractFromAudio(audioPath, context, categories, currency),
   transcribeAudio: (audioPath) => 
     aiServiceFactory.transcribeAudio(audioPath),
+  classifyIntent: (text, categories, memberNames) =>
+    aiServiceFactory.classifyIntent(text, categories, memberNames),
   checkAPIHealth: () => 
     aiServiceFactory.checkHealth(),
 };
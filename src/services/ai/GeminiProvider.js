@@ -6,6 +6,8 @@ const {
   getTextExtractionSystemPrompt,
   getImageExtractionPrompt,
   getTextExtractionPrompt,
+  getIntentClassificationSystemPrompt,
+  getIntentClassificationPrompt,
 } = require('../../utils/prompts');
 const { convertToWav } = require('../../utils/audioConverter');
 const fs = require('fs');
@@ -30,12 +32,12 @@ class GeminiProvider extends AIProvider {
   /**
    * Extract transaction from image using Gemini Vision
    */
-  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = []) {
+  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = [], currency) {
     try {
       const model = this.client.getGenerativeModel({ model: this.visionModel });
 
       // Generate system prompt with dynamic categories
-      const systemPrompt = getImageExtractionSystemPrompt(categories);
+      const systemPrompt = getImageExtractionSystemPrompt(categories, currency);
       const prompt = `${systemPrompt}\n\n${getImageExtractionPrompt(additionalContext)}`;
 
       const imagePart = {
@@ -144,11 +146,11 @@ class GeminiProvider extends AIProvider {
   /**
    * Extract transaction from text using Gemini
    */
-  async extractFromText(text, additionalContext = '', categories) {
+  async extractFromText(text, additionalContext = '', categories, currency) {
     try {
       const model = this.client.getGenerativeModel({ model: this.textModel });
       // Generate system prompt with dynamic categories
-      const systemPrompt = getTextExtractionSystemPrompt(categories);
+      const systemPrompt = getTextExtractionSystemPrompt(categories, currency);
       const prompt = `${systemPrompt}\n\n${getTextExtractionPrompt(text, additionalContext)}`;
 
       const result = await model.generateContent(prompt);
@@ -167,6 +169,31 @@ class GeminiProvider extends AIProvider {
     }
   }
 
+  /**
+   * Classify message intent (new transaction vs. spending question) using Gemini
+   */
+  async classifyIntent(text, categories = [], memberNames = []) {
+    try {
+      const model = this.client.getGenerativeModel({ model: this.textModel });
+      const systemPrompt = getIntentClassificationSystemPrompt(categories, memberNames);
+      const prompt = `${systemPrompt}\n\n${getIntentClassificationPrompt(text)}`;
+
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+      const content = response.text();
+
+      logger.info('Gemini intent classification completed', {
+        model: this.textModel,
+        text_length: content.length,
+      });
+
+      return this._parseIntentJSON(content);
+    } catch (error) {
+      logger.logError(error, { context: 'GeminiProvider.classifyIntent', text });
+      throw new Error(`Gemini intent classification failed: ${error.message}`);
+    }
+  }
+
   /**
    * Health check for Gemini API
    */
@@ -223,12 +250,16 @@ class GeminiProvider extends AIProvider {
         return {
           type: txn.type || 'debit',
           amount: parseFloat(txn.amount),
-          currency: (txn.currency || 'INR').toUpperCase(),
+          currency: txn.currency?.toUpperCase(),
           date: txn.date || new Date().toISOString().split('T')[0],
           category: txn.category || 'Other',
           vendor: txn.vendor || null,
           description: txn.description || '',
           raw_text: txn.raw_text || '',
+          payment_method: txn.payment_method || null,
+          from_wallet: txn.from_wallet || null,
+          to_wallet: txn.to_wallet || null,
+          debt: txn.debt || null,
         };
       };
 
@@ -6,6 +6,8 @@ const {
   getTextExtractionSystemPrompt,
   getImageExtractionPrompt,
   getTextExtractionPrompt,
+  getIntentClassificationSystemPrompt,
+  getIntentClassificationPrompt,
 } = require('../../utils/prompts');
 const fs = require('fs');
 
@@ -31,10 +33,10 @@ class OpenAIProvider extends AIProvider {
   /**
    * Extract transaction from image using GPT-4 Vision
    */
-  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = []) {
+  async extractFromImage(base64Image, mimeType, additionalContext = '', categories = [], currency) {
     try {
       // Generate system prompt with dynamic categories
-      const systemPrompt = getImageExtractionSystemPrompt(categories);
+      const systemPrompt = getImageExtractionSystemPrompt(categories, currency);
       
       const response = await this.client.chat.completions.create({
         model: this.visionModel,
@@ -104,10 +106,10 @@ class OpenAIProvider extends AIProvider {
   /**
    * Extract transaction from text using GPT-4
    */
-  async extractFromText(text, additionalContext = '', categories = []) {
+  async extractFromText(text, additionalContext = '', categories = [], currency) {
     try {
       // Generate system prompt with dynamic categories
-      const systemPrompt = getTextExtractionSystemPrompt(categories);
+      const systemPrompt = getTextExtractionSystemPrompt(categories, currency);
       
       const response = await this.client.chat.completions.create({
         model: this.textModel,
@@ -138,6 +140,40 @@ class OpenAIProvider extends AIProvider {
     }
   }
 
+  /**
+   * Classify message intent (new transaction vs. spending question) using GPT-4
+   */
+  async classifyIntent(text, categories = [], memberNames = []) {
+    try {
+      const response = await this.client.chat.completions.create({
+        model: this.textModel,
+        messages: [
+          {
+            role: 'system',
+            content: getIntentClassificationSystemPrompt(categories, memberNames),
+          },
+          {
+            role: 'user',
+            content: getIntentClassificationPrompt(text),
+          },
+        ],
+        max_tokens: 300,
+        temperature: 0,
+      });
+
+      const content = response.choices[0].message.content;
+      logger.info('OpenAI intent classification completed', {
+        model: this.textModel,
+        tokens: response.usage?.total_tokens,
+      });
+
+      return this._parseIntentJSON(content);
+    } catch (error) {
+      logger.logError(error, { context: 'OpenAIProvider.classifyIntent', text });
+      throw new Error(`OpenAI intent classification failed: ${error.message}`);
+    }
+  }
+
   /**
    * Health check for OpenAI API
    */
@@ -188,12 +224,16 @@ class OpenAIProvider extends AIProvider {
       return {
         type: parsed.type || 'debit',
         amount: parseFloat(parsed.amount),
-        currency: (parsed.currency || 'INR').toUpperCase(),
+        currency: parsed.currency?.toUpperCase(),
         date: parsed.date || new Date().toISOString().split('T')[0],
         category: parsed.category || 'Other',
         vendor: parsed.vendor || null,
         description: parsed.description || '',
         raw_text: parsed.raw_text || '',
+        payment_method: parsed.payment_method || null,
+        from_wallet: parsed.from_wallet || null,
+        to_wallet: parsed.to_wallet || null,
+        debt: parsed.debt || null,
       };
     } catch (error) {
       logger.warn('Failed to parse transaction JSON', { content, error: error.message });
@@ -10,6 +10,7 @@ const {
   extractFromText,
   extractFromAudio,
   transcribeAudio,
+  classifyIntent,
   checkAPIHealth,
 } = require('./ai/AIServiceFactory');
 const logger = require('../utils/logger');
@@ -21,6 +22,7 @@ module.exports = {
   extractFromText,
   extractFromAudio,
   transcribeAudio,
+  classifyIntent,
   checkAPIHealth,
   aiServiceFactory, // Export factory for advanced usage
   
@@ -0,0 +1,269 @@
+const supabaseService = require('./supabaseService');
+const logger = require('../utils/logger');
+const {
+  isRetryableError,
+  describeSendError,
+  getBackoffDelay,
+  createRateLimiter,
+  takeToken,
+  selectDeliverable,
+} = require('../utils/outboundQueue');
+
+/**
+ * Outbound Queue - Every WhatsApp send goes through here
+ * Messages are persisted in outbound_queue, sent in order per recipient, throttled to the
+ * Cloud API throughput limit, retried with backoff on 429/5xx and dead-lettered when they can't be sent
+ * Following Single Responsibility Principle
+ */
+
+// Cloud API throughput is 80 messages/second by default (higher once Meta upgrades the number)
+const MESSAGES_PER_SECOND = parseInt(process.env.OUTBOUND_MESSAGES_PER_SECOND) || 80;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.OUTBOUND_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 100;
+// How long a caller waits for its send before carrying on (the message stays queued)
+const WAIT_TIMEOUT_MS = parseInt(process.env.OUTBOUND_WAIT_TIMEOUT_MS) || 30 * 1000;
+const COMPLETE_ATTEMPTS = 3;
+const COMPLETE_RETRY_MS = 500;
+
+const limiter = createRateLimiter(MESSAGES_PER_SECOND);
+const waiters = new Map(); // queue_id -> { resolve, reject, timer } for callers awaiting their send
+const inFlight = new Set(); // recipients with a send in progress
+let draining = false;
+let drainRequested = false;
+let pollTimer = null;
+
+/**
+ * Queue a Cloud API payload and wait until it is sent
+ * Resolves with the API response; rejects once the message is dead-lettered.
+ * If the send takes longer than WAIT_TIMEOUT_MS (backoff after a 429) it resolves with
+ * { queued: true, queueId } and the message is still delivered in the background
+ * @param {Object} [options]
+ * @param {string} [options.messageType] - text, template, button, list or reaction
+ * @param {string} [options.job] - Scheduled job sending the message (for delivery stats)
+ * @param {boolean} [options.wait] - false to return as soon as the message is queued
+ */
+async function enqueue(to, payload, { messageType, job, wait = true } = {}) {
+  const row = await supabaseService.enqueueOutboundMessage({ whatsappNumber: to, payload, messageType, job });
+
+  // Queue table unavailable - send directly rather than lose the message
+  if (!row) {
+    const sent = postMessage(payload).then(async response => {
+      await trackSent(response, to, messageType, job);
+      return response;
+    });
+
+    if (wait) return sent;
+
+    sent.catch(error => logger.logError(error, { context: 'sendOutboundMessage', to, messageType }));
+    return { queued: true, queueId: null };
+  }
+
+  const queued = { queued: true, queueId: row.queue_id };
+
+  if (!wait) {
+    drain();
+    return queued;
+  }
+
+  const result = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiters.delete(row.queue_id);
+      logger.warn('Outbound message still queued, not waiting for it', { queueId: row.queue_id, to, messageType });
+      resolve(queued);
+    }, WAIT_TIMEOUT_MS);
+    timer.unref();
+
+    waiters.set(row.queue_id, { resolve, reject, timer });
+  });
+
+  drain();
+  return result;
+}
+
+/**
+ * Send everything that is due, respecting per-recipient order and the rate limit
+ * Calls while a drain is running make it go round again instead of running in parallel
+ */
+async function drain() {
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+
+  draining = true;
+
+  try {
+    do {
+      drainRequested = false;
+
+      const rows = await supabaseService.getPendingOutboundMessages(BATCH_SIZE);
+
+      for (const row of selectDeliverable(rows, inFlight)) {
+        let wait = takeToken(limiter);
+        while (wait > 0) {
+          await sleep(wait);
+          wait = takeToken(limiter);
+        }
+
+        inFlight.add(row.whatsapp_number);
+        deliver(row)
+          .catch(error => logger.logError(error, { context: 'deliverOutboundMessage', queueId: row.queue_id }))
+          .finally(() => {
+            inFlight.delete(row.whatsapp_number);
+            drain();
+          });
+      }
+    } while (drainRequested);
+  } catch (error) {
+    logger.logError(error, { context: 'drainOutboundQueue' });
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Send one queued message and record the outcome
+ */
+async function deliver(row) {
+  const claimed = await supabaseService.claimOutboundMessage(row.queue_id);
+
+  // Another worker got there first
+  if (!claimed) return;
+
+  try {
+    const response = await postMessage(row.payload);
+
+    await completeSent(row.queue_id);
+    await trackSent(response, row.whatsapp_number, row.message_type, row.job);
+    settle(row.queue_id, waiter => waiter.resolve(response));
+  } catch (error) {
+    const attempts = row.attempts + 1;
+    const lastError = describeSendError(error);
+
+    if (isRetryableError(error) && attempts < MAX_ATTEMPTS) {
+      const delay = getBackoffDelay(attempts, RETRY_BASE_MS, RETRY_MAX_MS);
+
+      await supabaseService.rescheduleOutboundMessage(row.queue_id, {
+        attempts,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+        lastError,
+      });
+
+      logger.warn('Outbound message failed, retrying', { queueId: row.queue_id, attempts, delay, ...lastError });
+      setTimeout(drain, delay).unref();
+      return;
+    }
+
+    await supabaseService.deadLetterOutboundMessage(row.queue_id, { attempts, lastError });
+    await supabaseService.logEvent('outbound_message_dead_lettered', {
+      queueId: row.queue_id,
+      to: row.whatsapp_number,
+      messageType: row.message_type,
+      job: row.job,
+      attempts,
+      ...lastError,
+    });
+
+    settle(row.queue_id, waiter => waiter.reject(error));
+  }
+}
+
+/**
+ * Remove a sent message from the queue
+ * Retried because a row left in 'sending' is released later and would be sent twice
+ */
+async function completeSent(queueId) {
+  for (let attempt = 1; attempt <= COMPLETE_ATTEMPTS; attempt++) {
+    if (await supabaseService.completeOutboundMessage(queueId)) return;
+
+    if (attempt < COMPLETE_ATTEMPTS) {
+      await sleep(COMPLETE_RETRY_MS * attempt);
+    }
+  }
+
+  logger.error('Sent outbound message could not be removed from the queue', { queueId });
+}
+
+/**
+ * Resolve or reject the caller waiting for a queued message (if it's still this process)
+ */
+function settle(queueId, callback) {
+  const waiter = waiters.get(queueId);
+
+  if (waiter) {
+    waiters.delete(queueId);
+    clearTimeout(waiter.timer);
+    callback(waiter);
+  }
+}
+
+/**
+ * Record a sent message for delivery tracking (status callbacks update it)
+ */
+async function trackSent(response, to, messageType, job) {
+  const messageId = response?.messages?.[0]?.id;
+
+  if (!messageId) return;
+
+  await supabaseService.recordOutboundMessage({ messageId, whatsappNumber: to, messageType, job });
+}
+
+/**
+ * Post a payload to the Cloud API
+ * Lazy require - whatsappService sends through this queue
+ */
+function postMessage(payload) {
+  const { postMessage: post } = require('./whatsappService');
+  return post(payload);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * One poll: requeue messages stuck mid-send (a crashed worker), then send what's due
+ */
+async function poll() {
+  const released = await supabaseService.releaseStaleOutboundMessages(STALE_SENDING_MS);
+
+  if (released > 0) {
+    logger.info('Requeued outbound messages left mid-send', { released });
+  }
+
+  await drain();
+}
+
+/**
+ * Start polling the queue (picks up retries and messages left by a previous run)
+ */
+async function startOutboundQueue() {
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  await poll();
+
+  logger.info('Outbound queue started', { messagesPerSecond: MESSAGES_PER_SECOND, maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Stop polling the queue
+ */
+function stopOutboundQueue() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  logger.info('Outbound queue stopped');
+}
+
+module.exports = {
+  enqueue,
+  drain,
+  startOutboundQueue,
+  stopOutboundQueue,
+};
@@ -45,6 +45,62 @@ function startScheduler() {
   jobs.set('cleanup', cleanupJob);
   logger.info('Cleanup job scheduled (every 6 hours)');
 
+  // Expired conversation sessions, review drafts and processed message ids cleanup (every 30 minutes)
+  const sessionCleanupJob = cron.schedule('*/30 * * * *', async () => {
+    try {
+      const { purgeExpiredSessions } = require('./sessionService');
+      const { purgeExpiredTransactionDrafts, purgeExpiredProcessedMessages } = require('./supabaseService');
+      await purgeExpiredSessions();
+      await purgeExpiredTransactionDrafts();
+      await purgeExpiredProcessedMessages();
+    } catch (error) {
+      logger.logError(error, { context: 'sessionCleanupJob' });
+    }
+  });
+
+  jobs.set('sessionCleanup', sessionCleanupJob);
+  logger.info('Session cleanup job scheduled (every 30 minutes)');
+
+  // Recurring transactions job (daily, plus a catch-up run on startup)
+  const recurringCron = process.env.RECURRING_TRANSACTIONS_CRON || '0 6 * * *';
+  const runRecurringTransactions = async () => {
+    try {
+      logger.info('Running recurring transactions job');
+      const { postDueRecurringTransactions } = require('../jobs/recurringTransactions');
+      await postDueRecurringTransactions();
+    } catch (error) {
+      logger.logError(error, { context: 'recurringTransactionsJob' });
+    }
+  };
+  const recurringJob = cron.schedule(recurringCron, runRecurringTransactions, {
+    timezone: process.env.DAILY_REMINDER_TIMEZONE || 'Asia/Kolkata',
+  });
+
+  jobs.set('recurringTransactions', recurringJob);
+  logger.info('Recurring transactions job scheduled', { cron: recurringCron });
+
+  // Post anything missed while the server was down
+  setImmediate(runRecurringTransactions);
+
+  // Weekly dues nudge (opt-in)
+  if (process.env.DUES_NUDGE_ENABLED === 'true') {
+    const duesNudgeCron = process.env.DUES_NUDGE_CRON || '0 10 * * 0';
+    const duesNudgeJob = cron.schedule(duesNudgeCron, async () => {
+      try {
+        logger.info('Running dues nudge job');
+        const { sendDuesNudges } = require('../jobs/duesNudge');
+        await sendDuesNudges();
+      } catch (error) {
+        logger.logError(error, { context: 'duesNudgeJob' });
+      }
+    }, {
+      timezone: process.env.DAILY_REMINDER_TIMEZONE || 'Asia/Kolkata',
+    });
+
+    jobs.set('duesNudge', duesNudgeJob);
+    logger.info('Dues nudge job scheduled', { cron: duesNudgeCron });
+  }
+
   // Health check job (every hour)
   const healthCheckJob = cron.schedule('0 * * * *', async () => {
     try {
@@ -113,6 +169,36 @@ async function triggerJob(jobName) {
     return { success: true, message: 'Cleanup job triggered' };
   }
   
+  if (jobName === 'sessionCleanup') {
+    const { purgeExpiredSessions } = require('./sessionService');
+    const { purgeExpiredTransactionDrafts, purgeExpiredProcessedMessages } = require('./supabaseService');
+    const removed = await purgeExpiredSessions();
+    const removedDrafts = await purgeExpiredTransactionDrafts();
+    const removedMessages = await purgeExpiredProcessedMessages();
+    return {
+      success: true,
+      message: `Session cleanup job triggered (${removed} sessions, ${removedDrafts} drafts, ${removedMessages} message ids removed)`,
+    };
+  }
+  
+  if (jobName === 'recurringTransactions') {
+    const { postDueRecurringTransactions } = require('../jobs/recurringTransactions');
+    const { posted, failed } = await postDueRecurringTransactions();
+    return {
+      success: true,
+      message: `Recurring transactions job triggered (${posted} posted, ${failed} failed)`,
+    };
+  }
+  
+  if (jobName === 'duesNudge') {
+    const { sendDuesNudges } = require('../jobs/duesNudge');
+    const { sent, failed } = await sendDuesNudges();
+    return {
+      success: true,
+      message: `Dues nudge job triggered (${sent} sent, ${failed} failed)`,
+    };
+  }
+  
   return { success: false, message: 'Job not found' };
 }
 
@@ -0,0 +1,57 @@
+const SessionStore = require('./SessionStore');
+
+/**
+ * In-memory Session Store
+ * For development and tests - sessions are lost on restart
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  getName() {
+    return 'memory';
+  }
+
+  async get(phoneNumber) {
+    const session = this.sessions.get(phoneNumber);
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt && Date.now() > session.expiresAt) {
+      this.sessions.delete(phoneNumber);
+      return null;
+    }
+
+    return { ...session };
+  }
+
+  async set(phoneNumber, session) {
+    const stored = { ...session, phoneNumber };
+    this.sessions.set(phoneNumber, stored);
+    return { ...stored };
+  }
+
+  async delete(phoneNumber) {
+    this.sessions.delete(phoneNumber);
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [phoneNumber, session] of this.sessions) {
+      if (session.expiresAt && now > session.expiresAt) {
+        this.sessions.delete(phoneNumber);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemorySessionStore;
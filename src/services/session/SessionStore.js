@@ -0,0 +1,61 @@
+/**
+ * Session Store Interface
+ * Abstract interface that all conversation session backends must implement
+ *
+ * A session holds the state of a multi-turn conversation for one WhatsApp number:
+ * {
+ *   phoneNumber: '919876543210',
+ *   action: 'edit',             // pending action / flow name
+ *   expecting: 'value',         // expected reply type
+ *   draft: { ... },             // draft transaction or flow data
+ *   expiresAt: 1700000000000,   // epoch ms
+ * }
+ */
+
+class SessionStore {
+  /**
+   * Get active (non-expired) session
+   * @param {string} phoneNumber - WhatsApp number
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(_phoneNumber) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /**
+   * Create or replace session
+   * @param {string} phoneNumber - WhatsApp number
+   * @param {Object} session - Session data (action, expecting, draft, expiresAt)
+   * @returns {Promise<Object>} Stored session
+   */
+  async set(_phoneNumber, _session) {
+    throw new Error('Method set() must be implemented');
+  }
+
+  /**
+   * Delete session
+   * @param {string} phoneNumber - WhatsApp number
+   * @returns {Promise<void>}
+   */
+  async delete(_phoneNumber) {
+    throw new Error('Method delete() must be implemented');
+  }
+
+  /**
+   * Remove all expired sessions
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async purgeExpired() {
+    throw new Error('Method purgeExpired() must be implemented');
+  }
+
+  /**
+   * Get store name
+   * @returns {string} Store name
+   */
+  getName() {
+    throw new Error('Method getName() must be implemented');
+  }
+}
+
+module.exports = SessionStore;
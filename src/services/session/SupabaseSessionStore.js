@@ -0,0 +1,117 @@
+const SessionStore = require('./SessionStore');
+const { supabase } = require('../../config/supabaseClient');
+const logger = require('../../utils/logger');
+
+/**
+ * Supabase Session Store
+ * Persists sessions in the conversation_sessions table (see infra/db/schema.sql)
+ */
+class SupabaseSessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.table = 'conversation_sessions';
+  }
+
+  getName() {
+    return 'supabase';
+  }
+
+  async get(phoneNumber) {
+    try {
+      const { data, error } = await supabase
+        .from(this.table)
+        .select('*')
+        .eq('whatsapp_number', phoneNumber)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        throw error;
+      }
+
+      const session = this._fromRow(data);
+
+      if (session.expiresAt && Date.now() > session.expiresAt) {
+        await this.delete(phoneNumber);
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      logger.logError(error, { context: 'SupabaseSessionStore.get', phoneNumber });
+      throw error;
+    }
+  }
+
+  async set(phoneNumber, session) {
+    try {
+      const { data, error } = await supabase
+        .from(this.table)
+        .upsert({
+          whatsapp_number: phoneNumber,
+          pending_action: session.action,
+          expected_reply: session.expecting || null,
+          draft: session.draft || {},
+          expires_at: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'whatsapp_number' })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return this._fromRow(data);
+    } catch (error) {
+      logger.logError(error, { context: 'SupabaseSessionStore.set', phoneNumber });
+      throw error;
+    }
+  }
+
+  async delete(phoneNumber) {
+    try {
+      const { error } = await supabase
+        .from(this.table)
+        .delete()
+        .eq('whatsapp_number', phoneNumber);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.logError(error, { context: 'SupabaseSessionStore.delete', phoneNumber });
+      throw error;
+    }
+  }
+
+  async purgeExpired() {
+    try {
+      const { data, error } = await supabase
+        .from(this.table)
+        .delete()
+        .lt('expires_at', new Date().toISOString())
+        .select('whatsapp_number');
+
+      if (error) throw error;
+
+      return data?.length || 0;
+    } catch (error) {
+      logger.logError(error, { context: 'SupabaseSessionStore.purgeExpired' });
+      throw error;
+    }
+  }
+
+  /**
+   * Map a conversation_sessions row to the session shape
+   */
+  _fromRow(row) {
+    return {
+      phoneNumber: row.whatsapp_number,
+      action: row.pending_action,
+      expecting: row.expected_reply,
+      draft: row.draft || {},
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+    };
+  }
+}
+
+module.exports = SupabaseSessionStore;
@@ -0,0 +1,182 @@
+const MemorySessionStore = require('./session/MemorySessionStore');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service - Conversation state for multi-turn flows
+ * Keyed by WhatsApp number, backed by a pluggable SessionStore
+ * Following Single Responsibility Principle
+ */
+
+const DEFAULT_SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Create the configured session store
+ * SESSION_STORE=memory|supabase (defaults to supabase in production, memory elsewhere)
+ */
+function createStore() {
+  const defaultStore = process.env.NODE_ENV === 'production' ? 'supabase' : 'memory';
+  const storeName = (process.env.SESSION_STORE || defaultStore).toLowerCase();
+
+  if (storeName === 'supabase') {
+    const SupabaseSessionStore = require('./session/SupabaseSessionStore');
+    return new SupabaseSessionStore();
+  }
+
+  if (storeName !== 'memory') {
+    logger.warn(`Unknown session store ${storeName}, falling back to memory`);
+  }
+
+  return new MemorySessionStore();
+}
+
+let store = createStore();
+logger.info(`Session store initialized: ${store.getName()}`);
+
+/**
+ * Get the active session for a WhatsApp number
+ * @returns {Promise<Object|null>} Session or null if none / expired
+ */
+async function getSession(phoneNumber) {
+  try {
+    return await store.get(phoneNumber);
+  } catch (error) {
+    // A broken session store must not block normal message handling
+    logger.warn('Failed to load session', { phoneNumber, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Start (or replace) a session
+ * @param {string} phoneNumber - WhatsApp number
+ * @param {Object} params
+ * @param {string} params.action - Pending action / flow name (e.g. 'edit')
+ * @param {string} [params.expecting] - Expected reply type (e.g. 'field', 'value')
+ * @param {Object} [params.draft] - Draft transaction or flow data
+ * @param {number} [params.ttlMs] - Time to live in milliseconds
+ */
+async function startSession(phoneNumber, { action, expecting = null, draft = {}, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+  return store.set(phoneNumber, {
+    action,
+    expecting,
+    draft,
+    expiresAt: Date.now() + ttlMs,
+  });
+}
+
+/**
+ * Update an existing session and refresh its expiry
+ * @param {string} phoneNumber - WhatsApp number
+ * @param {Object} changes - Fields to change (expecting, draft)
+ */
+async function updateSession(phoneNumber, changes, ttlMs = DEFAULT_SESSION_TTL_MS) {
+  const session = await store.get(phoneNumber);
+
+  if (!session) {
+    return null;
+  }
+
+  return store.set(phoneNumber, {
+    ...session,
+    ...changes,
+    draft: { ...session.draft, ...(changes.draft || {}) },
+    expiresAt: Date.now() + ttlMs,
+  });
+}
+
+/**
+ * End a session
+ */
+async function clearSession(phoneNumber) {
+  try {
+    await store.delete(phoneNumber);
+  } catch (error) {
+    logger.warn('Failed to clear session', { phoneNumber, error: error.message });
+  }
+}
+
+/**
+ * Conversation context - short-lived data that outlives a single reply
+ * (e.g. the last LIST output or undo history) without starting a pending flow
+ * Stored alongside sessions under a "<phoneNumber>:<name>" key
+ */
+function contextKey(phoneNumber, name) {
+  return `${phoneNumber}:${name}`;
+}
+
+/**
+ * Save conversation context
+ * Best effort - a broken session store is logged, not thrown
+ */
+async function setContext(phoneNumber, name, data, ttlMs = DEFAULT_SESSION_TTL_MS) {
+  try {
+    await saveContext(phoneNumber, name, data, ttlMs);
+  } catch (error) {
+    logger.warn('Failed to save context', { phoneNumber, name, error: error.message });
+  }
+}
+
+/**
+ * Save conversation context, throwing if the store fails
+ * For callers that must not go ahead without it (e.g. undo history before a delete)
+ */
+async function saveContext(phoneNumber, name, data, ttlMs = DEFAULT_SESSION_TTL_MS) {
+  await store.set(contextKey(phoneNumber, name), {
+    action: name,
+    draft: data,
+    expiresAt: Date.now() + ttlMs,
+  });
+}
+
+/**
+ * Load conversation context
+ * @returns {Promise<Object|null>} Saved data or null if none / expired
+ */
+async function getContext(phoneNumber, name) {
+  const session = await getSession(contextKey(phoneNumber, name));
+  return session ? session.draft : null;
+}
+
+/**
+ * Remove conversation context
+ */
+async function clearContext(phoneNumber, name) {
+  await clearSession(contextKey(phoneNumber, name));
+}
+
+/**
+ * Remove expired sessions (used by the scheduler)
+ */
+async function purgeExpiredSessions() {
+  const removed = await store.purgeExpired();
+  logger.info('Expired sessions purged', { removed, store: store.getName() });
+  return removed;
+}
+
+/**
+ * Replace the session store (for tests or custom backends)
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Get current store name
+ */
+function getStoreName() {
+  return store.getName();
+}
+
+module.exports = {
+  getSession,
+  startSession,
+  updateSession,
+  clearSession,
+  setContext,
+  saveContext,
+  getContext,
+  clearContext,
+  purgeExpiredSessions,
+  setStore,
+  getStoreName,
+};
@@ -1,6 +1,13 @@
 const { supabase } = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_BASE_CURRENCY } = require('../utils/currency');
+
+// PostgREST returns at most this many rows per request (max-rows)
+const QUERY_PAGE_SIZE = 1000;
+
+// A draft claimed this long ago was never saved (the process died mid-save) and can be claimed again
+const DRAFT_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
 
 /**
  * Get user by WhatsApp phone number
@@ -241,7 +248,17 @@ async function insertTransaction(transactionData) {
       transaction_date: transactionData.date,
       category_id: transactionData.category_id || null,
       wallet_id: transactionData.wallet_id || null,
+      ...(transactionData.to_wallet_id && { to_wallet_id: transactionData.to_wallet_id }),
+      ...(transactionData.original_currency && {
+        original_amount: transactionData.original_amount,
+        original_currency: transactionData.original_currency,
+        exchange_rate: transactionData.exchange_rate,
+      }),
       recipient_id: transactionData.recipient_id || null,
+      ...(transactionData.source_message_id && {
+        source_message_id: transactionData.source_message_id,
+        source_message_index: transactionData.source_message_index || 0,
+      }),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
       created_by: transactionData.user_id,
@@ -254,6 +271,15 @@ async function insertTransaction(transactionData) {
       .select()
       .single();
 
+    // Already inserted from this WhatsApp message (reprocessed delivery) - return the original
+    if (error?.code === '23505' && transaction.source_message_id) {
+      logger.warn('Duplicate transaction for source message ignored', {
+        source_message_id: transaction.source_message_id,
+        source_message_index: transaction.source_message_index,
+      });
+      return getTransactionBySourceMessage(transaction.source_message_id, transaction.source_message_index);
+    }
+
     if (error) throw error;
 
     logger.info('Transaction inserted successfully', { transaction_id: data.transaction_id });
@@ -264,6 +290,26 @@ async function insertTransaction(transactionData) {
   }
 }
 
+/**
+ * Get the transaction inserted from a WhatsApp message (index = position in a multi-item extraction)
+ */
+async function getTransactionBySourceMessage(sourceMessageId, sourceMessageIndex = 0) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('source_message_id', sourceMessageId)
+      .eq('source_message_index', sourceMessageIndex)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getTransactionBySourceMessage', sourceMessageId, sourceMessageIndex });
+    throw error;
+  }
+}
+
 /**
  * Get categories for a family from categories table
  * Returns both default and custom categories that are not deleted
@@ -499,6 +545,28 @@ function getCategoryByName(categoryName, availableCategories) {
   }
 }
 
+/**
+ * Match category name against available categories (exact, then fuzzy)
+ * Unlike getCategoryByName, does NOT fall back to "Other"
+ *
+ * @param {string} categoryName - The category name to search for
+ * @param {Array} availableCategories - Pre-fetched list of categories
+ * @returns {Object|null} - Matched category object or null
+ */
+function matchCategory(categoryName, availableCategories) {
+  if (!categoryName || !availableCategories || availableCategories.length === 0) {
+    return null;
+  }
+
+  const requested = categoryName.toLowerCase().trim();
+
+  const exactMatch = availableCategories.find(cat =>
+    cat.name.toLowerCase() === requested
+  );
+
+  return exactMatch || fuzzyMatchCategory(categoryName, availableCategories);
+}
+
 /**
  * Fuzzy match category name to available categories
  * Uses keyword matching and similarity scoring
@@ -688,6 +756,78 @@ async function getLastTransaction(userId) {
   }
 }
 
+/**
+ * Get a user's most recent transactions, newest first
+ */
+async function getRecentTransactions(userId, limit = 5) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getRecentTransactions', userId });
+    throw error;
+  }
+}
+
+/**
+ * Get a transaction by ID (scoped to the owning user)
+ */
+async function getTransactionById(transactionId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('transaction_id', transactionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getTransactionById', transactionId, userId });
+    return null;
+  }
+}
+
+/**
+ * Get the transaction a confirmation message was sent for
+ * Uses the 'transaction_confirmation_sent' event logged by saveTransaction
+ */
+async function getTransactionByConfirmationMessage(confirmationMessageId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('event_logs')
+      .select('payload')
+      .eq('event_type', 'transaction_confirmation_sent')
+      .eq('payload->>confirmationMessageId', confirmationMessageId)
+      .limit(1)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!data?.payload?.transactionId) {
+      return null;
+    }
+
+    return await getTransactionById(data.payload.transactionId, userId);
+  } catch (error) {
+    logger.logError(error, { context: 'getTransactionByConfirmationMessage', confirmationMessageId });
+    return null;
+  }
+}
+
 /**
  * Delete transaction
  */
@@ -709,6 +849,132 @@ async function deleteTransaction(transactionId, userId) {
   }
 }
 
+/**
+ * Delete several transactions in one statement (scoped to the owning user)
+ * Their transaction_splits go with them (ON DELETE CASCADE)
+ */
+async function deleteTransactions(transactionIds, userId) {
+  try {
+    const { error } = await supabase
+      .from('transactions')
+      .delete()
+      .in('transaction_id', transactionIds)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    logger.info('Transactions deleted', { transactionIds, userId });
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'deleteTransactions', transactionIds, userId });
+    throw error;
+  }
+}
+
+/**
+ * Get the rows that hang off transactions: split shares and goal contributions
+ * (snapshotted before a delete so UNDO DELETE can put them back)
+ * @returns {{ splits: Array, contributions: Array }}
+ */
+async function getTransactionDependents(transactionIds) {
+  try {
+    const [splitsResult, contributionsResult] = await Promise.all([
+      supabase
+        .from('transaction_splits')
+        .select('*')
+        .in('transaction_id', transactionIds),
+      supabase
+        .from('goal_contributions')
+        .select('*')
+        .in('transaction_id', transactionIds),
+    ]);
+
+    if (splitsResult.error) throw splitsResult.error;
+    if (contributionsResult.error) throw contributionsResult.error;
+
+    return { splits: splitsResult.data || [], contributions: contributionsResult.data || [] };
+  } catch (error) {
+    logger.logError(error, { context: 'getTransactionDependents', transactionIds });
+    throw error;
+  }
+}
+
+/**
+ * Remove the goal contributions of deleted transactions and take them off the goals' saved amounts
+ */
+async function removeGoalContributions(contributions) {
+  try {
+    if (contributions.length === 0) return;
+
+    // Deletes and subtracts in one statement; only rows actually removed are taken off the goals
+    const { data, error } = await supabase
+      .rpc('remove_goal_contributions', { p_ids: contributions.map(c => c.id) });
+
+    if (error) throw error;
+
+    logger.info('Goal contributions removed', { count: data || 0 });
+  } catch (error) {
+    logger.logError(error, { context: 'removeGoalContributions' });
+    throw error;
+  }
+}
+
+/**
+ * Put back the split shares and goal contributions of restored transactions
+ * Rows that still exist are left alone (and aren't added to the goals again)
+ * @param {{ splits: Array, contributions: Array }} dependents - From getTransactionDependents
+ */
+async function restoreTransactionDependents({ splits = [], contributions = [] }) {
+  try {
+    if (splits.length > 0) {
+      const { error } = await supabase
+        .from('transaction_splits')
+        .upsert(splits, { onConflict: 'transaction_id,member_user_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+
+    if (contributions.length > 0) {
+      const { error } = await supabase
+        .rpc('restore_goal_contributions', { p_contributions: contributions });
+
+      if (error) throw error;
+    }
+
+    logger.info('Transaction dependents restored', { splits: splits.length, contributions: contributions.length });
+  } catch (error) {
+    logger.logError(error, { context: 'restoreTransactionDependents' });
+    throw error;
+  }
+}
+
+/**
+ * Re-insert a previously deleted transaction row as-is (keeps its transaction_id)
+ * A row that's already back (an UNDO retried after a partial failure) is left as it is
+ */
+async function restoreTransaction(transaction) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .upsert(
+        { ...transaction, updated_at: new Date().toISOString() },
+        { onConflict: 'transaction_id', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) throw error;
+
+    logger.info('Transaction restored', {
+      transaction_id: transaction.transaction_id,
+      alreadyRestored: !data?.length,
+    });
+    return data?.[0] || transaction;
+  } catch (error) {
+    logger.logError(error, { context: 'restoreTransaction', transactionId: transaction.transaction_id });
+    throw error;
+  }
+}
+
 /**
  * Update transaction
  */
@@ -736,6 +1002,102 @@ async function updateTransaction(transactionId, userId, updates) {
   }
 }
 
+/**
+ * Query a family's transactions with optional filters
+ * @param {string} familyId - Family ID
+ * @param {Object} filters
+ * @param {string} [filters.startDate] - Inclusive start date (YYYY-MM-DD)
+ * @param {string} [filters.endDate] - Inclusive end date (YYYY-MM-DD)
+ * @param {string} [filters.type] - 'credit', 'debit' or 'transfer'
+ * @param {Array<string>} [filters.categoryIds] - Category IDs to include
+ * @param {string} [filters.userId] - Only transactions logged by this member
+ * @param {number} [filters.minAmount] - Inclusive minimum amount
+ * @param {number} [filters.maxAmount] - Inclusive maximum amount
+ * @param {string} [filters.search] - Free text matched against the description
+ * @param {number} [filters.limit] - Maximum rows; without one every matching row is read
+ * @param {number} [filters.offset] - Rows to skip (for paging)
+ */
+async function queryTransactions(familyId, filters = {}) {
+  try {
+    // Query builders run once, so each page starts from a fresh one
+    const buildQuery = () => {
+      let query = supabase
+        .from('transactions')
+        .select('transaction_id, user_id, amount, type, description, transaction_date, category_id, created_at')
+        .eq('family_id', familyId)
+        .order('transaction_date', { ascending: false })
+        .order('created_at', { ascending: false })
+        .order('transaction_id', { ascending: false });
+
+      if (filters.startDate) query = query.gte('transaction_date', filters.startDate);
+      if (filters.endDate) query = query.lte('transaction_date', filters.endDate);
+      if (filters.type) query = query.eq('type', filters.type);
+      if (filters.categoryIds?.length) query = query.in('category_id', filters.categoryIds);
+      if (filters.userId) query = query.eq('user_id', filters.userId);
+      if (filters.minAmount) query = query.gte('amount', filters.minAmount);
+      if (filters.maxAmount) query = query.lte('amount', filters.maxAmount);
+      if (filters.search) query = query.ilike('description', `%${filters.search}%`);
+
+      return query;
+    };
+
+    const offset = filters.offset || 0;
+
+    if (filters.limit) {
+      const { data, error } = await buildQuery().range(offset, offset + filters.limit - 1);
+
+      if (error) throw error;
+      return data || [];
+    }
+
+    // Summaries add these rows up, so read page by page past PostgREST's row cap
+    const rows = [];
+
+    for (let from = offset; ; from += QUERY_PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + QUERY_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      rows.push(...(data || []));
+
+      if (!data || data.length < QUERY_PAGE_SIZE) {
+        return rows;
+      }
+    }
+  } catch (error) {
+    logger.logError(error, { context: 'queryTransactions', familyId, filters });
+    throw error;
+  }
+}
+
+/**
+ * Get active members of a family with their names
+ */
+async function getFamilyMembers(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('family_members')
+      .select(`
+        user_id,
+        role,
+        users (full_name)
+      `)
+      .eq('family_id', familyId)
+      .eq('is_deleted', false);
+
+    if (error) throw error;
+
+    return (data || []).map(member => ({
+      user_id: member.user_id,
+      role: member.role,
+      full_name: member.users?.full_name || 'Member',
+    }));
+  } catch (error) {
+    logger.logError(error, { context: 'getFamilyMembers', familyId });
+    return [];
+  }
+}
+
 /**
  * Get user statistics
  */
@@ -757,24 +1119,1702 @@ async function getUserStats(userId, startDate, endDate) {
 }
 
 /**
- * Get all users with active WhatsApp links (for daily reminders)
+ * Total debits per category in a date range, summed in the database
+ * @returns {Promise<Map<string, number>>} category_id -> amount spent
  */
-async function getActiveWhatsappUsers() {
+async function getCategorySpending(familyId, { startDate, endDate, categoryIds }) {
   try {
     const { data, error } = await supabase
-      .from('whatsapp_links')
-      .select(`
-        whatsapp_number,
-        users (user_id, full_name, family_id)
-      `)
-      .eq('verified', true);
+      .rpc('get_category_spending', {
+        p_family_id: familyId,
+        p_start_date: startDate,
+        p_end_date: endDate,
+        p_category_ids: categoryIds,
+      });
 
     if (error) throw error;
+    return new Map((data || []).map(row => [row.category_id, Number(row.spent) || 0]));
+  } catch (error) {
+    logger.logError(error, { context: 'getCategorySpending', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Get all budgets for a family
+ * Budgets are owned by the main app; amounts are per period ('monthly' or 'weekly')
+ */
+async function getBudgetsForFamily(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('budgets')
+      .select('budget_id, family_id, category_id, amount, period, created_by')
+      .eq('family_id', familyId);
 
+    if (error) throw error;
     return data || [];
   } catch (error) {
-    logger.logError(error, { context: 'getActiveWhatsappUsers' });
-    return [];
+    logger.logError(error, { context: 'getBudgetsForFamily', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Create or update the budget for a family category
+ */
+async function upsertBudget({ familyId, categoryId, amount, period, userId }) {
+  try {
+    const { data: existing, error: findError } = await supabase
+      .from('budgets')
+      .select('budget_id')
+      .eq('family_id', familyId)
+      .eq('category_id', categoryId)
+      .limit(1)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    const query = existing
+      ? supabase
+        .from('budgets')
+        .update({ amount, period, updated_at: new Date().toISOString() })
+        .eq('budget_id', existing.budget_id)
+      : supabase
+        .from('budgets')
+        .insert({
+          budget_id: uuidv4(),
+          family_id: familyId,
+          category_id: categoryId,
+          amount,
+          period,
+          created_by: userId,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        });
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    logger.info('Budget saved', { budget_id: data.budget_id, familyId, categoryId, amount, period });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'upsertBudget', familyId, categoryId });
+    throw error;
+  }
+}
+
+/**
+ * Remove the budget for a family category
+ * Returns false if there was no budget
+ */
+async function deleteBudget(familyId, categoryId) {
+  try {
+    const { data, error } = await supabase
+      .from('budgets')
+      .delete()
+      .eq('family_id', familyId)
+      .eq('category_id', categoryId)
+      .select('budget_id');
+
+    if (error) throw error;
+
+    logger.info('Budget removed', { familyId, categoryId });
+    return (data?.length || 0) > 0;
+  } catch (error) {
+    logger.logError(error, { context: 'deleteBudget', familyId, categoryId });
+    throw error;
+  }
+}
+
+/**
+ * Get the budget for a family category, if any
+ */
+async function getBudgetForCategory(familyId, categoryId) {
+  try {
+    const { data, error } = await supabase
+      .from('budgets')
+      .select('budget_id, family_id, category_id, amount, period, created_by')
+      .eq('family_id', familyId)
+      .eq('category_id', categoryId)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getBudgetForCategory', familyId, categoryId });
+    return null;
+  }
+}
+
+/**
+ * Record that a budget threshold was alerted for a period
+ * Returns false if it was already alerted (unique budget/period/threshold)
+ */
+async function recordBudgetAlert({ budgetId, familyId, periodStart, threshold, transactionId }) {
+  try {
+    const { error } = await supabase
+      .from('budget_alerts')
+      .insert({
+        budget_id: budgetId,
+        family_id: familyId,
+        period_start: periodStart,
+        threshold,
+        transaction_id: transactionId,
+      });
+
+    if (error?.code === '23505') {
+      return false;
+    }
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'recordBudgetAlert', budgetId, threshold });
+    throw error;
+  }
+}
+
+/**
+ * Get verified WhatsApp numbers for all members of a family, with each number's reply language
+ * @returns {Promise<Array>} { whatsapp_number, language }
+ */
+async function getFamilyWhatsappLinks(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .select(`
+        whatsapp_number,
+        language,
+        users!inner (user_id, family_id)
+      `)
+      .eq('verified', true)
+      .eq('users.family_id', familyId);
+
+    if (error) throw error;
+
+    return (data || []).map(link => ({ whatsapp_number: link.whatsapp_number, language: link.language }));
+  } catch (error) {
+    logger.logError(error, { context: 'getFamilyWhatsappLinks', familyId });
+    return [];
+  }
+}
+
+/**
+ * Get a user's recurring transactions, oldest first
+ */
+async function getRecurringTransactions(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getRecurringTransactions', userId });
+    throw error;
+  }
+}
+
+/**
+ * Get active recurring transactions due on or before a date
+ */
+async function getDueRecurringTransactions(date) {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .select('*')
+      .eq('is_active', true)
+      .lte('next_due_date', date);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getDueRecurringTransactions', date });
+    throw error;
+  }
+}
+
+/**
+ * Create a recurring transaction
+ */
+async function createRecurringTransaction(recurringData) {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .insert({
+        recurring_id: uuidv4(),
+        family_id: recurringData.family_id,
+        user_id: recurringData.user_id,
+        category_id: recurringData.category_id || null,
+        amount: recurringData.amount,
+        type: recurringData.type,
+        description: recurringData.description,
+        frequency: recurringData.frequency,
+        day_of_month: recurringData.day_of_month ?? null,
+        day_of_week: recurringData.day_of_week ?? null,
+        start_date: recurringData.start_date,
+        next_due_date: recurringData.next_due_date,
+        is_active: true,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Recurring transaction created', { recurring_id: data.recurring_id });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createRecurringTransaction', userId: recurringData.user_id });
+    throw error;
+  }
+}
+
+/**
+ * Update a recurring transaction
+ */
+async function updateRecurringTransaction(recurringId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('recurring_id', recurringId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'updateRecurringTransaction', recurringId });
+    throw error;
+  }
+}
+
+/**
+ * Delete a recurring transaction (already posted transactions are kept)
+ */
+async function deleteRecurringTransaction(recurringId, userId) {
+  try {
+    const { error } = await supabase
+      .from('recurring_transactions')
+      .delete()
+      .eq('recurring_id', recurringId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    logger.info('Recurring transaction deleted', { recurringId, userId });
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'deleteRecurringTransaction', recurringId });
+    throw error;
+  }
+}
+
+/**
+ * Claim an occurrence of a recurring transaction before posting it
+ * Returns false if the occurrence was already claimed (unique recurring/date)
+ */
+async function claimRecurringPosting(recurringId, occurrenceDate) {
+  try {
+    const { error } = await supabase
+      .from('recurring_postings')
+      .insert({ recurring_id: recurringId, occurrence_date: occurrenceDate });
+
+    if (error?.code === '23505') {
+      return false;
+    }
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'claimRecurringPosting', recurringId, occurrenceDate });
+    throw error;
+  }
+}
+
+/**
+ * Attach the posted transaction to a claimed occurrence
+ */
+async function completeRecurringPosting(recurringId, occurrenceDate, transactionId) {
+  try {
+    const { error } = await supabase
+      .from('recurring_postings')
+      .update({ transaction_id: transactionId })
+      .eq('recurring_id', recurringId)
+      .eq('occurrence_date', occurrenceDate);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'completeRecurringPosting', recurringId, occurrenceDate });
+    return false;
+  }
+}
+
+/**
+ * Release a claimed occurrence whose transaction could not be posted
+ */
+async function releaseRecurringPosting(recurringId, occurrenceDate) {
+  try {
+    const { error } = await supabase
+      .from('recurring_postings')
+      .delete()
+      .eq('recurring_id', recurringId)
+      .eq('occurrence_date', occurrenceDate)
+      .is('transaction_id', null);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'releaseRecurringPosting', recurringId, occurrenceDate });
+    return false;
+  }
+}
+
+/**
+ * Get a family's savings goals, oldest first
+ */
+async function getGoalsForFamily(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('goals')
+      .select('goal_id, family_id, name, target_amount, current_amount, target_date, created_by, created_at')
+      .eq('family_id', familyId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getGoalsForFamily', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Create a savings goal
+ */
+async function createGoal({ familyId, userId, name, targetAmount, targetDate }) {
+  try {
+    const { data, error } = await supabase
+      .from('goals')
+      .insert({
+        goal_id: uuidv4(),
+        family_id: familyId,
+        name,
+        target_amount: targetAmount,
+        current_amount: 0,
+        target_date: targetDate,
+        created_by: userId,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Goal created', { goal_id: data.goal_id, familyId });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createGoal', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Add a contribution to a goal's saved amount
+ * Links it to the transaction that recorded it and increments the goal in one statement;
+ * calling it again for the same transaction changes nothing
+ * @returns {Object} The updated goal
+ */
+async function addGoalContribution({ goal, amount, transactionId, userId }) {
+  try {
+    const { data, error } = await supabase
+      .rpc('add_goal_contribution', {
+        p_goal_id: goal.goal_id,
+        p_transaction_id: transactionId,
+        p_user_id: userId,
+        p_amount: amount,
+      })
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Goal contribution added', { goal_id: goal.goal_id, amount, transactionId });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'addGoalContribution', goalId: goal.goal_id });
+    throw error;
+  }
+}
+
+/**
+ * Record each member's share of a split expense
+ * @param {Object} transaction - Saved transaction (payer is transaction.user_id)
+ * @param {Array<{ userId: string, amount: number }>} shares
+ */
+async function createTransactionSplits(transaction, shares) {
+  try {
+    // Shares already recorded (a reprocessed SPLIT message) are left as they are
+    const { data, error } = await supabase
+      .from('transaction_splits')
+      .upsert(shares.map(share => ({
+        transaction_id: transaction.transaction_id,
+        family_id: transaction.family_id,
+        payer_user_id: transaction.user_id,
+        member_user_id: share.userId,
+        share_amount: share.amount,
+      })), { onConflict: 'transaction_id,member_user_id', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+
+    logger.info('Transaction split recorded', {
+      transaction_id: transaction.transaction_id,
+      members: shares.length,
+    });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createTransactionSplits', transactionId: transaction.transaction_id });
+    throw error;
+  }
+}
+
+/**
+ * Get the shares of one transaction (empty if it wasn't split)
+ */
+async function getSplitsForTransaction(transactionId) {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_splits')
+      .select('*')
+      .eq('transaction_id', transactionId);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getSplitsForTransaction', transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Update the members' shares of a split transaction (after its amount was edited)
+ * @param {Array<{ userId: string, amount: number }>} shares
+ */
+async function updateTransactionSplitShares(transactionId, shares) {
+  try {
+    for (const share of shares) {
+      const { error } = await supabase
+        .from('transaction_splits')
+        .update({ share_amount: share.amount })
+        .eq('transaction_id', transactionId)
+        .eq('member_user_id', share.userId);
+
+      if (error) throw error;
+    }
+
+    logger.info('Transaction split shares updated', { transaction_id: transactionId, members: shares.length });
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'updateTransactionSplitShares', transactionId });
+    throw error;
+  }
+}
+
+/**
+ * Get all split shares and settlements for a family
+ * @returns {{ splits: Array, settlements: Array }}
+ */
+async function getFamilySplitLedger(familyId) {
+  try {
+    const [splitsResult, settlementsResult] = await Promise.all([
+      supabase
+        .from('transaction_splits')
+        .select('payer_user_id, member_user_id, share_amount')
+        .eq('family_id', familyId),
+      supabase
+        .from('split_settlements')
+        .select('from_user_id, to_user_id, amount')
+        .eq('family_id', familyId),
+    ]);
+
+    if (splitsResult.error) throw splitsResult.error;
+    if (settlementsResult.error) throw settlementsResult.error;
+
+    return { splits: splitsResult.data || [], settlements: settlementsResult.data || [] };
+  } catch (error) {
+    logger.logError(error, { context: 'getFamilySplitLedger', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Record a repayment between family members
+ */
+async function recordSettlement({ familyId, fromUserId, toUserId, amount, createdBy }) {
+  try {
+    const { data, error } = await supabase
+      .from('split_settlements')
+      .insert({
+        family_id: familyId,
+        from_user_id: fromUserId,
+        to_user_id: toUserId,
+        amount,
+        created_by: createdBy,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Settlement recorded', { familyId, fromUserId, toUserId, amount });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'recordSettlement', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Get a user's IOU counterparties
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.outstandingOnly] - Only counterparties with a non-zero balance
+ */
+async function getCounterparties(userId, { outstandingOnly = false } = {}) {
+  try {
+    let query = supabase
+      .from('iou_counterparties')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (outstandingOnly) query = query.neq('balance', 0);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getCounterparties', userId });
+    throw error;
+  }
+}
+
+/**
+ * Get all counterparties with an outstanding balance (for the weekly nudge)
+ */
+async function getOutstandingCounterparties() {
+  try {
+    const { data, error } = await supabase
+      .from('iou_counterparties')
+      .select('*')
+      .neq('balance', 0)
+      .order('user_id');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getOutstandingCounterparties' });
+    throw error;
+  }
+}
+
+/**
+ * Create an IOU counterparty for a user
+ */
+async function createCounterparty({ userId, familyId, name, normalizedName }) {
+  try {
+    const { data, error } = await supabase
+      .from('iou_counterparties')
+      .insert({
+        user_id: userId,
+        family_id: familyId,
+        name,
+        normalized_name: normalizedName,
+        balance: 0,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('IOU counterparty created', { counterparty_id: data.counterparty_id, userId });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createCounterparty', userId });
+    throw error;
+  }
+}
+
+/**
+ * Add an entry to a counterparty's ledger and update the running balance
+ * @returns {Object} updated counterparty
+ */
+async function recordIouEntry({ counterparty, userId, action, amount, delta, note, entryDate, sourceMessageId }) {
+  try {
+    const balance = Math.round(((Number(counterparty.balance) || 0) + delta) * 100) / 100;
+
+    const { data, error } = await supabase
+      .from('iou_counterparties')
+      .update({ balance, updated_at: new Date().toISOString() })
+      .eq('counterparty_id', counterparty.counterparty_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: entryError } = await supabase
+      .from('iou_entries')
+      .insert({
+        counterparty_id: counterparty.counterparty_id,
+        user_id: userId,
+        action,
+        amount,
+        balance_after: balance,
+        note,
+        entry_date: entryDate,
+        source_message_id: sourceMessageId,
+      });
+
+    if (entryError) throw entryError;
+
+    logger.info('IOU entry recorded', { counterparty_id: counterparty.counterparty_id, action, amount });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'recordIouEntry', counterpartyId: counterparty.counterparty_id });
+    throw error;
+  }
+}
+
+/**
+ * Get the latest ledger entries for a counterparty, newest first
+ */
+async function getIouEntries(counterpartyId, limit = 10) {
+  try {
+    const { data, error } = await supabase
+      .from('iou_entries')
+      .select('*')
+      .eq('counterparty_id', counterpartyId)
+      .order('entry_date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getIouEntries', counterpartyId });
+    throw error;
+  }
+}
+
+/**
+ * Get the wallets a user can use: their own plus the family's shared wallets
+ * Creates a default "Cash" wallet on first use; its wallet_id is the user's user_id,
+ * so transactions recorded before wallets existed (wallet_id = user_id) belong to it
+ */
+async function getWalletsForUser(user) {
+  try {
+    const { data, error } = await supabase
+      .from('wallets')
+      .select('*')
+      .eq('is_active', true)
+      .or(`user_id.eq.${user.user_id},and(family_id.eq.${user.family_id},is_shared.eq.true)`)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const wallets = data || [];
+
+    if (wallets.some(w => w.user_id === user.user_id)) {
+      return wallets;
+    }
+
+    const cash = await createWallet({
+      walletId: user.user_id,
+      userId: user.user_id,
+      familyId: user.family_id,
+      name: 'Cash',
+      type: 'cash',
+      isDefault: true,
+    });
+
+    return [cash, ...wallets];
+  } catch (error) {
+    logger.logError(error, { context: 'getWalletsForUser', userId: user.user_id });
+    throw error;
+  }
+}
+
+/**
+ * Create a wallet
+ */
+async function createWallet({ walletId, userId, familyId, name, type, openingBalance = 0, isShared = false, isDefault = false }) {
+  try {
+    const { data, error } = await supabase
+      .from('wallets')
+      .upsert({
+        ...(walletId && { wallet_id: walletId }),
+        user_id: userId,
+        family_id: familyId,
+        name,
+        type,
+        opening_balance: openingBalance,
+        is_shared: isShared,
+        is_default: isDefault,
+        is_active: true,
+      }, { onConflict: 'wallet_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Wallet created', { wallet_id: data.wallet_id, userId, type });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createWallet', userId });
+    throw error;
+  }
+}
+
+/**
+ * Update a wallet owned by the user
+ */
+async function updateWallet(walletId, userId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('wallets')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('wallet_id', walletId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'updateWallet', walletId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Make one of the user's own wallets their default
+ */
+async function setDefaultWallet(walletId, userId) {
+  try {
+    const { error } = await supabase
+      .from('wallets')
+      .update({ is_default: false, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .neq('wallet_id', walletId);
+
+    if (error) throw error;
+
+    return await updateWallet(walletId, userId, { is_default: true });
+  } catch (error) {
+    logger.logError(error, { context: 'setDefaultWallet', walletId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Get current balances (opening balance plus credits minus debits) from the wallet_balances view
+ * @returns {Map<string, number>} wallet_id -> balance
+ */
+async function getWalletBalances(walletIds) {
+  try {
+    const { data, error } = await supabase
+      .from('wallet_balances')
+      .select('wallet_id, balance')
+      .in('wallet_id', walletIds);
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.wallet_id, Number(row.balance) || 0]));
+  } catch (error) {
+    logger.logError(error, { context: 'getWalletBalances' });
+    throw error;
+  }
+}
+
+/**
+ * Get a user with their family, verified WhatsApp number and reply language
+ */
+async function getWhatsappUserById(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .select(`
+        whatsapp_number,
+        language,
+        users!inner (
+          *,
+          family_members!inner (
+            family_id,
+            role
+          )
+        )
+      `)
+      .eq('user_id', userId)
+      .eq('verified', true)
+      .eq('users.family_members.is_deleted', false)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data?.users) return null;
+
+    const user = data.users;
+    const familyMember = user.family_members?.[0];
+
+    return {
+      ...user,
+      family_id: familyMember?.family_id,
+      role: familyMember?.role,
+      whatsapp_number: data.whatsapp_number,
+      language: data.language,
+    };
+  } catch (error) {
+    logger.logError(error, { context: 'getWhatsappUserById', userId });
+    return null;
+  }
+}
+
+/**
+ * Get all users with active WhatsApp links (for daily reminders)
+ */
+async function getActiveWhatsappUsers() {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .select(`
+        whatsapp_number,
+        language,
+        users (user_id, full_name, family_id)
+      `)
+      .eq('verified', true);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getActiveWhatsappUsers' });
+    return [];
+  }
+}
+
+/**
+ * Record when a number last messaged us (opens WhatsApp's 24-hour customer service window)
+ * Never throws - window tracking must not block message handling
+ * @param {string} [timestamp] - WhatsApp message timestamp in seconds
+ */
+async function recordInboundMessage(whatsappNumber, timestamp) {
+  try {
+    const receivedAt = timestamp ? new Date(Number(timestamp) * 1000) : new Date();
+
+    const { error } = await supabase
+      .from('whatsapp_links')
+      .update({ last_inbound_at: receivedAt.toISOString() })
+      .eq('whatsapp_number', whatsappNumber);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.logError(error, { context: 'recordInboundMessage', whatsappNumber });
+  }
+}
+
+/**
+ * Get when a number last messaged us
+ * @returns {Promise<string|null>} Timestamp, or null if unknown
+ */
+async function getLastInboundAt(whatsappNumber) {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .select('last_inbound_at')
+      .eq('whatsapp_number', whatsappNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.last_inbound_at || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getLastInboundAt', whatsappNumber });
+    return null;
+  }
+}
+
+/**
+ * Get the reply language saved for a number
+ * @returns {Promise<string|null>} Language code, or null if none is set
+ */
+async function getWhatsappLanguage(whatsappNumber) {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .select('language')
+      .eq('whatsapp_number', whatsappNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.language || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getWhatsappLanguage', whatsappNumber });
+    return null;
+  }
+}
+
+/**
+ * Save the reply language for a number (LANGUAGE command or auto-detection)
+ * @returns {Promise<boolean>} true if a linked number was updated
+ */
+async function setWhatsappLanguage(whatsappNumber, language) {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_links')
+      .update({ language, updated_at: new Date().toISOString() })
+      .eq('whatsapp_number', whatsappNumber)
+      .select('whatsapp_number');
+
+    if (error) throw error;
+    return (data?.length || 0) > 0;
+  } catch (error) {
+    logger.logError(error, { context: 'setWhatsappLanguage', whatsappNumber, language });
+    throw error;
+  }
+}
+
+/**
+ * Check if a family has review mode enabled
+ * In review mode extracted transactions are held as drafts until confirmed
+ */
+async function getFamilyReviewMode(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('families')
+      .select('whatsapp_review_mode')
+      .eq('family_id', familyId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data?.whatsapp_review_mode === true;
+  } catch (error) {
+    logger.logError(error, { context: 'getFamilyReviewMode', familyId });
+    // Default to saving immediately on error
+    return false;
+  }
+}
+
+/**
+ * Enable or disable review mode for a family
+ */
+async function setFamilyReviewMode(familyId, enabled) {
+  try {
+    const { error } = await supabase
+      .from('families')
+      .update({ whatsapp_review_mode: enabled })
+      .eq('family_id', familyId);
+
+    if (error) throw error;
+
+    logger.info('Family review mode updated', { familyId, enabled });
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'setFamilyReviewMode', familyId, enabled });
+    throw error;
+  }
+}
+
+/**
+ * Get the currency a family's transaction amounts are stored in
+ */
+async function getFamilyBaseCurrency(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from('families')
+      .select('base_currency')
+      .eq('family_id', familyId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data?.base_currency || DEFAULT_BASE_CURRENCY;
+  } catch (error) {
+    logger.logError(error, { context: 'getFamilyBaseCurrency', familyId });
+    throw error;
+  }
+}
+
+/**
+ * Get exchange rates between two currencies (either direction) in effect on or before a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array>} Most recent first
+ */
+async function getExchangeRates(fromCurrency, toCurrency, date) {
+  try {
+    const currencies = [fromCurrency, toCurrency];
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .select('from_currency, to_currency, rate, effective_date')
+      .in('from_currency', currencies)
+      .in('to_currency', currencies)
+      .lte('effective_date', date)
+      .order('effective_date', { ascending: false })
+      .limit(10);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getExchangeRates', fromCurrency, toCurrency, date });
+    throw error;
+  }
+}
+
+/**
+ * List exchange rates, newest first (admin API)
+ * @param {Object} filters
+ * @param {string} [filters.currency] - Only rates from or to this currency
+ */
+async function listExchangeRates({ currency, limit = 100 } = {}) {
+  try {
+    let query = supabase
+      .from('exchange_rates')
+      .select('*')
+      .order('effective_date', { ascending: false })
+      .limit(limit);
+
+    if (currency) {
+      query = query.or(`from_currency.eq.${currency},to_currency.eq.${currency}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'listExchangeRates', currency });
+    throw error;
+  }
+}
+
+/**
+ * Add or replace the rate for a currency pair on a date (admin API)
+ */
+async function upsertExchangeRate({ fromCurrency, toCurrency, rate, effectiveDate, source }) {
+  try {
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .upsert({
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        rate,
+        effective_date: effectiveDate,
+        source: source || null,
+      }, { onConflict: 'from_currency,to_currency,effective_date' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Exchange rate saved', { fromCurrency, toCurrency, rate, effectiveDate });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'upsertExchangeRate', fromCurrency, toCurrency, effectiveDate });
+    throw error;
+  }
+}
+
+/**
+ * Create a transaction draft awaiting confirmation
+ * @param {Object} draft
+ * @param {Object} draft.transaction - Payload for insertTransaction
+ * @param {Object} draft.extracted - Validated extraction (used for the confirmation message)
+ */
+async function createTransactionDraft({ userId, familyId, whatsappNumber, sourceMessageId, transaction, extracted }) {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .insert({
+        draft_id: uuidv4(),
+        user_id: userId,
+        family_id: familyId,
+        whatsapp_number: whatsappNumber,
+        source_message_id: sourceMessageId,
+        transaction,
+        extracted,
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Transaction draft created', { draft_id: data.draft_id, userId });
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'createTransactionDraft', userId });
+    throw error;
+  }
+}
+
+/**
+ * Get a pending (non-expired) transaction draft
+ */
+async function getTransactionDraft(draftId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .select('*')
+      .eq('draft_id', draftId)
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getTransactionDraft', draftId, userId });
+    return null;
+  }
+}
+
+/**
+ * Update a transaction draft
+ */
+async function updateTransactionDraft(draftId, userId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .update(updates)
+      .eq('draft_id', draftId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'updateTransactionDraft', draftId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Claim a transaction draft before saving or discarding it, so a double tap is only handled once
+ * @returns {boolean} false if the draft is gone, expired or being handled
+ */
+async function claimTransactionDraft(draftId, userId) {
+  try {
+    const staleBefore = new Date(Date.now() - DRAFT_CLAIM_TIMEOUT_MS).toISOString();
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .update({ claimed_at: new Date().toISOString() })
+      .eq('draft_id', draftId)
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+      .or(`claimed_at.is.null,claimed_at.lt.${staleBefore}`)
+      .select('draft_id');
+
+    if (error) throw error;
+    return (data?.length || 0) > 0;
+  } catch (error) {
+    logger.logError(error, { context: 'claimTransactionDraft', draftId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Release a claim after saving failed, so the user can tap Save again
+ * Called while already handling an error, so a failure here is only logged
+ */
+async function releaseTransactionDraft(draftId, userId) {
+  try {
+    const { error } = await supabase
+      .from('transaction_drafts')
+      .update({ claimed_at: null })
+      .eq('draft_id', draftId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.logError(error, { context: 'releaseTransactionDraft', draftId, userId });
+  }
+}
+
+/**
+ * Delete a transaction draft (after it was saved or discarded)
+ * Returns false if the draft was already gone
+ */
+async function deleteTransactionDraft(draftId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .delete()
+      .eq('draft_id', draftId)
+      .eq('user_id', userId)
+      .select('draft_id');
+
+    if (error) throw error;
+    return (data?.length || 0) > 0;
+  } catch (error) {
+    logger.logError(error, { context: 'deleteTransactionDraft', draftId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Claim a WhatsApp message id before processing it
+ * @returns {Promise<boolean>} false if the message was already processed (a retried delivery)
+ */
+async function claimProcessedMessage(messageId, whatsappNumber, ttlMs) {
+  try {
+    const { error } = await supabase
+      .from('processed_messages')
+      .insert({
+        message_id: messageId,
+        whatsapp_number: whatsappNumber,
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      });
+
+    if (error?.code === '23505') {
+      return false;
+    }
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    // Process anyway - transactions.source_message_id still prevents double inserts
+    logger.logError(error, { context: 'claimProcessedMessage', messageId });
+    return true;
+  }
+}
+
+/**
+ * Delete processed message ids past their TTL
+ */
+async function purgeExpiredProcessedMessages() {
+  try {
+    const { data, error } = await supabase
+      .from('processed_messages')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('message_id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  } catch (error) {
+    logger.logError(error, { context: 'purgeExpiredProcessedMessages' });
+    return 0;
+  }
+}
+
+/**
+ * Record a message sent through the Cloud API (status callbacks update it later)
+ * @param {Object} message
+ * @param {string} [message.job] - Scheduled job that sent it (e.g. dailyReminder)
+ */
+async function recordOutboundMessage({ messageId, whatsappNumber, messageType, job }) {
+  try {
+    const { error } = await supabase
+      .from('outbound_messages')
+      .insert({
+        message_id: messageId,
+        whatsapp_number: whatsappNumber,
+        message_type: messageType,
+        job: job || null,
+        status: 'accepted',
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+
+    // A status callback got here first (see recordEarlyOutboundStatus) - fill in the
+    // send details and keep the status it recorded
+    if (error?.code === '23505') {
+      const { error: updateError } = await supabase
+        .from('outbound_messages')
+        .update({
+          whatsapp_number: whatsappNumber,
+          message_type: messageType,
+          job: job || null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('message_id', messageId);
+
+      if (updateError) throw updateError;
+      return true;
+    }
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    // Don't throw - tracking failures shouldn't stop messages going out
+    logger.warn('Failed to record outbound message', { messageId, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Record a status callback for a message that isn't tracked yet
+ * (the callback can arrive before recordOutboundMessage has written the row)
+ * @param {Object} update - Parsed status ({ messageId, status, recipient, timestamp, error })
+ * @returns {Promise<boolean>} false if the row exists after all (apply the status to it instead)
+ */
+async function recordEarlyOutboundStatus(update) {
+  try {
+    const { error } = await supabase
+      .from('outbound_messages')
+      .insert({
+        message_id: update.messageId,
+        whatsapp_number: update.recipient || '',
+        status: update.status,
+        [`${update.status}_at`]: update.timestamp,
+        ...(update.error && {
+          error_code: update.error.code,
+          error_title: update.error.title,
+        }),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+
+    if (error?.code === '23505') {
+      return false;
+    }
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'recordEarlyOutboundStatus', messageId: update.messageId });
+    throw error;
+  }
+}
+
+/**
+ * Get a tracked outbound message
+ */
+async function getOutboundMessage(messageId) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_messages')
+      .select('*')
+      .eq('message_id', messageId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    logger.logError(error, { context: 'getOutboundMessage', messageId });
+    throw error;
+  }
+}
+
+/**
+ * Update a tracked message from a status callback
+ * @param {Object} update - Parsed status ({ status, timestamp, error })
+ */
+async function updateOutboundMessageStatus(messageId, update) {
+  try {
+    const { error } = await supabase
+      .from('outbound_messages')
+      .update({
+        status: update.status,
+        [`${update.status}_at`]: update.timestamp,
+        ...(update.error && {
+          error_code: update.error.code,
+          error_title: update.error.title,
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('message_id', messageId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'updateOutboundMessageStatus', messageId });
+    throw error;
+  }
+}
+
+/**
+ * Get outbound message counts by job, status and error code from the outbound_delivery_counts view
+ * @param {Object} filters
+ * @param {string} [filters.job] - Only messages sent by this job
+ * @param {string} [filters.since] - YYYY-MM-DD
+ */
+async function getDeliveryCounts({ job, since } = {}) {
+  try {
+    let query = supabase
+      .from('outbound_delivery_counts')
+      .select('job, status, error_code, sent_date, message_count');
+
+    if (job) {
+      query = query.eq('job', job);
+    }
+
+    if (since) {
+      query = query.gte('sent_date', since);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getDeliveryCounts', job, since });
+    throw error;
+  }
+}
+
+/**
+ * Add a Cloud API payload to the outbound queue
+ * @returns {Promise<Object|null>} Queue row, or null if the queue table is unavailable
+ */
+async function enqueueOutboundMessage({ whatsappNumber, payload, messageType, job }) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_queue')
+      .insert({
+        queue_id: uuidv4(),
+        whatsapp_number: whatsappNumber,
+        payload,
+        message_type: messageType,
+        job: job || null,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.logError(error, { context: 'enqueueOutboundMessage', whatsappNumber });
+    return null;
+  }
+}
+
+/**
+ * Get pending queued messages, oldest first
+ */
+async function getPendingOutboundMessages(limit = 100) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_queue')
+      .select('*')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    logger.logError(error, { context: 'getPendingOutboundMessages' });
+    throw error;
+  }
+}
+
+/**
+ * Claim a pending queued message for sending
+ * @returns {Promise<boolean>} false if another worker already claimed it
+ */
+async function claimOutboundMessage(queueId) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_queue')
+      .update({ status: 'sending', locked_at: new Date().toISOString() })
+      .eq('queue_id', queueId)
+      .eq('status', 'pending')
+      .select('queue_id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    logger.logError(error, { context: 'claimOutboundMessage', queueId });
+    throw error;
+  }
+}
+
+/**
+ * Remove a queued message once sent (outbound_messages tracks it from here)
+ */
+async function completeOutboundMessage(queueId) {
+  try {
+    const { error } = await supabase
+      .from('outbound_queue')
+      .delete()
+      .eq('queue_id', queueId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'completeOutboundMessage', queueId });
+    return false;
+  }
+}
+
+/**
+ * Put a queued message back for another attempt after a transient failure
+ */
+async function rescheduleOutboundMessage(queueId, { attempts, nextAttemptAt, lastError }) {
+  try {
+    const { error } = await supabase
+      .from('outbound_queue')
+      .update({
+        status: 'pending',
+        attempts,
+        next_attempt_at: nextAttemptAt,
+        last_error: lastError,
+        locked_at: null,
+      })
+      .eq('queue_id', queueId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'rescheduleOutboundMessage', queueId });
+    throw error;
+  }
+}
+
+/**
+ * Move a queued message to the dead-letter store (permanent failure or out of attempts)
+ */
+async function deadLetterOutboundMessage(queueId, { attempts, lastError }) {
+  try {
+    const { error } = await supabase
+      .from('outbound_queue')
+      .update({
+        status: 'dead',
+        attempts,
+        last_error: lastError,
+        locked_at: null,
+        dead_at: new Date().toISOString(),
+      })
+      .eq('queue_id', queueId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    logger.logError(error, { context: 'deadLetterOutboundMessage', queueId });
+    throw error;
+  }
+}
+
+/**
+ * Return messages stuck in "sending" (worker stopped mid-send) to the queue
+ */
+async function releaseStaleOutboundMessages(olderThanMs) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_queue')
+      .update({ status: 'pending', locked_at: null })
+      .eq('status', 'sending')
+      .lt('locked_at', new Date(Date.now() - olderThanMs).toISOString())
+      .select('queue_id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  } catch (error) {
+    logger.logError(error, { context: 'releaseStaleOutboundMessages' });
+    return 0;
+  }
+}
+
+/**
+ * Queue counts by status plus the most recent dead letters (admin API)
+ */
+async function getOutboundQueueSummary(deadLetterLimit = 20) {
+  try {
+    const counts = {};
+
+    for (const status of ['pending', 'sending', 'dead']) {
+      const { count, error } = await supabase
+        .from('outbound_queue')
+        .select('queue_id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) throw error;
+      counts[status] = count || 0;
+    }
+
+    const { data, error } = await supabase
+      .from('outbound_queue')
+      .select('queue_id, whatsapp_number, message_type, job, attempts, last_error, created_at, dead_at')
+      .eq('status', 'dead')
+      .order('dead_at', { ascending: false })
+      .limit(deadLetterLimit);
+
+    if (error) throw error;
+    return { counts, deadLetters: data || [] };
+  } catch (error) {
+    logger.logError(error, { context: 'getOutboundQueueSummary' });
+    throw error;
+  }
+}
+
+/**
+ * Requeue dead letters (one, or all when no id is given) for a fresh set of attempts
+ * @returns {Promise<number>} Messages requeued
+ */
+async function retryDeadOutboundMessages(queueId = null) {
+  try {
+    let query = supabase
+      .from('outbound_queue')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        dead_at: null,
+      })
+      .eq('status', 'dead');
+
+    if (queueId) {
+      query = query.eq('queue_id', queueId);
+    }
+
+    const { data, error } = await query.select('queue_id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  } catch (error) {
+    logger.logError(error, { context: 'retryDeadOutboundMessages', queueId });
+    throw error;
+  }
+}
+
+/**
+ * Remove expired transaction drafts
+ */
+async function purgeExpiredTransactionDrafts() {
+  try {
+    const { data, error } = await supabase
+      .from('transaction_drafts')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('draft_id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  } catch (error) {
+    logger.logError(error, { context: 'purgeExpiredTransactionDrafts' });
+    return 0;
   }
 }
 
@@ -785,7 +2825,10 @@ module.exports = {
   verifyWhatsappLink,
   checkSubscription,
   insertTransaction,
+  getTransactionBySourceMessage,
   getCategoryByName,
+  matchCategory,
+  fuzzyMatchCategory,
   getCategoriesForFamily,
   findCategoryIdByName,
   addCategoryToFamily,
@@ -793,8 +2836,85 @@ module.exports = {
   softDeleteCategory,
   logEvent,
   getLastTransaction,
+  getRecentTransactions,
+  getTransactionById,
+  getTransactionByConfirmationMessage,
   deleteTransaction,
+  deleteTransactions,
+  getTransactionDependents,
+  removeGoalContributions,
+  restoreTransactionDependents,
+  restoreTransaction,
   updateTransaction,
+  queryTransactions,
+  getFamilyMembers,
   getUserStats,
+  getCategorySpending,
+  getBudgetsForFamily,
+  upsertBudget,
+  deleteBudget,
+  getBudgetForCategory,
+  recordBudgetAlert,
+  getFamilyWhatsappLinks,
+  getRecurringTransactions,
+  getDueRecurringTransactions,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  claimRecurringPosting,
+  completeRecurringPosting,
+  releaseRecurringPosting,
+  getWhatsappUserById,
+  getGoalsForFamily,
+  createGoal,
+  addGoalContribution,
+  createTransactionSplits,
+  getSplitsForTransaction,
+  updateTransactionSplitShares,
+  getFamilySplitLedger,
+  recordSettlement,
+  getCounterparties,
+  getOutstandingCounterparties,
+  createCounterparty,
+  recordIouEntry,
+  getIouEntries,
+  getWalletsForUser,
+  createWallet,
+  updateWallet,
+  setDefaultWallet,
+  getWalletBalances,
   getActiveWhatsappUsers,
+  recordInboundMessage,
+  getLastInboundAt,
+  getWhatsappLanguage,
+  setWhatsappLanguage,
+  getFamilyReviewMode,
+  setFamilyReviewMode,
+  getFamilyBaseCurrency,
+  getExchangeRates,
+  listExchangeRates,
+  upsertExchangeRate,
+  createTransactionDraft,
+  getTransactionDraft,
+  updateTransactionDraft,
+  claimTransactionDraft,
+  releaseTransactionDraft,
+  deleteTransactionDraft,
+  purgeExpiredTransactionDrafts,
+  claimProcessedMessage,
+  purgeExpiredProcessedMessages,
+  recordOutboundMessage,
+  recordEarlyOutboundStatus,
+  getOutboundMessage,
+  updateOutboundMessageStatus,
+  getDeliveryCounts,
+  enqueueOutboundMessage,
+  getPendingOutboundMessages,
+  claimOutboundMessage,
+  completeOutboundMessage,
+  rescheduleOutboundMessage,
+  deadLetterOutboundMessage,
+  releaseStaleOutboundMessages,
+  getOutboundQueueSummary,
+  retryDeadOutboundMessages,
 };
@@ -1,5 +1,9 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { isValidSignature } = require('../utils/webhookSecurity');
+const outboundQueue = require('./outboundQueue');
+const supabaseService = require('./supabaseService');
+const { isWithinServiceWindow, getProactiveTemplate, buildTemplateComponents } = require('../utils/messageTemplates');
 
 /**
  * WhatsApp Service - Handle WhatsApp Cloud API operations
@@ -11,33 +15,41 @@ const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
 const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
 const BASE_URL = `https://graph.facebook.com/${WHATSAPP_API_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}`;
 
+/**
+ * Post a message payload to the Cloud API
+ * Used by the outbound queue - send helpers below go through the queue instead
+ */
+async function postMessage(payload) {
+  const response = await axios.post(`${BASE_URL}/messages`, payload, {
+    headers: {
+      'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  return response.data;
+}
+
 /**
  * Send text message to WhatsApp user
+ * @param {Object} [options]
+ * @param {string} [options.job] - Scheduled job sending the message (for delivery stats)
  */
-async function sendTextMessage(to, message) {
+async function sendTextMessage(to, message, options = {}) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'text',
-        text: {
-          preview_url: false,
-          body: message,
-        },
+    const data = await outboundQueue.enqueue(to, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'text',
+      text: {
+        preview_url: false,
+        body: message,
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    }, { messageType: 'text', job: options.job });
 
-    logger.info('WhatsApp message sent', { to, message_id: response.data.messages?.[0]?.id });
-    return response.data;
+    logger.info('WhatsApp message sent', { to, message_id: data.messages?.[0]?.id });
+    return data;
   } catch (error) {
     logger.logError(error, {
       context: 'sendTextMessage',
@@ -50,33 +62,25 @@ async function sendTextMessage(to, message) {
 
 /**
  * Send template message (for structured messages)
+ * @param {Object} [options] - { job } as for sendTextMessage
  */
-async function sendTemplateMessage(to, templateName, languageCode = 'en', components = []) {
+async function sendTemplateMessage(to, templateName, languageCode = 'en', components = [], options = {}) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        to: to,
-        type: 'template',
-        template: {
-          name: templateName,
-          language: {
-            code: languageCode,
-          },
-          components: components,
+    const data = await outboundQueue.enqueue(to, {
+      messaging_product: 'whatsapp',
+      to: to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: {
+          code: languageCode,
         },
+        components: components,
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    }, { messageType: 'template', job: options.job });
 
     logger.info('WhatsApp template sent', { to, templateName });
-    return response.data;
+    return data;
   } catch (error) {
     logger.logError(error, {
       context: 'sendTemplateMessage',
@@ -88,6 +92,39 @@ async function sendTemplateMessage(to, templateName, languageCode = 'en', compon
   }
 }
 
+/**
+ * Send a message the user didn't ask for (reminders, alerts, notifications)
+ * Sent as text while the 24-hour customer service window is open, otherwise as the
+ * approved template registered for the message type in utils/messageTemplates
+ * @param {string} messageType - Key of PROACTIVE_TEMPLATES
+ * @param {string} text - Free-form message used inside the window
+ * @param {Object} params - Values for the template's parameters
+ * @param {string} [language] - Recipient's reply language, used to pick the template translation
+ */
+async function sendProactiveMessage(to, messageType, text, params = {}, language = null) {
+  const template = getProactiveTemplate(messageType, language);
+
+  if (!template) {
+    throw new Error(`No template registered for proactive message type "${messageType}"`);
+  }
+
+  const lastInboundAt = await supabaseService.getLastInboundAt(to);
+
+  if (isWithinServiceWindow(lastInboundAt)) {
+    return sendTextMessage(to, text, { job: template.job });
+  }
+
+  logger.info('Service window closed, sending template', { to, messageType, template: template.name, lastInboundAt });
+
+  return sendTemplateMessage(
+    to,
+    template.name,
+    template.language,
+    buildTemplateComponents(messageType, params),
+    { job: template.job }
+  );
+}
+
 /**
  * Mark message as read
  */
@@ -117,30 +154,22 @@ async function markMessageAsRead(messageId) {
 
 /**
  * Send reaction to a message
+ * Queued without waiting for the send - callers never need the response
  */
 async function sendReaction(to, messageId, emoji) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'reaction',
-        reaction: {
-          message_id: messageId,
-          emoji: emoji,
-        },
+    const data = await outboundQueue.enqueue(to, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'reaction',
+      reaction: {
+        message_id: messageId,
+        emoji: emoji,
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    }, { messageType: 'reaction', wait: false });
 
-    return response.data;
+    return data;
   } catch (error) {
     logger.warn('Failed to send reaction', { to, messageId, error: error.message });
     // Don't throw - reactions are not critical
@@ -197,39 +226,30 @@ async function downloadMedia(mediaUrl) {
  */
 async function sendButtonMessage(to, bodyText, buttons) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'interactive',
-        interactive: {
-          type: 'button',
-          body: {
-            text: bodyText,
-          },
-          action: {
-            buttons: buttons.map((btn, idx) => ({
-              type: 'reply',
-              reply: {
-                id: btn.id || `btn_${idx}`,
-                title: btn.title,
-              },
-            })),
-          },
+    const data = await outboundQueue.enqueue(to, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: {
+          text: bodyText,
         },
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
+        action: {
+          buttons: buttons.map((btn, idx) => ({
+            type: 'reply',
+            reply: {
+              id: btn.id || `btn_${idx}`,
+              title: btn.title,
+            },
+          })),
         },
-      }
-    );
+      },
+    }, { messageType: 'button' });
 
     logger.info('WhatsApp button message sent', { to });
-    return response.data;
+    return data;
   } catch (error) {
     logger.logError(error, {
       context: 'sendButtonMessage',
@@ -245,34 +265,25 @@ async function sendButtonMessage(to, bodyText, buttons) {
  */
 async function sendListMessage(to, bodyText, buttonText, sections) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'interactive',
-        interactive: {
-          type: 'list',
-          body: {
-            text: bodyText,
-          },
-          action: {
-            button: buttonText,
-            sections: sections,
-          },
+    const data = await outboundQueue.enqueue(to, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: {
+          text: bodyText,
         },
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
+        action: {
+          button: buttonText,
+          sections: sections,
         },
-      }
-    );
+      },
+    }, { messageType: 'list' });
 
     logger.info('WhatsApp list message sent', { to });
-    return response.data;
+    return data;
   } catch (error) {
     logger.logError(error, {
       context: 'sendListMessage',
@@ -285,20 +296,17 @@ async function sendListMessage(to, bodyText, buttonText, sections) {
 
 /**
  * Verify webhook signature (for security)
+ * X-Hub-Signature-256 is an HMAC of the raw body with the Meta app secret (WEBHOOK_SECRET)
  */
 function verifyWebhookSignature(signature, rawBody) {
-  const crypto = require('crypto');
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.WEBHOOK_SECRET || '')
-    .update(rawBody)
-    .digest('hex');
-
-  return signature === `sha256=${expectedSignature}`;
+  return isValidSignature(signature, rawBody, process.env.WEBHOOK_SECRET);
 }
 
 module.exports = {
+  postMessage,
   sendTextMessage,
   sendTemplateMessage,
+  sendProactiveMessage,
   markMessageAsRead,
   sendReaction,
   getMediaUrl,
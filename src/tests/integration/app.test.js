@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../../index');
+const { computeSignature } = require('../../utils/webhookSecurity');
 
 describe('Application Health', () => {
   it('should return 200 on root endpoint', async () => {
@@ -49,12 +50,25 @@ describe('WhatsApp Webhook', () => {
       }],
     };
 
+    const body = JSON.stringify(mockPayload);
+
     const response = await request(app)
       .post('/webhook/whatsapp')
-      .send(mockPayload);
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', computeSignature(body, process.env.WEBHOOK_SECRET))
+      .send(body);
     
     expect(response.status).toBe(200);
   });
+
+  it('should reject POST requests without a valid signature', async () => {
+    const response = await request(app)
+      .post('/webhook/whatsapp')
+      .set('X-Hub-Signature-256', 'sha256=invalid')
+      .send({ object: 'whatsapp_business_account', entry: [] });
+
+    expect(response.status).toBe(401);
+  });
 });
 
 describe('Admin Routes', () => {
@@ -5,6 +5,7 @@ process.env.PORT = '3001';
 process.env.SUPABASE_URL = 'https://test.supabase.co';
 process.env.SUPABASE_KEY = 'test-key';
 process.env.WHATSAPP_VERIFY_TOKEN = 'test-verify-token';
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
 process.env.WHATSAPP_ACCESS_TOKEN = 'test-access-token';
 process.env.WHATSAPP_PHONE_NUMBER_ID = '123456789';
 process.env.OPENAI_API_KEY = 'test-openai-key';
@@ -0,0 +1,59 @@
+const {
+  parseBudgetArgs,
+  calculateBudgetUsage,
+  parseAlertThresholds,
+  getReachedThresholds,
+  formatProgressBar,
+} = require('../../utils/budgets');
+
+describe('Budget Helpers', () => {
+  describe('parseBudgetArgs', () => {
+    it('should parse category, amount and period', () => {
+      expect(parseBudgetArgs(['Food', '10000', 'weekly'])).toEqual({
+        category: 'Food',
+        amount: 10000,
+        period: 'weekly',
+      });
+    });
+
+    it('should support multi-word categories and formatted amounts', () => {
+      expect(parseBudgetArgs(['Eating', 'Out', '₹5,000'])).toEqual({
+        category: 'Eating Out',
+        amount: 5000,
+        period: undefined,
+      });
+    });
+
+    it('should reject missing amount or category', () => {
+      expect(parseBudgetArgs(['Food'])).toBeNull();
+      expect(parseBudgetArgs(['5000'])).toBeNull();
+      expect(parseBudgetArgs([])).toBeNull();
+    });
+  });
+
+  it('should calculate usage including overspend', () => {
+    expect(calculateBudgetUsage(1000, 250)).toEqual({ spent: 250, remaining: 750, percent: 25 });
+    expect(calculateBudgetUsage('1000', 1200)).toEqual({ spent: 1200, remaining: -200, percent: 120 });
+  });
+
+  it('should cap the progress bar', () => {
+    expect(formatProgressBar(50)).toBe('▓▓▓▓▓░░░░░');
+    expect(formatProgressBar(150)).toBe('▓▓▓▓▓▓▓▓▓▓');
+  });
+
+  describe('alert thresholds', () => {
+    it('should parse, dedupe and sort thresholds', () => {
+      expect(parseAlertThresholds('100, 80,120,80')).toEqual([80, 100, 120]);
+    });
+
+    it('should fall back to defaults for empty or invalid values', () => {
+      expect(parseAlertThresholds(undefined)).toEqual([80, 100, 120]);
+      expect(parseAlertThresholds('abc,-5')).toEqual([80, 100, 120]);
+    });
+
+    it('should return every threshold reached', () => {
+      expect(getReachedThresholds(79, [80, 100, 120])).toEqual([]);
+      expect(getReachedThresholds(105, [80, 100, 120])).toEqual([80, 100]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  normalizeCurrency,
+  findExchangeRate,
+  convertAmount,
+  formatRate,
+} = require('../../utils/currency');
+
+describe('Currency Helpers', () => {
+  const rates = [
+    { from_currency: 'USD', to_currency: 'INR', rate: 82, effective_date: '2025-01-01' },
+    { from_currency: 'USD', to_currency: 'INR', rate: 83.5, effective_date: '2025-03-01' },
+    { from_currency: 'INR', to_currency: 'EUR', rate: 0.0125, effective_date: '2025-02-01' },
+  ];
+
+  describe('normalizeCurrency', () => {
+    it('should trim and uppercase codes', () => {
+      expect(normalizeCurrency(' usd ')).toBe('USD');
+      expect(normalizeCurrency(null)).toBe('');
+    });
+  });
+
+  describe('findExchangeRate', () => {
+    it('should use the latest rate in effect on the date', () => {
+      expect(findExchangeRate(rates, 'USD', 'INR', '2025-02-15')).toBe(82);
+      expect(findExchangeRate(rates, 'usd', 'inr', '2025-03-01')).toBe(83.5);
+    });
+
+    it('should invert a rate stored the other way round', () => {
+      expect(findExchangeRate(rates, 'EUR', 'INR', '2025-02-10')).toBe(80);
+    });
+
+    it('should return null when no rate is in effect yet', () => {
+      expect(findExchangeRate(rates, 'USD', 'INR', '2024-12-31')).toBeNull();
+      expect(findExchangeRate(rates, 'GBP', 'INR', '2025-06-01')).toBeNull();
+    });
+
+    it('should return 1 for the same currency', () => {
+      expect(findExchangeRate([], 'INR', 'INR', '2025-01-01')).toBe(1);
+    });
+  });
+
+  describe('convertAmount', () => {
+    it('should convert and round to 2 decimals', () => {
+      expect(convertAmount(20, 83.5)).toBe(1670);
+      expect(convertAmount('19.99', 1 / 80)).toBe(0.25);
+    });
+  });
+
+  describe('formatRate', () => {
+    it('should drop trailing noise', () => {
+      expect(formatRate(83.5)).toBe('83.5');
+      expect(formatRate(1 / 80)).toBe('0.0125');
+    });
+  });
+});
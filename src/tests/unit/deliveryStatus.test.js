@@ -0,0 +1,91 @@
+const {
+  parseStatusUpdate,
+  shouldApplyStatus,
+  summarizeDeliveryStats,
+  summarizeDeliveryStatsByJob,
+} = require('../../utils/deliveryStatus');
+
+describe('Delivery Status Helpers', () => {
+  describe('parseStatusUpdate', () => {
+    it('should normalize a delivered callback', () => {
+      expect(parseStatusUpdate({
+        id: 'wamid.1',
+        status: 'delivered',
+        timestamp: '1700000000',
+        recipient_id: '919800000000',
+      })).toEqual({
+        messageId: 'wamid.1',
+        status: 'delivered',
+        recipient: '919800000000',
+        timestamp: '2023-11-14T22:13:20.000Z',
+        error: null,
+      });
+    });
+
+    it('should extract the error of a failed callback', () => {
+      const update = parseStatusUpdate({
+        id: 'wamid.2',
+        status: 'failed',
+        timestamp: '1700000000',
+        errors: [{
+          code: 131047,
+          title: 'Re-engagement message',
+          error_data: { details: 'More than 24 hours have passed' },
+        }],
+      });
+
+      expect(update.error).toEqual({
+        code: 131047,
+        title: 'Re-engagement message',
+        details: 'More than 24 hours have passed',
+      });
+    });
+
+    it('should ignore unknown statuses', () => {
+      expect(parseStatusUpdate({ id: 'wamid.3', status: 'deleted' })).toBeNull();
+      expect(parseStatusUpdate({ status: 'sent' })).toBeNull();
+    });
+  });
+
+  describe('shouldApplyStatus', () => {
+    it('should only move forward', () => {
+      expect(shouldApplyStatus('accepted', 'sent')).toBe(true);
+      expect(shouldApplyStatus('read', 'delivered')).toBe(false);
+      expect(shouldApplyStatus('delivered', 'delivered')).toBe(false);
+      expect(shouldApplyStatus('sent', 'failed')).toBe(true);
+    });
+  });
+
+  describe('summarizeDeliveryStats', () => {
+    it('should count statuses and group failures by code', () => {
+      const stats = summarizeDeliveryStats([
+        { status: 'read', message_count: 1 },
+        { status: 'delivered', message_count: 1 },
+        { status: 'sent', message_count: '1' },
+        { status: 'failed', error_code: 131047, message_count: 1 },
+        { status: 'failed', error_code: 131047, message_count: 1 },
+      ]);
+
+      expect(stats).toMatchObject({ total: 5, read: 1, delivered: 1, sent: 1, failed: 2, deliveryRate: 40 });
+      expect(stats.failuresByCode).toEqual({ 131047: 2 });
+    });
+
+    it('should handle no messages', () => {
+      expect(summarizeDeliveryStats([]).deliveryRate).toBe(0);
+    });
+  });
+
+  describe('summarizeDeliveryStatsByJob', () => {
+    it('should group by job with replies for the rest', () => {
+      const stats = summarizeDeliveryStatsByJob([
+        { job: 'dailyReminder', status: 'read', message_count: 8 },
+        { job: 'dailyReminder', status: 'failed', error_code: 131047, message_count: 2 },
+        { job: null, status: 'delivered', message_count: 3 },
+      ]);
+
+      expect(Object.keys(stats)).toEqual(['dailyReminder', 'replies']);
+      expect(stats.dailyReminder).toMatchObject({ total: 10, failed: 2, deliveryRate: 80 });
+      expect(stats.replies.total).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  parseContribution,
+  parseDeadline,
+  parseGoalArgs,
+  findGoal,
+  getGoalProgress,
+} = require('../../utils/goals');
+
+describe('Goal Helpers', () => {
+  const now = new Date(2025, 2, 19);
+
+  describe('parseContribution', () => {
+    it('should parse natural-language contributions', () => {
+      expect(parseContribution('put 2000 towards vacation'))
+        .toEqual({ amount: 2000, currency: null, goalName: 'vacation', namedGoal: false });
+      expect(parseContribution('Added ₹1,500 to our car fund goal'))
+        .toEqual({ amount: 1500, currency: 'INR', goalName: 'car fund', namedGoal: true });
+      expect(parseContribution('saved 500 for the trip'))
+        .toEqual({ amount: 500, currency: null, goalName: 'trip', namedGoal: false });
+    });
+
+    it('should only set a currency when the amount is written in rupees', () => {
+      expect(parseContribution('put rs. 300 towards vacation').currency).toBe('INR');
+      expect(parseContribution('put 300 towards vacation').currency).toBeNull();
+    });
+
+    it('should ignore regular transactions', () => {
+      expect(parseContribution('spent 500 on groceries')).toBeNull();
+      expect(parseContribution('paid 1200 for electricity')).toBeNull();
+    });
+
+    it('should leave transfers between wallets to extraction', () => {
+      expect(parseContribution('transferred 12000 to credit card')).toBeNull();
+      expect(parseContribution('moved 5000 to savings account')).toBeNull();
+    });
+  });
+
+  describe('parseDeadline', () => {
+    it('should accept ISO dates and month names', () => {
+      expect(parseDeadline('2025-12-31', now)).toBe('2025-12-31');
+      expect(parseDeadline('december', now)).toBe('2025-12-31');
+      expect(parseDeadline('feb 2027', now)).toBe('2027-02-28');
+    });
+
+    it('should roll past months into next year', () => {
+      expect(parseDeadline('january', now)).toBe('2026-01-31');
+    });
+
+    it('should reject unknown deadlines', () => {
+      expect(parseDeadline('someday', now)).toBeNull();
+    });
+  });
+
+  it('should parse GOAL ADD arguments', () => {
+    expect(parseGoalArgs(['Europe', 'Trip', '2,00,000', 'by', 'dec'], now)).toEqual({
+      name: 'Europe Trip',
+      targetAmount: 200000,
+      deadline: '2025-12-31',
+    });
+    expect(parseGoalArgs(['Car', '500000'], now).deadline).toBeNull();
+    expect(parseGoalArgs(['Car'], now)).toBeNull();
+    expect(parseGoalArgs(['Car', '5000', 'by', 'never'], now)).toBeNull();
+  });
+
+  it('should find goals by partial name', () => {
+    const goals = [{ name: 'Europe Trip' }, { name: 'Car' }];
+
+    expect(findGoal('europe', goals).name).toBe('Europe Trip');
+    expect(findGoal('car', goals).name).toBe('Car');
+    expect(findGoal('house', goals)).toBeNull();
+  });
+
+  it('should only match goals on whole words', () => {
+    const goals = [{ name: 'Car' }, { name: 'Savings' }];
+
+    expect(findGoal('credit card', goals)).toBeNull();
+    expect(findGoal('savings account', goals)).toBeNull();
+    expect(findGoal('ca', goals)).toBeNull();
+  });
+
+  it('should match a goal named inside the words when the user says "goal"', () => {
+    const goals = [{ name: 'Car' }];
+
+    expect(findGoal('car fund', goals)).toBeNull();
+    expect(findGoal('car fund', goals, { namedGoal: true }).name).toBe('Car');
+  });
+
+  describe('getGoalProgress', () => {
+    it('should project completion from the saving rate', () => {
+      const goal = {
+        target_amount: 10000,
+        current_amount: 2000,
+        created_at: new Date(2025, 1, 17).toISOString(),
+        target_date: '2025-06-30',
+      };
+
+      const progress = getGoalProgress(goal, now);
+
+      expect(progress.percent).toBe(20);
+      expect(progress.remaining).toBe(8000);
+      expect(progress.projectedDate).toBe('2025-07-17');
+      expect(progress.onTrack).toBe(false);
+    });
+
+    it('should handle goals without contributions and reached goals', () => {
+      expect(getGoalProgress({ target_amount: 1000, current_amount: 0 }, now).projectedDate).toBeNull();
+      expect(getGoalProgress({ target_amount: 1000, current_amount: 1200 }, now)).toEqual({
+        percent: 100,
+        remaining: 0,
+        projectedDate: null,
+        onTrack: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { parseHistoryArgs, parseListReference } = require('../../utils/history');
+
+describe('History Helpers', () => {
+  const now = new Date(2025, 2, 19);
+
+  describe('parseHistoryArgs', () => {
+    it('should default to 10 of your own entries', () => {
+      expect(parseHistoryArgs([], now)).toEqual({ pageSize: 10, family: false, period: null, term: null });
+    });
+
+    it('should parse page size and family scope', () => {
+      const parsed = parseHistoryArgs(['family', '15'], now);
+
+      expect(parsed.family).toBe(true);
+      expect(parsed.pageSize).toBe(15);
+    });
+
+    it('should cap the page size', () => {
+      expect(parseHistoryArgs(['500'], now).pageSize).toBe(20);
+    });
+
+    it('should parse a leading period and a filter term', () => {
+      const parsed = parseHistoryArgs(['last', 'month', 'swiggy'], now);
+
+      expect(parsed.period.startDate).toBe('2025-02-01');
+      expect(parsed.term).toBe('swiggy');
+    });
+
+    it('should treat other words as a category or vendor term', () => {
+      const parsed = parseHistoryArgs(['Big', 'Bazaar'], now);
+
+      expect(parsed.period).toBeNull();
+      expect(parsed.term).toBe('Big Bazaar');
+    });
+
+    it('should parse single-word periods', () => {
+      expect(parseHistoryArgs(['today'], now).period.startDate).toBe('2025-03-19');
+      expect(parseHistoryArgs(['week'], now).period.startDate).toBe('2025-03-17');
+    });
+  });
+
+  it('should parse list references', () => {
+    expect(parseListReference('#3')).toBe(3);
+    expect(parseListReference('3')).toBeNull();
+    expect(parseListReference('amount')).toBeNull();
+    expect(parseListReference(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  LANGUAGES,
+  t,
+  formatNumber,
+  formatMoney,
+  formatMonth,
+  normalizeLanguage,
+  detectLanguage,
+  parseLanguageCommand,
+} = require('../../utils/i18n');
+const en = require('../../locales/en');
+
+describe('i18n', () => {
+  describe('catalogs', () => {
+    const placeholders = (message) => {
+      const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+      return [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+    };
+
+    Object.keys(LANGUAGES).filter(code => code !== 'en').forEach(code => {
+      const catalog = require(`../../locales/${code}`);
+
+      it(`should translate every English key into ${code}`, () => {
+        expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+      });
+
+      it(`should keep the same placeholders in ${code}`, () => {
+        Object.keys(en).forEach(key => {
+          expect({ key, placeholders: placeholders(catalog[key]) }).toEqual({ key, placeholders: placeholders(en[key]) });
+        });
+      });
+    });
+  });
+
+  describe('t', () => {
+    it('should interpolate placeholders', () => {
+      expect(t('en', 'categories.exists', { name: 'Pets' })).toBe('ℹ️ Category "Pets" already exists in your family account!');
+    });
+
+    it('should translate into the requested language', () => {
+      expect(t('hi', 'session.cancelled')).toBe('👍 रद्द कर दिया। कोई बदलाव नहीं किया गया।');
+    });
+
+    it('should fall back to English for unknown languages and to the key for unknown keys', () => {
+      expect(t('fr', 'link.invalidEmail')).toBe('❌ Invalid email format.');
+      expect(t('en', 'missing.key')).toBe('missing.key');
+    });
+
+    it('should pick plural forms by count', () => {
+      expect(t('en', 'unit.minutes', { count: 1 })).toBe('1 minute');
+      expect(t('en', 'unit.minutes', { count: 10 })).toBe('10 minutes');
+      expect(t('ta', 'unit.minutes', { count: 1 })).toBe('1 நிமிடம்');
+      expect(t('ta', 'unit.minutes', { count: 10 })).toBe('10 நிமிடங்கள்');
+    });
+  });
+
+  describe('formatNumber / formatMoney', () => {
+    it('should group digits the Indian way', () => {
+      expect(formatNumber(125000, 'hi')).toBe('1,25,000');
+    });
+
+    it('should format currency without decimals for whole amounts', () => {
+      expect(formatMoney(125000, 'INR', 'en')).toBe('₹1,25,000');
+      expect(formatMoney(20.5, 'USD', 'en')).toBe('$20.50');
+    });
+
+    it('should fall back to the code for unknown currencies', () => {
+      expect(formatMoney(20, 'XYZ1', 'en')).toBe('XYZ1 20');
+    });
+  });
+
+  describe('formatMonth', () => {
+    it('should name the month in the reply language', () => {
+      expect(formatMonth('2025-03-01', 'en')).toBe('March 2025');
+      expect(formatMonth('2025-03-01', 'hi')).toBe('मार्च 2025');
+    });
+  });
+
+  describe('normalizeLanguage', () => {
+    it('should accept codes, English names and native names', () => {
+      expect(normalizeLanguage('hi')).toBe('hi');
+      expect(normalizeLanguage('Hindi')).toBe('hi');
+      expect(normalizeLanguage('हिंदी')).toBe('hi');
+      expect(normalizeLanguage('TAMIL')).toBe('ta');
+      expect(normalizeLanguage('तमिल')).toBe('ta');
+    });
+
+    it('should return null for unsupported languages', () => {
+      expect(normalizeLanguage('klingon')).toBeNull();
+      expect(normalizeLanguage('')).toBeNull();
+    });
+  });
+
+  describe('detectLanguage', () => {
+    it('should detect Hindi and Tamil from their scripts', () => {
+      expect(detectLanguage('किराने पर 500 रुपये खर्च किए')).toBe('hi');
+      expect(detectLanguage('மளிகைக்கு 500 ரூபாய் செலவு')).toBe('ta');
+    });
+
+    it('should not guess from Latin script or numbers', () => {
+      expect(detectLanguage('Spent 500 on groceries')).toBeNull();
+      expect(detectLanguage('kal 500 ka petrol')).toBeNull();
+      expect(detectLanguage('500')).toBeNull();
+    });
+
+    it('should go by the majority script', () => {
+      expect(detectLanguage('Swiggy पर 300 खर्च किए आज')).toBe('hi');
+    });
+  });
+
+  describe('parseLanguageCommand', () => {
+    it('should parse the command with or without a language', () => {
+      expect(parseLanguageCommand('LANGUAGE hindi')).toEqual({ input: 'hindi' });
+      expect(parseLanguageCommand('language')).toEqual({ input: '' });
+      expect(parseLanguageCommand('भाषा तमिल')).toEqual({ input: 'तमिल' });
+    });
+
+    it('should ignore other messages', () => {
+      expect(parseLanguageCommand('Languages course 5000')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const {
+  encodeReplyId,
+  decodeReplyId,
+  getInteractiveReply,
+} = require('../../utils/interactiveReplies');
+
+describe('Interactive Replies', () => {
+  describe('encodeReplyId / decodeReplyId', () => {
+    it('should round-trip an action with arguments', () => {
+      const id = encodeReplyId('cat', 'category-1', 'txn-1');
+
+      expect(id).toBe('cat:category-1:txn-1');
+      expect(decodeReplyId(id)).toEqual({ action: 'cat', args: ['category-1', 'txn-1'] });
+    });
+
+    it('should throw for ids longer than WhatsApp allows', () => {
+      expect(() => encodeReplyId('confirm', 'x'.repeat(250))).toThrow();
+    });
+
+    it('should return null for empty ids', () => {
+      expect(decodeReplyId('')).toBeNull();
+      expect(decodeReplyId(undefined)).toBeNull();
+    });
+  });
+
+  describe('getInteractiveReply', () => {
+    it('should read button replies', () => {
+      const msg = {
+        type: 'interactive',
+        interactive: {
+          type: 'button_reply',
+          button_reply: { id: 'confirm:draft-1', title: 'Save' },
+        },
+      };
+
+      expect(getInteractiveReply(msg)).toEqual({ kind: 'button', id: 'confirm:draft-1', title: 'Save' });
+    });
+
+    it('should read list replies', () => {
+      const msg = {
+        type: 'interactive',
+        interactive: {
+          type: 'list_reply',
+          list_reply: { id: 'cat:category-1:txn-1', title: 'Food' },
+        },
+      };
+
+      expect(getInteractiveReply(msg).kind).toBe('list');
+      expect(getInteractiveReply(msg).id).toBe('cat:category-1:txn-1');
+    });
+
+    it('should return null for other interactive types', () => {
+      expect(getInteractiveReply({ interactive: { type: 'nfm_reply' } })).toBeNull();
+    });
+  });
+});
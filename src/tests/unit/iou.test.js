@@ -0,0 +1,73 @@
+const {
+  getBalanceDelta,
+  normalizeCounterpartyName,
+  findCounterparty,
+  describeBalance,
+  describeEntry,
+  summarizeDues,
+} = require('../../utils/iou');
+
+describe('IOU Helpers', () => {
+  const counterparties = [
+    { name: 'Ravi Kumar', normalized_name: 'ravi kumar', balance: 500 },
+    { name: 'Anil', normalized_name: 'anil', balance: -2000 },
+    { name: 'Meera', normalized_name: 'meera', balance: 0 },
+  ];
+
+  describe('getBalanceDelta', () => {
+    it('should increase the balance when money goes out', () => {
+      expect(getBalanceDelta('lent', 500)).toBe(500);
+      expect(getBalanceDelta('paid_back', 300)).toBe(300);
+    });
+
+    it('should decrease the balance when money comes in', () => {
+      expect(getBalanceDelta('borrowed', 2000)).toBe(-2000);
+      expect(getBalanceDelta('got_back', 300)).toBe(-300);
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => getBalanceDelta('gifted', 100)).toThrow('Unknown IOU action');
+    });
+  });
+
+  describe('findCounterparty', () => {
+    it('should normalize names', () => {
+      expect(normalizeCounterpartyName('  Ravi   KUMAR ')).toBe('ravi kumar');
+    });
+
+    it('should match full names, first names and partial names', () => {
+      expect(findCounterparty('ravi kumar', counterparties).name).toBe('Ravi Kumar');
+      expect(findCounterparty('Ravi', counterparties).name).toBe('Ravi Kumar');
+      expect(findCounterparty('mee', counterparties).name).toBe('Meera');
+    });
+
+    it('should return null when nobody matches', () => {
+      expect(findCounterparty('Sunil', counterparties)).toBeNull();
+      expect(findCounterparty('', counterparties)).toBeNull();
+    });
+  });
+
+  describe('describeBalance', () => {
+    it('should describe who owes whom', () => {
+      expect(describeBalance('Ravi', 500)).toBe('Ravi owes you ₹500');
+      expect(describeBalance('Anil', -2000)).toBe('You owe Anil ₹2,000');
+      expect(describeBalance('Meera', 0)).toBe('You and Meera are settled up');
+    });
+
+    it('should describe balances in the given currency and language', () => {
+      expect(describeBalance('Ravi', 500, 'USD', 'en')).toBe('Ravi owes you $500');
+      expect(describeBalance('Ravi', 500, 'INR', 'hi')).toBe('Ravi पर आपके ₹500 बाकी हैं');
+    });
+
+    it('should describe entries', () => {
+      expect(describeEntry({ action: 'got_back', amount: 300 })).toBe('Got back ₹300');
+      expect(describeEntry({ action: 'lent', amount: 300 }, 'INR', 'ta')).toBe('₹300 கடன் கொடுத்தது');
+    });
+  });
+
+  describe('summarizeDues', () => {
+    it('should total both directions', () => {
+      expect(summarizeDues(counterparties)).toEqual({ owedToYou: 500, youOwe: 2000 });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  SERVICE_WINDOW_MS,
+  PROACTIVE_TEMPLATES,
+  isWithinServiceWindow,
+  getProactiveTemplate,
+  toTemplateText,
+  buildTemplateComponents,
+} = require('../../utils/messageTemplates');
+
+describe('Message Templates', () => {
+  describe('isWithinServiceWindow', () => {
+    const now = Date.parse('2025-03-02T10:00:00Z');
+
+    it('should be open shortly after the last inbound message', () => {
+      expect(isWithinServiceWindow('2025-03-02T08:00:00Z', now)).toBe(true);
+    });
+
+    it('should be closed after 24 hours', () => {
+      expect(isWithinServiceWindow(new Date(now - SERVICE_WINDOW_MS - 1000).toISOString(), now)).toBe(false);
+    });
+
+    it('should close a little early to allow for queued sends', () => {
+      expect(isWithinServiceWindow(new Date(now - SERVICE_WINDOW_MS + 60 * 1000).toISOString(), now)).toBe(false);
+    });
+
+    it('should be closed when the user never messaged', () => {
+      expect(isWithinServiceWindow(null, now)).toBe(false);
+    });
+  });
+
+  describe('getProactiveTemplate', () => {
+    it('should return the registered template with a language', () => {
+      const template = getProactiveTemplate('dailyReminder');
+
+      expect(template.name).toBe(PROACTIVE_TEMPLATES.dailyReminder.name);
+      expect(template.language).toBe('en');
+    });
+
+    it('should use the recipient\'s reply language', () => {
+      expect(getProactiveTemplate('dailyReminder', 'hi').language).toBe('hi');
+    });
+
+    it('should fall back to the default language for unsupported languages', () => {
+      expect(getProactiveTemplate('dailyReminder', 'xx').language).toBe('en');
+    });
+
+    it('should return null for unknown types', () => {
+      expect(getProactiveTemplate('unknown')).toBeNull();
+    });
+  });
+
+  describe('toTemplateText', () => {
+    it('should flatten newlines and long runs of spaces', () => {
+      expect(toTemplateText('Rent\n\tand     bills ')).toBe('Rent and bills');
+    });
+  });
+
+  describe('buildTemplateComponents', () => {
+    it('should map params onto body placeholders in order', () => {
+      const components = buildTemplateComponents('budgetAlert', {
+        category: 'Groceries',
+        percent: 104,
+        spent: '₹10400',
+        budget: '₹10000',
+      });
+
+      expect(components).toEqual([{
+        type: 'body',
+        parameters: [
+          { type: 'text', text: 'Groceries' },
+          { type: 'text', text: '104' },
+          { type: 'text', text: '₹10400' },
+          { type: 'text', text: '₹10000' },
+        ],
+      }]);
+    });
+
+    it('should add the button parameter for authentication templates', () => {
+      const components = buildTemplateComponents('verificationCode', { code: '123456' });
+
+      expect(components[1]).toEqual({
+        type: 'button',
+        sub_type: 'url',
+        index: '0',
+        parameters: [{ type: 'text', text: '123456' }],
+      });
+    });
+
+    it('should throw when a parameter is missing', () => {
+      expect(() => buildTemplateComponents('duesNudge', { owedToYou: '₹500' })).toThrow('youOwe');
+    });
+
+    it('should throw for unknown types', () => {
+      expect(() => buildTemplateComponents('unknown')).toThrow('No template registered');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  isRetryableError,
+  describeSendError,
+  getBackoffDelay,
+  createRateLimiter,
+  takeToken,
+  selectDeliverable,
+} = require('../../utils/outboundQueue');
+
+describe('Outbound Queue Helpers', () => {
+  const apiError = (status, code) => ({
+    message: `Request failed with status code ${status}`,
+    response: { status, data: { error: { code, message: 'Graph API error' } } },
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry network errors, 429 and 5xx', () => {
+      expect(isRetryableError(new Error('socket hang up'))).toBe(true);
+      expect(isRetryableError(apiError(429))).toBe(true);
+      expect(isRetryableError(apiError(503))).toBe(true);
+    });
+
+    it('should retry throttling error codes sent with a 400', () => {
+      expect(isRetryableError(apiError(400, 130429))).toBe(true);
+    });
+
+    it('should not retry other client errors', () => {
+      expect(isRetryableError(apiError(400, 131047))).toBe(false);
+      expect(isRetryableError(apiError(401, 190))).toBe(false);
+    });
+  });
+
+  describe('describeSendError', () => {
+    it('should prefer the Graph API error', () => {
+      expect(describeSendError(apiError(400, 131047))).toEqual({
+        status: 400,
+        code: 131047,
+        message: 'Graph API error',
+      });
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should double each attempt between half and full delay', () => {
+      expect(getBackoffDelay(1, 2000, 60000, () => 0)).toBe(1000);
+      expect(getBackoffDelay(3, 2000, 60000, () => 1)).toBe(8000);
+    });
+
+    it('should cap the delay', () => {
+      expect(getBackoffDelay(20, 2000, 60000, () => 1)).toBe(60000);
+    });
+  });
+
+  describe('takeToken', () => {
+    it('should allow a burst then ask to wait', () => {
+      const limiter = createRateLimiter(2, 0);
+
+      expect(takeToken(limiter, 0)).toBe(0);
+      expect(takeToken(limiter, 0)).toBe(0);
+      expect(takeToken(limiter, 0)).toBe(500);
+    });
+
+    it('should refill over time', () => {
+      const limiter = createRateLimiter(2, 0);
+      takeToken(limiter, 0);
+      takeToken(limiter, 0);
+
+      expect(takeToken(limiter, 500)).toBe(0);
+    });
+  });
+
+  describe('selectDeliverable', () => {
+    const now = Date.parse('2025-03-01T10:00:00Z');
+    const row = (id, number, due) => ({ queue_id: id, whatsapp_number: number, next_attempt_at: due });
+
+    it('should send only the oldest due message per recipient', () => {
+      const ready = selectDeliverable([
+        row('a1', '91111', '2025-03-01T09:59:00Z'),
+        row('a2', '91111', '2025-03-01T09:59:30Z'),
+        row('b1', '92222', '2025-03-01T09:59:00Z'),
+      ], new Set(), now);
+
+      expect(ready.map(r => r.queue_id)).toEqual(['a1', 'b1']);
+    });
+
+    it('should hold later messages while the oldest waits for a retry', () => {
+      const ready = selectDeliverable([
+        row('a1', '91111', '2025-03-01T10:05:00Z'),
+        row('a2', '91111', '2025-03-01T09:59:30Z'),
+      ], new Set(), now);
+
+      expect(ready).toEqual([]);
+    });
+
+    it('should skip recipients with a send in flight', () => {
+      const ready = selectDeliverable([row('a1', '91111', '2025-03-01T09:59:00Z')], new Set(['91111']), now);
+
+      expect(ready).toEqual([]);
+    });
+  });
+});
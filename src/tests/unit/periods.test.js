@@ -0,0 +1,71 @@
+const { resolvePeriod, formatPeriodLabel, percentChange, parseMonthName } = require('../../utils/periods');
+
+describe('Period Helpers', () => {
+  // Wednesday, 19 March 2025
+  const now = new Date(2025, 2, 19, 15, 30);
+
+  it('should resolve today against yesterday', () => {
+    const period = resolvePeriod('today', now);
+
+    expect(period.startDate).toBe('2025-03-19');
+    expect(period.endDate).toBe('2025-03-19');
+    expect(period.previous).toEqual({ startDate: '2025-03-18', endDate: '2025-03-18' });
+  });
+
+  it('should start weeks on Monday and compare the same days last week', () => {
+    const period = resolvePeriod('week', now);
+
+    expect(period.startDate).toBe('2025-03-17');
+    expect(period.endDate).toBe('2025-03-19');
+    expect(period.previous).toEqual({ startDate: '2025-03-10', endDate: '2025-03-12' });
+  });
+
+  it('should default to month to date', () => {
+    const period = resolvePeriod(undefined, now);
+
+    expect(period.label).toBe('March 2025');
+    expect(period.startDate).toBe('2025-03-01');
+    expect(period.endDate).toBe('2025-03-19');
+    expect(period.previous).toEqual({ startDate: '2025-02-01', endDate: '2025-02-19' });
+  });
+
+  it('should clamp the previous month to its last day', () => {
+    const period = resolvePeriod('month', new Date(2025, 2, 31));
+
+    expect(period.previous).toEqual({ startDate: '2025-02-01', endDate: '2025-02-28' });
+  });
+
+  it('should resolve last month as a full month', () => {
+    const period = resolvePeriod('last month', now);
+
+    expect(period.label).toBe('February 2025');
+    expect(period.startDate).toBe('2025-02-01');
+    expect(period.endDate).toBe('2025-02-28');
+    expect(period.previous).toEqual({ startDate: '2025-01-01', endDate: '2025-01-31' });
+  });
+
+  it('should resolve a later month name to last year', () => {
+    const period = resolvePeriod('Dec', now);
+
+    expect(period.label).toBe('December 2024');
+    expect(period.startDate).toBe('2024-12-01');
+    expect(period.endDate).toBe('2024-12-31');
+  });
+
+  it('should return null for unknown periods', () => {
+    expect(resolvePeriod('fortnight', now)).toBeNull();
+    expect(parseMonthName('ma')).toBe(-1);
+  });
+
+  it('should compute percentage change', () => {
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(50, 100)).toBe(-50);
+    expect(percentChange(100, 0)).toBeNull();
+  });
+
+  it('should label periods in the reply language', () => {
+    expect(formatPeriodLabel(resolvePeriod('week', now), 'en')).toBe('This Week');
+    expect(formatPeriodLabel(resolvePeriod('march', now), 'hi')).toBe('मार्च 2025');
+    expect(formatPeriodLabel(resolvePeriod('today', now), 'ta')).toBe('இன்று');
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  parseRecurringArgs,
+  firstOccurrence,
+  nextOccurrence,
+  getDueOccurrences,
+  describeSchedule,
+} = require('../../utils/recurrence');
+
+describe('Recurrence Helpers', () => {
+  describe('parseRecurringArgs', () => {
+    it('should parse a monthly schedule with a day', () => {
+      expect(parseRecurringArgs(['rent', '15000', 'monthly', 'on', '1st'])).toEqual({
+        description: 'rent',
+        amount: 15000,
+        frequency: 'monthly',
+        dayOfMonth: 1,
+        dayOfWeek: null,
+      });
+    });
+
+    it('should parse a weekly schedule with a weekday', () => {
+      const parsed = parseRecurringArgs(['gym', 'fees', '800', 'Weekly', 'on', 'mon']);
+
+      expect(parsed.description).toBe('gym fees');
+      expect(parsed.frequency).toBe('weekly');
+      expect(parsed.dayOfWeek).toBe(1);
+    });
+
+    it('should reject invalid input', () => {
+      expect(parseRecurringArgs(['15000', 'monthly'])).toBeNull();
+      expect(parseRecurringArgs(['rent', 'abc', 'monthly'])).toBeNull();
+      expect(parseRecurringArgs(['rent', '15000', 'monthly', 'on', '32nd'])).toBeNull();
+      expect(parseRecurringArgs(['rent', '15000'])).toBeNull();
+    });
+  });
+
+  describe('occurrences', () => {
+    const monthly31 = { frequency: 'monthly', day_of_month: 31 };
+
+    it('should find the first occurrence on or after a date', () => {
+      expect(firstOccurrence({ frequency: 'monthly', day_of_month: 1 }, new Date(2025, 2, 5))).toBe('2025-04-01');
+      expect(firstOccurrence({ frequency: 'weekly', day_of_week: 1 }, new Date(2025, 2, 19))).toBe('2025-03-24');
+      expect(firstOccurrence({ frequency: 'daily' }, new Date(2025, 2, 19))).toBe('2025-03-19');
+    });
+
+    it('should clamp month-end days without drifting', () => {
+      expect(nextOccurrence(monthly31, '2025-01-31')).toBe('2025-02-28');
+      expect(nextOccurrence(monthly31, '2025-02-28')).toBe('2025-03-31');
+    });
+
+    it('should anchor yearly schedules on the start date', () => {
+      const yearly = { frequency: 'yearly', start_date: '2024-06-15' };
+
+      expect(nextOccurrence(yearly, '2024-06-15')).toBe('2025-06-15');
+    });
+
+    it('should list missed occurrences for catch-up', () => {
+      const schedule = { frequency: 'weekly', day_of_week: 3, next_due_date: '2025-03-05' };
+
+      expect(getDueOccurrences(schedule, new Date(2025, 2, 19))).toEqual([
+        '2025-03-05',
+        '2025-03-12',
+        '2025-03-19',
+      ]);
+    });
+
+    it('should cap catch-up occurrences', () => {
+      const schedule = { frequency: 'daily', next_due_date: '2025-01-01' };
+
+      expect(getDueOccurrences(schedule, new Date(2025, 2, 19), 5)).toHaveLength(5);
+    });
+  });
+
+  it('should describe schedules', () => {
+    expect(describeSchedule({ frequency: 'monthly', day_of_month: 22 })).toBe('monthly on the 22nd');
+    expect(describeSchedule({ frequency: 'weekly', day_of_week: 0 })).toBe('weekly on Sunday');
+    expect(describeSchedule({ frequency: 'daily' })).toBe('daily');
+  });
+
+  it('should describe schedules in the reply language', () => {
+    expect(describeSchedule({ frequency: 'monthly', day_of_month: 22 }, 'hi')).toBe('हर महीने 22 तारीख़ को');
+    expect(describeSchedule({ frequency: 'weekly', day_of_week: 1 }, 'ta')).toBe('ஒவ்வொரு வாரமும் திங்கள்');
+  });
+});
@@ -0,0 +1,62 @@
+const { parseAmountFilter, parseSearchQuery } = require('../../utils/search');
+
+describe('Search Helpers', () => {
+  const now = new Date(2025, 4, 19);
+
+  describe('parseAmountFilter', () => {
+    it('should parse minimum and maximum amounts', () => {
+      expect(parseAmountFilter('>2000')).toEqual({ minAmount: 2000 });
+      expect(parseAmountFilter('>=1,500')).toEqual({ minAmount: 1500 });
+      expect(parseAmountFilter('<500')).toEqual({ maxAmount: 500 });
+    });
+
+    it('should parse ranges', () => {
+      expect(parseAmountFilter('500-1000')).toEqual({ minAmount: 500, maxAmount: 1000 });
+      expect(parseAmountFilter('₹500-₹1000')).toEqual({ minAmount: 500, maxAmount: 1000 });
+    });
+
+    it('should ignore plain numbers and words', () => {
+      expect(parseAmountFilter('2000')).toBeNull();
+      expect(parseAmountFilter('plumber')).toBeNull();
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should treat plain words as free text', () => {
+      const query = parseSearchQuery(['the', 'plumber'], now);
+
+      expect(query.text).toBe('the plumber');
+      expect(query.period).toBeNull();
+      expect(query.category).toBeNull();
+    });
+
+    it('should parse amount, month and member filters', () => {
+      const query = parseSearchQuery(['>2000', 'in', 'march', 'by', 'priya'], now);
+
+      expect(query.minAmount).toBe(2000);
+      expect(query.period.startDate).toBe('2025-03-01');
+      expect(query.period.endDate).toBe('2025-03-31');
+      expect(query.member).toBe('priya');
+      expect(query.text).toBeNull();
+    });
+
+    it('should treat "in <word>" as a category when it is not a period', () => {
+      const query = parseSearchQuery(['in', 'food', '500-1000'], now);
+
+      expect(query.category).toBe('food');
+      expect(query.period).toBeNull();
+      expect(query.maxAmount).toBe(1000);
+    });
+
+    it('should parse bare period keywords around free text', () => {
+      const query = parseSearchQuery(['swiggy', 'last', 'month'], now);
+
+      expect(query.text).toBe('swiggy');
+      expect(query.period.startDate).toBe('2025-04-01');
+    });
+
+    it('should keep "last" in the text when it is not a period', () => {
+      expect(parseSearchQuery(['last', 'payment'], now).text).toBe('last payment');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const sessionService = require('../../services/sessionService');
+const MemorySessionStore = require('../../services/session/MemorySessionStore');
+
+describe('Session Service', () => {
+  const phoneNumber = '919876543210';
+
+  beforeEach(() => {
+    sessionService.setStore(new MemorySessionStore());
+  });
+
+  it('should use the memory store outside production', () => {
+    expect(sessionService.getStoreName()).toBe('memory');
+  });
+
+  it('should start and load a session', async () => {
+    await sessionService.startSession(phoneNumber, {
+      action: 'edit',
+      expecting: 'field',
+      draft: { transactionId: 'txn-1' },
+    });
+
+    const session = await sessionService.getSession(phoneNumber);
+
+    expect(session.action).toBe('edit');
+    expect(session.expecting).toBe('field');
+    expect(session.draft.transactionId).toBe('txn-1');
+  });
+
+  it('should merge draft changes on update', async () => {
+    await sessionService.startSession(phoneNumber, {
+      action: 'edit',
+      expecting: 'field',
+      draft: { transactionId: 'txn-1' },
+    });
+
+    await sessionService.updateSession(phoneNumber, { expecting: 'value', draft: { field: 'amount' } });
+    const session = await sessionService.getSession(phoneNumber);
+
+    expect(session.expecting).toBe('value');
+    expect(session.draft).toEqual({ transactionId: 'txn-1', field: 'amount' });
+  });
+
+  it('should return null for expired sessions', async () => {
+    await sessionService.startSession(phoneNumber, { action: 'edit', ttlMs: -1 });
+
+    const session = await sessionService.getSession(phoneNumber);
+
+    expect(session).toBeNull();
+  });
+
+  it('should clear a session', async () => {
+    await sessionService.startSession(phoneNumber, { action: 'edit' });
+    await sessionService.clearSession(phoneNumber);
+
+    expect(await sessionService.getSession(phoneNumber)).toBeNull();
+  });
+
+  it('should purge only expired sessions', async () => {
+    await sessionService.startSession(phoneNumber, { action: 'edit' });
+    await sessionService.startSession('919999999999', { action: 'edit', ttlMs: -1 });
+
+    const removed = await sessionService.purgeExpiredSessions();
+
+    expect(removed).toBe(1);
+    expect(await sessionService.getSession(phoneNumber)).not.toBeNull();
+  });
+
+  it('should keep context separate from the pending session', async () => {
+    await sessionService.setContext(phoneNumber, 'list', { transactionIds: ['txn-1', 'txn-2'] });
+
+    expect(await sessionService.getSession(phoneNumber)).toBeNull();
+    expect(await sessionService.getContext(phoneNumber, 'list')).toEqual({ transactionIds: ['txn-1', 'txn-2'] });
+
+    await sessionService.clearContext(phoneNumber, 'list');
+
+    expect(await sessionService.getContext(phoneNumber, 'list')).toBeNull();
+  });
+
+  it('should only throw store failures from saveContext', async () => {
+    const brokenStore = new MemorySessionStore();
+    brokenStore.set = async () => { throw new Error('store unavailable'); };
+    sessionService.setStore(brokenStore);
+
+    await expect(sessionService.setContext(phoneNumber, 'undo', { batches: [] })).resolves.toBeUndefined();
+    await expect(sessionService.saveContext(phoneNumber, 'undo', { batches: [] })).rejects.toThrow('store unavailable');
+  });
+});
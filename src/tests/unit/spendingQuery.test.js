@@ -0,0 +1,87 @@
+const {
+  looksLikeQuestion,
+  resolveMember,
+  summarizeTransactions,
+} = require('../../utils/spendingQuery');
+
+describe('Spending Query Helpers', () => {
+  describe('looksLikeQuestion', () => {
+    it('should detect questions', () => {
+      expect(looksLikeQuestion('How much did I spend on food this month?')).toBe(true);
+      expect(looksLikeQuestion('what did we spend at swiggy')).toBe(true);
+      expect(looksLikeQuestion('total groceries last week')).toBe(true);
+      expect(looksLikeQuestion('food spend in march?')).toBe(true);
+    });
+
+    it('should not flag plain transactions', () => {
+      expect(looksLikeQuestion('Spent 500 on groceries')).toBe(false);
+      expect(looksLikeQuestion('Received salary 50000')).toBe(false);
+      expect(looksLikeQuestion('')).toBe(false);
+    });
+  });
+
+  describe('resolveMember', () => {
+    const user = { user_id: 'u1', full_name: 'Asha Rao' };
+    const members = [
+      { user_id: 'u1', full_name: 'Asha Rao' },
+      { user_id: 'u2', full_name: 'Priya Rao' },
+    ];
+
+    it('should resolve "me" to the asking user', () => {
+      expect(resolveMember('me', members, user).user_id).toBe('u1');
+    });
+
+    it('should match by first name', () => {
+      expect(resolveMember('priya', members, user).user_id).toBe('u2');
+    });
+
+    it('should return null when no member matches', () => {
+      expect(resolveMember('Ravi', members, user)).toBeNull();
+    });
+  });
+
+  describe('summarizeTransactions', () => {
+    const categories = [
+      { category_id: 'c1', name: 'Food' },
+      { category_id: 'c2', name: 'Salary' },
+    ];
+    const transactions = [
+      { amount: 120.1, type: 'debit', category_id: 'c1', description: 'Lunch' },
+      { amount: 300.2, type: 'debit', category_id: 'c1', description: 'Dinner' },
+      { amount: 50, type: 'debit', category_id: null, description: 'Misc' },
+      { amount: 50000, type: 'credit', category_id: 'c2', description: 'Salary' },
+    ];
+
+    it('should total debits and credits separately', () => {
+      const summary = summarizeTransactions(transactions, categories);
+
+      expect(summary.count).toBe(4);
+      expect(summary.totalDebit).toBe(470.3);
+      expect(summary.totalCredit).toBe(50000);
+    });
+
+    it('should group by category sorted by amount', () => {
+      const summary = summarizeTransactions(transactions, categories);
+
+      expect(summary.byCategory.map(c => c.name)).toEqual(['Salary', 'Food', 'Uncategorized']);
+      expect(summary.byCategory[1]).toEqual({ name: 'Food', amount: 420.3, count: 2 });
+    });
+
+    it('should return the top items by amount', () => {
+      const summary = summarizeTransactions(transactions, categories, 2);
+
+      expect(summary.topItems.map(t => t.description)).toEqual(['Salary', 'Dinner']);
+    });
+
+    it('should leave out transfers between wallets', () => {
+      const summary = summarizeTransactions([
+        ...transactions,
+        { amount: 5000, type: 'transfer', category_id: null, description: 'ATM withdrawal' },
+      ], categories);
+
+      expect(summary.count).toBe(4);
+      expect(summary.totalDebit).toBe(470.3);
+      expect(summary.totalCredit).toBe(50000);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  parseSplitCommand,
+  calculateShares,
+  rescaleShares,
+  calculateBalances,
+  parseSettleArgs,
+} = require('../../utils/splits');
+
+describe('Split Helpers', () => {
+  describe('parseSplitCommand', () => {
+    it('should parse a new expense split with named members', () => {
+      expect(parseSplitCommand('split 1200 dinner with Priya and Rahul')).toEqual({
+        amount: 1200,
+        description: 'dinner',
+        memberNames: ['Priya', 'Rahul'],
+        equally: false,
+      });
+    });
+
+    it('should parse an equal split of a new expense', () => {
+      const command = parseSplitCommand('SPLIT ₹3,000 groceries equally');
+
+      expect(command.amount).toBe(3000);
+      expect(command.description).toBe('groceries');
+      expect(command.equally).toBe(true);
+    });
+
+    it('should split an existing transaction when no amount is given', () => {
+      expect(parseSplitCommand('split equally')).toEqual({
+        amount: null,
+        description: null,
+        memberNames: [],
+        equally: true,
+      });
+      expect(parseSplitCommand('split with Priya, Rahul').memberNames).toEqual(['Priya', 'Rahul']);
+    });
+
+    it('should treat "with everyone" as an equal split', () => {
+      expect(parseSplitCommand('split 900 cab with everyone').equally).toBe(true);
+    });
+
+    it('should reject a description without an amount', () => {
+      expect(parseSplitCommand('split dinner with Priya')).toBeNull();
+    });
+  });
+
+  describe('calculateShares', () => {
+    it('should split evenly', () => {
+      expect(calculateShares(1200, ['a', 'b'])).toEqual([
+        { userId: 'a', amount: 600 },
+        { userId: 'b', amount: 600 },
+      ]);
+    });
+
+    it('should give leftover paise to the first participants', () => {
+      const shares = calculateShares(100, ['a', 'b', 'c']);
+
+      expect(shares.map(s => s.amount)).toEqual([33.34, 33.33, 33.33]);
+    });
+  });
+
+  describe('rescaleShares', () => {
+    const splits = [
+      { payer_user_id: 'a', member_user_id: 'b', share_amount: 400 },
+      { payer_user_id: 'a', member_user_id: 'a', share_amount: 400 },
+      { payer_user_id: 'a', member_user_id: 'c', share_amount: 400 },
+    ];
+
+    it('should keep each member\'s proportion of the new amount', () => {
+      expect(rescaleShares(splits, 1500)).toEqual([
+        { userId: 'b', amount: 500 },
+        { userId: 'a', amount: 500 },
+        { userId: 'c', amount: 500 },
+      ]);
+    });
+
+    it('should give leftover paise to the payer', () => {
+      const shares = rescaleShares(splits, 100);
+
+      expect(shares.map(s => s.amount)).toEqual([33.33, 33.34, 33.33]);
+      expect(shares.reduce((sum, s) => sum + s.amount, 0)).toBeCloseTo(100, 2);
+    });
+  });
+
+  describe('calculateBalances', () => {
+    it('should net shares between each pair of members', () => {
+      const splits = [
+        { payer_user_id: 'a', member_user_id: 'a', share_amount: 600 },
+        { payer_user_id: 'a', member_user_id: 'b', share_amount: 600 },
+        { payer_user_id: 'b', member_user_id: 'a', share_amount: 200 },
+        { payer_user_id: 'b', member_user_id: 'b', share_amount: 200 },
+      ];
+
+      expect(calculateBalances(splits)).toEqual([{ from: 'b', to: 'a', amount: 400 }]);
+    });
+
+    it('should apply settlements', () => {
+      const splits = [{ payer_user_id: 'a', member_user_id: 'b', share_amount: 600 }];
+
+      expect(calculateBalances(splits, [{ from_user_id: 'b', to_user_id: 'a', amount: 250 }]))
+        .toEqual([{ from: 'b', to: 'a', amount: 350 }]);
+      expect(calculateBalances(splits, [{ from_user_id: 'b', to_user_id: 'a', amount: 600 }])).toEqual([]);
+    });
+  });
+
+  describe('parseSettleArgs', () => {
+    it('should parse who was paid and how much', () => {
+      expect(parseSettleArgs(['Priya', '500'])).toEqual({ name: 'Priya', amount: 500, direction: 'to' });
+      expect(parseSettleArgs(['500', 'with', 'Priya'])).toEqual({ name: 'Priya', amount: 500, direction: 'to' });
+      expect(parseSettleArgs(['Priya'])).toEqual({ name: 'Priya', amount: null, direction: 'to' });
+    });
+
+    it('should parse repayments received', () => {
+      expect(parseSettleArgs(['FROM', 'Priya', '300'])).toEqual({ name: 'Priya', amount: 300, direction: 'from' });
+    });
+
+    it('should require a name', () => {
+      expect(parseSettleArgs(['500'])).toBeNull();
+    });
+  });
+});
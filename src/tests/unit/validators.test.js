@@ -4,6 +4,7 @@ const {
   sanitizeInput,
   validate,
   transactionSchema,
+  exchangeRateSchema,
 } = require('../../utils/validators');
 
 describe('Validators', () => {
@@ -65,6 +66,32 @@ describe('Validators', () => {
     });
   });
 
+  describe('exchange rate validation', () => {
+    it('should normalize currency codes', async () => {
+      const { valid, value } = await validate(exchangeRateSchema, {
+        from: 'usd',
+        to: 'inr',
+        rate: 83.2,
+        date: '2025-01-01',
+      });
+
+      expect(valid).toBe(true);
+      expect(value.from).toBe('USD');
+      expect(value.to).toBe('INR');
+    });
+
+    it('should reject the same currency on both sides', async () => {
+      const { valid } = await validate(exchangeRateSchema, {
+        from: 'USD',
+        to: 'usd',
+        rate: 1,
+        date: '2025-01-01',
+      });
+
+      expect(valid).toBe(false);
+    });
+  });
+
   describe('transaction validation', () => {
     it('should validate correct transaction data', async () => {
       const validTransaction = {
@@ -82,6 +109,34 @@ describe('Validators', () => {
       expect(errors).toBeNull();
     });
 
+    it('should accept transfers between wallets', async () => {
+      const transfer = {
+        type: 'transfer',
+        amount: 5000,
+        date: new Date().toISOString().split('T')[0],
+        category: 'Transfer',
+        from_wallet: 'SBI',
+        to_wallet: 'cash',
+      };
+
+      const { valid, value } = await validate(transactionSchema, transfer);
+
+      expect(valid).toBe(true);
+      expect(value.to_wallet).toBe('cash');
+    });
+
+    it('should not assume a currency when none was extracted', async () => {
+      const { valid, value } = await validate(transactionSchema, {
+        type: 'debit',
+        amount: 20,
+        date: new Date().toISOString().split('T')[0],
+        category: 'Food',
+      });
+
+      expect(valid).toBe(true);
+      expect(value.currency).toBeUndefined();
+    });
+
     it('should reject invalid transaction type', async () => {
       const invalidTransaction = {
         type: 'invalid_type',
@@ -0,0 +1,128 @@
+const {
+  parseWalletType,
+  parseWalletArgs,
+  matchWallet,
+  resolveWallet,
+  describeWalletBalance,
+  formatWalletType,
+} = require('../../utils/wallets');
+
+describe('Wallet Helpers', () => {
+  const wallets = [
+    { wallet_id: 'u1', user_id: 'u1', name: 'Cash', type: 'cash', is_default: false },
+    { wallet_id: 'w2', user_id: 'u1', name: 'HDFC', type: 'credit_card', is_default: true },
+    { wallet_id: 'w3', user_id: 'u1', name: 'SBI Savings', type: 'bank', is_default: false },
+    { wallet_id: 'w4', user_id: 'u1', name: 'Amex', type: 'credit_card', is_default: false },
+  ];
+
+  // getWalletsForUser for u1: u1's wallets plus u2's shared ones, oldest first
+  const familyWallets = [
+    { wallet_id: 'w5', user_id: 'u2', name: 'Joint ICICI', type: 'bank', is_default: true, is_shared: true },
+    { wallet_id: 'w6', user_id: 'u2', name: 'Family card', type: 'credit_card', is_default: false, is_shared: true },
+    { wallet_id: 'u1', user_id: 'u1', name: 'Cash', type: 'cash', is_default: false },
+    { wallet_id: 'w7', user_id: 'u1', name: 'Axis card', type: 'credit_card', is_default: true },
+  ];
+
+  describe('parseWalletType', () => {
+    it('should resolve types and aliases', () => {
+      expect(parseWalletType('card')).toBe('credit_card');
+      expect(parseWalletType('Credit_Card')).toBe('credit_card');
+      expect(parseWalletType('gpay')).toBe('upi');
+      expect(parseWalletType('bank')).toBe('bank');
+      expect(parseWalletType('wallet')).toBeNull();
+    });
+  });
+
+  describe('parseWalletArgs', () => {
+    it('should parse name and type', () => {
+      expect(parseWalletArgs(['HDFC', 'card'])).toEqual({
+        name: 'HDFC',
+        type: 'credit_card',
+        openingBalance: 0,
+        shared: false,
+      });
+    });
+
+    it('should parse opening balance and shared flag', () => {
+      expect(parseWalletArgs(['SBI', 'Joint', 'bank', '25,000', 'SHARED'])).toEqual({
+        name: 'SBI Joint',
+        type: 'bank',
+        openingBalance: 25000,
+        shared: true,
+      });
+    });
+
+    it('should treat a card amount as outstanding', () => {
+      expect(parseWalletArgs(['Amex', 'card', '3000']).openingBalance).toBe(-3000);
+    });
+
+    it('should name wallets after their type when no name is given', () => {
+      expect(parseWalletArgs(['upi']).name).toBe('UPI');
+    });
+
+    it('should reject unknown types', () => {
+      expect(parseWalletArgs(['HDFC'])).toBeNull();
+    });
+  });
+
+  describe('matchWallet', () => {
+    it('should match wallet names within the payment method', () => {
+      expect(matchWallet('HDFC card', wallets, 'u1').wallet_id).toBe('w2');
+      expect(matchWallet('sbi', wallets, 'u1').wallet_id).toBe('w3');
+    });
+
+    it('should fall back to the wallet type, preferring the default', () => {
+      expect(matchWallet('credit card', wallets, 'u1').wallet_id).toBe('w2');
+      expect(matchWallet('net banking', wallets, 'u1').wallet_id).toBe('w3');
+      expect(matchWallet('neft', wallets, 'u1').wallet_id).toBe('w3');
+    });
+
+    it('should return null without a payment method', () => {
+      expect(matchWallet(null, wallets, 'u1')).toBeNull();
+      expect(matchWallet('gpay', wallets, 'u1')).toBeNull();
+    });
+
+    it('should prefer the user\'s own wallet of a type over another member\'s shared one', () => {
+      expect(matchWallet('credit card', familyWallets, 'u1').wallet_id).toBe('w7');
+      expect(matchWallet('bank', familyWallets, 'u1').wallet_id).toBe('w5');
+      expect(matchWallet('family card', familyWallets, 'u1').wallet_id).toBe('w6');
+    });
+  });
+
+  describe('resolveWallet', () => {
+    it('should use the default wallet when nothing matches', () => {
+      expect(resolveWallet('gpay', wallets, 'u1').wallet_id).toBe('w2');
+      expect(resolveWallet('cash', wallets, 'u1').wallet_id).toBe('u1');
+    });
+
+    it('should never fall back to another member\'s default wallet', () => {
+      expect(resolveWallet(null, familyWallets, 'u1').wallet_id).toBe('w7');
+      expect(resolveWallet('gpay', familyWallets, 'u1').wallet_id).toBe('w7');
+    });
+
+    it('should fall back to the user\'s first wallet when none is default', () => {
+      const withoutDefault = familyWallets.map(w => (w.user_id === 'u1' ? { ...w, is_default: false } : w));
+      expect(resolveWallet(null, withoutDefault, 'u1').wallet_id).toBe('u1');
+    });
+  });
+
+  describe('describeWalletBalance', () => {
+    it('should show card balances as outstanding', () => {
+      expect(describeWalletBalance({ type: 'credit_card' }, -1500)).toBe('₹1,500 outstanding');
+      expect(describeWalletBalance({ type: 'bank' }, 2500.5)).toBe('₹2,500.50');
+      expect(describeWalletBalance({ type: 'cash' }, -200)).toBe('-₹200');
+    });
+
+    it('should use the given currency and language', () => {
+      expect(describeWalletBalance({ type: 'credit_card' }, -1500, 'INR', 'hi')).toBe('₹1,500 बकाया');
+      expect(describeWalletBalance({ type: 'bank' }, 20, 'USD', 'en')).toBe('$20');
+    });
+  });
+
+  describe('formatWalletType', () => {
+    it('should keep the icon and translate the type', () => {
+      expect(formatWalletType('credit_card')).toBe('💳 Credit card');
+      expect(formatWalletType('cash', 'ta')).toBe('💵 ரொக்கம்');
+    });
+  });
+});
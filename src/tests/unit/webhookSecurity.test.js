@@ -0,0 +1,68 @@
+const {
+  computeSignature,
+  isValidSignature,
+  getLatestEventTimestamp,
+  isStalePayload,
+  rememberSignature,
+} = require('../../utils/webhookSecurity');
+
+describe('Webhook Security Helpers', () => {
+  const secret = 'app-secret';
+  const rawBody = Buffer.from('{"object":"whatsapp_business_account","entry":[]}');
+
+  describe('isValidSignature', () => {
+    it('should accept the HMAC of the raw body', () => {
+      expect(isValidSignature(computeSignature(rawBody, secret), rawBody, secret)).toBe(true);
+    });
+
+    it('should reject a wrong, truncated or missing signature', () => {
+      expect(isValidSignature(computeSignature(rawBody, 'other-secret'), rawBody, secret)).toBe(false);
+      expect(isValidSignature(computeSignature(rawBody, secret).slice(0, 20), rawBody, secret)).toBe(false);
+      expect(isValidSignature(undefined, rawBody, secret)).toBe(false);
+    });
+
+    it('should reject when the secret or body is missing', () => {
+      expect(isValidSignature(computeSignature(rawBody, secret), rawBody, '')).toBe(false);
+      expect(isValidSignature(computeSignature(rawBody, secret), undefined, secret)).toBe(false);
+    });
+  });
+
+  describe('stale payloads', () => {
+    const now = 1700000000 * 1000;
+    const payload = (...timestamps) => ({
+      entry: [{
+        id: '1',
+        changes: [{
+          value: {
+            messages: timestamps.map(t => ({ id: `m${t}`, timestamp: String(t) })),
+            statuses: [{ id: 's1', timestamp: String(timestamps[0]) }],
+          },
+        }],
+      }],
+    });
+
+    it('should find the newest event timestamp', () => {
+      expect(getLatestEventTimestamp(payload(1699999000, 1699999900))).toBe(1699999900);
+      expect(getLatestEventTimestamp({ entry: [{ id: '1', changes: [] }] })).toBeNull();
+    });
+
+    it('should flag payloads older than the max age', () => {
+      expect(isStalePayload(payload(1700000000 - 600), 300, now)).toBe(true);
+      expect(isStalePayload(payload(1700000000 - 600, 1700000000 - 60), 300, now)).toBe(false);
+    });
+
+    it('should not flag payloads without events', () => {
+      expect(isStalePayload({ entry: [] }, 300, now)).toBe(false);
+    });
+  });
+
+  describe('rememberSignature', () => {
+    it('should report a signature seen within its TTL', () => {
+      const cache = new Map();
+
+      expect(rememberSignature(cache, 'sha256=abc', 1000, 0)).toBe(false);
+      expect(rememberSignature(cache, 'sha256=abc', 1000, 500)).toBe(true);
+      expect(rememberSignature(cache, 'sha256=abc', 1000, 1500)).toBe(false);
+    });
+  });
+});
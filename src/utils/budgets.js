@@ -0,0 +1,94 @@
+/**
+ * Budget helpers
+ * Pure functions for parsing BUDGET commands and computing budget usage
+ */
+
+const { resolvePeriod } = require('./periods');
+
+const BUDGET_PERIODS = ['monthly', 'weekly'];
+const DEFAULT_ALERT_THRESHOLDS = [80, 100, 120];
+
+/**
+ * Parse "BUDGET SET" arguments: <category words...> <amount> [monthly|weekly]
+ * @param {string[]} args - Tokens after "BUDGET SET"
+ * @returns {{ category: string, amount: number, period: string }|null}
+ */
+function parseBudgetArgs(args) {
+  const tokens = [...args];
+  let period;
+
+  if (BUDGET_PERIODS.includes(tokens[tokens.length - 1]?.toLowerCase())) {
+    period = tokens.pop().toLowerCase();
+  }
+
+  const amount = parseFloat((tokens.pop() || '').replace(/[₹,]/g, ''));
+  const category = tokens.join(' ').trim();
+
+  if (!category || isNaN(amount)) {
+    return null;
+  }
+
+  return { category, amount, period };
+}
+
+/**
+ * Current date range for a budget period ('monthly' or 'weekly')
+ */
+function getBudgetPeriodRange(period, now = new Date()) {
+  return resolvePeriod(period === 'weekly' ? 'week' : 'month', now);
+}
+
+/**
+ * Spent / remaining / percent used for a budget
+ */
+function calculateBudgetUsage(budgetAmount, spent) {
+  const amount = Number(budgetAmount) || 0;
+  const roundedSpent = Math.round(spent * 100) / 100;
+
+  return {
+    spent: roundedSpent,
+    remaining: Math.round((amount - spent) * 100) / 100,
+    percent: amount > 0 ? Math.round((spent / amount) * 100) : 0,
+  };
+}
+
+/**
+ * Parse alert thresholds from a comma-separated list ("80,100,120")
+ * @returns {number[]} sorted, positive percentages
+ */
+function parseAlertThresholds(value) {
+  if (!value) return DEFAULT_ALERT_THRESHOLDS;
+
+  const thresholds = [...new Set(String(value)
+    .split(',')
+    .map(t => parseInt(t.trim(), 10))
+    .filter(t => t > 0))]
+    .sort((a, b) => a - b);
+
+  return thresholds.length > 0 ? thresholds : DEFAULT_ALERT_THRESHOLDS;
+}
+
+/**
+ * Thresholds reached at the given usage percentage
+ */
+function getReachedThresholds(percent, thresholds) {
+  return thresholds.filter(t => percent >= t);
+}
+
+/**
+ * Text progress bar, e.g. "▓▓▓▓▓▓░░░░"
+ */
+function formatProgressBar(percent, width = 10) {
+  const filled = Math.min(width, Math.max(0, Math.round((percent / 100) * width)));
+  return '▓'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  parseBudgetArgs,
+  getBudgetPeriodRange,
+  calculateBudgetUsage,
+  parseAlertThresholds,
+  getReachedThresholds,
+  formatProgressBar,
+};
@@ -0,0 +1,68 @@
+/**
+ * Currency conversion helpers
+ * Pure functions for picking an exchange rate by date and converting amounts
+ * to the family's base currency
+ */
+
+const DEFAULT_BASE_CURRENCY = 'INR';
+
+/**
+ * Normalize a currency code ("usd " -> "USD")
+ */
+function normalizeCurrency(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Rate to convert 1 unit of `from` into `to` on a date
+ * Uses the latest rate with effective_date on or before the date; a rate stored
+ * the other way round (INR -> USD for a USD -> INR lookup) is inverted
+ * @param {Array} rates - exchange_rates rows
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number|null}
+ */
+function findExchangeRate(rates, from, to, date) {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+
+  if (source === target) return 1;
+
+  const candidates = rates
+    .filter(r => r.effective_date <= date && Number(r.rate) > 0)
+    .map(r => {
+      if (r.from_currency === source && r.to_currency === target) {
+        return { date: r.effective_date, rate: Number(r.rate), direct: true };
+      }
+      if (r.from_currency === target && r.to_currency === source) {
+        return { date: r.effective_date, rate: 1 / Number(r.rate), direct: false };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    // Most recent first; a direct rate wins over an inverted one from the same day
+    .sort((a, b) => b.date.localeCompare(a.date) || Number(b.direct) - Number(a.direct));
+
+  return candidates[0]?.rate ?? null;
+}
+
+/**
+ * Convert an amount with a rate, rounded to 2 decimals
+ */
+function convertAmount(amount, rate) {
+  return Math.round((Number(amount) || 0) * rate * 100) / 100;
+}
+
+/**
+ * Short display form of a rate ("83.2", "0.012")
+ */
+function formatRate(rate) {
+  return String(Number(Number(rate).toPrecision(6)));
+}
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  normalizeCurrency,
+  findExchangeRate,
+  convertAmount,
+  formatRate,
+};
@@ -0,0 +1,104 @@
+/**
+ * Outbound delivery helpers
+ * Pure functions for WhatsApp status callbacks (sent / delivered / read / failed)
+ * and per-job delivery stats
+ */
+
+// Status callbacks can arrive out of order; a message only moves forward
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4,
+};
+
+// Cloud API error: more than 24 hours since the user's last message, only templates allowed
+const WINDOW_CLOSED_ERROR_CODE = 131047;
+
+/**
+ * Normalize one entry of value.statuses from a webhook
+ * @returns {{ messageId, status, recipient, timestamp, error }|null}
+ */
+function parseStatusUpdate(status) {
+  if (!status?.id || !(status.status in STATUS_RANK)) {
+    return null;
+  }
+
+  const error = status.errors?.[0];
+  const seconds = parseInt(status.timestamp);
+
+  return {
+    messageId: status.id,
+    status: status.status,
+    recipient: status.recipient_id || null,
+    timestamp: Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : new Date().toISOString(),
+    error: error
+      ? {
+        code: error.code ?? null,
+        title: error.title || error.message || null,
+        details: error.error_data?.details || null,
+      }
+      : null,
+  };
+}
+
+/**
+ * Check if a status update moves a message forward (ignores late or repeated callbacks)
+ */
+function shouldApplyStatus(currentStatus, nextStatus) {
+  return (STATUS_RANK[nextStatus] ?? -1) > (STATUS_RANK[currentStatus] ?? -1);
+}
+
+/**
+ * Count outbound messages by status, with failures grouped by error code
+ * @param {Array} rows - outbound_delivery_counts rows (status, error_code, message_count)
+ */
+function summarizeDeliveryStats(rows) {
+  const stats = { total: 0, accepted: 0, sent: 0, delivered: 0, read: 0, failed: 0, failuresByCode: {} };
+
+  rows.forEach(row => {
+    const count = Number(row.message_count) || 0;
+
+    if (!(row.status in STATUS_RANK)) return;
+
+    stats.total += count;
+    stats[row.status] += count;
+
+    if (row.status === 'failed') {
+      const code = row.error_code ?? 'unknown';
+      stats.failuresByCode[code] = (stats.failuresByCode[code] || 0) + count;
+    }
+  });
+
+  // Read messages were delivered too
+  stats.deliveryRate = stats.total > 0
+    ? Math.round(((stats.delivered + stats.read) / stats.total) * 1000) / 10
+    : 0;
+
+  return stats;
+}
+
+/**
+ * Delivery stats per job; messages not sent by a job are grouped as "replies"
+ * @returns {Object} job -> stats
+ */
+function summarizeDeliveryStatsByJob(rows) {
+  const byJob = new Map();
+
+  rows.forEach(row => {
+    const job = row.job || 'replies';
+    byJob.set(job, [...(byJob.get(job) || []), row]);
+  });
+
+  return Object.fromEntries([...byJob].map(([job, jobRows]) => [job, summarizeDeliveryStats(jobRows)]));
+}
+
+module.exports = {
+  STATUS_RANK,
+  WINDOW_CLOSED_ERROR_CODE,
+  parseStatusUpdate,
+  shouldApplyStatus,
+  summarizeDeliveryStats,
+  summarizeDeliveryStatsByJob,
+};
@@ -0,0 +1,160 @@
+/**
+ * Savings goal helpers
+ * Pure functions for parsing GOAL commands and projecting goal progress
+ */
+
+const { toDateString, parseMonthName } = require('./periods');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "put 2000 towards vacation", "add ₹500 to car fund goal", "saved 1000 for the trip"
+// No "moved"/"transferred" - those are transfers between wallets ("transferred 12000 to credit card")
+const CONTRIBUTION_PATTERN =
+  /^(?:put|add|added|save|saved)\s+(₹|rs\.?\s*|inr\s*)?([\d,]+(?:\.\d{1,2})?)\s+(?:towards?|to|for|into|in)\s+(?:my\s+|our\s+|the\s+)?(.+?)(\s+goal)?$/i;
+
+/**
+ * Parse a natural-language goal contribution
+ * @returns {{ amount: number, currency: string|null, goalName: string, namedGoal: boolean }|null}
+ *   currency: 'INR' when the amount was written in rupees ("₹500"), otherwise null (the user's currency)
+ *   namedGoal: the message said "goal" ("... to car fund goal"), so the name may carry extra words
+ */
+function parseContribution(text) {
+  const match = (text || '').trim().match(CONTRIBUTION_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseFloat(match[2].replace(/,/g, ''));
+
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  return {
+    amount,
+    currency: match[1] ? 'INR' : null,
+    goalName: match[3].trim(),
+    namedGoal: Boolean(match[4]),
+  };
+}
+
+/**
+ * Parse a goal deadline: "2026-12-31", "december", "dec 2026"
+ * Month names resolve to the last day of the next such month
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDeadline(value, now = new Date()) {
+  const requested = (value || '').trim().toLowerCase();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(requested)) {
+    const date = new Date(`${requested}T00:00:00`);
+    return isNaN(date.getTime()) ? null : requested;
+  }
+
+  const [monthName, yearValue] = requested.split(/\s+/);
+  const month = parseMonthName(monthName);
+
+  if (month === -1) {
+    return null;
+  }
+
+  let year = yearValue ? parseInt(yearValue, 10) : now.getFullYear();
+
+  if (isNaN(year)) {
+    return null;
+  }
+
+  if (!yearValue && month < now.getMonth()) {
+    year += 1;
+  }
+
+  return toDateString(new Date(year, month + 1, 0));
+}
+
+/**
+ * Parse "GOAL ADD" arguments: <name...> <amount> [by <deadline>]
+ * @returns {{ name: string, targetAmount: number, deadline: string|null }|null}
+ */
+function parseGoalArgs(args, now = new Date()) {
+  const byIndex = args.findIndex(t => t.toLowerCase() === 'by');
+  const head = byIndex === -1 ? args : args.slice(0, byIndex);
+  let deadline = null;
+
+  if (byIndex !== -1) {
+    deadline = parseDeadline(args.slice(byIndex + 1).join(' '), now);
+    if (!deadline) return null;
+  }
+
+  const targetAmount = parseFloat((head[head.length - 1] || '').replace(/[₹,]/g, ''));
+  const name = head.slice(0, -1).join(' ').trim();
+
+  if (!name || isNaN(targetAmount) || targetAmount <= 0) {
+    return null;
+  }
+
+  return { name, targetAmount, deadline };
+}
+
+/**
+ * Find a goal by name: exact, then whole words of the goal name ("europe" -> "Europe Trip")
+ * With namedGoal ("car fund goal") a goal whose whole name is among the words also matches ("Car");
+ * otherwise "credit card" or "savings account" must not match goals called "Car" or "Savings"
+ * @param {Object} [options]
+ * @param {boolean} [options.namedGoal] - The user said "goal"
+ */
+function findGoal(name, goals, { namedGoal = false } = {}) {
+  const requested = words(name);
+
+  if (requested.length === 0) return null;
+
+  const exact = goals.find(g => words(g.name).join(' ') === requested.join(' '));
+  if (exact) return exact;
+
+  const partial = goals.find(g => requested.every(word => words(g.name).includes(word)));
+  if (partial) return partial;
+
+  if (!namedGoal) return null;
+
+  return goals.find(g => words(g.name).every(word => requested.includes(word))) || null;
+}
+
+function words(value) {
+  return (value || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Progress and projected completion based on the average saving rate since the goal was created
+ * @returns {{ percent, remaining, projectedDate, onTrack }}
+ */
+function getGoalProgress(goal, now = new Date()) {
+  const target = Number(goal.target_amount) || 0;
+  const saved = Number(goal.current_amount) || 0;
+  const remaining = Math.max(0, Math.round((target - saved) * 100) / 100);
+  const percent = target > 0 ? Math.min(100, Math.round((saved / target) * 100)) : 0;
+
+  if (remaining === 0) {
+    return { percent: 100, remaining: 0, projectedDate: null, onTrack: true };
+  }
+
+  const createdAt = goal.created_at ? new Date(goal.created_at) : now;
+  const daysElapsed = Math.max(1, Math.ceil((now - createdAt) / DAY_MS));
+  const dailyRate = saved / daysElapsed;
+
+  if (dailyRate <= 0) {
+    return { percent, remaining, projectedDate: null, onTrack: null };
+  }
+
+  const projectedDate = toDateString(new Date(now.getTime() + Math.ceil(remaining / dailyRate) * DAY_MS));
+  const onTrack = goal.target_date ? projectedDate <= goal.target_date : null;
+
+  return { percent, remaining, projectedDate, onTrack };
+}
+
+module.exports = {
+  parseContribution,
+  parseDeadline,
+  parseGoalArgs,
+  findGoal,
+  getGoalProgress,
+};
@@ -0,0 +1,64 @@
+/**
+ * History helpers
+ * Parse LIST / HISTORY arguments into paging, scope, period and filter term
+ */
+
+const { resolvePeriod } = require('./periods');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 20;
+
+/**
+ * Parse LIST / HISTORY arguments
+ * e.g. ["15"], ["family", "week"], ["today"], ["food"], ["last", "month", "swiggy"]
+ * @returns {{ pageSize: number, family: boolean, period: Object|null, term: string|null }}
+ */
+function parseHistoryArgs(args, now = new Date()) {
+  let tokens = [...args];
+  let pageSize = DEFAULT_PAGE_SIZE;
+  let family = false;
+
+  tokens = tokens.filter(token => {
+    if (/^\d+$/.test(token)) {
+      pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(token, 10)));
+      return false;
+    }
+    if (token.toUpperCase() === 'FAMILY') {
+      family = true;
+      return false;
+    }
+    return true;
+  });
+
+  // Leading period: "last month", "this week", "today", "march"
+  let period = null;
+  for (const size of [2, 1]) {
+    if (tokens.length >= size) {
+      period = resolvePeriod(tokens.slice(0, size).join(' '), now);
+      if (period) {
+        tokens = tokens.slice(size);
+        break;
+      }
+    }
+  }
+
+  const term = tokens.join(' ').trim() || null;
+
+  return { pageSize, family, period, term };
+}
+
+/**
+ * Parse a "#n" reference to a numbered LIST entry
+ * @returns {number|null}
+ */
+function parseListReference(token) {
+  const match = /^#(\d+)$/.exec(token || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseHistoryArgs,
+  parseListReference,
+};
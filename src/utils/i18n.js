@@ -0,0 +1,166 @@
+/**
+ * Localization helpers
+ * Message lookup with {placeholder} interpolation and plural forms,
+ * locale-aware number/currency formatting and language detection
+ */
+
+const catalogs = {
+  en: require('../locales/en'),
+  hi: require('../locales/hi'),
+  ta: require('../locales/ta'),
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Supported reply languages
+ * aliases: what users may type after LANGUAGE; script: detects the language from message text
+ */
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-IN', aliases: ['english', 'eng', 'अंग्रेज़ी', 'अंग्रेजी', 'ஆங்கிலம்'] },
+  hi: { name: 'हिन्दी', locale: 'hi-IN', aliases: ['hindi', 'हिंदी', 'हिन्दी', 'இந்தி'], script: /[\u0900-\u097F]/g },
+  ta: { name: 'தமிழ்', locale: 'ta-IN', aliases: ['tamil', 'தமிழ்', 'तमिल'], script: /[\u0B80-\u0BFF]/g },
+};
+
+/**
+ * Resolve a supported language code, falling back to English
+ */
+function resolveLanguage(language) {
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function getLocale(language) {
+  return LANGUAGES[resolveLanguage(language)].locale;
+}
+
+/**
+ * Translate a message key
+ * Falls back to English, then to the key itself; plural entries are picked by params.count
+ * @param {string} language - Language code (en, hi, ta)
+ * @param {string} key - Catalog key, e.g. 'link.invalidEmail'
+ * @param {Object} [params] - Values for {placeholders}
+ */
+function t(language, key, params = {}) {
+  const lang = resolveLanguage(language);
+  let message = catalogs[lang][key] ?? catalogs[DEFAULT_LANGUAGE][key];
+
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(getLocale(lang)).select(Number(params.count) || 0);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] === undefined || params[name] === null) return placeholder;
+    return name === 'count' ? formatNumber(params[name], lang) : String(params[name]);
+  });
+}
+
+/**
+ * Format a number with the locale's grouping (1,25,000 for Indian locales)
+ */
+function formatNumber(value, language, options = {}) {
+  return new Intl.NumberFormat(getLocale(language), { maximumFractionDigits: 2, ...options }).format(Number(value));
+}
+
+/**
+ * Format an amount in a currency (₹1,25,000 / $20.50), without decimals for whole amounts
+ */
+function formatMoney(amount, currency, language) {
+  const value = Number(amount);
+  const decimals = Number.isInteger(value) ? 0 : 2;
+
+  try {
+    return new Intl.NumberFormat(getLocale(language), {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(value);
+  } catch (error) {
+    // Unknown currency code - show it as entered
+    return `${currency} ${formatNumber(value, language)}`;
+  }
+}
+
+/**
+ * Format a month and year ("March 2025", "मार्च 2025")
+ * @param {string|Date} date - Any day in the month (YYYY-MM-DD strings are read as local dates)
+ */
+function formatMonth(date, language) {
+  const value = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+  return new Intl.DateTimeFormat(getLocale(language), { month: 'long', year: 'numeric' }).format(value);
+}
+
+/**
+ * Map what a user typed ("hindi", "हिंदी", "ta") to a language code
+ * @returns {string|null}
+ */
+function normalizeLanguage(input) {
+  const value = (input || '').trim().toLowerCase();
+
+  if (!value) return null;
+  if (LANGUAGES[value]) return value;
+
+  const match = Object.keys(LANGUAGES).find(code => LANGUAGES[code].aliases.includes(value));
+  return match || null;
+}
+
+/**
+ * Detect the language of a message from its script
+ * Only Indian scripts are detected - Latin text is as likely to be Hinglish as English
+ * @returns {string|null} Language code, or null if it can't tell
+ */
+function detectLanguage(text) {
+  const letters = (text || '').match(/[\p{L}\p{M}]/gu) || [];
+
+  if (letters.length === 0) return null;
+
+  const detected = Object.keys(LANGUAGES).find(code => {
+    const script = LANGUAGES[code].script;
+    const count = script ? ((text.match(script) || []).length) : 0;
+    return count > letters.length / 2;
+  });
+
+  return detected || null;
+}
+
+/**
+ * Parse LANGUAGE / LANG / भाषा / மொழி commands
+ * @returns {Object|null} { input } with the requested language as typed (empty to show the current one)
+ */
+function parseLanguageCommand(text) {
+  const match = (text || '').trim().match(/^(LANGUAGE|LANG|भाषा|மொழி)(?:\s+(.+))?$/i);
+
+  if (!match) return null;
+
+  return { input: (match[2] || '').trim() };
+}
+
+/**
+ * "• LANGUAGE HINDI - हिन्दी" lines listing every supported language
+ */
+function formatLanguageOptions() {
+  return Object.keys(LANGUAGES)
+    .map(code => `• LANGUAGE ${LANGUAGES[code].aliases[0].toUpperCase()} - ${LANGUAGES[code].name}`)
+    .join('\n');
+}
+
+function getLanguageName(language) {
+  return LANGUAGES[resolveLanguage(language)].name;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  t,
+  formatNumber,
+  formatMoney,
+  formatMonth,
+  normalizeLanguage,
+  detectLanguage,
+  parseLanguageCommand,
+  formatLanguageOptions,
+  getLanguageName,
+};
@@ -0,0 +1,63 @@
+/**
+ * Interactive reply id helpers
+ * Button and list row ids carry an action and its arguments: "<action>:<arg1>:<arg2>"
+ * e.g. "confirm:<draft_id>", "cat:<category_id>:<transaction_id>"
+ */
+
+const SEPARATOR = ':';
+const MAX_REPLY_ID_LENGTH = 200; // list row ids are limited to 200 characters
+
+/**
+ * Build a reply id from an action and its arguments
+ */
+function encodeReplyId(action, ...args) {
+  const id = [action, ...args].join(SEPARATOR);
+
+  if (id.length > MAX_REPLY_ID_LENGTH) {
+    throw new Error(`Reply id exceeds ${MAX_REPLY_ID_LENGTH} characters`);
+  }
+
+  return id;
+}
+
+/**
+ * Split a reply id into its action and arguments
+ * @returns {{ action: string, args: string[] }|null}
+ */
+function decodeReplyId(replyId) {
+  if (!replyId || typeof replyId !== 'string') {
+    return null;
+  }
+
+  const [action, ...args] = replyId.split(SEPARATOR);
+
+  if (!action) {
+    return null;
+  }
+
+  return { action, args };
+}
+
+/**
+ * Extract the reply from an interactive message (button_reply or list_reply)
+ * @returns {{ kind: string, id: string, title: string }|null}
+ */
+function getInteractiveReply(msg) {
+  const interactive = msg?.interactive;
+
+  if (interactive?.type === 'button_reply' && interactive.button_reply) {
+    return { kind: 'button', ...interactive.button_reply };
+  }
+
+  if (interactive?.type === 'list_reply' && interactive.list_reply) {
+    return { kind: 'list', ...interactive.list_reply };
+  }
+
+  return null;
+}
+
+module.exports = {
+  encodeReplyId,
+  decodeReplyId,
+  getInteractiveReply,
+};
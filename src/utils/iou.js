@@ -0,0 +1,101 @@
+/**
+ * IOU ledger helpers
+ * Balances are from the user's point of view: positive = they owe you, negative = you owe them
+ */
+
+const { DEFAULT_LANGUAGE, t, formatMoney } = require('./i18n');
+
+// Debt actions extracted by AI, with their effect on the counterparty balance
+const IOU_ACTIONS = {
+  lent: 1, // you lent them money
+  borrowed: -1, // you borrowed from them
+  got_back: -1, // they paid you back
+  paid_back: 1, // you paid them back
+};
+
+/**
+ * Signed change to a counterparty balance for an entry
+ */
+function getBalanceDelta(action, amount) {
+  const sign = IOU_ACTIONS[action];
+
+  if (!sign) {
+    throw new Error(`Unknown IOU action: ${action}`);
+  }
+
+  return sign * amount;
+}
+
+/**
+ * Normalize a counterparty name for matching ("  ravi  KUMAR " -> "ravi kumar")
+ */
+function normalizeCounterpartyName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Find a counterparty by name (exact, then first name, then partial match)
+ */
+function findCounterparty(name, counterparties) {
+  const requested = normalizeCounterpartyName(name);
+
+  if (!requested) return null;
+
+  return counterparties.find(c => c.normalized_name === requested) ||
+    counterparties.find(c => c.normalized_name.split(' ')[0] === requested) ||
+    counterparties.find(c => c.normalized_name.includes(requested)) ||
+    null;
+}
+
+/**
+ * Describe a balance in words
+ * e.g. "Ravi owes you ₹500", "You owe Ravi ₹300", "You and Ravi are settled up"
+ */
+function describeBalance(name, balance, currency = 'INR', language = DEFAULT_LANGUAGE) {
+  const amount = Math.round(Math.abs(Number(balance) || 0) * 100) / 100;
+
+  if (amount === 0) return t(language, 'iou.settled', { name });
+
+  const key = balance > 0 ? 'iou.owesYou' : 'iou.youOwe';
+  return t(language, key, { name, amount: formatMoney(amount, currency, language) });
+}
+
+/**
+ * Describe a ledger entry ("Lent ₹500", "Got back ₹300")
+ */
+function describeEntry(entry, currency = 'INR', language = DEFAULT_LANGUAGE) {
+  const amount = formatMoney(entry.amount, currency, language);
+
+  if (!IOU_ACTIONS[entry.action]) return `${entry.action} ${amount}`;
+  return t(language, `iou.entry.${entry.action}`, { amount });
+}
+
+/**
+ * Totals across counterparties
+ * @returns {{ owedToYou: number, youOwe: number }}
+ */
+function summarizeDues(counterparties) {
+  let owedToYou = 0;
+  let youOwe = 0;
+
+  counterparties.forEach(c => {
+    const balance = Number(c.balance) || 0;
+    if (balance > 0) owedToYou += balance;
+    if (balance < 0) youOwe -= balance;
+  });
+
+  return {
+    owedToYou: Math.round(owedToYou * 100) / 100,
+    youOwe: Math.round(youOwe * 100) / 100,
+  };
+}
+
+module.exports = {
+  IOU_ACTIONS,
+  getBalanceDelta,
+  normalizeCounterpartyName,
+  findCounterparty,
+  describeBalance,
+  describeEntry,
+  summarizeDues,
+};
@@ -0,0 +1,133 @@
+/**
+ * Proactive message templates
+ * WhatsApp only accepts free-form messages within 24 hours of the user's last message;
+ * outside that window proactive messages must use an approved template
+ */
+
+// Customer service window opened by each inbound message
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Sends go through the outbound queue, so treat the window as closing a little early
+const SERVICE_WINDOW_MARGIN_MS = 10 * 60 * 1000;
+
+const { LANGUAGES } = require('./i18n');
+
+// Templates are approved in every reply language; this one is used when the user's language isn't known
+const TEMPLATE_LANGUAGE = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+
+/**
+ * Registry of proactive message types and the approved template backing each one
+ * parameters: body placeholders {{1}}, {{2}}, ... in order, read from the params passed when sending
+ * buttonParameter: param sent to the template's URL / copy-code button (authentication templates)
+ * job: scheduled job name recorded for delivery stats
+ */
+const PROACTIVE_TEMPLATES = {
+  dailyReminder: {
+    name: 'daily_expense_reminder',
+    description: 'Morning prompt to log yesterday\'s expenses',
+    parameters: ['userName'],
+    job: 'dailyReminder',
+  },
+  duesNudge: {
+    name: 'weekly_dues_reminder',
+    description: 'Weekly summary of outstanding IOU balances',
+    parameters: ['owedToYou', 'youOwe'],
+    job: 'duesNudge',
+  },
+  recurringPosted: {
+    name: 'recurring_transaction_logged',
+    description: 'Recurring transaction posted by the scheduler',
+    parameters: ['amount', 'description', 'dates'],
+    job: 'recurringTransactions',
+  },
+  budgetAlert: {
+    name: 'budget_threshold_alert',
+    description: 'Category spending crossed a budget threshold',
+    parameters: ['category', 'percent', 'spent', 'budget'],
+  },
+  verificationCode: {
+    name: 'account_verification_code',
+    description: 'Code for linking a number started from the admin API',
+    parameters: ['code'],
+    buttonParameter: 'code',
+  },
+};
+
+/**
+ * Check if a free-form message can still be sent
+ * @param {string|Date|null} lastInboundAt - When the user last messaged us
+ */
+function isWithinServiceWindow(lastInboundAt, now = Date.now()) {
+  if (!lastInboundAt) return false;
+
+  const elapsed = now - new Date(lastInboundAt).getTime();
+  return elapsed >= 0 && elapsed < SERVICE_WINDOW_MS - SERVICE_WINDOW_MARGIN_MS;
+}
+
+/**
+ * Get the template backing a proactive message type
+ * @param {string} [language] - Reply language of the recipient (en, hi, ta)
+ * @returns {Object|null} { name, language, parameters, ... }
+ */
+function getProactiveTemplate(messageType, language) {
+  const template = PROACTIVE_TEMPLATES[messageType];
+
+  if (!template) return null;
+
+  return { language: LANGUAGES[language] ? language : TEMPLATE_LANGUAGE, ...template };
+}
+
+/**
+ * Template parameters can't contain newlines, tabs or more than 4 consecutive spaces
+ */
+function toTemplateText(value) {
+  return String(value).replace(/\s*[\n\t]+\s*/g, ' ').replace(/ {4,}/g, ' ').trim();
+}
+
+/**
+ * Map params onto the template's components for sendTemplateMessage
+ * Throws when a parameter is missing - the Cloud API rejects empty placeholders
+ */
+function buildTemplateComponents(messageType, params = {}) {
+  const template = PROACTIVE_TEMPLATES[messageType];
+
+  if (!template) {
+    throw new Error(`No template registered for proactive message type "${messageType}"`);
+  }
+
+  const textParam = (name) => {
+    const value = params[name];
+
+    if (value === undefined || value === null || toTemplateText(value) === '') {
+      throw new Error(`Missing template parameter "${name}" for ${messageType}`);
+    }
+
+    return { type: 'text', text: toTemplateText(value) };
+  };
+
+  const components = [];
+
+  if (template.parameters.length > 0) {
+    components.push({ type: 'body', parameters: template.parameters.map(textParam) });
+  }
+
+  if (template.buttonParameter) {
+    components.push({
+      type: 'button',
+      sub_type: 'url',
+      index: '0',
+      parameters: [textParam(template.buttonParameter)],
+    });
+  }
+
+  return components;
+}
+
+module.exports = {
+  SERVICE_WINDOW_MS,
+  PROACTIVE_TEMPLATES,
+  isWithinServiceWindow,
+  getProactiveTemplate,
+  toTemplateText,
+  buildTemplateComponents,
+};
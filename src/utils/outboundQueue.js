@@ -0,0 +1,100 @@
+/**
+ * Outbound queue helpers
+ * Pure functions for retry decisions, backoff, throttling and per-recipient ordering
+ */
+
+// Cloud API error codes for throttling (retried like HTTP 429)
+// 4: too many calls, 80007: rate limit, 130429: throughput, 131048: spam rate limit, 131056: pair rate limit
+const THROTTLE_ERROR_CODES = [4, 80007, 130429, 131048, 131056];
+
+/**
+ * Check if a failed send is worth retrying: network errors, 429, 5xx and throttling codes
+ * @param {Error} error - axios error
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status;
+
+  if (!status) return true;
+
+  return status === 429 ||
+    status >= 500 ||
+    THROTTLE_ERROR_CODES.includes(error.response.data?.error?.code);
+}
+
+/**
+ * Short description of a failed send for logs and the dead-letter store
+ */
+function describeSendError(error) {
+  const apiError = error?.response?.data?.error;
+
+  return {
+    status: error?.response?.status || null,
+    code: apiError?.code ?? null,
+    message: apiError?.message || error?.message || 'Unknown error',
+  };
+}
+
+/**
+ * Exponential backoff with jitter for the given attempt (1 = first retry)
+ * Waits between half and all of baseMs * 2^(attempt - 1), capped at maxMs
+ */
+function getBackoffDelay(attempt, baseMs, maxMs, random = Math.random) {
+  const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Token bucket allowing perSecond sends, with bursts up to perSecond
+ */
+function createRateLimiter(perSecond, now = Date.now()) {
+  return { capacity: perSecond, tokens: perSecond, refillPerMs: perSecond / 1000, updatedAt: now };
+}
+
+/**
+ * Take a token from the bucket
+ * @returns {number} 0 if a token was taken, otherwise ms to wait before trying again
+ */
+function takeToken(limiter, now = Date.now()) {
+  limiter.tokens = Math.min(limiter.capacity, limiter.tokens + (now - limiter.updatedAt) * limiter.refillPerMs);
+  limiter.updatedAt = now;
+
+  if (limiter.tokens >= 1) {
+    limiter.tokens -= 1;
+    return 0;
+  }
+
+  return Math.ceil((1 - limiter.tokens) / limiter.refillPerMs);
+}
+
+/**
+ * Pick queued messages that can be sent now
+ * Only the oldest pending message of each recipient may go (keeps replies in order),
+ * and only when it is due and nothing else is in flight to that recipient
+ * @param {Array} rows - Pending queue rows, oldest first
+ * @param {Set<string>} inFlight - Recipients with a send in progress
+ */
+function selectDeliverable(rows, inFlight, now = Date.now()) {
+  const seen = new Set();
+  const ready = [];
+
+  rows.forEach(row => {
+    if (seen.has(row.whatsapp_number)) return;
+    seen.add(row.whatsapp_number);
+
+    if (!inFlight.has(row.whatsapp_number) && new Date(row.next_attempt_at).getTime() <= now) {
+      ready.push(row);
+    }
+  });
+
+  return ready;
+}
+
+module.exports = {
+  THROTTLE_ERROR_CODES,
+  isRetryableError,
+  describeSendError,
+  getBackoffDelay,
+  createRateLimiter,
+  takeToken,
+  selectDeliverable,
+};
@@ -0,0 +1,152 @@
+/**
+ * Reporting period helpers
+ * Resolve "today", "week", "month", "last month" or a month name into a date range
+ * plus the matching previous period for comparisons
+ */
+
+const { t, formatMonth } = require('./i18n');
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD (local date, not UTC)
+ */
+function toDateString(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Find a month by full or 3-letter name ("march", "mar")
+ * @returns {number} month index (0-11), or -1 if not a month
+ */
+function parseMonthName(name) {
+  const requested = (name || '').toLowerCase().trim();
+  if (requested.length < 3) return -1;
+  return MONTH_NAMES.findIndex(m => m === requested || m.startsWith(requested));
+}
+
+/**
+ * Build a range object from two dates
+ */
+function range(start, end) {
+  return { startDate: toDateString(start), endDate: toDateString(end) };
+}
+
+/**
+ * Whole calendar month containing year/month, cut off at `now`
+ */
+function monthRange(year, month, now) {
+  const start = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  return range(start, lastDay > now ? now : lastDay);
+}
+
+/**
+ * Resolve a period keyword into a range and its previous period
+ * Partial periods (this week, this month) are compared with the same
+ * number of days of the previous period
+ * @param {string} period - today | week | month | last month | <month name>
+ * @param {Date} now - Reference date (defaults to current date)
+ * @returns {Object|null} { kind, label, startDate, endDate, previous: { startDate, endDate } }
+ *   kind is 'today', 'week' or 'month'
+ */
+function resolvePeriod(period, now = new Date()) {
+  const requested = (period || 'month').toLowerCase().trim().replace(/\s+/g, ' ');
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const year = today.getFullYear();
+  const month = today.getMonth();
+
+  if (requested === 'today') {
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    return { kind: 'today', label: 'Today', ...range(today, today), previous: range(yesterday, yesterday) };
+  }
+
+  if (requested === 'week' || requested === 'this week') {
+    // Weeks start on Monday
+    const daysSinceMonday = (today.getDay() + 6) % 7;
+    const start = new Date(year, month, today.getDate() - daysSinceMonday);
+    return {
+      kind: 'week',
+      label: 'This Week',
+      ...range(start, today),
+      previous: range(new Date(start.getTime() - 7 * DAY_MS), new Date(today.getTime() - 7 * DAY_MS)),
+    };
+  }
+
+  if (requested === 'month' || requested === 'this month') {
+    const previousEnd = new Date(year, month - 1, Math.min(today.getDate(), new Date(year, month, 0).getDate()));
+    return {
+      kind: 'month',
+      label: `${capitalize(MONTH_NAMES[month])} ${year}`,
+      ...range(new Date(year, month, 1), today),
+      previous: range(new Date(year, month - 1, 1), previousEnd),
+    };
+  }
+
+  if (requested === 'last month') {
+    const start = new Date(year, month - 1, 1);
+    return {
+      kind: 'month',
+      label: `${capitalize(MONTH_NAMES[start.getMonth()])} ${start.getFullYear()}`,
+      ...monthRange(start.getFullYear(), start.getMonth(), today),
+      previous: monthRange(year, month - 2, today),
+    };
+  }
+
+  const monthIndex = parseMonthName(requested);
+
+  if (monthIndex === -1) {
+    return null;
+  }
+
+  if (monthIndex === month) {
+    return resolvePeriod('month', now);
+  }
+
+  // Most recent occurrence of that month
+  const monthYear = monthIndex > month ? year - 1 : year;
+  return {
+    kind: 'month',
+    label: `${capitalize(MONTH_NAMES[monthIndex])} ${monthYear}`,
+    ...monthRange(monthYear, monthIndex, today),
+    previous: monthRange(monthYear, monthIndex - 1, today),
+  };
+}
+
+/**
+ * Period label in a reply language ("This Week", "मार्च 2025")
+ */
+function formatPeriodLabel(period, language) {
+  if (period.kind === 'today') return t(language, 'period.today');
+  if (period.kind === 'week') return t(language, 'period.thisWeek');
+  return formatMonth(period.startDate, language);
+}
+
+/**
+ * Percentage change between two amounts
+ * @returns {number|null} rounded percentage, or null when there is no baseline
+ */
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+module.exports = {
+  toDateString,
+  parseMonthName,
+  resolvePeriod,
+  formatPeriodLabel,
+  percentChange,
+};
@@ -0,0 +1,18 @@
+/**
+ * Family permission helpers
+ * Roles come from family_members.role (flattened onto the user by getUserByWhatsapp)
+ */
+
+const FAMILY_ADMIN_ROLES = ['admin', 'owner'];
+
+/**
+ * Check if user can change family-wide settings
+ */
+function isFamilyAdmin(user) {
+  return FAMILY_ADMIN_ROLES.includes((user?.role || '').toLowerCase());
+}
+
+module.exports = {
+  FAMILY_ADMIN_ROLES,
+  isFamilyAdmin,
+};
@@ -2,6 +2,9 @@
  * AI Prompts for transaction extraction
  */
 
+const { DEFAULT_BASE_CURRENCY, formatRate } = require('./currency');
+const { DEFAULT_LANGUAGE, t, formatMoney } = require('./i18n');
+
 /**
  * Helper: Format categories for AI prompt
  */
@@ -16,8 +19,9 @@ function formatCategoriesForPrompt(categories) {
 
 /**
  * System prompt for image/OCR-based transaction extraction
+ * @param {string} [currency] - The family's base currency, assumed when the image doesn't show one
  */
-function getImageExtractionSystemPrompt(categories = []) {
+function getImageExtractionSystemPrompt(categories = [], currency = DEFAULT_BASE_CURRENCY) {
   const categoryList = formatCategoriesForPrompt(categories);
   
   return `You are a financial transaction extraction assistant. Analyze the provided receipt or bill image and extract structured transaction information.
@@ -27,12 +31,13 @@ function getImageExtractionSystemPrompt(categories = []) {
 Extract the following details for EACH transaction:
 1. type: "credit" or "debit" (debit if it's an expense/payment, credit if it's income/refund)
 2. amount: numerical value only, no currency symbols
-3. currency: 3-letter currency code (INR, USD, EUR, etc.) - default to INR if not clear
+3. currency: 3-letter currency code (INR, USD, EUR, etc.) - default to ${currency} if not clear
 4. date: transaction date in ISO format (YYYY-MM-DD) - ALWAYS use today's date (${new Date().toISOString().split('T')[0]}) unless a specific date is clearly mentioned in the message
 5. category: MUST be EXACTLY one of these available categories: ${categoryList}
 6. vendor: merchant/store name if visible
 7. description: brief description of the transaction
 8. raw_text: all text extracted from the image
+9. payment_method: how it was paid if visible (e.g. "HDFC card", "Visa card", "cash", "UPI") - otherwise null
 
 **IMPORTANT CATEGORY MATCHING RULES:**
 - ONLY use categories from the provided list above
@@ -65,19 +70,21 @@ Response format for SINGLE transaction:
 [{
   "type": "debit",
   "amount": 450.50,
-  "currency": "INR",
+  "currency": "${currency}",
   "date": "2024-01-15",
   "category": "Food & Dinning",
   "vendor": "Swiggy",
   "description": "Food delivery",
-  "raw_text": "Full OCR text here..."
+  "raw_text": "Full OCR text here...",
+  "payment_method": "UPI"
 }]`;
 }
 
 /**
  * System prompt for audio/text-based transaction extraction
+ * @param {string} [currency] - The family's base currency, assumed when the message doesn't name one
  */
-function getTextExtractionSystemPrompt(categories = []) {
+function getTextExtractionSystemPrompt(categories = [], currency = DEFAULT_BASE_CURRENCY) {
   const categoryList = formatCategoriesForPrompt(categories);
   
   return `You are a financial transaction extraction assistant. Analyze the provided text (from voice transcription or direct text message) and extract structured transaction information.
@@ -85,14 +92,21 @@ function getTextExtractionSystemPrompt(categories = []) {
 **IMPORTANT: If the message contains MULTIPLE transactions, extract ALL of them as an array.**
 
 Extract the following details for EACH transaction:
-1. type: "credit" or "debit" (debit for expenses, credit for income)
+1. type: "credit", "debit" or "transfer" (debit for expenses, credit for income, transfer when money only moves between the user's own accounts)
 2. amount: numerical value only
-3. currency: 3-letter currency code - default to INR if not mentioned
+3. currency: 3-letter currency code - default to ${currency} if not mentioned
 4. date: transaction date in ISO format (YYYY-MM-DD) - ALWAYS use today's date (${new Date().toISOString().split('T')[0]}) unless a specific date is clearly mentioned in the message
 5. category: MUST be EXACTLY one of these available categories: ${categoryList}
 6. vendor: merchant/person name if mentioned
 7. description: brief description
 8. raw_text: original input text
+9. payment_method: the card, bank, UPI app or cash used if mentioned (e.g. "paid with HDFC card" -> "HDFC card", "via GPay" -> "GPay") - otherwise null
+10. from_wallet / to_wallet: ONLY for transfers - where the money came from and went to (e.g. "savings", "HDFC card", "cash"); use "bank" when an ATM withdrawal doesn't name the account - otherwise null
+11. debt: ONLY when money is lent to, borrowed from, or repaid by/to a person (friend, colleague, relative) - otherwise null
+   - {"action": "lent" | "borrowed" | "got_back" | "paid_back", "counterparty": "<person's name>"}
+   - "lent" = the user gave someone a loan; "borrowed" = the user took a loan
+   - "got_back" = someone repaid the user; "paid_back" = the user repaid someone
+   - Purchases, bills and payments to shops are NOT debts, even if a person's name is mentioned
 
 **IMPORTANT CATEGORY MATCHING RULES:**
 - ONLY use categories from the provided list above
@@ -112,9 +126,15 @@ Extract the following details for EACH transaction:
 
 Examples:
 - "I spent 500 rupees on groceries" -> [{"type": "debit", "amount": 500, "currency": "INR", "category": "Food & Dinning"}]
-- "Received salary 50000" -> [{"type": "credit", "amount": 50000, "currency": "INR", "category": "Employment"}]
-- "Paid 1200 for electricity bill" -> [{"type": "debit", "amount": 1200, "currency": "INR", "category": "House"}]
-- "I spent 100000 on house repair and 400 for grocery" -> [{"type": "debit", "amount": 100000, "currency": "INR", "category": "House", "description": "house repair"}, {"type": "debit", "amount": 400, "currency": "INR", "category": "Food & Dinning", "description": "grocery"}]
+- "Received salary 50000" -> [{"type": "credit", "amount": 50000, "currency": "${currency}", "category": "Employment"}]
+- "Paid 1200 for electricity bill" -> [{"type": "debit", "amount": 1200, "currency": "${currency}", "category": "House"}]
+- "Paid 800 for dinner with HDFC card" -> [{"type": "debit", "amount": 800, "currency": "${currency}", "category": "Food & Dinning", "description": "dinner", "payment_method": "HDFC card"}]
+- "Withdrew 5000 cash" -> [{"type": "transfer", "amount": 5000, "currency": "${currency}", "category": null, "description": "ATM withdrawal", "from_wallet": "bank", "to_wallet": "cash"}]
+- "Paid card bill 12000 from savings" -> [{"type": "transfer", "amount": 12000, "currency": "${currency}", "category": null, "description": "Credit card bill", "from_wallet": "savings", "to_wallet": "credit card"}]
+- "Lent 500 to Ravi" -> [{"type": "debit", "amount": 500, "currency": "${currency}", "category": "Other", "description": "Lent to Ravi", "debt": {"action": "lent", "counterparty": "Ravi"}}]
+- "Ravi paid me back 300" -> [{"type": "credit", "amount": 300, "currency": "${currency}", "category": "Other", "description": "Repayment from Ravi", "debt": {"action": "got_back", "counterparty": "Ravi"}}]
+- "Borrowed 2000 from Anil" -> [{"type": "credit", "amount": 2000, "currency": "${currency}", "category": "Other", "description": "Borrowed from Anil", "debt": {"action": "borrowed", "counterparty": "Anil"}}]
+- "I spent 100000 on house repair and 400 for grocery" -> [{"type": "debit", "amount": 100000, "currency": "${currency}", "category": "House", "description": "house repair"}, {"type": "debit", "amount": 400, "currency": "${currency}", "category": "Food & Dinning", "description": "grocery"}]
 
 Rules:
 - Always respond with valid JSON only
@@ -125,24 +145,29 @@ Rules:
 - Understand common phrases: "spent", "paid", "bought", "received", "got", etc.
 - Convert word numbers to digits: "five hundred" -> 500, "lakh" -> 100000
 - Category name MUST match one from the provided list exactly
+- ATM withdrawals, credit card bill payments and moving money between own accounts are transfers, NOT expenses
 
 Response format for SINGLE transaction:
 [{
   "type": "debit",
   "amount": 500,
-  "currency": "INR",
+  "currency": "${currency}",
   "date": "2024-01-15",
   "category": "Food & Dinning",
   "vendor": null,
   "description": "Groceries",
-  "raw_text": "Original user message..."
+  "raw_text": "Original user message...",
+  "payment_method": null,
+  "from_wallet": null,
+  "to_wallet": null,
+  "debt": null
 }]
 
 Response format for MULTIPLE transactions:
 [{
   "type": "debit",
   "amount": 100000,
-  "currency": "INR",
+  "currency": "${currency}",
   "date": "2024-01-15",
   "category": "House",
   "vendor": null,
@@ -152,7 +177,7 @@ Response format for MULTIPLE transactions:
 {
   "type": "debit",
   "amount": 400,
-  "currency": "INR",
+  "currency": "${currency}",
   "date": "2024-01-15",
   "category": "Food & Dinning",
   "vendor": null,
@@ -161,6 +186,53 @@ Response format for MULTIPLE transactions:
 }]`;
 }
 
+/**
+ * System prompt for classifying a text message as a new transaction or a spending question
+ */
+function getIntentClassificationSystemPrompt(categories = [], memberNames = []) {
+  const categoryList = formatCategoriesForPrompt(categories);
+  const today = new Date().toISOString().split('T')[0];
+  const memberList = memberNames.length > 0 ? memberNames.join(', ') : 'unknown';
+
+  return `You are a finance assistant. Decide whether the user's message LOGS a new transaction or ASKS a question about past spending/income.
+
+Today's date is ${today}.
+Available categories: ${categoryList}
+Family members: ${memberList}
+
+If the message logs a transaction (e.g. "spent 500 on groceries", "received salary 50000"), respond with:
+{"intent": "transaction"}
+
+If the message asks about past transactions (e.g. "how much did I spend on food this month?"), respond with:
+{
+  "intent": "question",
+  "query": {
+    "start_date": "YYYY-MM-DD",
+    "end_date": "YYYY-MM-DD",
+    "type": "debit" | "credit" | null,
+    "category": "<exact category name from the list>" | null,
+    "member": "me" | "<family member name>" | null,
+    "vendor": "<merchant or keyword>" | null
+  }
+}
+
+Rules:
+- Always respond with valid JSON only
+- Resolve relative dates ("this month", "last week", "yesterday", "in March") into start_date and end_date
+- If no period is mentioned, use the current month (first day of this month to today)
+- "spend", "spent", "expenses" -> type "debit"; "earn", "received", "income" -> type "credit"; otherwise null
+- "I", "me", "my" -> member "me"; a family member's name -> that name; "we", "our", "family" or none -> null
+- category MUST be EXACTLY one of the available categories, or null
+- vendor is a merchant/shop name or keyword to search in descriptions (e.g. "Swiggy", "plumber"), or null`;
+}
+
+/**
+ * User prompt template for intent classification
+ */
+function getIntentClassificationPrompt(text) {
+  return `Classify this message: "${text}"`;
+}
+
 /**
  * User prompt template for image extraction
  */
@@ -178,125 +250,163 @@ function getTextExtractionPrompt(text, additionalContext = '') {
 /**
  * Prompt for transaction confirmation message
  */
-function getConfirmationMessage(transaction, userName = 'there') {
-  const { type, amount, currency, category, date, description, vendor } = transaction;
+function getConfirmationMessage(transaction, userName = null, lang = DEFAULT_LANGUAGE) {
+  const { type, amount, currency, category, date, description, vendor, wallet } = transaction;
+
+  if (type === 'transfer') {
+    return getTransferConfirmationMessage(transaction, lang);
+  }
   
   const emoji = type === 'credit' ? '💰' : '💸';
-  const action = type === 'credit' ? 'Received' : 'Spent';
+  const action = t(lang, type === 'credit' ? 'transaction.received' : 'transaction.spent');
   
-  let message = `${emoji} *Transaction Recorded*\n\n`;
-  message += `${action}: *${currency} ${amount}*\n`;
-  message += `Category: ${category}\n`;
-  if (vendor) message += `Vendor: ${vendor}\n`;
-  if (description) message += `Note: ${description}\n`;
-  message += `Date: ${date}\n\n`;
-  message += `✅ This has been saved to your finance tracker.\n\n`;
-  message += `Reply with:\n`;
-  message += `• "EDIT" to modify details\n`;
-  message += `• "DELETE" to remove this entry\n`;
-  message += `• "CATEGORY [name]" to change category`;
+  let message = `${emoji} *${t(lang, 'transaction.recorded')}*\n\n`;
+  message += `${action}: *${formatMoney(amount, currency, lang)}*\n`;
+  message += formatOriginalAmount(transaction, lang);
+  message += `${t(lang, 'transaction.category')}: ${category}\n`;
+  if (vendor) message += `${t(lang, 'transaction.vendor')}: ${vendor}\n`;
+  if (description) message += `${t(lang, 'transaction.note')}: ${description}\n`;
+  if (wallet) message += `${t(lang, 'transaction.wallet')}: ${wallet}\n`;
+  message += `${t(lang, 'transaction.date')}: ${date}\n\n`;
+  message += `${t(lang, 'transaction.saved')}\n\n`;
+  message += `${t(lang, 'transaction.replyWith')}\n`;
+  message += `${t(lang, 'transaction.editHint')}\n`;
+  message += `${t(lang, 'transaction.deleteHint')}\n`;
+  message += t(lang, 'transaction.categoryHint');
   
   return message;
 }
 
+/**
+ * Helper: "Entered: $20 (1 USD = 83.5 INR)" line for converted transactions
+ */
+function formatOriginalAmount(transaction, lang = DEFAULT_LANGUAGE) {
+  const { currency, original_amount: originalAmount, original_currency: originalCurrency, exchange_rate: rate } = transaction;
+
+  if (!originalCurrency || originalCurrency === currency) {
+    return '';
+  }
+
+  return t(lang, 'transaction.entered', {
+    amount: formatMoney(originalAmount, originalCurrency, lang),
+    from: originalCurrency,
+    rate: formatRate(rate),
+    to: currency,
+  }) + '\n';
+}
+
+/**
+ * Prompt for a recorded transfer between wallets
+ */
+function getTransferConfirmationMessage(transaction, lang = DEFAULT_LANGUAGE) {
+  const { amount, currency, date, description, wallet, toWallet } = transaction;
+
+  let message = `🔁 *${t(lang, 'transaction.transferRecorded')}*\n\n`;
+  message += `${t(lang, 'transaction.moved')}: *${formatMoney(amount, currency, lang)}*\n`;
+  message += formatOriginalAmount(transaction, lang);
+  message += `${t(lang, 'transaction.from')}: ${wallet}\n`;
+  message += `${t(lang, 'transaction.to')}: ${toWallet}\n`;
+  if (description) message += `${t(lang, 'transaction.note')}: ${description}\n`;
+  message += `${t(lang, 'transaction.date')}: ${date}\n\n`;
+  message += `${t(lang, 'transaction.transferSaved')}\n\n`;
+  message += `${t(lang, 'transaction.replyWith')}\n`;
+  message += `${t(lang, 'transaction.editHint')}\n`;
+  message += t(lang, 'transaction.deleteHint');
+
+  return message;
+}
+
+/**
+ * Prompt for a transaction held for review (review mode)
+ */
+function getReviewMessage(transaction, lang = DEFAULT_LANGUAGE) {
+  const { type, amount, currency, category, date, description, vendor, wallet, toWallet, split, goal } = transaction;
+
+  if (type === 'transfer') {
+    let message = `📝 *${t(lang, 'transaction.pleaseReview')}*\n\n`;
+    message += `🔁 ${t(lang, 'transaction.moved')}: *${formatMoney(amount, currency, lang)}*\n`;
+    message += formatOriginalAmount(transaction, lang);
+    message += `${t(lang, 'transaction.from')}: ${wallet}\n`;
+    message += `${t(lang, 'transaction.to')}: ${toWallet}\n`;
+    if (description) message += `${t(lang, 'transaction.note')}: ${description}\n`;
+    message += `${t(lang, 'transaction.date')}: ${date}\n\n`;
+    message += t(lang, 'transaction.notSavedYet');
+
+    return message;
+  }
+
+  const emoji = type === 'credit' ? '💰' : '💸';
+  const action = t(lang, type === 'credit' ? 'transaction.received' : 'transaction.spent');
+
+  let message = `📝 *${t(lang, 'transaction.pleaseReview')}*\n\n`;
+  message += `${emoji} ${action}: *${formatMoney(amount, currency, lang)}*\n`;
+  message += formatOriginalAmount(transaction, lang);
+  message += `${t(lang, 'transaction.category')}: ${category}\n`;
+  if (vendor) message += `${t(lang, 'transaction.vendor')}: ${vendor}\n`;
+  if (description) message += `${t(lang, 'transaction.note')}: ${description}\n`;
+  if (wallet) message += `${t(lang, 'transaction.wallet')}: ${wallet}\n`;
+  // Members after the payer (listed first) share a SPLIT expense
+  if (split) message += `${t(lang, 'transaction.splitWith')}: ${split.members.slice(1).map(m => m.full_name).join(', ')}\n`;
+  if (goal) message += `${t(lang, 'transaction.goal')}: ${goal.name}\n`;
+  message += `${t(lang, 'transaction.date')}: ${date}\n\n`;
+  message += t(lang, 'transaction.notSavedYet');
+
+  return message;
+}
+
 /**
  * Prompt for onboarding/linking message
  */
-function getLinkingInstructionsMessage() {
-  return `👋 *Welcome to Finance Assistant!*\n\n` +
-    `I couldn't find your account. Let's link your WhatsApp to your finance tracker.\n\n` +
-    `Please reply with:\n` +
-    `*LINK [your-email]*\n\n` +
-    `Example: LINK john@example.com\n\n` +
-    `You'll receive a verification code to complete the setup.`;
+function getLinkingInstructionsMessage(lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'link.instructions');
 }
 
 /**
  * Prompt for verification code message
  */
-function getVerificationCodeMessage(code) {
-  return `🔐 *Verification Code*\n\n` +
-    `Your verification code is: *${code}*\n\n` +
-    `This code will expire in 10 minutes.\n` +
-    `Reply with: *VERIFY ${code}*`;
+function getVerificationCodeMessage(code, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'link.verificationCode', {
+    code,
+    minutes: t(lang, 'unit.minutes', { count: 10 }),
+  });
 }
 
 /**
  * Prompt for successful linking
  */
-function getSuccessfulLinkMessage(userName) {
-  return `✅ *Account Linked Successfully!*\n\n` +
-    `Welcome, ${userName}! 🎉\n\n` +
-    `You can now send me:\n` +
-    `📸 Photos of bills/receipts\n` +
-    `🎤 Voice notes about expenses\n` +
-    `💬 Text messages with transaction details\n\n` +
-    `I'll automatically track everything for you!`;
+function getSuccessfulLinkMessage(userName, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'link.success', { name: userName || t(lang, 'user.fallbackName') });
 }
 
 /**
  * Prompt for daily reminder
  */
-function getDailyReminderMessage(userName = 'there') {
-  return `☀️ *Good morning, ${userName}!*\n\n` +
-    `📊 Did you have any expenses or income yesterday?\n\n` +
-    `Send me:\n` +
-    `• Photos of receipts\n` +
-    `• Voice notes\n` +
-    `• Text messages\n\n` +
-    `Or reply "NONE" if you have nothing to record today.`;
+function getDailyReminderMessage(userName = null, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'reminder.daily', { name: userName || t(lang, 'user.fallbackName') });
 }
 
 /**
  * Prompt for extraction error
  */
-function getExtractionErrorMessage() {
-  return `❌ *Couldn't Extract Transaction*\n\n` +
-    `I couldn't find transaction details in your message.\n\n` +
-    `Please try:\n` +
-    `• Sending a clearer photo\n` +
-    `• Including amount and description\n` +
-    `• Speaking clearly in voice notes\n\n` +
-    `Example: "I spent 500 rupees on groceries"`;
+function getExtractionErrorMessage(lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'extraction.failed');
 }
 
 /**
  * Prompt for subscription required
  */
-function getSubscriptionRequiredMessage(userName = 'there') {
-  return `🔒 *Premium Feature*\n\n` +
-    `Hi ${userName},\n\n` +
-    `This feature requires an active subscription.\n\n` +
-    `Visit ${process.env.APP_BASE_URL}/subscribe to upgrade your plan.\n\n` +
-    `Benefits:\n` +
-    `✨ Unlimited transaction tracking\n` +
-    `📊 Advanced analytics\n` +
-    `🤖 AI-powered insights\n` +
-    `☁️ Cloud backup`;
+function getSubscriptionRequiredMessage(userName = null, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'subscription.required', {
+    name: userName || t(lang, 'user.fallbackName'),
+    url: process.env.APP_BASE_URL,
+  });
 }
 
 /**
  * Prompt for help/commands
  */
-function getHelpMessage() {
-  return `📖 *Finance Assistant Help*\n\n` +
-    `*Basic Commands:*\n` +
-    `• LINK [email] - Link your account\n` +
-    `• VERIFY [code] - Verify your account\n` +
-    `• DELETE - Delete last transaction\n` +
-    `• HELP - Show this message\n\n` +
-    `*Category Commands:*\n` +
-    `• CATEGORIES - List all categories\n` +
-    `• ADD CATEGORY [name] - Add custom category (Premium)\n\n` +
-    `*How to Track:*\n` +
-    `📸 Send photos of bills\n` +
-    `🎤 Record voice notes\n` +
-    `💬 Text your expenses\n\n` +
-    `*Examples:*\n` +
-    `"I paid 1200 for electricity"\n` +
-    `"Spent ₹500 on groceries at Big Bazaar"\n` +
-    `"Received salary 50000"\n\n` +
-    `💡 If a category isn't found, it'll be saved as "Other" for you to review later.`;
+function getHelpMessage(lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'help.commands');
 }
 
 module.exports = {
@@ -308,11 +418,14 @@ module.exports = {
   getImageExtractionSystemPrompt,
   getTextExtractionSystemPrompt,
   formatCategoriesForPrompt,
+  getIntentClassificationSystemPrompt,
+  getIntentClassificationPrompt,
   
   // Other prompts
   getImageExtractionPrompt,
   getTextExtractionPrompt,
   getConfirmationMessage,
+  getReviewMessage,
   getLinkingInstructionsMessage,
   getVerificationCodeMessage,
   getSuccessfulLinkMessage,
@@ -0,0 +1,199 @@
+/**
+ * Recurrence helpers
+ * Parse RECURRING commands and compute occurrence dates for recurring transactions
+ */
+
+const { toDateString } = require('./periods');
+const { DEFAULT_LANGUAGE, LANGUAGES, t } = require('./i18n');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Upper bound on occurrences posted per schedule in one run (catch-up safety net)
+const MAX_CATCH_UP_OCCURRENCES = 60;
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const [year, month, day] = String(value).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Parse "on" day for a frequency: "1st", "15", "monday", "mon"
+ * @returns {number|null} day of month (1-31) for monthly, weekday (0-6) for weekly
+ */
+function parseAnchorDay(value, frequency) {
+  const requested = (value || '').toLowerCase().trim();
+
+  if (frequency === 'weekly') {
+    const weekday = WEEKDAYS.findIndex(d => requested.length >= 3 && d.startsWith(requested));
+    return weekday === -1 ? null : weekday;
+  }
+
+  if (frequency === 'monthly') {
+    const day = parseInt(requested.replace(/(st|nd|rd|th)$/, ''), 10);
+    return day >= 1 && day <= 31 ? day : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse RECURRING arguments: <description...> <amount> <frequency> [on <day>]
+ * e.g. ["rent", "15000", "monthly", "on", "1st"]
+ * @returns {{ description, amount, frequency, dayOfMonth, dayOfWeek }|null}
+ */
+function parseRecurringArgs(args) {
+  const frequencyIndex = args.findIndex(t => FREQUENCIES.includes(t.toLowerCase()));
+
+  if (frequencyIndex < 2) {
+    return null;
+  }
+
+  const frequency = args[frequencyIndex].toLowerCase();
+  const amount = parseFloat(args[frequencyIndex - 1].replace(/[₹,]/g, ''));
+  const description = args.slice(0, frequencyIndex - 1).join(' ').trim();
+  const rest = args.slice(frequencyIndex + 1);
+
+  if (!description || isNaN(amount) || amount <= 0) {
+    return null;
+  }
+
+  const result = { description, amount, frequency, dayOfMonth: null, dayOfWeek: null };
+
+  if (rest.length === 0) {
+    return result;
+  }
+
+  if (rest[0].toLowerCase() !== 'on' || rest.length !== 2) {
+    return null;
+  }
+
+  const day = parseAnchorDay(rest[1], frequency);
+
+  if (day === null) {
+    return null;
+  }
+
+  if (frequency === 'weekly') {
+    result.dayOfWeek = day;
+  } else {
+    result.dayOfMonth = day;
+  }
+
+  return result;
+}
+
+/**
+ * Date for a day of month, clamped to the month's last day (e.g. 31st -> 30th)
+ */
+function clampedDate(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * First occurrence on or after `from`
+ * @param {Object} schedule - { frequency, day_of_month, day_of_week, start_date }
+ * @returns {string} YYYY-MM-DD
+ */
+function firstOccurrence(schedule, from = new Date()) {
+  const start = parseDate(from);
+  const { frequency } = schedule;
+
+  if (frequency === 'weekly') {
+    const weekday = schedule.day_of_week ?? start.getDay();
+    const offset = (weekday - start.getDay() + 7) % 7;
+    return toDateString(new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset));
+  }
+
+  if (frequency === 'monthly') {
+    const day = schedule.day_of_month ?? start.getDate();
+    const candidate = clampedDate(start.getFullYear(), start.getMonth(), day);
+    return toDateString(candidate >= start
+      ? candidate
+      : clampedDate(start.getFullYear(), start.getMonth() + 1, day));
+  }
+
+  if (frequency === 'yearly') {
+    const anchor = schedule.start_date ? parseDate(schedule.start_date) : start;
+    const candidate = clampedDate(start.getFullYear(), anchor.getMonth(), anchor.getDate());
+    return toDateString(candidate >= start
+      ? candidate
+      : clampedDate(start.getFullYear() + 1, anchor.getMonth(), anchor.getDate()));
+  }
+
+  return toDateString(start);
+}
+
+/**
+ * Occurrence following `date`
+ * @returns {string} YYYY-MM-DD
+ */
+function nextOccurrence(schedule, date) {
+  const current = parseDate(date);
+  const next = new Date(current.getFullYear(), current.getMonth(), current.getDate() + 1);
+  return firstOccurrence(schedule, next);
+}
+
+/**
+ * All occurrences from the schedule's next_due_date up to and including `today`
+ * Used to catch up on runs missed while the server was down
+ * @returns {string[]} YYYY-MM-DD dates, oldest first
+ */
+function getDueOccurrences(schedule, today = new Date(), limit = MAX_CATCH_UP_OCCURRENCES) {
+  const todayString = toDateString(today);
+  const dates = [];
+  let date = schedule.next_due_date;
+
+  while (date && date <= todayString && dates.length < limit) {
+    dates.push(date);
+    date = nextOccurrence(schedule, date);
+  }
+
+  return dates;
+}
+
+/**
+ * Human readable schedule, e.g. "monthly on the 1st", "weekly on Monday"
+ * @param {string} [language] - Reply language (defaults to English)
+ */
+function describeSchedule(schedule, language = DEFAULT_LANGUAGE) {
+  if (schedule.frequency === 'weekly' && schedule.day_of_week !== null && schedule.day_of_week !== undefined) {
+    return t(language, 'recurring.weeklyOn', { weekday: t(language, `weekday.${schedule.day_of_week}`) });
+  }
+
+  if (schedule.frequency === 'monthly' && schedule.day_of_month) {
+    // Hindi and Tamil word the day around the plain number ("22 तारीख़"); only English takes a suffix
+    const day = LANGUAGES[language] && language !== DEFAULT_LANGUAGE
+      ? schedule.day_of_month
+      : ordinal(schedule.day_of_month);
+    return t(language, 'recurring.monthlyOn', { day });
+  }
+
+  return t(language, `recurring.frequency.${schedule.frequency}`);
+}
+
+function ordinal(day) {
+  const suffix = day % 10 === 1 && day !== 11 ? 'st'
+    : day % 10 === 2 && day !== 12 ? 'nd'
+      : day % 10 === 3 && day !== 13 ? 'rd'
+        : 'th';
+  return `${day}${suffix}`;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRecurringArgs,
+  firstOccurrence,
+  nextOccurrence,
+  getDueOccurrences,
+  describeSchedule,
+};
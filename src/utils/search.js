@@ -0,0 +1,105 @@
+/**
+ * Search helpers
+ * Parse SEARCH terms into free text plus structured filters
+ */
+
+const { resolvePeriod } = require('./periods');
+
+// ">2000", ">=2000", "<500", "500-1000" (₹ and commas allowed)
+const AMOUNT_PATTERN = /^(>=?|<=?)?₹?([\d,]+(?:\.\d{1,2})?)(?:-₹?([\d,]+(?:\.\d{1,2})?))?$/;
+
+function toAmount(value) {
+  return parseFloat(value.replace(/,/g, ''));
+}
+
+/**
+ * Parse an amount filter token
+ * @returns {{ minAmount?: number, maxAmount?: number }|null}
+ */
+function parseAmountFilter(token) {
+  const match = AMOUNT_PATTERN.exec(token);
+
+  if (!match || (!match[1] && !match[3])) {
+    return null;
+  }
+
+  const [, operator, first, second] = match;
+
+  if (second) {
+    return { minAmount: toAmount(first), maxAmount: toAmount(second) };
+  }
+
+  return operator.startsWith('>') ? { minAmount: toAmount(first) } : { maxAmount: toAmount(first) };
+}
+
+/**
+ * Parse SEARCH terms
+ * e.g. "plumber", ">2000 in march", "swiggy last month by priya", "in food 500-1000"
+ * "in <x>" is a period when it resolves to one, otherwise a category
+ * "by <name>" filters by family member
+ * @returns {{ text, minAmount, maxAmount, period, category, member }}
+ */
+function parseSearchQuery(args, now = new Date()) {
+  const result = { text: null, minAmount: null, maxAmount: null, period: null, category: null, member: null };
+  const words = [];
+  let i = 0;
+
+  const takePeriod = (start) => {
+    for (const size of [2, 1]) {
+      if (start + size <= args.length) {
+        const period = resolvePeriod(args.slice(start, start + size).join(' '), now);
+        if (period) return { period, size };
+      }
+    }
+    return null;
+  };
+
+  while (i < args.length) {
+    const token = args[i];
+    const lower = token.toLowerCase();
+    const amount = parseAmountFilter(token);
+
+    if (amount) {
+      Object.assign(result, amount);
+      i += 1;
+      continue;
+    }
+
+    if (lower === 'by' && args[i + 1]) {
+      result.member = args[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (lower === 'in' && args[i + 1]) {
+      const found = takePeriod(i + 1);
+      if (found) {
+        result.period = found.period;
+        i += 1 + found.size;
+      } else {
+        result.category = args[i + 1];
+        i += 2;
+      }
+      continue;
+    }
+
+    // Bare period keywords ("today", "last month"); month names need "in"
+    const found = ['today', 'week', 'month', 'last', 'this'].includes(lower) ? takePeriod(i) : null;
+    if (found) {
+      result.period = found.period;
+      i += found.size;
+      continue;
+    }
+
+    words.push(token);
+    i += 1;
+  }
+
+  result.text = words.join(' ').trim() || null;
+  return result;
+}
+
+module.exports = {
+  parseAmountFilter,
+  parseSearchQuery,
+};
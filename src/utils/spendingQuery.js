@@ -0,0 +1,126 @@
+/**
+ * Spending query helpers
+ * Pure functions used to detect and answer questions about past transactions
+ */
+
+// Openers and phrases that suggest a question rather than a new transaction
+const QUESTION_PATTERNS = [
+  /\?\s*$/,
+  /^(how|what|when|where|which|who|did|do|does|show|list|total|kitna|kitne|kab)\b/i,
+  /\bhow much\b/i,
+  /\bhow many\b/i,
+];
+
+/**
+ * Cheap pre-check before asking the AI to classify intent
+ * Keeps plain "spent 500 on food" messages on the single extraction call
+ */
+function looksLikeQuestion(text) {
+  if (!text) return false;
+  return QUESTION_PATTERNS.some(pattern => pattern.test(text.trim()));
+}
+
+/**
+ * Resolve the member named in a query to a family member
+ * "me" / "I" resolves to the asking user
+ * @returns {Object|null} family member, or null if no member matches
+ */
+function resolveMember(memberName, members, user) {
+  if (!memberName) return null;
+
+  const requested = memberName.toLowerCase().trim();
+
+  if (['me', 'i', 'my', 'myself'].includes(requested)) {
+    return { user_id: user.user_id, full_name: user.full_name };
+  }
+
+  return members.find(m => m.full_name.toLowerCase() === requested) ||
+    members.find(m => m.full_name.toLowerCase().split(/\s+/).includes(requested)) ||
+    members.find(m => m.full_name.toLowerCase().includes(requested)) ||
+    null;
+}
+
+/**
+ * Aggregate query results into totals, category breakdown and top items
+ * Transfers between wallets are neither income nor expenses and are left out
+ * @param {Array} rows - Rows from queryTransactions
+ * @param {Array} categories - Family categories (for names)
+ * @param {number} topN - Number of top items to return
+ * @param {string} uncategorizedName - Name for transactions without a known category
+ */
+function summarizeTransactions(rows, categories = [], topN = 3, uncategorizedName = 'Uncategorized') {
+  const transactions = rows.filter(txn => txn.type !== 'transfer');
+  const categoryNames = new Map(categories.map(c => [c.category_id, c.name]));
+  const byCategory = new Map();
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  for (const txn of transactions) {
+    const amount = Number(txn.amount) || 0;
+
+    if (txn.type === 'credit') {
+      totalCredit += amount;
+    } else {
+      totalDebit += amount;
+    }
+
+    const name = categoryNames.get(txn.category_id) || uncategorizedName;
+    const entry = byCategory.get(name) || { name, amount: 0, count: 0 };
+    entry.amount += amount;
+    entry.count += 1;
+    byCategory.set(name, entry);
+  }
+
+  const topItems = [...transactions]
+    .sort((a, b) => Number(b.amount) - Number(a.amount))
+    .slice(0, topN);
+
+  return {
+    count: transactions.length,
+    totalDebit: roundAmount(totalDebit),
+    totalCredit: roundAmount(totalCredit),
+    total: roundAmount(totalDebit + totalCredit),
+    byCategory: [...byCategory.values()]
+      .map(c => ({ ...c, amount: roundAmount(c.amount) }))
+      .sort((a, b) => b.amount - a.amount),
+    topItems,
+  };
+}
+
+/**
+ * Top vendors by amount spent (debits only)
+ * Vendors are stored in the description column, so descriptions are grouped case-insensitively
+ */
+function topVendors(transactions, topN = 3) {
+  const vendors = new Map();
+
+  for (const txn of transactions) {
+    if (txn.type !== 'debit' || !txn.description) continue;
+
+    const key = txn.description.toLowerCase().trim();
+    const entry = vendors.get(key) || { name: txn.description.trim(), amount: 0, count: 0 };
+    entry.amount += Number(txn.amount) || 0;
+    entry.count += 1;
+    vendors.set(key, entry);
+  }
+
+  return [...vendors.values()]
+    .map(v => ({ ...v, amount: roundAmount(v.amount) }))
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, topN);
+}
+
+/**
+ * Round to 2 decimals (avoids floating point noise in replies)
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  looksLikeQuestion,
+  resolveMember,
+  summarizeTransactions,
+  topVendors,
+  roundAmount,
+};
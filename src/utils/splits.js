@@ -0,0 +1,153 @@
+/**
+ * Split expense helpers
+ * Pure functions for parsing SPLIT / SETTLE and working out who owes whom
+ */
+
+const AMOUNT_PATTERN = /^(?:₹|rs\.?)?([\d,]+(?:\.\d{1,2})?)$/i;
+const NAME_SEPARATOR = /\s*(?:,|&|\band\b)\s*/i;
+const EVERYONE = ['everyone', 'all', 'family', 'everybody'];
+
+function parseAmount(token) {
+  const match = AMOUNT_PATTERN.exec(token || '');
+  const amount = match ? parseFloat(match[1].replace(/,/g, '')) : NaN;
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Parse a SPLIT command
+ * "split 1200 dinner with Priya"          -> new 1200 expense split with Priya
+ * "split 1200 dinner equally"             -> new expense split with the whole family
+ * "split with Priya and Rahul", "split equally" -> split an existing transaction
+ * @returns {{ amount: number|null, description: string|null, memberNames: string[], equally: boolean }|null}
+ */
+function parseSplitCommand(text) {
+  const tokens = (text || '').trim().split(/\s+/).slice(1);
+  const equally = tokens.some(t => t.toLowerCase() === 'equally');
+  const words = tokens.filter(t => t.toLowerCase() !== 'equally');
+  const withIndex = words.findIndex(t => t.toLowerCase() === 'with');
+  const head = withIndex === -1 ? words : words.slice(0, withIndex);
+  const names = withIndex === -1
+    ? []
+    : words.slice(withIndex + 1).join(' ').split(NAME_SEPARATOR).map(name => name.trim()).filter(Boolean);
+
+  // "with everyone" means the whole family, same as "equally"
+  const withEveryone = names.some(name => EVERYONE.includes(name.toLowerCase()));
+  const memberNames = names.filter(name => !EVERYONE.includes(name.toLowerCase()) && name.toLowerCase() !== 'me');
+
+  const amountIndex = head.findIndex(t => parseAmount(t) !== null);
+  const amount = amountIndex === -1 ? null : parseAmount(head[amountIndex]);
+  const description = head.filter((_, i) => i !== amountIndex).join(' ').trim() || null;
+
+  // A description without an amount is not a valid split
+  if (amount === null && description) {
+    return null;
+  }
+
+  return { amount, description, memberNames, equally: equally || withEveryone };
+}
+
+/**
+ * Split an amount into equal shares, rounded to paise
+ * Leftover paise go to the first participants (the payer is listed first)
+ * @returns {Array<{ userId: string, amount: number }>}
+ */
+function calculateShares(amount, userIds) {
+  const totalPaise = Math.round(amount * 100);
+  const base = Math.floor(totalPaise / userIds.length);
+  const remainder = totalPaise - base * userIds.length;
+
+  return userIds.map((userId, index) => ({
+    userId,
+    amount: (base + (index < remainder ? 1 : 0)) / 100,
+  }));
+}
+
+/**
+ * Rescale the shares of a split expense to a new amount, keeping each member's proportion
+ * Leftover paise go to the payer (like calculateShares, where the payer is listed first)
+ * @param {Array} splits - Rows with payer_user_id, member_user_id, share_amount
+ * @returns {Array<{ userId: string, amount: number }>}
+ */
+function rescaleShares(splits, amount) {
+  const totalPaise = Math.round(amount * 100);
+  const previousTotal = splits.reduce((sum, s) => sum + (Number(s.share_amount) || 0), 0);
+
+  const shares = splits.map(s => ({
+    userId: s.member_user_id,
+    paise: previousTotal > 0
+      ? Math.floor(((Number(s.share_amount) || 0) / previousTotal) * totalPaise)
+      : Math.floor(totalPaise / splits.length),
+  }));
+
+  const payerIndex = Math.max(splits.findIndex(s => s.member_user_id === s.payer_user_id), 0);
+  shares[payerIndex].paise += totalPaise - shares.reduce((sum, s) => sum + s.paise, 0);
+
+  return shares.map(s => ({ userId: s.userId, amount: s.paise / 100 }));
+}
+
+/**
+ * Net balances between pairs of members
+ * Each split share owes its payer; each settlement pays down what its sender owes
+ * @param {Array} splits - Rows with payer_user_id, member_user_id, share_amount
+ * @param {Array} settlements - Rows with from_user_id, to_user_id, amount
+ * @returns {Array<{ from: string, to: string, amount: number }>} largest first
+ */
+function calculateBalances(splits, settlements = []) {
+  const owed = new Map();
+  const add = (from, to, amount) => {
+    if (from === to) return;
+    const key = `${from}|${to}`;
+    owed.set(key, (owed.get(key) || 0) + (Number(amount) || 0));
+  };
+
+  splits.forEach(s => add(s.member_user_id, s.payer_user_id, s.share_amount));
+  settlements.forEach(s => add(s.to_user_id, s.from_user_id, s.amount));
+
+  const balances = [];
+  const seen = new Set();
+
+  for (const key of owed.keys()) {
+    const [from, to] = key.split('|');
+    const pair = [from, to].sort().join('|');
+
+    if (seen.has(pair)) continue;
+    seen.add(pair);
+
+    const net = Math.round(((owed.get(key) || 0) - (owed.get(`${to}|${from}`) || 0)) * 100) / 100;
+
+    if (net > 0) balances.push({ from, to, amount: net });
+    if (net < 0) balances.push({ from: to, to: from, amount: -net });
+  }
+
+  return balances.sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Parse SETTLE arguments
+ * "Priya" / "Priya 500" / "500 with Priya" -> you paid Priya
+ * "FROM Priya 500"                          -> Priya paid you
+ * @returns {{ name: string, amount: number|null, direction: 'to'|'from' }|null}
+ */
+function parseSettleArgs(args) {
+  let words = args.filter(t => !['with', 'to'].includes(t.toLowerCase()));
+  let direction = 'to';
+
+  if (words[0]?.toLowerCase() === 'from') {
+    direction = 'from';
+    words = words.slice(1);
+  }
+
+  const amountIndex = words.findIndex(t => parseAmount(t) !== null);
+  const amount = amountIndex === -1 ? null : parseAmount(words[amountIndex]);
+  const name = words.filter((_, i) => i !== amountIndex).join(' ').trim();
+
+  return name ? { name, amount, direction } : null;
+}
+
+module.exports = {
+  parseSplitCommand,
+  calculateShares,
+  rescaleShares,
+  calculateBalances,
+  parseSettleArgs,
+};
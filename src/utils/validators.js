@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { IOU_ACTIONS } = require('./iou');
 
 /**
  * Validate WhatsApp phone number format
@@ -16,10 +17,10 @@ const phoneNumberSchema = Joi.string()
  */
 const transactionSchema = Joi.object({
   type: Joi.string()
-    .valid('credit', 'debit')
+    .valid('credit', 'debit', 'transfer')
     .required()
     .messages({
-      'any.only': 'Transaction type must be either credit or debit',
+      'any.only': 'Transaction type must be credit, debit or transfer',
     }),
   amount: Joi.number()
     .positive()
@@ -32,7 +33,6 @@ const transactionSchema = Joi.object({
   currency: Joi.string()
     .length(3)
     .uppercase()
-    .default('INR')
     .messages({
       'string.length': 'Currency must be a 3-letter code (e.g., INR, USD)',
     }),
@@ -62,6 +62,85 @@ const transactionSchema = Joi.object({
       'string.max': 'Vendor name must not exceed 100 characters',
     }),
   raw_text: Joi.string().allow(null, ''),
+  payment_method: Joi.string()
+    .max(100)
+    .allow(null, '')
+    .messages({
+      'string.max': 'Payment method must not exceed 100 characters',
+    }),
+  from_wallet: Joi.string().max(100).allow(null, ''),
+  to_wallet: Joi.string().max(100).allow(null, ''),
+  debt: Joi.object({
+    action: Joi.string().valid(...Object.keys(IOU_ACTIONS)).required(),
+    counterparty: Joi.string().trim().max(100).required(),
+  }).allow(null),
+});
+
+/**
+ * Validate spending query parameters extracted by AI
+ */
+const spendingQuerySchema = Joi.object({
+  start_date: Joi.date().allow(null),
+  end_date: Joi.date().min(Joi.ref('start_date')).allow(null),
+  type: Joi.string().valid('credit', 'debit').allow(null),
+  category: Joi.string().max(50).allow(null, ''),
+  member: Joi.string().max(100).allow(null, ''),
+  vendor: Joi.string().max(100).allow(null, ''),
+});
+
+/**
+ * Validate BUDGET SET arguments
+ */
+const budgetSchema = Joi.object({
+  category: Joi.string()
+    .max(50)
+    .required()
+    .messages({
+      'any.required': 'Category is required',
+    }),
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .max(100000000)
+    .required()
+    .messages({
+      'number.positive': 'Budget amount must be positive',
+      'any.required': 'Budget amount is required',
+    }),
+  period: Joi.string()
+    .valid('monthly', 'weekly')
+    .default('monthly'),
+});
+
+/**
+ * Validate an exchange rate added through the admin API
+ * 1 `from` = `rate` `to`, in effect from `date`
+ */
+const exchangeRateSchema = Joi.object({
+  from: Joi.string()
+    .length(3)
+    .uppercase()
+    .required()
+    .messages({
+      'string.length': 'Currency must be a 3-letter code (e.g., INR, USD)',
+    }),
+  to: Joi.string()
+    .length(3)
+    .uppercase()
+    .invalid(Joi.ref('from'))
+    .required()
+    .messages({
+      'string.length': 'Currency must be a 3-letter code (e.g., INR, USD)',
+      'any.invalid': 'Currencies must be different',
+    }),
+  rate: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'number.positive': 'Rate must be positive',
+    }),
+  date: Joi.date().required(),
+  source: Joi.string().max(100).allow(null, ''),
 });
 
 /**
@@ -190,6 +269,9 @@ async function validate(schema, data) {
 module.exports = {
   phoneNumberSchema,
   transactionSchema,
+  spendingQuerySchema,
+  budgetSchema,
+  exchangeRateSchema,
   webhookPayloadSchema,
   linkUserSchema,
   uuidSchema,
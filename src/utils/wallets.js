@@ -0,0 +1,136 @@
+/**
+ * Wallet helpers
+ * Pure functions for parsing WALLET commands and matching payment methods to wallets
+ */
+
+const { DEFAULT_LANGUAGE, t, formatMoney } = require('./i18n');
+
+const WALLET_TYPES = ['cash', 'bank', 'credit_card', 'upi'];
+
+// Words users (and receipts) use for each wallet type
+const TYPE_KEYWORDS = {
+  cash: ['cash'],
+  bank: ['bank', 'banking', 'account', 'savings', 'netbanking', 'neft', 'imps', 'debit'],
+  credit_card: ['card', 'credit', 'creditcard', 'cc', 'visa', 'mastercard', 'amex', 'rupay'],
+  upi: ['upi', 'gpay', 'googlepay', 'phonepe', 'paytm', 'bhim'],
+};
+
+const TYPE_LABELS = {
+  cash: '💵 Cash',
+  bank: '🏦 Bank',
+  credit_card: '💳 Credit card',
+  upi: '📱 UPI',
+};
+
+/**
+ * Resolve a word to a wallet type ("card" -> "credit_card")
+ * @returns {string|null}
+ */
+function parseWalletType(word) {
+  const requested = (word || '').toLowerCase().replace(/[\s_-]/g, '');
+
+  return WALLET_TYPES.find(type => type.replace('_', '') === requested) ||
+    WALLET_TYPES.find(type => TYPE_KEYWORDS[type].includes(requested)) ||
+    null;
+}
+
+/**
+ * Parse "WALLET ADD" arguments: <name...> <type> [opening balance] [SHARED]
+ * e.g. "HDFC card 3000" (3000 outstanding), "SBI bank 25000 shared", "cash"
+ * @returns {{ name: string, type: string, openingBalance: number, shared: boolean }|null}
+ */
+function parseWalletArgs(args) {
+  const shared = args.some(t => t.toLowerCase() === 'shared');
+  const words = args.filter(t => t.toLowerCase() !== 'shared');
+  let openingBalance = 0;
+
+  const last = (words[words.length - 1] || '').replace(/[₹,]/g, '');
+  if (/^-?\d+(\.\d{1,2})?$/.test(last)) {
+    openingBalance = parseFloat(last);
+    words.pop();
+  }
+
+  const type = parseWalletType(words[words.length - 1]);
+
+  if (!type) {
+    return null;
+  }
+
+  const name = words.slice(0, -1).join(' ').trim() || TYPE_LABELS[type].split(' ').slice(1).join(' ');
+
+  // For credit cards the amount given is what's outstanding
+  if (type === 'credit_card' && openingBalance) {
+    openingBalance = -Math.abs(openingBalance);
+  }
+
+  return { name, type, openingBalance, shared };
+}
+
+/**
+ * Find the wallet a payment method refers to ("HDFC card", "gpay", "cash")
+ * Matches wallet names first, then wallet types (preferring the user's own default wallet)
+ * @param {Array} wallets - The user's wallets plus the family's shared ones
+ * @param {string} userId - Whose transaction it is; other members' defaults don't count
+ * @returns {Object|null}
+ */
+function matchWallet(paymentMethod, wallets, userId) {
+  const requested = (paymentMethod || '').toLowerCase().trim();
+
+  if (!requested) return null;
+
+  const byName = wallets.find(w => w.name.toLowerCase() === requested) ||
+    wallets.find(w => requested.includes(w.name.toLowerCase()) || w.name.toLowerCase().includes(requested));
+
+  if (byName) return byName;
+
+  const type = requested.split(/\s+/).map(parseWalletType).find(Boolean);
+  const ofType = type ? wallets.filter(w => w.type === type) : [];
+  const ownOfType = ofType.filter(w => w.user_id === userId);
+
+  return ownOfType.find(w => w.is_default) || ownOfType[0] || ofType[0] || null;
+}
+
+/**
+ * Wallet for a new transaction: the matched payment method, otherwise the user's own default wallet
+ * (a shared wallet is only used when it's named - another member's default is never picked)
+ */
+function resolveWallet(paymentMethod, wallets, userId) {
+  const own = wallets.filter(w => w.user_id === userId);
+
+  return matchWallet(paymentMethod, wallets, userId) ||
+    own.find(w => w.is_default) ||
+    own[0] ||
+    null;
+}
+
+/**
+ * Describe a wallet balance; negative credit card balances are the amount outstanding
+ */
+function describeWalletBalance(wallet, balance, currency = 'INR', language = DEFAULT_LANGUAGE) {
+  const amount = Math.round(Math.abs(Number(balance) || 0) * 100) / 100;
+  const money = formatMoney(amount, currency, language);
+
+  if (wallet.type === 'credit_card') {
+    return t(language, balance < 0 ? 'wallet.outstanding' : 'wallet.credit', { amount: money });
+  }
+
+  return balance < 0 ? `-${money}` : money;
+}
+
+/**
+ * Wallet type with its icon in a reply language ("💳 Credit card")
+ */
+function formatWalletType(type, language = DEFAULT_LANGUAGE) {
+  return `${TYPE_LABELS[type].split(' ')[0]} ${t(language, `wallet.type.${type}`)}`;
+}
+
+module.exports = {
+  WALLET_TYPES,
+  TYPE_LABELS,
+  parseWalletType,
+  parseWalletArgs,
+  matchWallet,
+  resolveWallet,
+  describeWalletBalance,
+  formatWalletType,
+};
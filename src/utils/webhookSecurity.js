@@ -0,0 +1,78 @@
+/**
+ * Webhook security helpers
+ * Pure functions for checking the X-Hub-Signature-256 header, stale payloads and replays
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Signature header value Meta sends for a body ("sha256=<hex hmac>")
+ */
+function computeSignature(rawBody, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Check a signature header against the raw request body (timing-safe)
+ */
+function isValidSignature(signatureHeader, rawBody, secret) {
+  if (!signatureHeader || !secret || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, secret));
+  const received = Buffer.from(String(signatureHeader));
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Newest message or status timestamp in a webhook payload
+ * @returns {number|null} Unix seconds, or null if the payload has no events
+ */
+function getLatestEventTimestamp(payload) {
+  const timestamps = (payload?.entry || [])
+    .flatMap(entry => entry.changes || [])
+    .flatMap(change => [...(change.value?.messages || []), ...(change.value?.statuses || [])])
+    .map(event => parseInt(event.timestamp))
+    .filter(Number.isFinite);
+
+  return timestamps.length > 0 ? Math.max(...timestamps) : null;
+}
+
+/**
+ * Check if every event in a payload is older than maxAgeSeconds
+ */
+function isStalePayload(payload, maxAgeSeconds, now = Date.now()) {
+  const latest = getLatestEventTimestamp(payload);
+
+  if (latest === null) return false;
+
+  return now / 1000 - latest > maxAgeSeconds;
+}
+
+/**
+ * Remember a signature for ttlMs and report whether it was already seen (a replayed body)
+ * @param {Map<string, number>} cache - signature -> expiry (ms)
+ * @returns {boolean} true if the signature was seen within its TTL
+ */
+function rememberSignature(cache, signature, ttlMs, now = Date.now()) {
+  for (const [key, expiresAt] of cache) {
+    if (expiresAt <= now) cache.delete(key);
+  }
+
+  if (cache.has(signature)) {
+    return true;
+  }
+
+  cache.set(signature, now + ttlMs);
+  return false;
+}
+
+module.exports = {
+  computeSignature,
+  isValidSignature,
+  getLatestEventTimestamp,
+  isStalePayload,
+  rememberSignature,
+};